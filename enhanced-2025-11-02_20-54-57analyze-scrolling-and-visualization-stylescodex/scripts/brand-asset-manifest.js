@@ -0,0 +1,334 @@
+/**
+ * Brand asset manifest
+ *
+ * Describes the imagery the global orchestrator layers onto cards. A manifest
+ * is JSON, either fetched from `<meta name="clear-seas-brand-manifest">` /
+ * `window.__CLEAR_SEAS_BRAND_MANIFEST_URL` (default
+ * `assets/brand-manifest.json`) or embedded inline with
+ * `<script type="application/json" data-brand-manifest>`.
+ * List only files the build actually ships:
+ *
+ * {
+ *   "version": 1,
+ *   "images": [
+ *     {
+ *       "id": "hero-waves",
+ *       "src": "images/hero-bg.png",
+ *       "width": 1172,
+ *       "height": 733,
+ *       "tags": ["hero", "ocean"],
+ *       "palette": ["#0b2a4a", "#38bdf8"],
+ *       "license": "Clear Seas Solutions – internal use"
+ *     }
+ *   ],
+ *   "videos": [
+ *     {
+ *       "id": "card-cyan",
+ *       "src": "videos/card-cyan.mp4",
+ *       "sources": [
+ *         { "src": "videos/card-cyan.webm", "type": "video/webm" },
+ *         { "src": "videos/card-cyan.mp4", "type": "video/mp4" }
+ *       ],
+ *       "poster": "images/hero-bg.png",
+ *       "tags": ["cyan", "signal"]
+ *     }
+ *   ]
+ * }
+ *
+ * Plain strings are accepted anywhere an asset is expected, which keeps the
+ * legacy `window.__CLEAR_SEAS_BRAND_ASSETS` lists working unchanged.
+ *
+ * Paths in a fetched manifest are relative to the manifest itself, like
+ * `url()`s in a stylesheet; inline manifests and legacy lists stay relative
+ * to the page.
+ */
+
+const MANIFEST_META_NAME = 'clear-seas-brand-manifest';
+const MANIFEST_SCRIPT_SELECTOR = 'script[type="application/json"][data-brand-manifest]';
+// The build's own manifest, resolved against this module so every page that
+// loads the orchestrator picks it up whatever directory it is served from.
+const DEFAULT_MANIFEST_URL = new URL('../assets/brand-manifest.json', import.meta.url).href;
+
+const VIDEO_TYPES = {
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  webm: 'video/webm',
+  ogv: 'video/ogg',
+  mov: 'video/quicktime'
+};
+
+const parseList = (value) => {
+  if (!value) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(/[\n,]+/);
+  return list
+    .map((item) => (typeof item === 'string' ? item.trim() : ''))
+    .filter(Boolean);
+};
+
+const toPositiveNumber = (value) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : null;
+};
+
+function deriveAssetId(src) {
+  const file = src.split(/[?#]/)[0].split('/').pop() || src;
+  return file
+    .replace(/\.[a-z0-9]+$/i, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'asset';
+}
+
+function guessVideoType(src) {
+  const extension = src.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return VIDEO_TYPES[extension] || null;
+}
+
+function resolveAssetUrl(src, baseUrl) {
+  if (!src || !baseUrl) {
+    return src;
+  }
+  try {
+    return new URL(src, baseUrl).href;
+  } catch (error) {
+    return src;
+  }
+}
+
+function normaliseSources(entry, kind, baseUrl) {
+  const sources = [];
+  const seen = new Set();
+  const push = (rawSrc, type) => {
+    const src = resolveAssetUrl(rawSrc, baseUrl);
+    if (!src || seen.has(src)) {
+      return;
+    }
+    seen.add(src);
+    sources.push({ src, type: type || (kind === 'videos' ? guessVideoType(rawSrc) : null) });
+  };
+  if (Array.isArray(entry.sources)) {
+    entry.sources.forEach((source) => {
+      if (typeof source === 'string') {
+        push(source.trim(), null);
+      } else if (source && typeof source.src === 'string') {
+        push(source.src.trim(), typeof source.type === 'string' ? source.type : null);
+      }
+    });
+  }
+  if (typeof entry.src === 'string') {
+    push(entry.src.trim(), null);
+  }
+  return sources;
+}
+
+function normaliseAsset(entry, kind, issues, baseUrl = null) {
+  if (typeof entry === 'string') {
+    const src = entry.trim();
+    if (!src) {
+      return null;
+    }
+    entry = { src };
+  }
+  if (!entry || typeof entry !== 'object') {
+    issues.push(`${kind}: ignoring non-object entry`);
+    return null;
+  }
+  const sources = normaliseSources(entry, kind, baseUrl);
+  if (!sources.length) {
+    issues.push(`${kind}: entry "${entry.id || '?'}" has no src`);
+    return null;
+  }
+  const src = typeof entry.src === 'string' && entry.src.trim()
+    ? resolveAssetUrl(entry.src.trim(), baseUrl)
+    : sources[0].src;
+  return {
+    id: typeof entry.id === 'string' && entry.id.trim() ? entry.id.trim() : deriveAssetId(src),
+    kind: kind === 'videos' ? 'video' : 'image',
+    src,
+    sources,
+    poster: typeof entry.poster === 'string' && entry.poster.trim() ? resolveAssetUrl(entry.poster.trim(), baseUrl) : null,
+    width: toPositiveNumber(entry.width),
+    height: toPositiveNumber(entry.height),
+    tags: parseList(entry.tags).map((tag) => tag.toLowerCase()),
+    palette: parseList(entry.palette),
+    license: typeof entry.license === 'string' && entry.license.trim() ? entry.license.trim() : null
+  };
+}
+
+/**
+ * Normalise raw manifest JSON (or a legacy `{ images: [...], videos: [...] }`
+ * list of URLs). Duplicate ids keep the first entry. With `baseUrl` (the
+ * manifest's own URL) every `src` and `poster` is resolved against it.
+ */
+export function normaliseBrandManifest(input, baseUrl = null) {
+  const issues = [];
+  const manifest = { version: 1, images: [], videos: [], issues };
+  if (!input || typeof input !== 'object') {
+    issues.push('manifest must be an object');
+    return manifest;
+  }
+  if (input.version != null) {
+    manifest.version = Number(input.version) || 1;
+  }
+  const ids = new Set();
+  ['images', 'videos'].forEach((kind) => {
+    const entries = Array.isArray(input[kind]) ? input[kind] : [];
+    entries.forEach((entry) => {
+      const asset = normaliseAsset(entry, kind, issues, baseUrl);
+      if (!asset) {
+        return;
+      }
+      if (ids.has(asset.id)) {
+        issues.push(`${kind}: duplicate id "${asset.id}"`);
+        return;
+      }
+      ids.add(asset.id);
+      manifest[kind].push(asset);
+    });
+  });
+  return manifest;
+}
+
+function filterByTags(list, tags) {
+  if (!tags || !tags.length) {
+    return list;
+  }
+  const wanted = tags.map((tag) => tag.toLowerCase());
+  const all = list.filter((asset) => wanted.every((tag) => asset.tags.includes(tag)));
+  if (all.length) {
+    return all;
+  }
+  const any = list.filter((asset) => wanted.some((tag) => asset.tags.includes(tag)));
+  return any.length ? any : list;
+}
+
+/**
+ * Wrap a normalised manifest with lookup helpers used by the orchestrator.
+ */
+export function createBrandAssetCatalog(manifest) {
+  const normalised = manifest && Array.isArray(manifest.images) && Array.isArray(manifest.videos) && manifest.issues
+    ? manifest
+    : normaliseBrandManifest(manifest);
+  const byId = new Map();
+  const bySrc = new Map();
+  [...normalised.images, ...normalised.videos].forEach((asset) => {
+    byId.set(asset.id, asset);
+    asset.sources.forEach((source) => bySrc.set(source.src, asset));
+  });
+
+  const listFor = (type) => (type === 'videos' ? normalised.videos : normalised.images);
+
+  return {
+    version: normalised.version,
+    images: normalised.images,
+    videos: normalised.videos,
+    issues: normalised.issues,
+    get(idOrSrc) {
+      if (!idOrSrc) {
+        return null;
+      }
+      const key = String(idOrSrc).replace(/^#/, '');
+      const pageUrl = typeof document !== 'undefined' ? resolveAssetUrl(String(idOrSrc), document.baseURI) : null;
+      return byId.get(key) || bySrc.get(String(idOrSrc)) || bySrc.get(pageUrl) || null;
+    },
+    resolve(entry, type) {
+      if (!entry) {
+        return null;
+      }
+      if (typeof entry === 'object' && entry.src) {
+        return entry;
+      }
+      return this.get(entry) || normaliseAsset(String(entry), type === 'videos' ? 'videos' : 'images', []);
+    },
+    candidates(type, tags) {
+      return filterByTags(listFor(type), tags);
+    },
+    select(type, index, order, tags) {
+      const list = filterByTags(listFor(type), tags);
+      if (!list.length) {
+        return null;
+      }
+      const position = Number.isFinite(index) ? index : 0;
+      let assetIndex = position;
+      if (Array.isArray(order) && order.length && list === listFor(type)) {
+        assetIndex = order[((position % order.length) + order.length) % order.length];
+      }
+      return list[((assetIndex % list.length) + list.length) % list.length] || null;
+    }
+  };
+}
+
+/**
+ * Point a `<video>` at every source of the asset as `<source>` children, in
+ * manifest order, so the browser falls through to the mp4 when a webm
+ * alternate is unsupported or fails to load. Returns `true` when the
+ * element's sources changed (callers then `load()` it).
+ */
+export function applyVideoSources(asset, video) {
+  if (!asset || !video) {
+    return false;
+  }
+  const sources = Array.isArray(asset.sources) && asset.sources.length ? asset.sources : [{ src: asset.src, type: null }];
+  const signature = sources.map((source) => source.src).join('|');
+  if (video.dataset.brandSources === signature) {
+    return false;
+  }
+  video.removeAttribute('src');
+  video.querySelectorAll('source').forEach((source) => source.remove());
+  sources.forEach(({ src, type }) => {
+    const element = document.createElement('source');
+    element.src = src;
+    if (type) {
+      element.type = type;
+    }
+    video.appendChild(element);
+  });
+  video.dataset.brandSources = signature;
+  return true;
+}
+
+function readManifestUrl() {
+  if (typeof window.__CLEAR_SEAS_BRAND_MANIFEST_URL === 'string') {
+    return window.__CLEAR_SEAS_BRAND_MANIFEST_URL;
+  }
+  const meta = document.querySelector(`meta[name="${MANIFEST_META_NAME}"]`);
+  const content = meta ? meta.getAttribute('content') : null;
+  return content ? content.trim() : DEFAULT_MANIFEST_URL;
+}
+
+/**
+ * Load the page's manifest. Resolves to a catalog, or `null` when it fails to
+ * load – callers keep their legacy lists then.
+ */
+export async function loadBrandAssetManifest(options = {}) {
+  const inline = document.querySelector(MANIFEST_SCRIPT_SELECTOR);
+  if (inline && !options.url) {
+    try {
+      return createBrandAssetCatalog(normaliseBrandManifest(JSON.parse(inline.textContent || '{}')));
+    } catch (error) {
+      console.warn('⚠️ Failed to parse inline brand manifest', error);
+      return null;
+    }
+  }
+  const url = options.url || readManifestUrl();
+  if (!url || typeof fetch !== 'function') {
+    return null;
+  }
+  try {
+    const response = await fetch(url, { credentials: 'same-origin' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const manifestUrl = response.url || resolveAssetUrl(url, document.baseURI);
+    const catalog = createBrandAssetCatalog(normaliseBrandManifest(await response.json(), manifestUrl));
+    if (catalog.issues.length) {
+      console.warn(`⚠️ Brand manifest ${url}: ${catalog.issues.join('; ')}`);
+    }
+    return catalog;
+  } catch (error) {
+    console.warn(`⚠️ Failed to load brand manifest ${url}`, error);
+    return null;
+  }
+}
@@ -422,8 +422,32 @@
   // ADVANCED SCROLL CHOREOGRAPHY SYSTEM
   // ============================================
 
+  // Keys that step the choreography: +1 forward, -1 back (Shift+Space is back)
+  const STEP_KEYS = {
+    ArrowDown: 1,
+    PageDown: 1,
+    ' ': 1,
+    Spacebar: 1,
+    ArrowUp: -1,
+    PageUp: -1
+  };
+
+  // localStorage flag remembered when a visitor opts out of the scroll lock
+  const LOCK_STORAGE_KEY = 'clear-seas:choreography-lock';
+
+  function isEditableTarget(target) {
+    if (!target || !target.tagName) return false;
+    return target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+  }
+
   class AdvancedScrollChoreographer {
-    constructor(enhancer) {
+    /**
+     * Options:
+     *   lock: false skips the per-tick scroll lock (ticks still advance).
+     *   Visitors can opt out too: the Skip button, `data-scroll-lock="off"`
+     *   on <html>/<body>, or Escape to finish the current section.
+     */
+    constructor(enhancer, options = {}) {
       this.enhancer = enhancer;
       this.sections = [];
       this.currentSectionIndex = -1;
@@ -435,6 +459,28 @@
       this.deltaAccumulator = 0;
       this.threshold = 50; // Lower threshold for more responsive ticks
       this.wheelTimeout = null;
+      this.touchThreshold = 60; // px of swipe per tick
+      this.touchStartY = null;
+      this.scrollbarStep = 0.15; // fraction of the viewport dragged per tick
+      this.scrollAnchor = window.scrollY;
+      this.scrollAccumulator = 0;
+      this.lastInputTime = 0;
+      this.inputIdleTime = 150; // ms of scroll silence that ends an input's attribution
+      this.programmaticScrollUntil = 0;
+      this.isTicking = false;
+      this.tickTimer = null;
+      this.completeTimer = null;
+      this.lockEnabled = this.resolveLockPreference(options);
+
+      // Stable references so destroy() can detach them
+      this.handlers = {
+        wheel: (e) => this.handleWheel(e),
+        scroll: () => this.handleScroll(),
+        touchstart: (e) => this.handleTouchStart(e),
+        touchmove: (e) => this.handleTouchMove(e),
+        touchend: () => this.handleTouchEnd(),
+        keydown: (e) => this.handleKeydown(e)
+      };
 
       this.init();
     }
@@ -442,13 +488,56 @@
     init() {
       this.identifySections();
       this.createProgressIndicator();
-      window.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
-      window.addEventListener('scroll', this.handleScroll.bind(this), { passive: true });
+      window.addEventListener('wheel', this.handlers.wheel, { passive: false });
+      window.addEventListener('scroll', this.handlers.scroll, { passive: true });
+      window.addEventListener('touchstart', this.handlers.touchstart, { passive: true });
+      window.addEventListener('touchmove', this.handlers.touchmove, { passive: false });
+      window.addEventListener('touchend', this.handlers.touchend, { passive: true });
+      window.addEventListener('touchcancel', this.handlers.touchend, { passive: true });
+      window.addEventListener('keydown', this.handlers.keydown);
 
       // Initial section detection
       this.handleScroll();
     }
 
+    resolveLockPreference(options) {
+      if (typeof options.lock === 'boolean') return options.lock;
+
+      const optOut = [document.documentElement, document.body]
+        .some(element => element && element.dataset.scrollLock === 'off');
+      if (optOut) return false;
+
+      try {
+        return window.localStorage.getItem(LOCK_STORAGE_KEY) !== 'off';
+      } catch (error) {
+        return true;
+      }
+    }
+
+    /**
+     * Turn the per-tick scroll lock on or off; `persist` remembers the choice
+     */
+    setLockEnabled(enabled, { persist = false } = {}) {
+      this.lockEnabled = Boolean(enabled);
+      if (!this.lockEnabled) {
+        this.isLocked = false;
+      }
+
+      if (persist) {
+        try {
+          if (this.lockEnabled) {
+            window.localStorage.removeItem(LOCK_STORAGE_KEY);
+          } else {
+            window.localStorage.setItem(LOCK_STORAGE_KEY, 'off');
+          }
+        } catch (error) {
+          // Storage unavailable (private mode); the choice lasts this visit
+        }
+      }
+
+      this.updateProgressIndicator();
+    }
+
     createProgressIndicator() {
       // Visual feedback during scroll lock
       this.progressBar = document.createElement('div');
@@ -507,14 +596,42 @@
         this.tickIndicator.appendChild(dot);
       }
 
+      // Escape hatch: finish this section and stop locking from now on
+      this.skipButton = document.createElement('button');
+      this.skipButton.type = 'button';
+      this.skipButton.className = 'tick-skip';
+      this.skipButton.textContent = 'Skip';
+      this.skipButton.setAttribute('aria-label', 'Skip scroll animations');
+      this.skipButton.style.cssText = `
+        margin-left: 8px;
+        padding: 0 8px;
+        height: 16px;
+        font: 600 10px/16px sans-serif;
+        letter-spacing: 0.08em;
+        text-transform: uppercase;
+        color: rgba(255, 255, 255, 0.8);
+        background: rgba(0, 0, 0, 0.4);
+        border: 1px solid rgba(0, 212, 255, 0.5);
+        border-radius: 8px;
+        cursor: pointer;
+      `;
+      this.skipButton.addEventListener('click', () => {
+        this.setLockEnabled(false, { persist: true });
+        this.skipSection();
+      });
+      this.tickIndicator.appendChild(this.skipButton);
+
       document.body.appendChild(this.tickIndicator);
     }
 
     updateProgressIndicator() {
       const progressPercent = (this.currentTick / this.ticksPerSection) * 100;
+      const visible = this.isTicking;
 
-      this.progressBar.style.opacity = this.isLocked ? '1' : '0';
-      this.tickIndicator.style.opacity = this.isLocked ? '1' : '0';
+      this.progressBar.style.opacity = visible ? '1' : '0';
+      this.tickIndicator.style.opacity = visible ? '1' : '0';
+      this.tickIndicator.style.pointerEvents = visible ? 'auto' : 'none';
+      this.skipButton.hidden = !this.lockEnabled;
       this.progressFill.style.width = `${progressPercent}%`;
 
       // Update dot indicators
@@ -557,8 +674,29 @@
     }
 
     handleScroll() {
+      const scrollY = window.scrollY;
+      const delta = scrollY - this.scrollAnchor;
+      this.scrollAnchor = scrollY;
+
       if (this.isLocked) return;
 
+      // Scrolling with no wheel, touch or key input behind it is a scrollbar
+      // drag; every scrollbarStep of the viewport dragged counts as a tick.
+      // A smooth wheel or key scroll keeps its input attribution for as long
+      // as it is still moving, so its tail is not counted a second time.
+      const now = Date.now();
+      if (now - this.lastInputTime <= this.inputIdleTime || now <= this.programmaticScrollUntil) {
+        this.lastInputTime = Math.max(this.lastInputTime, now);
+        this.scrollAccumulator = 0;
+      } else {
+        this.scrollAccumulator += delta;
+        const step = window.innerHeight * this.scrollbarStep;
+        if (step > 0 && Math.abs(this.scrollAccumulator) >= step) {
+          this.processTick(Math.sign(this.scrollAccumulator), 'scrollbar');
+          this.scrollAccumulator = 0;
+        }
+      }
+
       // Detect which section is in view
       const viewportCenter = window.innerHeight / 2;
 
@@ -576,6 +714,7 @@
     }
 
     handleWheel(e) {
+      this.lastInputTime = Date.now();
       if (this.isLocked) {
         e.preventDefault();
         return;
@@ -590,12 +729,66 @@
       this.wheelTimeout = setTimeout(() => {
         if (this.deltaAccumulator >= this.threshold) {
           const direction = e.deltaY > 0 ? 1 : -1;
-          this.processTick(direction);
+          this.processTick(direction, 'wheel');
           this.deltaAccumulator = 0;
         }
       }, 30);
     }
 
+    handleTouchStart(e) {
+      if (!e.touches || e.touches.length !== 1) return;
+      this.lastInputTime = Date.now();
+      this.touchStartY = e.touches[0].clientY;
+    }
+
+    handleTouchMove(e) {
+      if (this.touchStartY === null || !e.touches || e.touches.length !== 1) return;
+      this.lastInputTime = Date.now();
+
+      if (this.isLocked) {
+        if (e.cancelable) e.preventDefault();
+        return;
+      }
+
+      // Swiping up moves forward, like a wheel scrolling down
+      const y = e.touches[0].clientY;
+      const distance = this.touchStartY - y;
+      if (Math.abs(distance) >= this.touchThreshold) {
+        this.touchStartY = y;
+        this.processTick(distance > 0 ? 1 : -1, 'touch');
+      }
+    }
+
+    handleTouchEnd() {
+      // Momentum scrolling after the finger lifts is still touch input
+      this.lastInputTime = Date.now() + 600;
+      this.touchStartY = null;
+    }
+
+    handleKeydown(e) {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || isEditableTarget(e.target)) return;
+
+      if (e.key === 'Escape') {
+        if (this.isTicking || this.isLocked) this.skipSection();
+        return;
+      }
+
+      const isSpace = e.key === ' ' || e.key === 'Spacebar';
+      if (isSpace && e.target && e.target.tagName === 'BUTTON') return; // Space presses the button
+
+      let direction = STEP_KEYS[e.key];
+      if (!direction) return;
+      if (isSpace && e.shiftKey) direction = -1;
+
+      this.lastInputTime = Date.now();
+      if (this.isLocked) {
+        e.preventDefault();
+        return;
+      }
+
+      this.processTick(direction, 'key');
+    }
+
     enterSection(index) {
       console.log(`Entering section: ${this.sections[index].id}`);
 
@@ -619,14 +812,15 @@
       const headerCenter = rect.top + rect.height / 2;
       const offset = headerCenter - viewportCenter;
 
-      // Smooth scroll to center the header
+      // Smooth scroll to center the header; not a scrollbar drag
+      this.programmaticScrollUntil = Date.now() + 700;
       window.scrollBy({
         top: offset,
         behavior: 'smooth'
       });
     }
 
-    processTick(direction) {
+    processTick(direction, source = 'wheel') {
       if (this.currentSectionIndex === -1) return;
 
       const section = this.sections[this.currentSectionIndex];
@@ -639,18 +833,20 @@
 
       console.log(`Section ${section.id}: Tick ${this.currentTick}/${this.ticksPerSection} (${Math.round(this.sectionProgress * 100)}%)`);
 
+      // Lock input during transition; a scrollbar drag can't be held back,
+      // so it only shows progress
+      this.beginTick(source !== 'scrollbar');
+
       // Update progress indicator
       this.updateProgressIndicator();
 
-      // Lock scroll during transition
-      this.lockScroll();
-
       // Perform DRAMATIC choreography for this tick
       this.performSectionChoreography(this.sectionProgress);
 
       // If we've completed all ticks, unlock section
       if (this.currentTick === this.ticksPerSection) {
-        setTimeout(() => {
+        clearTimeout(this.completeTimer);
+        this.completeTimer = setTimeout(() => {
           console.log(`Section ${section.id} choreography complete, unlocking`);
           section.locked = false;
           this.updateProgressIndicator(); // Hide indicator
@@ -971,21 +1167,52 @@
       });
     }
 
-    lockScroll() {
-      this.isLocked = true;
-      document.body.style.overflow = 'hidden';
-
-      setTimeout(() => {
+    /**
+     * Hold wheel, touch and key input for one tick. The page itself is never
+     * made unscrollable, so the scrollbar always works as a way out.
+     */
+    beginTick(lock) {
+      this.isTicking = true;
+      this.isLocked = lock && this.lockEnabled;
+
+      clearTimeout(this.tickTimer);
+      this.tickTimer = setTimeout(() => {
+        this.isTicking = false;
         this.isLocked = false;
-        document.body.style.overflow = '';
       }, this.tickDuration);
     }
 
+    /**
+     * Jump the current section to its final state and release the lock
+     */
+    skipSection() {
+      clearTimeout(this.tickTimer);
+      this.isTicking = false;
+      this.isLocked = false;
+      if (this.currentSectionIndex === -1) return;
+
+      this.currentTick = this.ticksPerSection;
+      this.sectionProgress = 1;
+      this.sections[this.currentSectionIndex].locked = false;
+      this.performSectionChoreography(1);
+      this.updateProgressIndicator();
+    }
+
     destroy() {
-      window.removeEventListener('wheel', this.handleWheel);
-      window.removeEventListener('scroll', this.handleScroll);
-      if (this.wheelTimeout) clearTimeout(this.wheelTimeout);
-      document.body.style.overflow = '';
+      window.removeEventListener('wheel', this.handlers.wheel, { passive: false });
+      window.removeEventListener('scroll', this.handlers.scroll, { passive: true });
+      window.removeEventListener('touchstart', this.handlers.touchstart, { passive: true });
+      window.removeEventListener('touchmove', this.handlers.touchmove, { passive: false });
+      window.removeEventListener('touchend', this.handlers.touchend, { passive: true });
+      window.removeEventListener('touchcancel', this.handlers.touchend, { passive: true });
+      window.removeEventListener('keydown', this.handlers.keydown);
+      clearTimeout(this.wheelTimeout);
+      clearTimeout(this.tickTimer);
+      clearTimeout(this.completeTimer);
+      this.isLocked = false;
+      this.isTicking = false;
+      if (this.progressBar) this.progressBar.remove();
+      if (this.tickIndicator) this.tickIndicator.remove();
     }
   }
 
@@ -994,7 +1221,8 @@
   // ============================================
 
   class AdvancedCardEnhancer {
-    constructor() {
+    constructor(options = {}) {
+      this.options = options;
       this.visualizers = new Map();
       this.animationFrame = null;
       this.isRunning = false;
@@ -1022,7 +1250,7 @@
       });
 
       // Initialize advanced scroll choreography
-      this.choreographer = new AdvancedScrollChoreographer(this);
+      this.choreographer = new AdvancedScrollChoreographer(this, this.options.choreography);
 
       this.startRenderLoop();
     }
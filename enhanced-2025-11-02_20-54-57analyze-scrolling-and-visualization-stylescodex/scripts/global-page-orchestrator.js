@@ -1,10 +1,16 @@
 import { resolvePageProfile, applyProfileMetadata } from './page-profile-registry.js';
+import { createBrandAssetCatalog, loadBrandAssetManifest, applyVideoSources } from './brand-asset-manifest.js';
 
 const BRAND_OVERRIDE_EVENT = window.__CLEAR_SEAS_BRAND_OVERRIDE_EVENT || 'clear-seas:brand-overrides-changed';
 
 const GLOBAL_MOTION_EVENT = window.__CLEAR_SEAS_GLOBAL_MOTION_EVENT || 'clear-seas:motion-updated';
 window.__CLEAR_SEAS_GLOBAL_MOTION_EVENT = GLOBAL_MOTION_EVENT;
 
+const GLOBAL_MODE_EVENT = window.__CLEAR_SEAS_GLOBAL_MODE_EVENT || 'clear-seas:orchestrator-mode-changed';
+window.__CLEAR_SEAS_GLOBAL_MODE_EVENT = GLOBAL_MODE_EVENT;
+
+const MODE_TRANSITION_MS = 420;
+
 const brandAssets = window.__CLEAR_SEAS_BRAND_ASSETS || (window.__CLEAR_SEAS_BRAND_ASSETS = {
   images: [
     'assets/Screenshot_20250430-141821.png',
@@ -28,22 +34,39 @@ const brandAssets = window.__CLEAR_SEAS_BRAND_ASSETS || (window.__CLEAR_SEAS_BRA
   ]
 });
 
+// Legacy string lists act as an untagged catalog until a manifest loads.
+let brandCatalog = createBrandAssetCatalog(brandAssets);
+window.__CLEAR_SEAS_BRAND_ASSET_CATALOG = brandCatalog;
+
 const rootElement = document.documentElement;
 const bodyElement = document.body;
-const orchestratorModeAttr = (bodyElement?.dataset?.orchestratorMode || rootElement?.dataset?.orchestratorMode || '').toLowerCase();
-const orchestratorDisabled = bodyElement?.hasAttribute('data-disable-global-orchestrator') ||
-  rootElement?.hasAttribute('data-disable-global-orchestrator') ||
-  orchestratorModeAttr === 'static' ||
-  orchestratorModeAttr === 'disabled' ||
-  orchestratorModeAttr === 'catalog' ||
-  orchestratorModeAttr === 'index';
-const orchestratorMode = orchestratorDisabled ? 'static' : (orchestratorModeAttr || 'active');
+const STATIC_MODE_ALIASES = new Set(['static', 'disabled', 'catalog', 'index']);
+
+function readDocumentMode() {
+  const attr = (bodyElement?.dataset?.orchestratorMode || rootElement?.dataset?.orchestratorMode || '').toLowerCase();
+  const disabled = bodyElement?.hasAttribute('data-disable-global-orchestrator') ||
+    rootElement?.hasAttribute('data-disable-global-orchestrator') ||
+    STATIC_MODE_ALIASES.has(attr);
+  return disabled ? 'static' : (attr || 'active');
+}
 
-if (rootElement) {
-  rootElement.dataset.globalOrchestrator = orchestratorMode;
+const orchestratorMode = readDocumentMode();
+const autostartAttr = bodyElement?.dataset?.globalOrchestratorAutostart ?? rootElement?.dataset?.globalOrchestratorAutostart;
+const orchestratorAutostart = autostartAttr !== 'false';
+
+export const GLOBAL_ORCHESTRATOR_API_VERSION = '1.1.0';
+
+function publishGlobalMode(mode, detail = null) {
+  if (rootElement) {
+    rootElement.dataset.globalOrchestrator = mode;
+  }
+  window.__CLEAR_SEAS_GLOBAL_ORCHESTRATOR_MODE = mode;
+  if (detail) {
+    window.dispatchEvent(new CustomEvent(GLOBAL_MODE_EVENT, { detail: { mode, ...detail } }));
+  }
 }
 
-window.__CLEAR_SEAS_GLOBAL_ORCHESTRATOR_MODE = orchestratorMode;
+publishGlobalMode(orchestratorMode);
 
 const brandOverrideApi = (() => {
   if (window.__CLEAR_SEAS_BRAND_OVERRIDE_API) {
@@ -267,6 +290,10 @@ const brandOverrideApi = (() => {
     if (videos.length) {
       normalised.videos = videos;
     }
+    const tags = parseList(entry.tags || entry.tag).map((tag) => tag.toLowerCase());
+    if (tags.length) {
+      normalised.tags = tags;
+    }
     const overlay = sanitiseOverlay(entry.overlay || entry.brandOverlay);
     if (overlay) {
       normalised.overlay = overlay;
@@ -307,6 +334,9 @@ const brandOverrideApi = (() => {
     if (Array.isArray(source.videos) && source.videos.length) {
       target.videos = (target.videos || []).concat(source.videos);
     }
+    if (Array.isArray(source.tags) && source.tags.length) {
+      target.tags = (target.tags || []).concat(source.tags);
+    }
     if (source.overlay) {
       target.overlay = { ...(target.overlay || {}), ...source.overlay };
     }
@@ -359,6 +389,10 @@ const brandOverrideApi = (() => {
     if (videoList.length) {
       override.videos = videoList;
     }
+    const tagList = parseList(dataset.brandTags || dataset.brandTag).map((tag) => tag.toLowerCase());
+    if (tagList.length) {
+      override.tags = tagList;
+    }
     const overlay = sanitiseOverlay({
       blend: dataset.brandOverlayBlend,
       filter: dataset.brandOverlayFilter,
@@ -396,6 +430,7 @@ const brandOverrideApi = (() => {
       override.seedOffset != null ||
       (override.images && override.images.length) ||
       (override.videos && override.videos.length) ||
+      (override.tags && override.tags.length) ||
       override.overlay ||
       override.canvas ||
       (override.cycleTriggers && override.cycleTriggers.size)
@@ -425,6 +460,7 @@ const brandOverrideApi = (() => {
       aggregate.seedOffset != null ||
       (aggregate.images && aggregate.images.length) ||
       (aggregate.videos && aggregate.videos.length) ||
+      (aggregate.tags && aggregate.tags.length) ||
       aggregate.overlay ||
       aggregate.canvas ||
       (aggregate.cycleTriggers && aggregate.cycleTriggers.size)
@@ -438,6 +474,9 @@ const brandOverrideApi = (() => {
     if (aggregate.videos) {
       aggregate.videos = Array.from(new Set(aggregate.videos));
     }
+    if (aggregate.tags) {
+      aggregate.tags = Array.from(new Set(aggregate.tags));
+    }
     return aggregate;
   };
 
@@ -485,6 +524,8 @@ const brandOverrideApi = (() => {
     return fallback;
   };
 
+  // Override lists may hold URLs or manifest ids; tags are handed to the
+  // fallback so manifest-backed pickers can narrow their candidates.
   const pickAsset = (overrides, type, index, fallback) => {
     const listKey = type === 'videos' ? 'videos' : 'images';
     const list = overrides && overrides[listKey];
@@ -495,7 +536,7 @@ const brandOverrideApi = (() => {
       return list[position] || null;
     }
     if (typeof fallback === 'function') {
-      return fallback(effectiveIndex);
+      return fallback(effectiveIndex, overrides && Array.isArray(overrides.tags) ? overrides.tags : null);
     }
     return null;
   };
@@ -537,6 +578,13 @@ const brandOverrideApi = (() => {
   return api;
 })();
 
+function applyAssetSeeds(profile) {
+  const imageCount = brandCatalog.images.length;
+  const videoCount = brandCatalog.videos.length;
+  profile.imageSeed = imageCount ? profile.seed % imageCount : 0;
+  profile.videoSeed = videoCount ? Math.floor(profile.seed / 7) % videoCount : 0;
+}
+
 function detectActivePageProfile() {
   const resolved = resolvePageProfile();
   const profile = {
@@ -555,8 +603,7 @@ function detectActivePageProfile() {
     seed: resolved?.seed || 0
   };
 
-  profile.imageSeed = brandAssets.images.length ? profile.seed % brandAssets.images.length : 0;
-  profile.videoSeed = brandAssets.videos.length ? Math.floor(profile.seed / 7) % brandAssets.videos.length : 0;
+  applyAssetSeeds(profile);
 
   if (resolved?.metaName === 'ultimate-clear-seas-holistic-system.html') {
     profile.scripts.push('scripts/ultimate-holistic-vib34d-system.js');
@@ -569,32 +616,30 @@ function detectActivePageProfile() {
 
 const activePageProfile = detectActivePageProfile();
 
-function preparePageProfile(profile) {
+function preparePageProfile(orchestrator, profile) {
   if (!profile) {
     return;
   }
   const overlaySettings = profile.overlay || {};
   if (overlaySettings.blend) {
-    document.documentElement.style.setProperty('--global-brand-overlay-blend', overlaySettings.blend);
+    orchestrator.styleTarget.style.setProperty('--global-brand-overlay-blend', overlaySettings.blend);
   }
-  if (Array.isArray(profile.scripts) && profile.scripts.length) {
+  if (orchestrator.isPageLevel && Array.isArray(profile.scripts) && profile.scripts.length) {
     profile.scripts.forEach((src) => ensureScript(src));
   }
-  if (sharedMotion) {
-    sharedMotion.palette = profile.palette || null;
-    sharedMotion.collection = profile.key || null;
-    sharedMotion.family = profile.family || null;
-    sharedMotion.layout = profile.layout || null;
-  }
+  const { motion } = orchestrator;
+  motion.palette = profile.palette || null;
+  motion.collection = profile.key || null;
+  motion.family = profile.family || null;
+  motion.layout = profile.layout || null;
 }
 
 const stylesLoaded = new Set();
 const scriptsLoaded = new Map();
-const cardStates = new Map();
 
-function refreshAllCardOverrides(options = {}) {
+function refreshAllCardOverrides(orchestrator, options = {}) {
   const { resetCycle = false } = options || {};
-  cardStates.forEach((state) => {
+  orchestrator.cardStates.forEach((state) => {
     if (!state || !state.element) {
       return;
     }
@@ -606,166 +651,307 @@ function refreshAllCardOverrides(options = {}) {
   });
 }
 
-if (!orchestratorDisabled) {
-  window.addEventListener(BRAND_OVERRIDE_EVENT, () => {
-    refreshAllCardOverrides({ resetCycle: true });
-  });
+function createGlobalState() {
+  return {
+    scroll: {
+      current: 0,
+      target: 0,
+      lastY: window.scrollY || 0,
+      lastTime: performance.now(),
+      direction: 0,
+      speed: 0
+    },
+    synergy: { current: 0, target: 0 },
+    focus: {
+      currentX: 0.5,
+      currentY: 0.5,
+      currentAmount: 0,
+      targetX: 0.5,
+      targetY: 0.5,
+      targetAmount: 0,
+      trend: 0,
+      lastAmount: 0
+    },
+    tilt: {
+      currentX: 0,
+      currentY: 0,
+      targetX: 0,
+      targetY: 0
+    },
+    layout: {
+      currentX: 0.5,
+      currentY: 0.5,
+      targetX: 0.5,
+      targetY: 0.5
+    },
+    bend: { current: 0, target: 0 },
+    warp: { current: 0, target: 0 }
+  };
 }
-const groupStates = new Map();
-let activeCardState = null;
-let rafId = null;
-
-const globalState = {
-  scroll: {
-    current: 0,
-    target: 0,
-    lastY: window.scrollY || 0,
-    lastTime: performance.now(),
-    direction: 0,
-    speed: 0
-  },
-  synergy: { current: 0, target: 0 },
-  focus: {
-    currentX: 0.5,
-    currentY: 0.5,
-    currentAmount: 0,
-    targetX: 0.5,
-    targetY: 0.5,
-    targetAmount: 0,
-    trend: 0,
-    lastAmount: 0
-  },
-  tilt: {
-    currentX: 0,
-    currentY: 0,
-    targetX: 0,
-    targetY: 0
-  },
-  layout: {
-    currentX: 0.5,
-    currentY: 0.5,
-    targetX: 0.5,
-    targetY: 0.5
-  },
-  bend: { current: 0, target: 0 },
-  warp: { current: 0, target: 0 }
-};
 
-const sharedMotion = window.__CLEAR_SEAS_GLOBAL_MOTION || (window.__CLEAR_SEAS_GLOBAL_MOTION = {
-  focus: { x: 0.5, y: 0.5, amount: 0 },
-  tilt: { x: 0, y: 0, strength: 0 },
-  bend: 0,
-  warp: 0,
-  scroll: 0,
-  scrollDirection: 0,
-  scrollSpeed: 0,
-  focusTrend: 0,
-  tiltSkew: 0,
-  synergy: 0,
-  palette: null,
-  collection: null,
-  family: null,
-  layout: null,
-  layoutVector: { x: 0.5, y: 0.5 },
-  updatedAt: performance.now(),
-  eventName: GLOBAL_MOTION_EVENT
-});
+function createMotionState(eventName = null) {
+  return {
+    focus: { x: 0.5, y: 0.5, amount: 0 },
+    tilt: { x: 0, y: 0, strength: 0 },
+    bend: 0,
+    warp: 0,
+    scroll: 0,
+    scrollDirection: 0,
+    scrollSpeed: 0,
+    focusTrend: 0,
+    tiltSkew: 0,
+    synergy: 0,
+    palette: null,
+    collection: null,
+    family: null,
+    layout: null,
+    layoutVector: { x: 0.5, y: 0.5 },
+    updatedAt: performance.now(),
+    eventName
+  };
+}
+
+const sharedMotion = window.__CLEAR_SEAS_GLOBAL_MOTION || (window.__CLEAR_SEAS_GLOBAL_MOTION = createMotionState(GLOBAL_MOTION_EVENT));
 
 if (!sharedMotion.layoutVector) {
   sharedMotion.layoutVector = { x: 0.5, y: 0.5 };
 }
 
-const motionEventState = {
-  lastDispatch: 0,
-  lastDetail: null
-};
+/**
+ * @typedef {Object} MotionSnapshot
+ * @property {number} focusX
+ * @property {number} focusY
+ * @property {number} focusAmount
+ * @property {number} focusTrend
+ * @property {number} tiltX
+ * @property {number} tiltY
+ * @property {number} tiltStrength
+ * @property {number} tiltSkew
+ * @property {number} layoutX
+ * @property {number} layoutY
+ * @property {number} bend
+ * @property {number} warp
+ * @property {number} scrollMomentum
+ * @property {number} scrollSpeed
+ * @property {-1|0|1} scrollDirection
+ * @property {number} synergy
+ * @property {string|null} palette
+ * @property {string|null} collection
+ * @property {number} timestamp
+ */
+
+// Minimum change per field before a snapshot counts as "moved". `palette`
+// and `collection` compare by identity.
+export const MOTION_FIELD_THRESHOLDS = Object.freeze({
+  focusX: 0.0012,
+  focusY: 0.0012,
+  focusAmount: 0.0012,
+  focusTrend: 0.0006,
+  tiltX: 0.001,
+  tiltY: 0.001,
+  tiltStrength: 0.001,
+  tiltSkew: 0.001,
+  layoutX: 0.001,
+  layoutY: 0.001,
+  bend: 0.001,
+  warp: 0.001,
+  scrollMomentum: 0.001,
+  scrollSpeed: 0.001,
+  scrollDirection: 0.51,
+  synergy: 0.001,
+  palette: 0,
+  collection: 0
+});
 
-function shouldDispatchMotionEvent(previous, next) {
+export const MOTION_FIELDS = Object.freeze(Object.keys(MOTION_FIELD_THRESHOLDS));
+
+const LEGACY_MOTION_INTERVAL = 32;
+const LEGACY_MOTION_HEARTBEAT = 120;
+
+function hasMotionChanged(previous, next, fields, thresholds) {
   if (!previous) {
     return true;
   }
+  return fields.some((key) => {
+    const before = previous[key];
+    const after = next[key];
+    if (typeof after !== 'number' || typeof before !== 'number') {
+      return before !== after;
+    }
+    return Math.abs(after - before) > thresholds[key];
+  });
+}
 
-  const thresholds = {
-    focusX: 0.0012,
-    focusY: 0.0012,
-    focusAmount: 0.0012,
-    focusTrend: 0.0006,
-    tiltX: 0.001,
-    tiltY: 0.001,
-    tiltStrength: 0.001,
-    tiltSkew: 0.001,
-    layoutX: 0.001,
-    layoutY: 0.001,
-    bend: 0.001,
-    warp: 0.001,
-    scrollMomentum: 0.001,
-    scrollSpeed: 0.001,
-    scrollDirection: 0.51,
-    synergy: 0.001
+function shouldDispatchMotionEvent(previous, next) {
+  return hasMotionChanged(previous, next, MOTION_FIELDS, MOTION_FIELD_THRESHOLDS);
+}
+
+function buildMotionDetail(motion) {
+  return {
+    focusX: motion.focus.x,
+    focusY: motion.focus.y,
+    focusAmount: motion.focus.amount,
+    focusTrend: motion.focusTrend,
+    tiltX: motion.tilt.x,
+    tiltY: motion.tilt.y,
+    tiltStrength: motion.tilt.strength,
+    tiltSkew: motion.tiltSkew,
+    layoutX: motion.layoutVector ? motion.layoutVector.x : 0.5,
+    layoutY: motion.layoutVector ? motion.layoutVector.y : 0.5,
+    bend: motion.bend,
+    warp: motion.warp,
+    scrollMomentum: motion.scroll,
+    scrollSpeed: motion.scrollSpeed,
+    scrollDirection: motion.scrollDirection,
+    synergy: motion.synergy,
+    palette: motion.palette,
+    collection: motion.collection,
+    timestamp: motion.updatedAt
   };
+}
 
-  return Object.keys(thresholds).some((key) => {
-    const delta = Math.abs((next[key] || 0) - (previous[key] || 0));
-    return delta > thresholds[key];
+function pickMotionFields(detail, fields) {
+  if (!fields) {
+    return { ...detail };
+  }
+  const snapshot = { timestamp: detail.timestamp };
+  fields.forEach((key) => {
+    snapshot[key] = detail[key];
   });
+  return snapshot;
 }
 
-function maybeDispatchGlobalMotionEvent() {
-  const detail = {
-    focusX: sharedMotion.focus.x,
-    focusY: sharedMotion.focus.y,
-    focusAmount: sharedMotion.focus.amount,
-    focusTrend: sharedMotion.focusTrend,
-    tiltX: sharedMotion.tilt.x,
-    tiltY: sharedMotion.tilt.y,
-    tiltStrength: sharedMotion.tilt.strength,
-    tiltSkew: sharedMotion.tiltSkew,
-    layoutX: sharedMotion.layoutVector ? sharedMotion.layoutVector.x : 0.5,
-    layoutY: sharedMotion.layoutVector ? sharedMotion.layoutVector.y : 0.5,
-    bend: sharedMotion.bend,
-    warp: sharedMotion.warp,
-    scrollMomentum: sharedMotion.scroll,
-    scrollSpeed: sharedMotion.scrollSpeed,
-    scrollDirection: sharedMotion.scrollDirection,
-    synergy: sharedMotion.synergy,
-    palette: sharedMotion.palette,
-    collection: sharedMotion.collection,
-    timestamp: sharedMotion.updatedAt
+function normaliseMotionFields(fields) {
+  if (fields == null) {
+    return null;
+  }
+  const list = Array.isArray(fields) ? fields : [fields];
+  const unknown = list.filter((key) => !Object.prototype.hasOwnProperty.call(MOTION_FIELD_THRESHOLDS, key));
+  if (unknown.length) {
+    throw new TypeError(`Unknown motion field(s): ${unknown.join(', ')}`);
+  }
+  return list.length ? Array.from(new Set(list)) : null;
+}
+
+/**
+ * Build a subscriber record. Options:
+ * - `fields`: snapshot keys to receive and to watch for changes (default all)
+ * - `interval`: minimum ms between deliveries (default 0, i.e. every frame
+ *   in which a watched field moved)
+ * - `thresholds`: a number applied to every watched field, or a per-field
+ *   map merged over MOTION_FIELD_THRESHOLDS
+ * - `heartbeat`: ms after which an unchanged snapshot is delivered anyway
+ *   (default 120 without `fields`, otherwise off)
+ * - `immediate`: deliver the current snapshot on subscribe
+ */
+function createMotionSubscription(listener, options = {}) {
+  if (typeof listener !== 'function') {
+    throw new TypeError('Motion listener must be a function');
+  }
+  const fields = normaliseMotionFields(options.fields);
+  const thresholds = { ...MOTION_FIELD_THRESHOLDS };
+  if (typeof options.thresholds === 'number' && options.thresholds >= 0) {
+    (fields || MOTION_FIELDS).forEach((key) => {
+      thresholds[key] = options.thresholds;
+    });
+  } else if (options.thresholds && typeof options.thresholds === 'object') {
+    Object.keys(options.thresholds).forEach((key) => {
+      const value = Number(options.thresholds[key]);
+      if (Object.prototype.hasOwnProperty.call(thresholds, key) && Number.isFinite(value) && value >= 0) {
+        thresholds[key] = value;
+      }
+    });
+  }
+  const interval = Number.isFinite(options.interval) ? Math.max(0, options.interval) : 0;
+  let heartbeat = fields ? null : LEGACY_MOTION_HEARTBEAT;
+  if (options.heartbeat === false || options.heartbeat === null) {
+    heartbeat = null;
+  } else if (Number.isFinite(options.heartbeat)) {
+    heartbeat = Math.max(interval, options.heartbeat);
+  }
+  return {
+    listener,
+    fields,
+    watch: fields || MOTION_FIELDS,
+    thresholds,
+    interval,
+    heartbeat,
+    lastDetail: null,
+    lastDispatch: -Infinity
   };
+}
+
+function deliverMotion(subscription, detail, now) {
+  subscription.lastDetail = detail;
+  subscription.lastDispatch = now;
+  try {
+    subscription.listener(pickMotionFields(detail, subscription.fields));
+  } catch (error) {
+    console.warn('⚠️ Motion subscriber failed', error);
+  }
+}
+
+function notifyMotionSubscribers(orchestrator, detail, force = false) {
+  const now = detail.timestamp || performance.now();
+  orchestrator.subscribers.forEach((subscription) => {
+    if (force) {
+      deliverMotion(subscription, detail, now);
+      return;
+    }
+    const elapsed = now - subscription.lastDispatch;
+    if (elapsed < subscription.interval) {
+      return;
+    }
+    const changed = hasMotionChanged(subscription.lastDetail, detail, subscription.watch, subscription.thresholds);
+    if (changed || (subscription.heartbeat != null && elapsed >= subscription.heartbeat)) {
+      deliverMotion(subscription, detail, now);
+    }
+  });
+}
+
+function maybeDispatchGlobalMotionEvent(orchestrator, force = false) {
+  const { motionEventState } = orchestrator;
+  const detail = buildMotionDetail(orchestrator.motion);
+  notifyMotionSubscribers(orchestrator, detail, force);
+
+  if (!orchestrator.eventName) {
+    return;
+  }
 
   const now = detail.timestamp || performance.now();
   const elapsed = now - motionEventState.lastDispatch;
+  const changed = shouldDispatchMotionEvent(motionEventState.lastDetail, detail);
 
-  if (elapsed < 32 && !shouldDispatchMotionEvent(motionEventState.lastDetail, detail)) {
+  if (!force && elapsed < LEGACY_MOTION_INTERVAL && !changed) {
     return;
   }
 
-  if (!shouldDispatchMotionEvent(motionEventState.lastDetail, detail) && elapsed < 120) {
+  if (!force && !changed && elapsed < LEGACY_MOTION_HEARTBEAT) {
     return;
   }
 
   motionEventState.lastDetail = { ...detail };
   motionEventState.lastDispatch = now;
-  window.dispatchEvent(new CustomEvent(GLOBAL_MOTION_EVENT, { detail }));
+  window.dispatchEvent(new CustomEvent(orchestrator.eventName, { detail }));
 }
 
 const supportsVisibilityObserver = typeof window !== 'undefined' && 'IntersectionObserver' in window;
-let visibilityObserver = null;
 
-function ensureVisibilityObserver() {
+function ensureVisibilityObserver(orchestrator) {
   if (!supportsVisibilityObserver) {
     return null;
   }
-  if (!visibilityObserver) {
-    visibilityObserver = new IntersectionObserver(handleVisibilityEntries, {
+  if (!orchestrator.visibilityObserver) {
+    orchestrator.visibilityObserver = new IntersectionObserver((entries) => handleVisibilityEntries(orchestrator, entries), {
       rootMargin: '15% 0px 15% 0px',
       threshold: [0, 0.08, 0.2, 0.35, 0.5, 0.75, 0.95]
     });
   }
-  return visibilityObserver;
+  return orchestrator.visibilityObserver;
 }
 
-function handleVisibilityEntries(entries) {
+function handleVisibilityEntries(orchestrator, entries) {
+  const { cardStates } = orchestrator;
   entries.forEach((entry) => {
     const { target, intersectionRatio, isIntersecting } = entry;
     const state = cardStates.get(target);
@@ -787,13 +973,13 @@ function handleVisibilityEntries(entries) {
         state.support.target = Math.min(state.support.target, 0.02);
         target.dataset.supportDistance = 'far';
       }
-      updateSupportTargets(activeCardState);
-      requestTick();
+      updateSupportTargets(orchestrator, orchestrator.activeCardState);
+      requestTick(orchestrator);
     }
     target.style.setProperty('--card-visibility', visibleRatio.toFixed(4));
   });
-  if (!rafId) {
-    requestTick();
+  if (!orchestrator.rafId) {
+    requestTick(orchestrator);
   }
 }
 
@@ -853,16 +1039,23 @@ function ensureScript(src) {
   return promise;
 }
 
-async function ensureCardSystem() {
-  await ensureScript('scripts/card-specific-vib34d-visualizer.js');
-  await ensureScript('scripts/card-system-initializer.js');
-  if (typeof window.bootCardSystem === 'function') {
-    try {
-      await window.bootCardSystem();
-    } catch (error) {
-      console.warn('⚠️ Card system boot failed but continuing with synergy orchestrator.', error);
-    }
+let cardSystemBoot = null;
+
+function ensureCardSystem() {
+  if (!cardSystemBoot) {
+    cardSystemBoot = (async () => {
+      await ensureScript('scripts/card-specific-vib34d-visualizer.js');
+      await ensureScript('scripts/card-system-initializer.js');
+      if (typeof window.bootCardSystem === 'function') {
+        try {
+          await window.bootCardSystem();
+        } catch (error) {
+          console.warn('⚠️ Card system boot failed but continuing with synergy orchestrator.', error);
+        }
+      }
+    })();
   }
+  return cardSystemBoot;
 }
 
 function normalise(value, min, max) {
@@ -872,10 +1065,17 @@ function normalise(value, min, max) {
   return Math.min(1, Math.max(0, (value - min) / (max - min)));
 }
 
-function shouldRegister(element) {
+function shouldRegister(orchestrator, element) {
   if (!(element instanceof HTMLElement)) {
     return false;
   }
+  if (!orchestrator.root.contains(element)) {
+    return false;
+  }
+  const owner = element.closest('[data-global-orchestrator-root]');
+  if (owner && owner !== orchestrator.root) {
+    return false;
+  }
   if (element.dataset.globalCardSynergy === 'applied') {
     return false;
   }
@@ -907,20 +1107,28 @@ function resolveAssetIndex(order, seed, offset, length) {
   return (seed + offset) % length;
 }
 
-function pickBrandImage(index) {
-  if (!brandAssets.images.length) {
+function pickCatalogAsset(type, index, seed, order, tags) {
+  const candidates = brandCatalog.candidates(type, tags);
+  if (!candidates.length) {
     return null;
   }
-  const assetIndex = resolveAssetIndex(activePageProfile.imageOrder, activePageProfile.imageSeed || 0, index, brandAssets.images.length);
-  return brandAssets.images[assetIndex];
+  // Profile orders index into the full list, so they only apply untagged.
+  const assetIndex = candidates === brandCatalog[type]
+    ? resolveAssetIndex(order, seed || 0, index, candidates.length)
+    : resolveAssetIndex(null, seed || 0, index, candidates.length);
+  return candidates[assetIndex] || null;
 }
 
-function pickBrandVideo(index) {
-  if (!brandAssets.videos.length) {
-    return null;
-  }
-  const assetIndex = resolveAssetIndex(activePageProfile.videoOrder, activePageProfile.videoSeed || 0, index, brandAssets.videos.length);
-  return brandAssets.videos[assetIndex];
+function pickBrandImage(index, profile = activePageProfile, tags = null) {
+  return pickCatalogAsset('images', index, profile.imageSeed, profile.imageOrder, tags);
+}
+
+function pickBrandVideo(index, profile = activePageProfile, tags = null) {
+  return pickCatalogAsset('videos', index, profile.videoSeed, profile.videoOrder, tags);
+}
+
+function resolveBrandAsset(entry, type) {
+  return entry ? brandCatalog.resolve(entry, type) : null;
 }
 
 function shouldPreferVideo(state) {
@@ -937,7 +1145,7 @@ function shouldPreferVideo(state) {
   if (element.classList.contains('brand-video-card')) {
     return true;
   }
-  const pattern = activePageProfile.videoPattern;
+  const pattern = (state.orchestrator?.profile || activePageProfile).videoPattern;
   if (Array.isArray(pattern) && pattern.length) {
     const cycleIndex = state.index % pattern.length;
     return Boolean(pattern[cycleIndex]);
@@ -947,6 +1155,7 @@ function shouldPreferVideo(state) {
 
 function ensureBrandLayer(state) {
   const card = state.element;
+  const profile = state.orchestrator?.profile || activePageProfile;
   let overlay = card.querySelector(':scope > .global-brand-overlay, :scope > .card-brand-overlay');
   if (!overlay) {
     overlay = document.createElement('div');
@@ -965,16 +1174,16 @@ function ensureBrandLayer(state) {
   }
 
   const overlaySettings = brandOverrideApi.mergeOverlaySettings(
-    activePageProfile.overlay || {},
+    profile.overlay || {},
     state.overrides ? state.overrides.overlay : null
   );
 
   const canvasSettings = brandOverrideApi.mergeCanvasSettings(
-    activePageProfile.canvas || {},
+    profile.canvas || {},
     state.overrides ? state.overrides.canvas : null
   );
 
-  const palette = brandOverrideApi.applyPalette(state.overrides, activePageProfile.palette);
+  const palette = brandOverrideApi.applyPalette(state.overrides, profile.palette);
   card.dataset.brandPalette = palette;
   card.style.setProperty('--brand-overlay-opacity', overlaySettings.opacity != null ? String(overlaySettings.opacity) : '1');
   card.style.setProperty('--brand-overlay-filter', overlaySettings.filter || 'brightness(1)');
@@ -990,20 +1199,30 @@ function ensureBrandLayer(state) {
 
   const preferVideo = brandOverrideApi.resolveMode(state.overrides, shouldPreferVideo(state));
   const cycleIndex = state.index + (state.assetCycle || 0);
-  let videoSource = null;
-  let imageSource = null;
 
+  const pickVideo = () => resolveBrandAsset(
+    brandOverrideApi.pickAsset(state.overrides, 'videos', cycleIndex, (index, tags) => pickBrandVideo(index, profile, tags)),
+    'videos'
+  );
+  const pickImage = () => resolveBrandAsset(
+    brandOverrideApi.pickAsset(state.overrides, 'images', cycleIndex, (index, tags) => pickBrandImage(index, profile, tags)),
+    'images'
+  );
+
+  let videoAsset = null;
+  let imageAsset = null;
   if (preferVideo) {
-    videoSource = brandOverrideApi.pickAsset(state.overrides, 'videos', cycleIndex, (index) => pickBrandVideo(index));
-    if (!videoSource) {
-      imageSource = brandOverrideApi.pickAsset(state.overrides, 'images', cycleIndex, (index) => pickBrandImage(index));
+    videoAsset = pickVideo();
+    if (!videoAsset) {
+      imageAsset = pickImage();
     }
   } else {
-    imageSource = brandOverrideApi.pickAsset(state.overrides, 'images', cycleIndex, (index) => pickBrandImage(index));
-    if (!imageSource) {
-      videoSource = brandOverrideApi.pickAsset(state.overrides, 'videos', cycleIndex, (index) => pickBrandVideo(index));
+    imageAsset = pickImage();
+    if (!imageAsset) {
+      videoAsset = pickVideo();
     }
   }
+  const activeAsset = videoAsset || imageAsset;
 
   overlay.dataset.brandIndex = state.index;
   overlay.dataset.brandPalette = palette;
@@ -1012,13 +1231,17 @@ function ensureBrandLayer(state) {
   overlay.style.setProperty('--brand-overlay-blend', overlaySettings.blend || 'screen');
   overlay.style.setProperty('--brand-overlay-rotate', overlaySettings.rotate || '0deg');
   overlay.style.setProperty('--brand-overlay-depth', overlaySettings.depth || '0px');
+  applyBrandAssetMetadata(overlay, activeAsset);
 
-  if (videoSource) {
+  if (videoAsset) {
     overlay.style.backgroundImage = 'none';
     if (!overlay.querySelector('video')) {
       overlay.innerHTML = '';
       const video = document.createElement('video');
-      video.src = videoSource;
+      applyVideoSources(videoAsset, video);
+      if (videoAsset.poster) {
+        video.poster = videoAsset.poster;
+      }
       video.autoplay = true;
       video.loop = true;
       video.muted = true;
@@ -1032,13 +1255,17 @@ function ensureBrandLayer(state) {
       overlay.appendChild(video);
       state.brandVideo = video;
     } else if (state.brandVideo) {
-      if (state.brandVideo.src !== videoSource) {
+      if (applyVideoSources(videoAsset, state.brandVideo)) {
         try {
           state.brandVideo.pause();
         } catch (error) {
           // ignore pause failures
         }
-        state.brandVideo.src = videoSource;
+        if (videoAsset.poster) {
+          state.brandVideo.poster = videoAsset.poster;
+        } else {
+          state.brandVideo.removeAttribute('poster');
+        }
         state.brandVideo.load();
       }
       state.brandVideo.play().catch(() => {});
@@ -1052,8 +1279,8 @@ function ensureBrandLayer(state) {
       }
     }
     overlay.innerHTML = '';
-    if (imageSource) {
-      overlay.style.backgroundImage = `url('${imageSource}')`;
+    if (imageAsset) {
+      overlay.style.backgroundImage = `url('${imageAsset.src}')`;
     } else {
       overlay.style.removeProperty('background-image');
     }
@@ -1063,6 +1290,29 @@ function ensureBrandLayer(state) {
   return overlay;
 }
 
+function applyBrandAssetMetadata(overlay, asset) {
+  if (asset && asset.id) {
+    overlay.dataset.brandAssetId = asset.id;
+  } else {
+    delete overlay.dataset.brandAssetId;
+  }
+  if (asset && asset.license) {
+    overlay.dataset.brandLicense = asset.license;
+  } else {
+    delete overlay.dataset.brandLicense;
+  }
+  if (asset && asset.width && asset.height) {
+    overlay.style.setProperty('--brand-asset-aspect', `${asset.width} / ${asset.height}`);
+  } else {
+    overlay.style.removeProperty('--brand-asset-aspect');
+  }
+  if (asset && Array.isArray(asset.palette) && asset.palette.length) {
+    overlay.style.setProperty('--brand-asset-accent', asset.palette[0]);
+  } else {
+    overlay.style.removeProperty('--brand-asset-accent');
+  }
+}
+
 function resolveGroupElement(element) {
   if (!(element instanceof HTMLElement)) {
     return null;
@@ -1094,6 +1344,7 @@ function resolveGroupElement(element) {
 }
 
 function attachToGroup(state) {
+  const { groupStates } = state.orchestrator;
   const group = resolveGroupElement(state.element);
   if (!group) {
     return null;
@@ -1125,6 +1376,7 @@ function detachFromGroup(state) {
   if (!state.group) {
     return;
   }
+  const { groupStates } = state.orchestrator;
   const groupState = groupStates.get(state.group);
   if (!groupState) {
     state.group = null;
@@ -1161,11 +1413,12 @@ function syncGroupAssociation(state) {
   }
 }
 
-function createState(element, index) {
+function createState(orchestrator, element, index) {
   element.classList.add('global-visualizer-card');
   element.dataset.globalCardSynergy = 'applied';
   const overrides = brandOverrideApi.collect(element);
   const state = {
+    orchestrator,
     element,
     index,
     overrides,
@@ -1198,7 +1451,7 @@ function createState(element, index) {
   state.element.style.setProperty('--card-visibility', '1');
   state.group = attachToGroup(state);
   updateViewportSnapshot(state, true);
-  const observer = ensureVisibilityObserver();
+  const observer = ensureVisibilityObserver(orchestrator);
   if (observer) {
     observer.observe(element);
     state.cleanupCallbacks.push(() => observer.unobserve(element));
@@ -1213,12 +1466,13 @@ function createState(element, index) {
       }
     }
   };
-  cardStates.set(element, state);
+  orchestrator.cardStates.set(element, state);
   return state;
 }
 
-function updateSupportTargets(activeState) {
-  activeCardState = activeState;
+function updateSupportTargets(orchestrator, activeState) {
+  const { cardStates, groupStates, globalState } = orchestrator;
+  orchestrator.activeCardState = activeState;
   const activeGroup = activeState && activeState.group ? activeState.group : null;
 
   let ambientSynergy = 0;
@@ -1258,7 +1512,7 @@ function updateSupportTargets(activeState) {
       }
     });
     globalState.synergy.target = ambientSynergy;
-    requestTick();
+    requestTick(orchestrator);
     return;
   }
 
@@ -1302,7 +1556,7 @@ function updateSupportTargets(activeState) {
   });
 
   globalState.synergy.target = Math.min(1, Math.max(0.85, 0.85 + ambientSynergy * 0.4));
-  requestTick();
+  requestTick(orchestrator);
 }
 
 function pointerPosition(event, element) {
@@ -1351,6 +1605,7 @@ function updateViewportSnapshot(state, force = false) {
 }
 
 function handlePointerEnter(state, event) {
+  const { groupStates } = state.orchestrator;
   if (!state.isVisible) {
     state.isVisible = true;
     state.element.dataset.globalCardVisible = 'true';
@@ -1382,11 +1637,12 @@ function handlePointerEnter(state, event) {
   if (state.brandVideo) {
     state.brandVideo.play().catch(() => {});
   }
-  updateSupportTargets(state);
-  requestTick();
+  updateSupportTargets(state.orchestrator, state);
+  requestTick(state.orchestrator);
 }
 
 function handlePointerMove(state, event) {
+  const { groupStates } = state.orchestrator;
   if (!state.isVisible) {
     state.isVisible = true;
     state.element.dataset.globalCardVisible = 'true';
@@ -1411,10 +1667,11 @@ function handlePointerMove(state, event) {
       groupState.synergy.target = Math.max(groupState.synergy.target, 0.8);
     }
   }
-  requestTick();
+  requestTick(state.orchestrator);
 }
 
 function handlePointerLeave(state) {
+  const { groupStates } = state.orchestrator;
   state.pointer.targetX = 0.5;
   state.pointer.targetY = 0.5;
   state.pointer.lastClientX = null;
@@ -1432,10 +1689,10 @@ function handlePointerLeave(state) {
       groupState.synergy.target = Math.max(0, groupState.synergy.target - 0.35);
     }
   }
-  if (activeCardState === state) {
-    updateSupportTargets(null);
+  if (state.orchestrator.activeCardState === state) {
+    updateSupportTargets(state.orchestrator, null);
   }
-  requestTick();
+  requestTick(state.orchestrator);
 }
 
 function handleClick(state) {
@@ -1444,10 +1701,11 @@ function handleClick(state) {
     state.overlay = ensureBrandLayer(state);
   }
   state.pulse.target = 1;
-  requestTick();
+  requestTick(state.orchestrator);
 }
 
 function handleFocusIn(state) {
+  const { groupStates } = state.orchestrator;
   state.focus.target = 0.85;
   state.element.dataset.hasFocus = 'true';
   if (state.group) {
@@ -1457,11 +1715,12 @@ function handleFocusIn(state) {
       groupState.synergy.target = Math.max(groupState.synergy.target, 0.7);
     }
   }
-  updateSupportTargets(state);
-  requestTick();
+  updateSupportTargets(state.orchestrator, state);
+  requestTick(state.orchestrator);
 }
 
 function handleFocusOut(state) {
+  const { groupStates } = state.orchestrator;
   state.focus.target = 0;
   state.element.dataset.hasFocus = 'false';
   if (state.group) {
@@ -1471,10 +1730,10 @@ function handleFocusOut(state) {
       groupState.synergy.target = Math.max(0, groupState.synergy.target - 0.4);
     }
   }
-  if (activeCardState === state) {
-    updateSupportTargets(null);
+  if (state.orchestrator.activeCardState === state) {
+    updateSupportTargets(state.orchestrator, null);
   }
-  requestTick();
+  requestTick(state.orchestrator);
 }
 
 function attachListeners(state) {
@@ -1506,14 +1765,111 @@ function attachListeners(state) {
   });
 }
 
-function registerCard(element) {
-  if (!shouldRegister(element)) {
-    return;
+function registerOrchestratedCard(orchestrator, element) {
+  if (orchestrator.mode !== 'active' || !shouldRegister(orchestrator, element)) {
+    return null;
   }
-  const state = createState(element, cardStates.size);
+  const state = createState(orchestrator, element, orchestrator.cardStates.size);
   attachListeners(state);
-  updateSupportTargets(activeCardState);
-  requestTick();
+  updateSupportTargets(orchestrator, orchestrator.activeCardState);
+  requestTick(orchestrator);
+  return state;
+}
+
+function releaseBrandVideo(state) {
+  const video = state.brandVideo;
+  if (!video) {
+    return;
+  }
+  try {
+    video.pause();
+  } catch (error) {
+    // ignore pause failures
+  }
+  // With <source> children still attached, load() would pick one and start
+  // fetching again
+  video.removeAttribute('src');
+  video.querySelectorAll('source').forEach((source) => source.remove());
+  delete video.dataset.brandSources;
+  try {
+    video.load();
+  } catch (error) {
+    // ignore load failures on detached media
+  }
+  state.brandVideo = null;
+}
+
+const CARD_STYLE_PROPERTIES = [
+  '--card-focus-x',
+  '--card-focus-y',
+  '--card-focus-strength',
+  '--card-support-intensity',
+  '--card-twist',
+  '--card-pulse',
+  '--card-scroll-momentum',
+  '--card-layout-offset-x',
+  '--card-layout-offset-y',
+  '--card-parallax-x',
+  '--card-parallax-y',
+  '--card-rotation-phase',
+  '--card-visibility',
+  '--card-viewport-x',
+  '--card-viewport-y',
+  '--card-viewport-coverage'
+];
+
+function teardownCard(state, refreshSupport = true) {
+  const orchestrator = state?.orchestrator;
+  if (!orchestrator || orchestrator.cardStates.get(state.element) !== state) {
+    return;
+  }
+  const { element } = state;
+  if (state.cleanup) {
+    state.cleanup();
+  }
+  releaseBrandVideo(state);
+  detachFromGroup(state);
+  orchestrator.cardStates.delete(element);
+  element.classList.remove('global-visualizer-card');
+  delete element.dataset.globalCardSynergy;
+  delete element.dataset.globalCardVisible;
+  delete element.dataset.supportRole;
+  delete element.dataset.supportDistance;
+  delete element.dataset.hasFocus;
+  delete element.dataset.interactionActive;
+  CARD_STYLE_PROPERTIES.forEach((property) => element.style.removeProperty(property));
+  if (orchestrator.activeCardState === state) {
+    orchestrator.activeCardState = null;
+  }
+  if (refreshSupport) {
+    updateSupportTargets(orchestrator, orchestrator.activeCardState);
+  }
+}
+
+function unregisterOrchestratedCard(orchestrator, element) {
+  const state = orchestrator.cardStates.get(element);
+  if (!state) {
+    return false;
+  }
+  teardownCard(state);
+  return true;
+}
+
+function unregisterDetachedCards(orchestrator, node) {
+  if (!(node instanceof HTMLElement) || node.isConnected) {
+    return;
+  }
+  const detached = [];
+  orchestrator.cardStates.forEach((state, element) => {
+    if (element === node || node.contains(element)) {
+      detached.push(state);
+    }
+  });
+  if (!detached.length) {
+    return;
+  }
+  detached.forEach((state) => teardownCard(state, false));
+  updateSupportTargets(orchestrator, orchestrator.activeCardState);
 }
 
 function collectCandidateElements(root = document) {
@@ -1552,15 +1908,16 @@ function collectCandidateElements(root = document) {
   return Array.from(elements);
 }
 
-function requestTick() {
-  if (rafId) {
+function requestTick(orchestrator) {
+  if (orchestrator.rafId || orchestrator.mode !== 'active') {
     return;
   }
-  rafId = requestAnimationFrame(step);
+  orchestrator.rafId = requestAnimationFrame(() => step(orchestrator));
 }
 
-function step() {
-  rafId = null;
+function step(orchestrator) {
+  const { cardStates, groupStates, globalState, motion } = orchestrator;
+  orchestrator.rafId = null;
   let continueAnimation = false;
   let weightedX = 0;
   let weightedY = 0;
@@ -1571,15 +1928,11 @@ function step() {
   const toRemove = [];
 
   cardStates.forEach((state, element) => {
-    syncGroupAssociation(state);
     if (!document.body.contains(element)) {
-      if (state.cleanup) {
-        state.cleanup();
-      }
-      detachFromGroup(state);
-      toRemove.push(element);
+      toRemove.push(state);
       return;
     }
+    syncGroupAssociation(state);
 
     const visibilityFactor = typeof state.visibilityRatio === 'number'
       ? state.visibilityRatio
@@ -1732,7 +2085,10 @@ function step() {
     continueAnimation = true;
   }
 
-  toRemove.forEach((element) => cardStates.delete(element));
+  if (toRemove.length) {
+    toRemove.forEach((state) => teardownCard(state, false));
+    updateSupportTargets(orchestrator, orchestrator.activeCardState);
+  }
 
   globalState.scroll.current += (globalState.scroll.target - globalState.scroll.current) * 0.12;
   globalState.scroll.target *= 0.9;
@@ -1802,7 +2158,7 @@ function step() {
     continueAnimation = true;
   }
 
-  const root = document.documentElement;
+  const root = orchestrator.styleTarget;
   root.style.setProperty('--global-scroll-momentum', globalState.scroll.current.toFixed(4));
   root.style.setProperty('--global-scroll-tilt', `${(globalState.scroll.current * 10).toFixed(3)}deg`);
   root.style.setProperty('--global-synergy-glow', globalState.synergy.current.toFixed(4));
@@ -1821,32 +2177,33 @@ function step() {
   root.style.setProperty('--global-scroll-speed', scrollSpeed.toFixed(4));
   root.style.setProperty('--global-scroll-direction', scrollDirection.toFixed(0));
 
-  sharedMotion.focus.x = globalState.focus.currentX;
-  sharedMotion.focus.y = globalState.focus.currentY;
-  sharedMotion.focus.amount = globalState.focus.currentAmount;
-  sharedMotion.tilt.x = globalState.tilt.currentX;
-  sharedMotion.tilt.y = globalState.tilt.currentY;
-  sharedMotion.tilt.strength = tiltStrength;
-  sharedMotion.bend = globalState.bend.current;
-  sharedMotion.warp = globalState.warp.current;
-  sharedMotion.scroll = globalState.scroll.current;
-  sharedMotion.scrollDirection = scrollDirection;
-  sharedMotion.scrollSpeed = scrollSpeed;
-  sharedMotion.synergy = globalState.synergy.current;
-  sharedMotion.focusTrend = focusTrend;
-  sharedMotion.tiltSkew = tiltSkew;
-  sharedMotion.layoutVector.x = globalState.layout.currentX;
-  sharedMotion.layoutVector.y = globalState.layout.currentY;
-  sharedMotion.updatedAt = performance.now();
-
-  maybeDispatchGlobalMotionEvent();
+  motion.focus.x = globalState.focus.currentX;
+  motion.focus.y = globalState.focus.currentY;
+  motion.focus.amount = globalState.focus.currentAmount;
+  motion.tilt.x = globalState.tilt.currentX;
+  motion.tilt.y = globalState.tilt.currentY;
+  motion.tilt.strength = tiltStrength;
+  motion.bend = globalState.bend.current;
+  motion.warp = globalState.warp.current;
+  motion.scroll = globalState.scroll.current;
+  motion.scrollDirection = scrollDirection;
+  motion.scrollSpeed = scrollSpeed;
+  motion.synergy = globalState.synergy.current;
+  motion.focusTrend = focusTrend;
+  motion.tiltSkew = tiltSkew;
+  motion.layoutVector.x = globalState.layout.currentX;
+  motion.layoutVector.y = globalState.layout.currentY;
+  motion.updatedAt = performance.now();
+
+  maybeDispatchGlobalMotionEvent(orchestrator);
 
   if (continueAnimation) {
-    requestTick();
+    requestTick(orchestrator);
   }
 }
 
-function handleScroll() {
+function handleScroll(orchestrator) {
+  const { cardStates, globalState } = orchestrator;
   const now = performance.now();
   const deltaY = window.scrollY - globalState.scroll.lastY;
   const deltaTime = Math.max(16, now - globalState.scroll.lastTime);
@@ -1860,118 +2217,472 @@ function handleScroll() {
   cardStates.forEach((state) => {
     state.scroll += (globalState.scroll.target - state.scroll) * 0.25;
   });
-  requestTick();
+  requestTick(orchestrator);
 }
 
-function observeMutations() {
+function observeMutations(orchestrator) {
   const observer = new MutationObserver((mutations) => {
     mutations.forEach((mutation) => {
+      mutation.removedNodes.forEach((node) => unregisterDetachedCards(orchestrator, node));
       mutation.addedNodes.forEach((node) => {
-        if (!(node instanceof HTMLElement)) {
+        if (!(node instanceof HTMLElement) || !node.isConnected) {
           return;
         }
-        if (shouldRegister(node)) {
-          registerCard(node);
+        if (shouldRegister(orchestrator, node)) {
+          registerOrchestratedCard(orchestrator, node);
         }
-        collectCandidateElements(node).forEach((element) => registerCard(element));
+        collectCandidateElements(node).forEach((element) => registerOrchestratedCard(orchestrator, element));
       });
     });
   });
 
-  observer.observe(document.body, { childList: true, subtree: true });
+  observer.observe(orchestrator.root, { childList: true, subtree: true });
+  return observer;
 }
 
-function applyStaticMotionSnapshot() {
-  const root = document.documentElement;
+const STATIC_MOTION_DETAIL = {
+  focusX: 0.5,
+  focusY: 0.5,
+  focusAmount: 0,
+  focusTrend: 0,
+  tiltX: 0,
+  tiltY: 0,
+  tiltStrength: 0,
+  tiltSkew: 0,
+  layoutX: 0.5,
+  layoutY: 0.5,
+  bend: 0,
+  warp: 0,
+  scrollMomentum: 0,
+  scrollSpeed: 0,
+  scrollDirection: 0,
+  synergy: 0
+};
+
+// Writes a flat motion detail (see buildMotionDetail) to the `--global-*`
+// variables and the shared motion object.
+function applyMotionDetail(orchestrator, detail) {
+  const root = orchestrator.styleTarget;
+  const { motion } = orchestrator;
+  root.style.setProperty('--global-scroll-momentum', detail.scrollMomentum.toFixed(4));
+  root.style.setProperty('--global-scroll-tilt', `${(detail.scrollMomentum * 10).toFixed(3)}deg`);
+  root.style.setProperty('--global-synergy-glow', detail.synergy.toFixed(4));
+  root.style.setProperty('--global-focus-x', detail.focusX.toFixed(4));
+  root.style.setProperty('--global-focus-y', detail.focusY.toFixed(4));
+  root.style.setProperty('--global-focus-amount', detail.focusAmount.toFixed(4));
+  root.style.setProperty('--global-bend-intensity', detail.bend.toFixed(4));
+  root.style.setProperty('--global-tilt-x', detail.tiltX.toFixed(4));
+  root.style.setProperty('--global-tilt-y', detail.tiltY.toFixed(4));
+  root.style.setProperty('--global-tilt-strength', detail.tiltStrength.toFixed(4));
+  root.style.setProperty('--global-tilt-skew', detail.tiltSkew.toFixed(4));
+  root.style.setProperty('--global-layout-x', detail.layoutX.toFixed(4));
+  root.style.setProperty('--global-layout-y', detail.layoutY.toFixed(4));
+  root.style.setProperty('--global-warp', detail.warp.toFixed(4));
+  root.style.setProperty('--global-focus-trend', detail.focusTrend.toFixed(4));
+  root.style.setProperty('--global-scroll-speed', detail.scrollSpeed.toFixed(4));
+  root.style.setProperty('--global-scroll-direction', detail.scrollDirection.toFixed(0));
+
+  motion.focus.x = detail.focusX;
+  motion.focus.y = detail.focusY;
+  motion.focus.amount = detail.focusAmount;
+  motion.focusTrend = detail.focusTrend;
+  motion.tilt.x = detail.tiltX;
+  motion.tilt.y = detail.tiltY;
+  motion.tilt.strength = detail.tiltStrength;
+  motion.tiltSkew = detail.tiltSkew;
+  motion.bend = detail.bend;
+  motion.warp = detail.warp;
+  motion.scroll = detail.scrollMomentum;
+  motion.scrollSpeed = detail.scrollSpeed;
+  motion.scrollDirection = detail.scrollDirection;
+  motion.synergy = detail.synergy;
+  motion.layoutVector.x = detail.layoutX;
+  motion.layoutVector.y = detail.layoutY;
+  motion.updatedAt = performance.now();
+}
+
+function applyStaticMotionSnapshot(orchestrator) {
+  const root = orchestrator.styleTarget;
+  const { motion } = orchestrator;
   if (!root) {
     return;
   }
 
   root.classList.add('global-orchestrator-static');
-  if (bodyElement) {
-    bodyElement.classList.add('global-orchestrator-static');
-  }
-
-  const defaults = {
-    '--global-scroll-momentum': '0',
-    '--global-scroll-tilt': '0deg',
-    '--global-synergy-glow': '0',
-    '--global-focus-x': '0.5',
-    '--global-focus-y': '0.5',
-    '--global-focus-amount': '0',
-    '--global-bend-intensity': '0',
-    '--global-tilt-x': '0',
-    '--global-tilt-y': '0',
-    '--global-tilt-strength': '0',
-    '--global-tilt-skew': '0',
-    '--global-layout-x': '0.5',
-    '--global-layout-y': '0.5',
-    '--global-warp': '0',
-    '--global-focus-trend': '0',
-    '--global-scroll-speed': '0',
-    '--global-scroll-direction': '0'
+  if (orchestrator.root !== root) {
+    orchestrator.root.classList.add('global-orchestrator-static');
+  }
+
+  applyMotionDetail(orchestrator, STATIC_MOTION_DETAIL);
+
+  if (orchestrator.profile) {
+    motion.palette = orchestrator.profile.palette || null;
+    motion.collection = orchestrator.profile.key || null;
+    motion.family = orchestrator.profile.family || null;
+    motion.layout = orchestrator.profile.layout || null;
+  }
+
+  maybeDispatchGlobalMotionEvent(orchestrator, true);
+}
+
+function cancelModeTransition(orchestrator) {
+  if (orchestrator.transitionRafId) {
+    cancelAnimationFrame(orchestrator.transitionRafId);
+    orchestrator.transitionRafId = null;
+  }
+}
+
+// Eases the live motion values back to the static defaults, then settles on
+// the static snapshot. The rAF loop and card listeners are already stopped.
+function transitionToStatic(orchestrator, duration) {
+  cancelModeTransition(orchestrator);
+  if (!(duration > 0)) {
+    applyStaticMotionSnapshot(orchestrator);
+    return;
+  }
+  const from = buildMotionDetail(orchestrator.motion);
+  const start = performance.now();
+  const frame = () => {
+    const progress = Math.min(1, Math.max(0, (performance.now() - start) / duration));
+    if (progress >= 1) {
+      orchestrator.transitionRafId = null;
+      applyStaticMotionSnapshot(orchestrator);
+      return;
+    }
+    const eased = 1 - ((1 - progress) ** 3);
+    const detail = {};
+    Object.keys(STATIC_MOTION_DETAIL).forEach((key) => {
+      const origin = Number.isFinite(from[key]) ? from[key] : STATIC_MOTION_DETAIL[key];
+      detail[key] = origin + (STATIC_MOTION_DETAIL[key] - origin) * eased;
+    });
+    detail.scrollDirection = progress < 0.5 ? from.scrollDirection || 0 : 0;
+    applyMotionDetail(orchestrator, detail);
+    maybeDispatchGlobalMotionEvent(orchestrator);
+    orchestrator.transitionRafId = requestAnimationFrame(frame);
   };
+  orchestrator.transitionRafId = requestAnimationFrame(frame);
+}
 
-  Object.entries(defaults).forEach(([key, value]) => {
-    root.style.setProperty(key, value);
-  });
+const liveOrchestrators = new Set();
 
-  sharedMotion.focus.x = 0.5;
-  sharedMotion.focus.y = 0.5;
-  sharedMotion.focus.amount = 0;
-  sharedMotion.focusTrend = 0;
-  sharedMotion.tilt.x = 0;
-  sharedMotion.tilt.y = 0;
-  sharedMotion.tilt.strength = 0;
-  sharedMotion.tiltSkew = 0;
-  sharedMotion.bend = 0;
-  sharedMotion.warp = 0;
-  sharedMotion.scroll = 0;
-  sharedMotion.scrollSpeed = 0;
-  sharedMotion.scrollDirection = 0;
-  sharedMotion.synergy = 0;
-  sharedMotion.layoutVector.x = 0.5;
-  sharedMotion.layoutVector.y = 0.5;
-
-  if (activePageProfile) {
-    sharedMotion.palette = activePageProfile.palette || null;
-    sharedMotion.collection = activePageProfile.key || null;
-    sharedMotion.family = activePageProfile.family || null;
-    sharedMotion.layout = activePageProfile.layout || null;
-  }
-
-  sharedMotion.updatedAt = performance.now();
-  motionEventState.lastDetail = null;
-  motionEventState.lastDispatch = 0;
-  maybeDispatchGlobalMotionEvent();
-}
-
-async function initialise() {
-  preparePageProfile(activePageProfile);
+function activate(orchestrator) {
+  const { root, styleTarget } = orchestrator;
+  styleTarget.classList.remove('global-orchestrator-static');
+  root.classList.remove('global-orchestrator-static');
+  preparePageProfile(orchestrator, orchestrator.profile);
   ensureStylesheet('styles/global-card-synergy.css', 'global-card-synergy');
-  collectCandidateElements().forEach((element) => registerCard(element));
-  updateSupportTargets(null);
-  observeMutations();
-  window.addEventListener('scroll', handleScroll, { passive: true });
+
+  const onScroll = () => handleScroll(orchestrator);
+  const onBrandOverrides = () => refreshAllCardOverrides(orchestrator, { resetCycle: true });
   let resizeTimeout = null;
-  window.addEventListener('resize', () => {
+  const onResize = () => {
     clearTimeout(resizeTimeout);
     resizeTimeout = setTimeout(() => {
-      collectCandidateElements().forEach((element) => registerCard(element));
+      collectCandidateElements(root).forEach((element) => registerOrchestratedCard(orchestrator, element));
     }, 120);
+  };
+
+  window.addEventListener(BRAND_OVERRIDE_EVENT, onBrandOverrides);
+  window.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('resize', onResize);
+  const mutationObserver = orchestrator.observeMutations ? observeMutations(orchestrator) : null;
+
+  orchestrator.teardownCallbacks.push(() => {
+    clearTimeout(resizeTimeout);
+    window.removeEventListener(BRAND_OVERRIDE_EVENT, onBrandOverrides);
+    window.removeEventListener('scroll', onScroll);
+    window.removeEventListener('resize', onResize);
+    if (mutationObserver) {
+      mutationObserver.disconnect();
+    }
+  });
+
+  if (orchestrator.autoDiscover) {
+    collectCandidateElements(root).forEach((element) => registerOrchestratedCard(orchestrator, element));
+  }
+  updateSupportTargets(orchestrator, null);
+  if (orchestrator.isPageLevel) {
+    ensureCardSystem();
+  }
+  orchestrator.globalState.scroll.lastY = window.scrollY || 0;
+  orchestrator.globalState.scroll.lastTime = performance.now();
+  handleScroll(orchestrator);
+}
+
+function deactivate(orchestrator) {
+  if (orchestrator.rafId) {
+    cancelAnimationFrame(orchestrator.rafId);
+    orchestrator.rafId = null;
+  }
+  while (orchestrator.teardownCallbacks.length) {
+    const callback = orchestrator.teardownCallbacks.pop();
+    try {
+      callback();
+    } catch (error) {
+      console.warn('⚠️ Orchestrator teardown callback failed', error);
+    }
+  }
+  Array.from(orchestrator.cardStates.values()).forEach((state) => teardownCard(state, false));
+  if (orchestrator.visibilityObserver) {
+    orchestrator.visibilityObserver.disconnect();
+    orchestrator.visibilityObserver = null;
+  }
+  orchestrator.activeCardState = null;
+  orchestrator.globalState = createGlobalState();
+}
+
+/**
+ * Create an orchestrator bound to `options.root` (defaults to `<body>`).
+ *
+ * Options:
+ * - `root`: element whose cards are orchestrated; nested roots keep their own cards
+ * - `mode`: `'active'` (default) or `'static'`
+ * - `styleTarget`: element receiving the `--global-*` variables
+ *   (`<html>` for the page root, otherwise the root itself)
+ * - `autoDiscover`: register matching cards on activation (default `true`)
+ * - `observeMutations`: follow cards added to / removed from the root (default `true`)
+ * - `profile`: page profile to apply (defaults to the resolved page profile)
+ * - `eventName`: window event to broadcast motion updates on (default none)
+ * - `respectReducedMotion`: hold the orchestrator in `'static'` while
+ *   `prefers-reduced-motion: reduce` matches (default `true`)
+ * - `transitionDuration`: ms spent easing back to the static snapshot when
+ *   switching from `'active'` to `'static'` (default 420, `0` snaps)
+ */
+export function createGlobalOrchestrator(options = {}) {
+  const root = options.root instanceof HTMLElement ? options.root : document.body;
+  const isPageLevel = root === document.body || root === document.documentElement;
+  const orchestrator = {
+    root,
+    isPageLevel,
+    styleTarget: options.styleTarget instanceof HTMLElement
+      ? options.styleTarget
+      : (isPageLevel ? document.documentElement : root),
+    mode: 'idle',
+    requestedMode: options.mode === 'static' ? 'static' : 'active',
+    reducedMotion: false,
+    transitionRafId: null,
+    transitionDuration: Number.isFinite(options.transitionDuration) ? Math.max(0, options.transitionDuration) : MODE_TRANSITION_MS,
+    profile: options.profile || activePageProfile,
+    autoDiscover: options.autoDiscover !== false,
+    observeMutations: options.observeMutations !== false,
+    eventName: typeof options.eventName === 'string' ? options.eventName : null,
+    motion: options.motion || createMotionState(),
+    motionEventState: { lastDispatch: 0, lastDetail: null },
+    subscribers: new Set(),
+    cardStates: new Map(),
+    groupStates: new Map(),
+    globalState: createGlobalState(),
+    activeCardState: null,
+    rafId: null,
+    visibilityObserver: null,
+    teardownCallbacks: [],
+    onModeChange: typeof options.onModeChange === 'function' ? options.onModeChange : null,
+    destroyed: false
+  };
+
+  root.dataset.globalOrchestratorRoot = 'true';
+  liveOrchestrators.forEach((other) => {
+    Array.from(other.cardStates.values()).forEach((state) => {
+      if (root.contains(state.element)) {
+        teardownCard(state);
+      }
+    });
+  });
+  liveOrchestrators.add(orchestrator);
+
+  // The effective mode is the requested one unless reduced motion holds the
+  // orchestrator static. Leaving 'active' eases the variables out unless
+  // `transition: false` is passed.
+  const applyMode = (reason, transition = true) => {
+    const nextMode = orchestrator.reducedMotion ? 'static' : orchestrator.requestedMode;
+    if (orchestrator.destroyed || nextMode === orchestrator.mode) {
+      return orchestrator.mode;
+    }
+    const previousMode = orchestrator.mode;
+    if (previousMode === 'active') {
+      deactivate(orchestrator);
+    }
+    orchestrator.mode = nextMode;
+    if (nextMode === 'active') {
+      cancelModeTransition(orchestrator);
+      activate(orchestrator);
+    } else if (previousMode === 'active' && transition) {
+      orchestrator.styleTarget.classList.add('global-orchestrator-static');
+      orchestrator.root.classList.add('global-orchestrator-static');
+      transitionToStatic(orchestrator, orchestrator.transitionDuration);
+    } else {
+      applyStaticMotionSnapshot(orchestrator);
+    }
+    if (orchestrator.onModeChange) {
+      orchestrator.onModeChange(nextMode, previousMode === 'idle' ? null : { previousMode, reason });
+    }
+    return nextMode;
+  };
+
+  const setMode = (mode, settings = {}) => {
+    orchestrator.requestedMode = mode === 'static' ? 'static' : 'active';
+    return applyMode(settings.reason || 'api', settings.transition !== false);
+  };
+
+  const reducedMotionQuery = options.respectReducedMotion !== false && typeof window.matchMedia === 'function'
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : null;
+  const onReducedMotionChange = (event) => {
+    orchestrator.reducedMotion = Boolean(event.matches);
+    applyMode('reduced-motion');
+  };
+  if (reducedMotionQuery) {
+    orchestrator.reducedMotion = reducedMotionQuery.matches;
+    if (typeof reducedMotionQuery.addEventListener === 'function') {
+      reducedMotionQuery.addEventListener('change', onReducedMotionChange);
+    } else if (typeof reducedMotionQuery.addListener === 'function') {
+      reducedMotionQuery.addListener(onReducedMotionChange);
+    }
+  }
+
+  const api = {
+    version: GLOBAL_ORCHESTRATOR_API_VERSION,
+    root,
+    registerCard: (element) => Boolean(registerOrchestratedCard(orchestrator, element)),
+    unregisterCard: (element) => unregisterOrchestratedCard(orchestrator, element),
+    setMode,
+    getMode: () => orchestrator.mode,
+    getRequestedMode: () => orchestrator.requestedMode,
+    getMotionSnapshot: (fields) => pickMotionFields(buildMotionDetail(orchestrator.motion), normaliseMotionFields(fields)),
+    subscribe(listener, subscribeOptions = {}) {
+      const subscription = createMotionSubscription(listener, subscribeOptions);
+      orchestrator.subscribers.add(subscription);
+      if (subscribeOptions.immediate) {
+        deliverMotion(subscription, buildMotionDetail(orchestrator.motion), performance.now());
+      }
+      return () => orchestrator.subscribers.delete(subscription);
+    },
+    destroy() {
+      if (orchestrator.destroyed) {
+        return;
+      }
+      if (orchestrator.mode === 'active') {
+        deactivate(orchestrator);
+      }
+      cancelModeTransition(orchestrator);
+      if (reducedMotionQuery) {
+        if (typeof reducedMotionQuery.removeEventListener === 'function') {
+          reducedMotionQuery.removeEventListener('change', onReducedMotionChange);
+        } else if (typeof reducedMotionQuery.removeListener === 'function') {
+          reducedMotionQuery.removeListener(onReducedMotionChange);
+        }
+      }
+      orchestrator.destroyed = true;
+      orchestrator.mode = 'destroyed';
+      orchestrator.subscribers.clear();
+      liveOrchestrators.delete(orchestrator);
+      delete root.dataset.globalOrchestratorRoot;
+    }
+  };
+
+  applyMode('init');
+  return api;
+}
+
+let pageOrchestrator = null;
+
+export function getGlobalOrchestrator() {
+  return pageOrchestrator;
+}
+
+export function registerCard(element) {
+  return pageOrchestrator ? pageOrchestrator.registerCard(element) : false;
+}
+
+export function unregisterCard(element) {
+  return pageOrchestrator ? pageOrchestrator.unregisterCard(element) : false;
+}
+
+const pendingMotionSubscriptions = new Set();
+
+/**
+ * Subscribe to the page orchestrator's motion. Returns an unsubscribe
+ * function; see createMotionSubscription for the options. Subscriptions made
+ * before the page orchestrator starts are attached when it does.
+ */
+export function subscribeToMotion(listener, options = {}) {
+  if (pageOrchestrator) {
+    return pageOrchestrator.subscribe(listener, options);
+  }
+  createMotionSubscription(listener, options);
+  const pending = { listener, options, unsubscribe: null };
+  pendingMotionSubscriptions.add(pending);
+  return () => {
+    pendingMotionSubscriptions.delete(pending);
+    return pending.unsubscribe ? pending.unsubscribe() : false;
+  };
+}
+
+/** Last page-level motion snapshot, optionally narrowed to `fields`. */
+export function getMotionSnapshot(fields) {
+  return pageOrchestrator
+    ? pageOrchestrator.getMotionSnapshot(fields)
+    : pickMotionFields(buildMotionDetail(sharedMotion), normaliseMotionFields(fields));
+}
+
+window.__CLEAR_SEAS_GLOBAL_MOTION_API = {
+  fields: MOTION_FIELDS,
+  subscribe: subscribeToMotion,
+  getSnapshot: getMotionSnapshot
+};
+
+function adoptBrandCatalog(catalog) {
+  if (!catalog || (!catalog.images.length && !catalog.videos.length)) {
+    return;
+  }
+  brandCatalog = catalog;
+  window.__CLEAR_SEAS_BRAND_ASSET_CATALOG = catalog;
+  const profiles = new Set([activePageProfile]);
+  liveOrchestrators.forEach((orchestrator) => profiles.add(orchestrator.profile));
+  profiles.forEach((profile) => {
+    if (profile && Number.isFinite(profile.seed)) {
+      applyAssetSeeds(profile);
+    }
+  });
+  liveOrchestrators.forEach((orchestrator) => {
+    if (orchestrator.mode === 'active') {
+      refreshAllCardOverrides(orchestrator);
+    }
+  });
+}
+
+loadBrandAssetManifest().then(adoptBrandCatalog);
+
+function startPageOrchestrator() {
+  pageOrchestrator = createGlobalOrchestrator({
+    root: document.body,
+    mode: orchestratorMode,
+    motion: sharedMotion,
+    eventName: GLOBAL_MOTION_EVENT,
+    onModeChange: publishGlobalMode
+  });
+  pendingMotionSubscriptions.forEach((pending) => {
+    pending.unsubscribe = pageOrchestrator.subscribe(pending.listener, pending.options);
+  });
+  pendingMotionSubscriptions.clear();
+
+  // Settings panels can flip `data-orchestrator-mode` (or the disable flag)
+  // at runtime instead of calling setMode directly.
+  const modeObserver = new MutationObserver(() => {
+    const requested = readDocumentMode() === 'static' ? 'static' : 'active';
+    if (pageOrchestrator && requested !== pageOrchestrator.getRequestedMode()) {
+      pageOrchestrator.setMode(requested, { reason: 'attribute' });
+    }
   });
-  handleScroll();
-  await ensureCardSystem();
+  const modeAttributes = ['data-orchestrator-mode', 'data-disable-global-orchestrator'];
+  modeObserver.observe(document.documentElement, { attributes: true, attributeFilter: modeAttributes });
+  modeObserver.observe(document.body, { attributes: true, attributeFilter: modeAttributes });
 }
 
-if (orchestratorDisabled) {
+if (orchestratorAutostart) {
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', applyStaticMotionSnapshot, { once: true });
+    document.addEventListener('DOMContentLoaded', startPageOrchestrator, { once: true });
   } else {
-    applyStaticMotionSnapshot();
+    startPageOrchestrator();
   }
-} else if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initialise, { once: true });
-} else {
-  initialise();
 }
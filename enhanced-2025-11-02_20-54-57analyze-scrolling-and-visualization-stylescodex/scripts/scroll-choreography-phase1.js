@@ -12,6 +12,20 @@
   window.__CLEAR_SEAS_SCROLL_CHOREO_READY = Boolean(window.__CLEAR_SEAS_SCROLL_CHOREO_READY);
 
   let enhancedReady = Boolean(window.__CLEAR_SEAS_SCROLL_CHOREO_READY);
+  let activeScrollEngine = null;
+
+  // GSAP + ScrollTrigger when the CDN scripts loaded, otherwise the built-in
+  // engine from scroll-timeline-fallback.js; scenes are defined once for both
+  const resolveScrollEngine = () => {
+    if (window.gsap && window.ScrollTrigger) {
+      return { name: 'gsap', gsap: window.gsap, ScrollTrigger: window.ScrollTrigger };
+    }
+    const fallback = window.__CLEAR_SEAS_SCROLL_TIMELINE;
+    if (fallback && fallback.gsap && fallback.ScrollTrigger) {
+      return { name: 'fallback', gsap: fallback.gsap, ScrollTrigger: fallback.ScrollTrigger };
+    }
+    return null;
+  };
 
   const createChoreographyEvent = (type, detail) => {
     if (!type) {
@@ -224,8 +238,8 @@
         stopLenis();
         stopLenis = null;
       }
-      if (window.ScrollTrigger && typeof window.ScrollTrigger.getAll === 'function') {
-        window.ScrollTrigger.getAll().forEach((trigger) => trigger.kill());
+      if (activeScrollEngine && typeof activeScrollEngine.ScrollTrigger.getAll === 'function') {
+        activeScrollEngine.ScrollTrigger.getAll().forEach((trigger) => trigger.kill());
       }
       if (typeof detachPolytopalListener === 'function') {
         detachPolytopalListener();
@@ -270,12 +284,15 @@
       return;
     }
 
-    if (!window.gsap || !window.ScrollTrigger) {
+    const engine = resolveScrollEngine();
+    if (!engine) {
+      // eslint-disable-next-line no-console
+      console.warn('[ClearSeas] No scroll timeline engine available; keeping the fallback layout');
       return;
     }
 
-    const gsap = window.gsap;
-    const ScrollTrigger = window.ScrollTrigger;
+    activeScrollEngine = engine;
+    const { gsap, ScrollTrigger } = engine;
     gsap.registerPlugin(ScrollTrigger);
 
     body.classList.remove('scroll-choreography-fallback');
@@ -1142,7 +1159,7 @@
     });
     enhancedReady = true;
     window.__CLEAR_SEAS_SCROLL_CHOREO_READY = true;
-    dispatchChoreographyEvent(CHOREO_READY_EVENT, { version: 'phase1' });
+    dispatchChoreographyEvent(CHOREO_READY_EVENT, { version: 'phase1', engine: engine.name });
     ScrollTrigger.refresh();
   }
 
@@ -0,0 +1,902 @@
+/**
+ * Clear Seas Scroll Timeline Fallback
+ * A dependency-free stand-in for the slice of GSAP + ScrollTrigger that
+ * `scroll-choreography-phase1.js` uses, so its scenes still run when the CDN
+ * scripts fail to load or are blocked. Published as
+ * `window.__CLEAR_SEAS_SCROLL_TIMELINE = { gsap, ScrollTrigger }`; the phase1
+ * script only picks it up when `window.gsap`/`window.ScrollTrigger` are absent.
+ *
+ * Supported:
+ * - gsap.timeline({ defaults, scrollTrigger }) with addLabel, add(callback),
+ *   to, from, fromTo, positions ('label', 'label+=1', '-=0.5', numbers),
+ *   eventCallback('onUpdate'), progress()
+ * - gsap.to / from / fromTo with function-based values, ease, onUpdate
+ * - x, y, xPercent, yPercent, rotation, scale(X/Y), opacity, autoAlpha,
+ *   filter and other inline style strings, plain object properties
+ * - ScrollTrigger configs: trigger, start, end ('top 80%', '+=220%'), scrub
+ *   (true or seconds of smoothing), pin, pinSpacing, toggleActions and the
+ *   onEnter/onLeave/onEnterBack/onLeaveBack/onToggle/onUpdate callbacks
+ * - ScrollTrigger.refresh, update, getAll, scrollerProxy and the
+ *   refreshInit/refresh events
+ */
+
+(function () {
+  'use strict';
+
+  if (typeof window === 'undefined' || window.__CLEAR_SEAS_SCROLL_TIMELINE) {
+    return;
+  }
+
+  const RESERVED_VARS = new Set([
+    'duration',
+    'ease',
+    'delay',
+    'onUpdate',
+    'onStart',
+    'onComplete',
+    'scrollTrigger',
+    'immediateRender',
+    'stagger',
+    'overwrite',
+    'defaults'
+  ]);
+
+  const TRANSFORM_DEFAULTS = {
+    x: 0,
+    y: 0,
+    xPercent: 0,
+    yPercent: 0,
+    rotation: 0,
+    scaleX: 1,
+    scaleY: 1
+  };
+
+  const FILTER_DEFAULTS = {
+    brightness: 1,
+    contrast: 1,
+    saturate: 1,
+    opacity: 1,
+    invert: 0,
+    grayscale: 0,
+    sepia: 0,
+    blur: 0,
+    'hue-rotate': 0
+  };
+
+  const NUMBER_PATTERN = /-?\d*\.?\d+(?:e[-+]?\d+)?/gi;
+
+  const clampValue = (min, max, value) => Math.min(max, Math.max(min, value));
+
+  const isElement = (value) => Boolean(value && value.nodeType === 1 && value.style);
+
+  // ============================================
+  // UTILS & EASING
+  // ============================================
+
+  const toArray = (targets) => {
+    if (!targets) {
+      return [];
+    }
+    if (typeof targets === 'string') {
+      return Array.from(document.querySelectorAll(targets));
+    }
+    if (Array.isArray(targets)) {
+      return targets.filter(Boolean);
+    }
+    if (typeof targets.length === 'number' && !isElement(targets) && typeof targets !== 'function') {
+      return Array.from(targets).filter(Boolean);
+    }
+    return [targets];
+  };
+
+  const utils = {
+    toArray,
+    clamp(min, max, value) {
+      if (arguments.length < 3) {
+        return (next) => clampValue(min, max, next);
+      }
+      return clampValue(min, max, value);
+    }
+  };
+
+  const parseEase = (ease) => {
+    if (typeof ease === 'function') {
+      return ease;
+    }
+    const [family, type = 'out'] = String(ease || 'power1.out').split('.');
+    const match = /^power(\d)$/.exec(family);
+    if (family === 'none' || family === 'linear' || !match) {
+      return (t) => t;
+    }
+    const power = Number(match[1]) + 1;
+    if (type === 'in') {
+      return (t) => t ** power;
+    }
+    if (type === 'inOut') {
+      return (t) => (t < 0.5 ? (2 * t) ** power / 2 : 1 - (2 * (1 - t)) ** power / 2);
+    }
+    return (t) => 1 - (1 - t) ** power;
+  };
+
+  // ============================================
+  // PROPERTY ACCESS
+  // ============================================
+
+  const transformStates = new WeakMap();
+
+  const getTransformState = (element) => {
+    let state = transformStates.get(element);
+    if (!state) {
+      state = { ...TRANSFORM_DEFAULTS };
+      transformStates.set(element, state);
+    }
+    return state;
+  };
+
+  const commitTransform = (element) => {
+    const state = getTransformState(element);
+    element.style.transform =
+      `translate(${state.xPercent}%, ${state.yPercent}%) ` +
+      `translate3d(${state.x}px, ${state.y}px, 0px) ` +
+      `rotate(${state.rotation}deg) ` +
+      `scale(${state.scaleX}, ${state.scaleY})`;
+  };
+
+  const isTransformProperty = (property) =>
+    property === 'scale' || Object.prototype.hasOwnProperty.call(TRANSFORM_DEFAULTS, property);
+
+  const readProperty = (target, property) => {
+    if (!isElement(target)) {
+      return target[property];
+    }
+    if (isTransformProperty(property)) {
+      const state = getTransformState(target);
+      return property === 'scale' ? state.scaleX : state[property];
+    }
+    if (property === 'opacity' || property === 'autoAlpha') {
+      const inline = target.style.opacity;
+      const value = parseFloat(inline !== '' ? inline : getComputedStyle(target).opacity);
+      return Number.isFinite(value) ? value : 1;
+    }
+    const inline = target.style[property];
+    if (inline) {
+      return inline;
+    }
+    const computed = getComputedStyle(target)[property];
+    return computed || (property === 'filter' ? 'none' : '');
+  };
+
+  const writeProperty = (target, property, value) => {
+    if (!isElement(target)) {
+      target[property] = value;
+      return false;
+    }
+    if (isTransformProperty(property)) {
+      const state = getTransformState(target);
+      if (property === 'scale') {
+        state.scaleX = value;
+        state.scaleY = value;
+      } else {
+        state[property] = value;
+      }
+      return true;
+    }
+    if (property === 'autoAlpha') {
+      target.style.opacity = String(value);
+      target.style.visibility = value <= 0 ? 'hidden' : 'inherit';
+      return false;
+    }
+    target.style[property] = typeof value === 'number' && property !== 'opacity' && property !== 'zIndex'
+      ? `${value}px`
+      : String(value);
+    return false;
+  };
+
+  // ============================================
+  // INTERPOLATION
+  // ============================================
+
+  const parseFilter = (value) => {
+    const functions = {};
+    String(value || '').replace(/([a-z-]+)\(\s*(-?\d*\.?\d+)([a-z%]*)\s*\)/gi, (match, name, amount, unit) => {
+      functions[name] = { amount: parseFloat(amount), unit };
+      return match;
+    });
+    return functions;
+  };
+
+  // Filters may list different functions at each end ('brightness(0.9)' to
+  // 'brightness(1) saturate(1.05)'); missing ones start from their identity
+  const createFilterInterpolator = (from, to) => {
+    const start = parseFilter(from);
+    const end = parseFilter(to);
+    const names = Array.from(new Set([...Object.keys(start), ...Object.keys(end)]));
+    if (!names.length) {
+      return () => to;
+    }
+    return (progress) => names
+      .map((name) => {
+        const identity = FILTER_DEFAULTS[name] ?? 0;
+        const a = start[name] ? start[name].amount : identity;
+        const b = end[name] ? end[name].amount : identity;
+        const unit = (end[name] || start[name]).unit;
+        return `${name}(${(a + (b - a) * progress).toFixed(4)}${unit})`;
+      })
+      .join(' ');
+  };
+
+  const createStringInterpolator = (from, to) => {
+    const startNumbers = String(from).match(NUMBER_PATTERN) || [];
+    const endNumbers = String(to).match(NUMBER_PATTERN) || [];
+    const template = String(to).split(NUMBER_PATTERN);
+    const sameShape = String(from).split(NUMBER_PATTERN).join('|') === template.join('|');
+    if (!sameShape || startNumbers.length !== endNumbers.length || !endNumbers.length) {
+      return (progress) => (progress >= 1 ? to : from);
+    }
+    return (progress) => template.reduce((output, part, index) => {
+      if (index === 0) {
+        return part;
+      }
+      const a = parseFloat(startNumbers[index - 1]);
+      const b = parseFloat(endNumbers[index - 1]);
+      return `${output}${+(a + (b - a) * progress).toFixed(4)}${part}`;
+    }, '');
+  };
+
+  const createInterpolator = (property, from, to) => {
+    const startNumber = typeof from === 'number' ? from : parseFloat(from);
+    const endNumber = typeof to === 'number' ? to : parseFloat(to);
+    if (property === 'filter') {
+      return createFilterInterpolator(from, to);
+    }
+    if ((typeof from === 'number' || typeof to === 'number') && Number.isFinite(startNumber) && Number.isFinite(endNumber)) {
+      return (progress) => startNumber + (endNumber - startNumber) * progress;
+    }
+    return createStringInterpolator(from, to);
+  };
+
+  const resolveValue = (value, index, target, targets) =>
+    (typeof value === 'function' ? value(index, target, targets) : value);
+
+  // ============================================
+  // TWEENS
+  // ============================================
+
+  /**
+   * A tween records its start values on first render, like GSAP, so tweens
+   * later in a timeline pick up where earlier ones left their targets
+   */
+  const createTween = (targets, fromVars, toVars, options = {}) => {
+    const list = toArray(targets);
+    const vars = toVars || fromVars || {};
+    const properties = Object.keys({ ...(fromVars || {}), ...(toVars || {}) }).filter((key) => !RESERVED_VARS.has(key));
+    const ease = parseEase(vars.ease);
+    const tracks = [];
+    let initialised = false;
+    let lastProgress = NaN;
+
+    const tween = {
+      isTween: true,
+      targets: list,
+      duration: () => (Number.isFinite(vars.duration) ? Math.max(0, vars.duration) : 0.5),
+      init() {
+        initialised = true;
+        list.forEach((target, index) => {
+          properties.forEach((property) => {
+            const current = readProperty(target, property);
+            const from = fromVars && property in fromVars
+              ? resolveValue(fromVars[property], index, target, list)
+              : current;
+            const to = toVars && property in toVars
+              ? resolveValue(toVars[property], index, target, list)
+              : current;
+            tracks.push({ target, property, interpolate: createInterpolator(property, from, to) });
+          });
+        });
+      },
+      render(progress) {
+        if (!initialised) {
+          tween.init();
+        }
+        if (progress === lastProgress) {
+          return;
+        }
+        lastProgress = progress;
+        const eased = ease(progress);
+        const dirty = new Set();
+        tracks.forEach(({ target, property, interpolate }) => {
+          if (writeProperty(target, property, interpolate(eased))) {
+            dirty.add(target);
+          }
+        });
+        dirty.forEach(commitTransform);
+        if (typeof vars.onUpdate === 'function') {
+          vars.onUpdate.call(tween);
+        }
+      },
+      invalidate() {
+        tracks.length = 0;
+        initialised = false;
+        lastProgress = NaN;
+      }
+    };
+
+    // from/fromTo show their starting state straight away
+    if (options.immediateRender) {
+      tween.render(0);
+    }
+
+    return tween;
+  };
+
+  // ============================================
+  // ANIMATIONS (TIMELINE + STANDALONE TWEEN)
+  // ============================================
+
+  const createAnimation = (duration, render) => {
+    let time = 0;
+    let rendered = false;
+    let onUpdate = null;
+    let playback = null;
+
+    const animation = {
+      scrollTrigger: null,
+      duration,
+      time: () => time,
+      progress(value) {
+        const total = duration();
+        if (!arguments.length) {
+          return total > 0 ? time / total : (rendered ? 1 : 0);
+        }
+        animation.seek(clampValue(0, 1, value) * total);
+        return animation;
+      },
+      seek(nextTime) {
+        const previous = rendered ? time : -1;
+        time = clampValue(0, duration(), nextTime);
+        rendered = true;
+        render(time, previous);
+        if (typeof onUpdate === 'function') {
+          onUpdate.call(animation);
+        }
+        return animation;
+      },
+      eventCallback(type, callback) {
+        if (type !== 'onUpdate') {
+          return animation;
+        }
+        if (arguments.length < 2) {
+          return onUpdate;
+        }
+        onUpdate = callback;
+        return animation;
+      },
+      // Time-based playback for animations that are not scrubbed
+      play(reversed = false) {
+        if (playback) {
+          cancelAnimationFrame(playback);
+        }
+        let last = null;
+        const step = (now) => {
+          const delta = last === null ? 0 : (now - last) / 1000;
+          last = now;
+          animation.seek(time + (reversed ? -delta : delta));
+          const done = reversed ? time <= 0 : time >= duration();
+          playback = done ? null : requestAnimationFrame(step);
+        };
+        playback = requestAnimationFrame(step);
+        return animation;
+      },
+      reverse: () => animation.play(true),
+      pause() {
+        if (playback) {
+          cancelAnimationFrame(playback);
+          playback = null;
+        }
+        return animation;
+      },
+      kill() {
+        animation.pause();
+        if (animation.scrollTrigger) {
+          const trigger = animation.scrollTrigger;
+          animation.scrollTrigger = null;
+          trigger.kill();
+        }
+      }
+    };
+
+    return animation;
+  };
+
+  const createTimeline = (vars = {}) => {
+    const defaults = vars.defaults || {};
+    const children = [];
+    const labels = {};
+    let end = 0;
+
+    const resolvePosition = (position) => {
+      if (typeof position === 'number') {
+        return Math.max(0, position);
+      }
+      if (typeof position !== 'string' || position === '') {
+        return end;
+      }
+      const match = /^([^+-]*)([+-]=)?(-?\d*\.?\d+)?$/.exec(position.trim());
+      if (!match) {
+        return end;
+      }
+      const [, label, operator, amount] = match;
+      const base = label ? (labels[label] ?? end) : end;
+      const offset = amount ? parseFloat(amount) : 0;
+      if (operator === '+=') {
+        return Math.max(0, base + offset);
+      }
+      if (operator === '-=') {
+        return Math.max(0, base - offset);
+      }
+      return base;
+    };
+
+    const insert = (child, position) => {
+      child.start = resolvePosition(position);
+      child.order = children.length;
+      children.push(child);
+      children.sort((a, b) => (a.start - b.start) || (a.order - b.order));
+      end = Math.max(end, child.start + child.duration);
+      return timeline;
+    };
+
+    const render = (time, previous) => {
+      const forward = time >= previous;
+      const ordered = forward ? children : children.slice().reverse();
+      ordered.forEach((child) => {
+        if (child.callback) {
+          const crossed = forward
+            ? previous < child.start && child.start <= time
+            : time < child.start && child.start <= previous;
+          if (crossed && time !== previous) {
+            child.callback();
+          }
+          return;
+        }
+        // Tweens the playhead has not reached yet keep their start values unread
+        if (!child.reached && time < child.start) {
+          return;
+        }
+        child.reached = true;
+        const local = child.duration > 0 ? (time - child.start) / child.duration : 1;
+        child.tween.render(clampValue(0, 1, local));
+      });
+    };
+
+    const timeline = createAnimation(() => end, render);
+
+    const tweenChild = (tween) => ({ tween, duration: tween.duration(), reached: false });
+
+    Object.assign(timeline, {
+      isTimeline: true,
+      addLabel(name, position) {
+        labels[name] = resolvePosition(position);
+        return timeline;
+      },
+      add(child, position) {
+        if (typeof child === 'function') {
+          return insert({ callback: child, duration: 0 }, position);
+        }
+        return timeline;
+      },
+      to(targets, toVars, position) {
+        return insert(tweenChild(createTween(targets, null, { ...defaults, ...toVars })), position);
+      },
+      from(targets, fromVars, position) {
+        const child = tweenChild(createTween(targets, { ...defaults, ...fromVars }, null, { immediateRender: true }));
+        child.reached = true;
+        return insert(child, position);
+      },
+      fromTo(targets, fromVars, toVars, position) {
+        const child = tweenChild(createTween(targets, fromVars, { ...defaults, ...toVars }, { immediateRender: true }));
+        child.reached = true;
+        return insert(child, position);
+      },
+      invalidate() {
+        children.forEach((child) => {
+          if (child.tween) {
+            child.tween.invalidate();
+          }
+        });
+        return timeline;
+      }
+    });
+
+    if (vars.onUpdate) {
+      timeline.eventCallback('onUpdate', vars.onUpdate);
+    }
+    if (vars.scrollTrigger) {
+      ScrollTrigger.create({ ...vars.scrollTrigger, animation: timeline });
+    }
+
+    return timeline;
+  };
+
+  const createStandaloneTween = (targets, fromVars, toVars) => {
+    const vars = toVars || fromVars || {};
+    const tween = createTween(targets, fromVars, toVars, { immediateRender: Boolean(fromVars) });
+    const animation = createAnimation(tween.duration, (time) => {
+      const total = tween.duration();
+      tween.render(total > 0 ? time / total : 1);
+    });
+    animation.targets = tween.targets;
+    animation.invalidate = () => {
+      tween.invalidate();
+      return animation;
+    };
+
+    if (vars.scrollTrigger) {
+      ScrollTrigger.create({ ...vars.scrollTrigger, animation });
+    } else {
+      animation.play();
+    }
+    return animation;
+  };
+
+  // ============================================
+  // SCROLL TRIGGER
+  // ============================================
+
+  const triggers = [];
+  const listeners = { refreshInit: new Set(), refresh: new Set() };
+  let scrollerProxy = null;
+  let scrollListening = false;
+  let resizeTimer = null;
+
+  const getScroll = () => {
+    if (scrollerProxy && typeof scrollerProxy.scrollTop === 'function') {
+      return scrollerProxy.scrollTop();
+    }
+    return window.scrollY || document.documentElement.scrollTop || 0;
+  };
+
+  const getViewportHeight = () => window.innerHeight || document.documentElement.clientHeight || 0;
+
+  // 'top', 'center', 'bottom', '80%', '120px' or a number, against `size`
+  const parseOffset = (token, size) => {
+    if (token === undefined || token === '' || token === 'top') {
+      return 0;
+    }
+    if (token === 'center') {
+      return size / 2;
+    }
+    if (token === 'bottom') {
+      return size;
+    }
+    const value = parseFloat(token);
+    if (!Number.isFinite(value)) {
+      return 0;
+    }
+    return String(token).trim().endsWith('%') ? (value / 100) * size : value;
+  };
+
+  const resolveEdge = (value, triggerTop, triggerHeight, viewportHeight, relativeTo) => {
+    if (typeof value === 'number') {
+      return value;
+    }
+    const text = String(value).trim();
+    if (relativeTo !== undefined && /^[+-]=/.test(text)) {
+      const amount = parseOffset(text.slice(2), viewportHeight);
+      return text[0] === '+' ? relativeTo + amount : relativeTo - amount;
+    }
+    const [triggerToken, viewportToken] = text.split(/\s+/);
+    return triggerTop + parseOffset(triggerToken, triggerHeight) - parseOffset(viewportToken, viewportHeight);
+  };
+
+  const emit = (type) => {
+    listeners[type].forEach((callback) => {
+      try {
+        callback();
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn(`[ClearSeas] ScrollTrigger ${type} listener failed`, error);
+      }
+    });
+  };
+
+  const handleScroll = () => {
+    triggers.forEach((trigger) => trigger.update());
+  };
+
+  const handleResize = () => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(() => ScrollTrigger.refresh(), 200);
+  };
+
+  const startListening = () => {
+    if (scrollListening) {
+      return;
+    }
+    scrollListening = true;
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleResize, { passive: true });
+    window.addEventListener('load', handleResize);
+  };
+
+  const stopListening = () => {
+    if (!scrollListening) {
+      return;
+    }
+    scrollListening = false;
+    window.removeEventListener('scroll', handleScroll);
+    window.removeEventListener('resize', handleResize);
+    window.removeEventListener('load', handleResize);
+    clearTimeout(resizeTimer);
+  };
+
+  const TOGGLE_ACTIONS = {
+    play: (animation) => animation.play(),
+    reverse: (animation) => animation.reverse(),
+    restart: (animation) => animation.seek(0).play(),
+    reset: (animation) => animation.pause().seek(0),
+    complete: (animation) => animation.pause().progress(1),
+    pause: (animation) => animation.pause(),
+    resume: (animation) => animation.play(),
+    none: () => {}
+  };
+
+  const createPin = (element, pinSpacing) => {
+    const spacer = document.createElement('div');
+    spacer.className = 'pin-spacer';
+    element.parentNode.insertBefore(spacer, element);
+    spacer.appendChild(element);
+
+    const saved = ['position', 'top', 'left', 'width', 'boxSizing'].reduce((styles, property) => {
+      styles[property] = element.style[property];
+      return styles;
+    }, {});
+    let state = 'before';
+    let geometry = { left: 0, width: 0, offset: 0, distance: 0 };
+
+    const restoreStyles = () => {
+      Object.keys(saved).forEach((property) => {
+        element.style[property] = saved[property];
+      });
+    };
+
+    return {
+      spacer,
+      measureStart() {
+        state = 'before';
+        restoreStyles();
+        spacer.style.height = '';
+        spacer.style.paddingBottom = '';
+      },
+      measureEnd(start, end, viewportOffset) {
+        const rect = element.getBoundingClientRect();
+        geometry = {
+          left: rect.left,
+          width: rect.width,
+          offset: viewportOffset,
+          distance: Math.max(0, end - start)
+        };
+        spacer.style.boxSizing = 'content-box';
+        spacer.style.height = `${rect.height}px`;
+        spacer.style.paddingBottom = pinSpacing ? `${geometry.distance}px` : '0px';
+      },
+      apply(scroll, start, end) {
+        const next = scroll < start ? 'before' : scroll > end ? 'after' : 'pinned';
+        if (next === state) {
+          return;
+        }
+        state = next;
+        restoreStyles();
+        if (next === 'pinned') {
+          element.style.position = 'fixed';
+          element.style.top = `${geometry.offset}px`;
+          element.style.left = `${geometry.left}px`;
+          element.style.width = `${geometry.width}px`;
+          element.style.boxSizing = 'border-box';
+        } else if (next === 'after') {
+          element.style.position = 'relative';
+          element.style.top = `${geometry.distance}px`;
+        }
+      },
+      destroy() {
+        restoreStyles();
+        if (spacer.parentNode) {
+          spacer.parentNode.insertBefore(element, spacer);
+          spacer.remove();
+        }
+      }
+    };
+  };
+
+  const createTrigger = (config = {}) => {
+    const element = toArray(config.trigger)[0] || null;
+    const animation = config.animation || null;
+    const pin = config.pin && element ? createPin(config.pin === true ? element : toArray(config.pin)[0], config.pinSpacing !== false) : null;
+    const actions = String(config.toggleActions || 'play none none none').split(/\s+/);
+    const smoothing = typeof config.scrub === 'number' ? Math.max(0, config.scrub) : 0;
+    let scrubFrame = null;
+    let scrubProgress = null;
+    let lastScroll = null;
+
+    const trigger = {
+      trigger: element,
+      animation,
+      start: 0,
+      end: 0,
+      progress: 0,
+      direction: 1,
+      isActive: false,
+      vars: config,
+      refresh() {
+        if (!element) {
+          return;
+        }
+        if (pin) {
+          pin.measureStart();
+        }
+        const viewportHeight = getViewportHeight();
+        const rect = element.getBoundingClientRect();
+        const triggerTop = rect.top + getScroll();
+        const defaultStart = pin ? 'top top' : 'top bottom';
+        trigger.start = resolveEdge(config.start ?? defaultStart, triggerTop, rect.height, viewportHeight);
+        trigger.end = resolveEdge(config.end ?? 'bottom top', triggerTop, rect.height, viewportHeight, trigger.start);
+        if (trigger.end <= trigger.start) {
+          trigger.end = trigger.start + 1;
+        }
+        if (pin) {
+          const startToken = String(config.start ?? defaultStart).trim().split(/\s+/)[1];
+          pin.measureEnd(trigger.start, trigger.end, parseOffset(startToken, viewportHeight));
+        }
+        if (animation && config.invalidateOnRefresh && typeof animation.invalidate === 'function') {
+          const progress = animation.progress();
+          animation.invalidate();
+          animation.progress(0);
+          animation.progress(progress);
+        }
+        trigger.update(true);
+      },
+      update(force = false) {
+        const scroll = getScroll();
+        const progress = clampValue(0, 1, (scroll - trigger.start) / (trigger.end - trigger.start));
+        const wasActive = trigger.isActive;
+        const isActive = scroll >= trigger.start && scroll <= trigger.end;
+        const changed = progress !== trigger.progress;
+        if (!changed && !force && isActive === wasActive) {
+          lastScroll = scroll;
+          return;
+        }
+        // From the scroll itself: progress is clamped, so it stands still
+        // while the page crosses an edge from outside the range
+        if (lastScroll !== null && scroll !== lastScroll) {
+          trigger.direction = scroll > lastScroll ? 1 : -1;
+        }
+        lastScroll = scroll;
+        trigger.progress = progress;
+        trigger.isActive = isActive;
+
+        if (pin) {
+          pin.apply(scroll, trigger.start, trigger.end);
+        }
+        if (animation && config.scrub) {
+          trigger.scrubTo(progress);
+        }
+
+        if (isActive !== wasActive) {
+          const forward = trigger.direction > 0;
+          const callbackName = isActive
+            ? (forward ? 'onEnter' : 'onEnterBack')
+            : (forward ? 'onLeave' : 'onLeaveBack');
+          if (animation && !config.scrub) {
+            const action = actions[['onEnter', 'onLeave', 'onEnterBack', 'onLeaveBack'].indexOf(callbackName)];
+            (TOGGLE_ACTIONS[action] || TOGGLE_ACTIONS.none)(animation);
+          }
+          if (typeof config[callbackName] === 'function') {
+            config[callbackName](trigger);
+          }
+          if (typeof config.onToggle === 'function') {
+            config.onToggle(trigger);
+          }
+        }
+        if (changed && typeof config.onUpdate === 'function') {
+          config.onUpdate(trigger);
+        }
+      },
+      scrubTo(progress) {
+        if (!smoothing) {
+          animation.progress(progress);
+          return;
+        }
+        // Numeric scrub eases the animation towards the scroll position
+        scrubProgress = progress;
+        if (scrubFrame) {
+          return;
+        }
+        let last = null;
+        const step = (now) => {
+          const delta = last === null ? 1 / 60 : (now - last) / 1000;
+          last = now;
+          const current = animation.progress();
+          const next = current + (scrubProgress - current) * Math.min(1, delta / smoothing);
+          const settled = Math.abs(scrubProgress - next) < 0.0005;
+          animation.progress(settled ? scrubProgress : next);
+          scrubFrame = settled ? null : requestAnimationFrame(step);
+        };
+        scrubFrame = requestAnimationFrame(step);
+      },
+      kill() {
+        const index = triggers.indexOf(trigger);
+        if (index !== -1) {
+          triggers.splice(index, 1);
+        }
+        if (scrubFrame) {
+          cancelAnimationFrame(scrubFrame);
+          scrubFrame = null;
+        }
+        if (pin) {
+          pin.destroy();
+        }
+        if (animation && animation.scrollTrigger === trigger) {
+          animation.scrollTrigger = null;
+        }
+        if (!triggers.length) {
+          stopListening();
+        }
+      }
+    };
+
+    if (animation) {
+      animation.scrollTrigger = trigger;
+    }
+    triggers.push(trigger);
+    startListening();
+    return trigger;
+  };
+
+  const ScrollTrigger = {
+    version: 'clear-seas-fallback',
+    create: createTrigger,
+    getAll: () => triggers.slice(),
+    refresh() {
+      emit('refreshInit');
+      // Measure top-down so pin spacers above a trigger are already sized
+      triggers
+        .slice()
+        .sort((a, b) => {
+          if (!a.trigger || !b.trigger) {
+            return 0;
+          }
+          return a.trigger.compareDocumentPosition(b.trigger) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+        })
+        .forEach((trigger) => trigger.refresh());
+      emit('refresh');
+    },
+    update() {
+      handleScroll();
+    },
+    scrollerProxy(scroller, proxy) {
+      scrollerProxy = proxy || null;
+    },
+    addEventListener(type, callback) {
+      if (listeners[type] && typeof callback === 'function') {
+        listeners[type].add(callback);
+      }
+    },
+    removeEventListener(type, callback) {
+      if (listeners[type]) {
+        listeners[type].delete(callback);
+      }
+    }
+  };
+
+  const gsap = {
+    version: 'clear-seas-fallback',
+    utils,
+    registerPlugin() {},
+    timeline: createTimeline,
+    to: (targets, vars) => createStandaloneTween(targets, null, vars),
+    from: (targets, vars) => createStandaloneTween(targets, vars, null),
+    fromTo: (targets, fromVars, toVars) => createStandaloneTween(targets, fromVars, toVars)
+  };
+
+  window.__CLEAR_SEAS_SCROLL_TIMELINE = { gsap, ScrollTrigger };
+})();
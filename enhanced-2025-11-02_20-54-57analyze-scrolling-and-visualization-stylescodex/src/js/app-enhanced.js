@@ -8,6 +8,7 @@
 
 import { CanvasManager } from './managers/CanvasManager.js';
 import { VisualOrchestrator } from './managers/VisualOrchestrator.js';
+import { ShaderPresetSystem } from './managers/ShaderPresetSystem.js';
 import { EnhancedQuantumBackground } from './visualizers/EnhancedQuantumBackground.js';
 import { ParticleNetworkSystem } from './visualizers/ParticleNetwork.js';
 import { PolytopalFieldVisualizer } from './visualizers/PolytopalFieldVisualizer.js';
@@ -19,6 +20,7 @@ class ClearSeasEnhancedApplication {
         this.logger = new Logger('ClearSeasEnhanced', 'info');
         this.canvasManager = null;
         this.orchestrator = null;
+        this.presetSystem = null;
         this.polytopalField = null;
         this.quantumBackground = null;
         this.particleNetworks = new Map();
@@ -42,7 +44,7 @@ class ClearSeasEnhancedApplication {
         try {
             // Initialize Canvas Manager
             this.logger.info('Initializing Canvas Manager...');
-            this.canvasManager = new CanvasManager();
+            this.canvasManager = new CanvasManager({ deterministic: Utils.getDeterministicSettings() });
             this.canvasManager.setAdaptiveQuality(true);
 
             // Create Polytopal Field Canvas (Main Background)
@@ -96,6 +98,9 @@ class ClearSeasEnhancedApplication {
             this.logger.info('🎭 Initializing Visual Orchestrator...');
             this.orchestrator = new VisualOrchestrator(this.canvasManager);
 
+            this.logger.info('🎨 Initializing Shader Preset System...');
+            this.presetSystem = new ShaderPresetSystem(this.canvasManager);
+
             // Initialize Polytopal Field Visualizer (Primary)
             this.logger.info('✨ Initializing Polytopal Field Visualizer...');
             this.polytopalField = new PolytopalFieldVisualizer(
@@ -125,7 +130,7 @@ class ClearSeasEnhancedApplication {
 
             // Initialize Card Fractal System
             this.logger.info('🔮 Initializing Card Fractal System...');
-            this.cardFractalSystem = new CardFractalSystem();
+            this.cardFractalSystem = new CardFractalSystem(this.canvasManager);
 
             // Initialize Particle Networks for sections
             this.initializeParticleNetworks();
@@ -183,7 +188,9 @@ class ClearSeasEnhancedApplication {
                 width: element.offsetWidth,
                 height: element.offsetHeight,
                 alpha: true,
-                antialias: true
+                antialias: true,
+                // Rebinds all of its GL state each frame, so it can share a context
+                virtual: 'auto'
             });
 
             if (canvas) {
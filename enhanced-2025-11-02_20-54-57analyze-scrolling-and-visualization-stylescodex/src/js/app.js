@@ -5,6 +5,7 @@
 
 import { CanvasManager } from './managers/CanvasManager.js';
 import { VisualOrchestrator } from './managers/VisualOrchestrator.js';
+import { ShaderPresetSystem } from './managers/ShaderPresetSystem.js';
 import { EnhancedQuantumBackground } from './visualizers/EnhancedQuantumBackground.js';
 import { ParticleNetworkSystem } from './visualizers/ParticleNetwork.js';
 import { CardFractalSystem } from './visualizers/CardFractalSystem.js';
@@ -15,6 +16,7 @@ class ClearSeasApplication {
         this.logger = new Logger('ClearSeas', 'info');
         this.canvasManager = null;
         this.orchestrator = null;  // The brain!
+        this.presetSystem = null;
         this.quantumBackground = null;
         this.particleNetworks = new Map();
         this.cardFractalSystem = null;
@@ -37,7 +39,7 @@ class ClearSeasApplication {
         try {
             // Initialize Canvas Manager
             this.logger.info('Initializing Canvas Manager...');
-            this.canvasManager = new CanvasManager();
+            this.canvasManager = new CanvasManager({ deterministic: Utils.getDeterministicSettings() });
             
             // Disable manual controls - everything is automatic!
             this.canvasManager.setAdaptiveQuality(true);
@@ -64,6 +66,9 @@ class ClearSeasApplication {
             this.logger.info('🎭 Initializing Visual Orchestrator...');
             this.orchestrator = new VisualOrchestrator(this.canvasManager);
             
+            this.logger.info('🎨 Initializing Shader Preset System...');
+            this.presetSystem = new ShaderPresetSystem(this.canvasManager);
+            
             // Initialize Enhanced Quantum Background with RGB offset & moiré
             this.logger.info('🌌 Initializing Enhanced Quantum Background...');
             this.quantumBackground = new EnhancedQuantumBackground(
@@ -74,7 +79,7 @@ class ClearSeasApplication {
             
             // Initialize Card Fractal System
             this.logger.info('🔮 Initializing Card Fractal System...');
-            this.cardFractalSystem = new CardFractalSystem();
+            this.cardFractalSystem = new CardFractalSystem(this.canvasManager);
             
             // Initialize Particle Networks
             this.initializeParticleNetworks();
@@ -131,7 +136,9 @@ class ClearSeasApplication {
                 width: element.offsetWidth,
                 height: element.offsetHeight,
                 alpha: true,
-                antialias: true
+                antialias: true,
+                // Rebinds all of its GL state each frame, so it can share a context
+                virtual: 'auto'
             });
             
             if (canvas) {
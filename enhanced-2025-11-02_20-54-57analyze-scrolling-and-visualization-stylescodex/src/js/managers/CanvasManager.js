@@ -3,18 +3,38 @@
  * Handles WebGL context creation, pooling, lifecycle, and performance monitoring
  */
 
+import { GLInstrumentation } from '../utils/GLInstrumentation.js';
+import { TimeSource } from '../utils/TimeSource.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { Utils } from '../utils/Utils.js';
+
 export class CanvasManager {
-    constructor() {
+    /**
+     * `options.deterministic` ({ seed, startTime, frameMs }) starts the
+     * manager in deterministic mode, before any visualizer draws a number
+     */
+    constructor(options = {}) {
+        // Shared time source and PRNG for every visualizer on this manager
+        this.time = new TimeSource();
+        this.random = new SeededRandom();
+        this.deterministic = null;
+        Utils.useSources({ time: this.time, random: this.random.fork('utils') });
+        this.frameRequest = null;
+        this.isRunning = false;
+        
         this.contexts = new Map();
         this.canvases = new Map();
         this.performanceMetrics = new Map();
-        this.contextPool = [];
-        this.maxPoolSize = 10;
+        this.contextPool = []; // idle contexts released by destroyCanvas
+        this.maxPoolSize = 10; // live + pooled WebGL contexts, shared one included
+        this.sharedContext = null;
+        this.visibilityObserver = null;
+        this.observedCanvases = new WeakMap();
         this.renderCallbacks = new Map();
         this.globalTime = 0;
         this.fps = 60;
         this.frameCount = 0;
-        this.lastFrameTime = performance.now();
+        this.lastFrameTime = this.time.now();
         this.adaptiveQuality = true;
         this.qualityLevel = 1.0; // 0.5 to 1.0
         
@@ -22,7 +42,19 @@ export class CanvasManager {
         this.targetFPS = 60;
         this.minFPS = 30;
         this.performanceCheckInterval = 1000; // ms
-        this.lastPerformanceCheck = performance.now();
+        this.lastPerformanceCheck = this.time.now();
+        
+        // Frame budget scheduling
+        this.frameBudget = 12; // ms, null disables enforcement
+        this.maxRenderInterval = 4; // lowest update rate: every 4th frame
+        this.renderSchedule = [];
+        this.scheduleDirty = false;
+        this.rendererSequence = 0;
+        this.lastFrameCost = 0;
+        this.skippedFrames = 0; // renders dropped because the budget was spent
+        this.throttledFrames = 0; // renders dropped by a lowered update rate
+        this.overBudgetFrames = 0;
+        this.underBudgetStreak = 0;
         
         // Global interaction state
         this.mousePosition = { x: 0.5, y: 0.5 };
@@ -31,10 +63,85 @@ export class CanvasManager {
         this.viewportSize = { width: window.innerWidth, height: window.innerHeight };
         
         this.setupGlobalListeners();
+        
+        if (options.deterministic) {
+            this.setDeterministic(options.deterministic);
+        }
+    }
+    
+    /**
+     * Deterministic mode: seeds every random stream, freezes the clock and
+     * renders only on step(). Frame budgets and adaptive quality react to real
+     * frame costs, so both are switched off until the mode is left again.
+     * Pass false to return to the realtime clock
+     */
+    setDeterministic(settings = {}) {
+        if (settings === false) {
+            if (!this.deterministic) return;
+            const { frameBudget, adaptiveQuality } = this.deterministic;
+            this.deterministic = null;
+            this.cancelFrame();
+            this.time.setRealtime();
+            this.random.reseed(null);
+            this.adaptiveQuality = adaptiveQuality;
+            this.setFrameBudget(frameBudget);
+            this.lastFrameTime = this.time.now();
+            this.lastPerformanceCheck = this.lastFrameTime;
+            if (this.isRunning) {
+                this.scheduleFrame();
+            }
+            return;
+        }
+        
+        const { seed = 1, startTime, frameMs } = settings;
+        const saved = { ...(this.deterministic || { frameBudget: this.frameBudget, adaptiveQuality: this.adaptiveQuality }) };
+        this.setFrameBudget(null);
+        this.adaptiveQuality = false;
+        this.qualityLevel = 1.0;
+        this.deterministic = { seed, frameBudget: saved.frameBudget, adaptiveQuality: saved.adaptiveQuality };
+        this.cancelFrame();
+        this.time.setManual({ startTime, frameMs });
+        this.random.reseed(seed);
+        this.lastFrameTime = this.time.now();
+        this.lastPerformanceCheck = this.lastFrameTime;
+        this.renderCallbacks.forEach((_, canvasId) => this.resetRendererTimestamps(canvasId));
+        
+        if (this.isRunning) {
+            this.scheduleFrame();
+        }
+        console.log(`🎲 Deterministic mode: seed ${seed}`);
+    }
+    
+    isDeterministic() {
+        return Boolean(this.deterministic);
+    }
+    
+    /**
+     * Advance a deterministic page by `frames` frames
+     */
+    step(frames = 1) {
+        return this.time.step(frames);
+    }
+    
+    /**
+     * Random stream for one visualizer, seeded from the manager's seed
+     */
+    createRandom(label) {
+        return this.random.fork(label);
     }
     
     /**
      * Create and register a canvas with WebGL context
+     *
+     * Virtualization is opt-in per visualizer: `virtual: 'auto'` switches to a
+     * virtual canvas once the live contexts reach maxPoolSize, `true` forces
+     * it and `false` (default) always gives the canvas its own context. A
+     * virtual canvas is a 2D canvas fed from one shared offscreen WebGL
+     * context and is only drawn while on screen. Its renderers share GL state
+     * with every other virtual canvas, so only visualizers that bind buffers,
+     * attributes, blend state and programs each frame (rather than once at
+     * setup) may opt in; the particle networks do. A dedicated canvas may get
+     * a context back from the pool, reset to default state first.
      */
     createCanvas(id, options = {}) {
         const {
@@ -47,7 +154,9 @@ export class CanvasManager {
             preserveDrawingBuffer = false,
             powerPreference = 'high-performance',
             dpr = Math.min(window.devicePixelRatio || 1, 2),
-            webgl2 = true
+            webgl2 = true,
+            instrument = true,
+            virtual = false
         } = options;
         
         // Check if already exists
@@ -56,15 +165,6 @@ export class CanvasManager {
             return this.canvases.get(id);
         }
         
-        // Create canvas element
-        const canvas = document.createElement('canvas');
-        canvas.id = `canvas-${id}`;
-        canvas.style.width = `${width}px`;
-        canvas.style.height = `${height}px`;
-        canvas.width = width * dpr;
-        canvas.height = height * dpr;
-        
-        // Try to get WebGL context
         const contextOptions = {
             alpha,
             antialias,
@@ -73,21 +173,39 @@ export class CanvasManager {
             powerPreference
         };
         
-        let gl = null;
+        const isVirtual = virtual === true ||
+            (virtual === 'auto' && this.getLiveContextCount() >= this.maxPoolSize - 1);
         
-        if (webgl2) {
-            gl = canvas.getContext('webgl2', contextOptions);
-        }
+        let canvas;
+        let gl;
+        let context2d = null;
+        let instrumentation = null;
         
-        if (!gl) {
-            gl = canvas.getContext('webgl', contextOptions) || 
-                 canvas.getContext('experimental-webgl', contextOptions);
+        if (isVirtual) {
+            const shared = this.acquireSharedContext(contextOptions, webgl2);
+            canvas = document.createElement('canvas');
+            context2d = shared ? canvas.getContext('2d') : null;
+            if (!context2d) {
+                console.error('Virtual canvas not supported for canvas:', id);
+                return null;
+            }
+            gl = shared.gl;
+            instrumentation = instrument ? shared.instrumentation : null;
+        } else {
+            const context = this.acquireContext(contextOptions, webgl2);
+            if (!context) {
+                console.error('WebGL not supported for canvas:', id);
+                return null;
+            }
+            ({ canvas, gl } = context);
+            instrumentation = instrument ? new GLInstrumentation(gl) : null;
         }
         
-        if (!gl) {
-            console.error('WebGL not supported for canvas:', id);
-            return null;
-        }
+        canvas.id = `canvas-${id}`;
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
         
         // Store canvas data
         const canvasData = {
@@ -101,9 +219,24 @@ export class CanvasManager {
             options,
             isActive: true,
             lastRenderTime: 0,
-            renderCount: 0
+            renderCount: 0,
+            instrumentation,
+            contextLost: isVirtual ? gl.isContextLost() : false,
+            contextLossCount: 0,
+            visualizers: new Set(),
+            contextHandlers: null,
+            contextKey: isVirtual ? null : this.getContextKey(contextOptions, webgl2),
+            virtual: isVirtual,
+            context2d,
+            isVisible: true,
+            frameStats: null
         };
         
+        if (isVirtual) {
+            this.observeVisibility(canvasData);
+        } else {
+            this.attachContextHandlers(canvasData);
+        }
         this.canvases.set(id, canvasData);
         this.contexts.set(id, gl);
         
@@ -111,9 +244,13 @@ export class CanvasManager {
         this.performanceMetrics.set(id, {
             fps: 60,
             frameTime: 16.67,
+            cpuTime: 0,
+            gpuTime: null,
+            gpuTimerSupported: Boolean(instrumentation && instrumentation.timerExt),
             drawCalls: 0,
             triangles: 0,
-            lastUpdate: performance.now()
+            programSwitches: 0,
+            lastUpdate: this.time.now()
         });
         
         // Append to container if specified
@@ -121,11 +258,198 @@ export class CanvasManager {
             container.appendChild(canvas);
         }
         
-        console.log(`✅ Canvas ${id} created (WebGL${gl instanceof WebGL2RenderingContext ? '2' : '1'})`);
+        const version = gl instanceof WebGL2RenderingContext ? '2' : '1';
+        console.log(`✅ Canvas ${id} created (${isVirtual ? `virtual, shared WebGL${version}` : `WebGL${version}`})`);
         
         return canvasData;
     }
     
+    getContextKey(contextOptions, webgl2) {
+        return `${webgl2 ? 'webgl2' : 'webgl'}:${JSON.stringify(contextOptions)}`;
+    }
+    
+    /**
+     * WebGL contexts the manager holds: dedicated canvases, the pool and the
+     * shared virtual context
+     */
+    getRealContextCount() {
+        return this.contextPool.length + this.getLiveContextCount();
+    }
+    
+    /**
+     * Contexts in use: dedicated canvases and the shared virtual context.
+     * Idle pooled contexts are left out since acquireContext evicts them
+     * before the limit is reached.
+     */
+    getLiveContextCount() {
+        let count = this.sharedContext ? 1 : 0;
+        this.canvases.forEach((canvasData) => {
+            if (!canvasData.virtual) count++;
+        });
+        return count;
+    }
+    
+    createContext(contextOptions, webgl2) {
+        const canvas = document.createElement('canvas');
+        let gl = null;
+        
+        if (webgl2) {
+            gl = canvas.getContext('webgl2', contextOptions);
+        }
+        
+        if (!gl) {
+            gl = canvas.getContext('webgl', contextOptions) ||
+                 canvas.getContext('experimental-webgl', contextOptions);
+        }
+        
+        return gl ? { canvas, gl } : null;
+    }
+    
+    /**
+     * Reuse a pooled context created with the same attributes, evicting an
+     * idle one when the pool is what stands between us and maxPoolSize
+     */
+    acquireContext(contextOptions, webgl2) {
+        const key = this.getContextKey(contextOptions, webgl2);
+        this.contextPool = this.contextPool.filter((entry) => !entry.gl.isContextLost());
+        
+        const index = this.contextPool.findIndex((entry) => entry.key === key);
+        if (index !== -1) {
+            const [entry] = this.contextPool.splice(index, 1);
+            this.resetContextState(entry.gl);
+            return entry;
+        }
+        
+        if (this.contextPool.length && this.getRealContextCount() >= this.maxPoolSize) {
+            this.loseContext(this.contextPool.shift().gl);
+        }
+        
+        return this.createContext(contextOptions, webgl2);
+    }
+    
+    /**
+     * Return a destroyed canvas's context to the pool, or drop it when the
+     * pool is full or the context is gone
+     */
+    releaseContext(canvasData) {
+        const { canvas, gl, contextKey } = canvasData;
+        if (gl.isContextLost() || this.contextPool.length >= this.maxPoolSize - 1) {
+            this.loseContext(gl);
+            return;
+        }
+        this.contextPool.push({ canvas, gl, key: contextKey });
+    }
+    
+    /**
+     * Put a pooled context back to WebGL defaults so the next visualizer does
+     * not inherit the previous one's program, buffers, textures or blend state.
+     * Objects the previous visualizer created are not deleted here; that is
+     * its own dispose()'s job
+     */
+    resetContextState(gl) {
+        const isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+        
+        gl.useProgram(null);
+        if (isWebGL2) {
+            gl.bindVertexArray(null);
+        }
+        const attributes = gl.getParameter(gl.MAX_VERTEX_ATTRIBS) || 0;
+        for (let index = 0; index < attributes; index++) {
+            gl.disableVertexAttribArray(index);
+        }
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+        
+        const textureUnits = gl.getParameter(gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS) || 0;
+        for (let unit = 0; unit < textureUnits; unit++) {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, null);
+            gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+        }
+        gl.activeTexture(gl.TEXTURE0);
+        
+        [gl.BLEND, gl.CULL_FACE, gl.DEPTH_TEST, gl.POLYGON_OFFSET_FILL, gl.SAMPLE_ALPHA_TO_COVERAGE,
+            gl.SAMPLE_COVERAGE, gl.SCISSOR_TEST, gl.STENCIL_TEST].forEach((capability) => gl.disable(capability));
+        gl.blendEquation(gl.FUNC_ADD);
+        gl.blendFunc(gl.ONE, gl.ZERO);
+        gl.colorMask(true, true, true, true);
+        gl.depthMask(true);
+        gl.depthFunc(gl.LESS);
+        gl.clearColor(0, 0, 0, 0);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    }
+    
+    loseContext(gl) {
+        const loseContext = gl.getExtension('WEBGL_lose_context');
+        if (loseContext) {
+            loseContext.loseContext();
+        }
+    }
+    
+    /**
+     * Lazily create the offscreen context every virtual canvas renders through
+     */
+    acquireSharedContext(contextOptions, webgl2) {
+        if (this.sharedContext) return this.sharedContext;
+        
+        const context = this.createContext({
+            ...contextOptions,
+            alpha: true,
+            preserveDrawingBuffer: false
+        }, webgl2);
+        if (!context) return null;
+        
+        const shared = {
+            canvas: context.canvas,
+            gl: context.gl,
+            instrumentation: new GLInstrumentation(context.gl),
+            contextHandlers: null
+        };
+        this.attachSharedContextHandlers(shared);
+        this.sharedContext = shared;
+        console.log('🧩 Shared WebGL context created for virtual canvases');
+        return shared;
+    }
+    
+    releaseSharedContext() {
+        const shared = this.sharedContext;
+        if (!shared) return;
+        
+        shared.canvas.removeEventListener('webglcontextlost', shared.contextHandlers.onLost, false);
+        shared.canvas.removeEventListener('webglcontextrestored', shared.contextHandlers.onRestored, false);
+        shared.instrumentation.dispose();
+        this.loseContext(shared.gl);
+        this.sharedContext = null;
+    }
+    
+    getVirtualCanvases() {
+        return Array.from(this.canvases.values()).filter((canvasData) => canvasData.virtual);
+    }
+    
+    /**
+     * Track whether a virtual canvas is on screen; off-screen ones are not drawn
+     */
+    observeVisibility(canvasData) {
+        if (typeof IntersectionObserver === 'undefined') return;
+        
+        if (!this.visibilityObserver) {
+            this.visibilityObserver = new IntersectionObserver((entries) => {
+                entries.forEach((entry) => {
+                    const observed = this.observedCanvases.get(entry.target);
+                    if (observed) {
+                        observed.isVisible = entry.isIntersecting;
+                    }
+                });
+            }, { rootMargin: '100px' });
+        }
+        
+        this.observedCanvases.set(canvasData.canvas, canvasData);
+        this.visibilityObserver.observe(canvasData.canvas);
+    }
+    
     /**
      * Register a render callback for a canvas
      */
@@ -140,17 +464,154 @@ export class CanvasManager {
         }
         
         this.renderCallbacks.get(canvasId).push({
+            id: ++this.rendererSequence,
+            canvasId,
             callback,
             priority,
-            enabled: true
+            enabled: true,
+            avgCost: 0,
+            interval: 1,
+            lastTimestamp: null,
+            skippedFrames: 0,
+            throttledFrames: 0,
+            consecutiveSkips: 0
         });
         
         // Sort by priority (higher first)
         this.renderCallbacks.get(canvasId).sort((a, b) => b.priority - a.priority);
+        this.scheduleDirty = true;
         
         return true;
     }
     
+    /**
+     * Register an object implementing the visualizer lifecycle contract:
+     * `onContextLost(canvasData)` drops GL resources, `onContextRestored(canvasData)`
+     * rebuilds them on the restored context
+     */
+    registerVisualizer(canvasId, visualizer) {
+        const canvasData = this.canvases.get(canvasId);
+        if (!canvasData || !visualizer) return false;
+        
+        canvasData.visualizers.add(visualizer);
+        return true;
+    }
+    
+    unregisterVisualizer(canvasId, visualizer) {
+        const canvasData = this.canvases.get(canvasId);
+        return canvasData ? canvasData.visualizers.delete(visualizer) : false;
+    }
+    
+    /**
+     * Own webglcontextlost/restored for a canvas: pause its renderers while the
+     * GPU is gone and let registered visualizers rebuild once it returns
+     */
+    attachContextHandlers(canvasData) {
+        const { id, canvas } = canvasData;
+        const notify = (hook) => this.notifyContextChange(canvasData, hook);
+        
+        const onLost = (event) => {
+            // Required for the browser to attempt a restore
+            event.preventDefault();
+            canvasData.contextLost = true;
+            canvasData.contextLossCount++;
+            if (canvasData.instrumentation) {
+                canvasData.instrumentation.reset();
+            }
+            console.warn(`⚠️ WebGL context lost for canvas ${id}`);
+            notify('onContextLost');
+        };
+        
+        const onRestored = () => {
+            canvasData.contextLost = false;
+            if (canvasData.instrumentation) {
+                canvasData.instrumentation.reset();
+            }
+            canvasData.gl.viewport(0, 0, canvas.width, canvas.height);
+            this.resetRendererTimestamps(id);
+            console.log(`✅ WebGL context restored for canvas ${id}`);
+            notify('onContextRestored');
+        };
+        
+        canvas.addEventListener('webglcontextlost', onLost, false);
+        canvas.addEventListener('webglcontextrestored', onRestored, false);
+        canvasData.contextHandlers = { onLost, onRestored };
+    }
+    
+    /**
+     * Losing the shared context takes every virtual canvas down with it
+     */
+    attachSharedContextHandlers(shared) {
+        const onLost = (event) => {
+            event.preventDefault();
+            shared.instrumentation.reset();
+            console.warn('⚠️ Shared WebGL context lost for virtual canvases');
+            this.getVirtualCanvases().forEach((canvasData) => {
+                canvasData.contextLost = true;
+                canvasData.contextLossCount++;
+                this.notifyContextChange(canvasData, 'onContextLost');
+            });
+        };
+        
+        const onRestored = () => {
+            shared.instrumentation.reset();
+            console.log('✅ Shared WebGL context restored for virtual canvases');
+            this.getVirtualCanvases().forEach((canvasData) => {
+                canvasData.contextLost = false;
+                this.resetRendererTimestamps(canvasData.id);
+                this.notifyContextChange(canvasData, 'onContextRestored');
+            });
+        };
+        
+        shared.canvas.addEventListener('webglcontextlost', onLost, false);
+        shared.canvas.addEventListener('webglcontextrestored', onRestored, false);
+        shared.contextHandlers = { onLost, onRestored };
+    }
+    
+    notifyContextChange(canvasData, hook) {
+        const { id } = canvasData;
+        canvasData.visualizers.forEach((visualizer) => {
+            if (typeof visualizer[hook] !== 'function') return;
+            try {
+                visualizer[hook](canvasData);
+            } catch (error) {
+                console.error(`${hook} failed for canvas ${id}:`, error);
+            }
+        });
+        window.dispatchEvent(new CustomEvent(hook === 'onContextLost' ? 'canvasContextLost' : 'canvasContextRestored', {
+            detail: { canvasId: id, lossCount: canvasData.contextLossCount }
+        }));
+    }
+    
+    resetRendererTimestamps(canvasId) {
+        this.renderSchedule.forEach((renderer) => {
+            if (renderer.canvasId === canvasId) {
+                renderer.lastTimestamp = null;
+            }
+        });
+    }
+    
+    detachContextHandlers(canvasData) {
+        if (!canvasData.contextHandlers) return;
+        
+        const { canvas, contextHandlers } = canvasData;
+        canvas.removeEventListener('webglcontextlost', contextHandlers.onLost, false);
+        canvas.removeEventListener('webglcontextrestored', contextHandlers.onRestored, false);
+        canvasData.contextHandlers = null;
+    }
+    
+    /**
+     * Flatten renderers across canvases, highest priority first
+     */
+    rebuildSchedule() {
+        this.renderSchedule = [];
+        this.renderCallbacks.forEach((callbacks) => {
+            this.renderSchedule.push(...callbacks);
+        });
+        this.renderSchedule.sort((a, b) => (b.priority - a.priority) || (a.id - b.id));
+        this.scheduleDirty = false;
+    }
+    
     /**
      * Resize a canvas
      */
@@ -168,9 +629,10 @@ export class CanvasManager {
         canvasData.width = width;
         canvasData.height = height;
         
-        // Update viewport
-        const gl = canvasData.gl;
-        gl.viewport(0, 0, canvas.width, canvas.height);
+        // Update viewport; virtual canvases set theirs on the shared context each frame
+        if (!canvasData.virtual) {
+            canvasData.gl.viewport(0, 0, canvas.width, canvas.height);
+        }
         
         return true;
     }
@@ -219,12 +681,23 @@ export class CanvasManager {
         const canvasData = this.canvases.get(canvasId);
         if (!canvasData) return false;
         
-        const { canvas, gl } = canvasData;
+        const { canvas } = canvasData;
+        canvasData.visualizers.clear();
         
-        // Lose context
-        const loseContext = gl.getExtension('WEBGL_lose_context');
-        if (loseContext) {
-            loseContext.loseContext();
+        if (canvasData.virtual) {
+            if (this.visibilityObserver) {
+                this.visibilityObserver.unobserve(canvas);
+            }
+            this.observedCanvases.delete(canvas);
+        } else {
+            // Deliberate loss must not trigger recovery
+            this.detachContextHandlers(canvasData);
+            if (canvasData.instrumentation) {
+                canvasData.instrumentation.dispose();
+            }
+            
+            // Pool the context for the next canvas with the same attributes
+            this.releaseContext(canvasData);
         }
         
         // Remove from DOM
@@ -237,6 +710,11 @@ export class CanvasManager {
         this.contexts.delete(canvasId);
         this.renderCallbacks.delete(canvasId);
         this.performanceMetrics.delete(canvasId);
+        this.scheduleDirty = true;
+        
+        if (canvasData.virtual && !this.getVirtualCanvases().length) {
+            this.releaseSharedContext();
+        }
         
         console.log(`🗑️ Canvas ${canvasId} destroyed`);
         
@@ -261,51 +739,229 @@ export class CanvasManager {
             this.lastPerformanceCheck = timestamp;
         }
         
-        // Render all active canvases
-        this.canvases.forEach((canvasData, canvasId) => {
-            if (!canvasData.isActive) return;
-            
-            const callbacks = this.renderCallbacks.get(canvasId);
-            if (!callbacks || callbacks.length === 0) return;
-            
-            const renderStart = performance.now();
+        if (this.scheduleDirty) {
+            this.rebuildSchedule();
+        }
+        
+        // Render in priority order; the top priority tier always runs, lower
+        // tiers are rate-limited, and once the frame budget is spent everything
+        // below is skipped (a renderer is never skipped more than
+        // maxRenderInterval frames in a row)
+        const frameStart = performance.now();
+        const budget = this.frameBudget;
+        const topPriority = this.renderSchedule.length ? this.renderSchedule[0].priority : 0;
+        const canvasCosts = new Map();
+        const frame = { timestamp, deltaTime, frameStart, budget, topPriority, canvasCosts, budgetSpent: false };
+        const virtualRendered = new Set();
+        
+        this.renderSchedule.forEach((renderer) => {
+            const canvasData = this.canvases.get(renderer.canvasId);
+            if (!renderer.enabled || !canvasData || !canvasData.isActive || canvasData.contextLost) return;
             
-            // Execute all enabled callbacks
-            callbacks.forEach(({ callback, enabled }) => {
-                if (enabled) {
-                    try {
-                        callback({
-                            timestamp,
-                            deltaTime,
-                            globalTime: this.globalTime,
-                            canvas: canvasData.canvas,
-                            gl: canvasData.gl,
-                            mouse: this.mousePosition,
-                            mouseVelocity: this.mouseVelocity,
-                            scroll: this.scrollProgress,
-                            viewport: this.viewportSize,
-                            quality: this.qualityLevel
-                        });
-                    } catch (error) {
-                        console.error(`Render error in canvas ${canvasId}:`, error);
-                    }
+            // A virtual canvas runs all of its renderers at its first slot,
+            // since they draw into one region of the shared context
+            if (canvasData.virtual) {
+                if (!virtualRendered.has(canvasData.id)) {
+                    virtualRendered.add(canvasData.id);
+                    this.renderVirtualCanvas(canvasData, frame);
                 }
-            });
+                return;
+            }
             
-            // Update metrics
-            const renderTime = performance.now() - renderStart;
+            if (this.isRendererDue(renderer, frame)) {
+                this.runRenderer(renderer, canvasData, frame);
+            }
+        });
+        
+        // Update metrics
+        canvasCosts.forEach((renderTime, canvasId) => {
+            const canvasData = this.canvases.get(canvasId);
             canvasData.lastRenderTime = renderTime;
             canvasData.renderCount++;
+            if (canvasData.instrumentation && !canvasData.virtual) {
+                canvasData.instrumentation.endFrame();
+                canvasData.frameStats = canvasData.instrumentation.getStats();
+            }
             
             const metrics = this.performanceMetrics.get(canvasId);
             if (metrics) {
+                // fps is this canvas's own update rate, which drops below the
+                // page rate when the scheduler throttles it
+                const interval = timestamp - metrics.lastUpdate;
+                if (interval > 0) {
+                    metrics.fps += (1000 / interval - metrics.fps) * 0.2;
+                }
                 metrics.frameTime = renderTime;
-                metrics.fps = 1000 / renderTime;
+                metrics.cpuTime = renderTime;
                 metrics.lastUpdate = timestamp;
+                
+                if (canvasData.frameStats) {
+                    Object.assign(metrics, canvasData.frameStats);
+                }
             }
         });
         
-        requestAnimationFrame((t) => this.render(t));
+        this.lastFrameCost = performance.now() - frameStart;
+        if (budget) {
+            this.balanceRenderRates(this.lastFrameCost, topPriority);
+        }
+        
+        this.scheduleFrame();
+    }
+    
+    scheduleFrame() {
+        this.frameRequest = this.time.requestFrame((t) => this.render(t));
+    }
+    
+    cancelFrame() {
+        if (this.frameRequest !== null) {
+            this.time.cancelFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+    }
+    
+    /**
+     * Top priority tier always runs; lower tiers are rate-limited and skipped
+     * once the frame budget is spent
+     */
+    isRendererDue(renderer, frame) {
+        if (renderer.priority >= frame.topPriority || !frame.budget) return true;
+        
+        if (this.frameCount % renderer.interval !== renderer.id % renderer.interval) {
+            renderer.throttledFrames++;
+            this.throttledFrames++;
+            return false;
+        }
+        const spent = performance.now() - frame.frameStart;
+        frame.budgetSpent = frame.budgetSpent || spent + renderer.avgCost > frame.budget;
+        if (frame.budgetSpent && renderer.consecutiveSkips < this.maxRenderInterval) {
+            renderer.consecutiveSkips++;
+            renderer.skippedFrames++;
+            this.skippedFrames++;
+            return false;
+        }
+        return true;
+    }
+    
+    runRenderer(renderer, canvasData, frame) {
+        const { timestamp, deltaTime, canvasCosts } = frame;
+        if (!canvasCosts.has(renderer.canvasId)) {
+            canvasCosts.set(renderer.canvasId, 0);
+            if (canvasData.instrumentation) {
+                canvasData.instrumentation.beginFrame();
+            }
+        }
+        
+        const renderStart = performance.now();
+        try {
+            renderer.callback({
+                timestamp,
+                deltaTime: renderer.lastTimestamp === null ? deltaTime : timestamp - renderer.lastTimestamp,
+                globalTime: this.globalTime,
+                canvas: canvasData.canvas,
+                gl: canvasData.gl,
+                mouse: this.mousePosition,
+                mouseVelocity: this.mouseVelocity,
+                scroll: this.scrollProgress,
+                viewport: this.viewportSize,
+                quality: this.qualityLevel
+            });
+        } catch (error) {
+            console.error(`Render error in canvas ${renderer.canvasId}:`, error);
+        }
+        const cost = performance.now() - renderStart;
+        renderer.avgCost = renderer.lastTimestamp === null ? cost : renderer.avgCost + (cost - renderer.avgCost) * 0.2;
+        renderer.lastTimestamp = timestamp;
+        renderer.consecutiveSkips = 0;
+        canvasCosts.set(renderer.canvasId, canvasCosts.get(renderer.canvasId) + cost);
+    }
+    
+    /**
+     * Draw a visible virtual canvas into the bottom-left corner of the shared
+     * context and copy that region onto its 2D canvas
+     */
+    renderVirtualCanvas(canvasData, frame) {
+        const shared = this.sharedContext;
+        const { canvas, context2d } = canvasData;
+        const { width, height } = canvas;
+        if (!shared || !canvasData.isVisible || !width || !height) return;
+        
+        const due = (this.renderCallbacks.get(canvasData.id) || [])
+            .filter((renderer) => renderer.enabled && this.isRendererDue(renderer, frame));
+        if (!due.length) return;
+        
+        // Only ever grow the shared canvas; resizing reallocates its buffers
+        const target = shared.canvas;
+        if (target.width < width || target.height < height) {
+            target.width = Math.max(target.width, width);
+            target.height = Math.max(target.height, height);
+        }
+        
+        const gl = shared.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, width, height);
+        gl.enable(gl.SCISSOR_TEST);
+        gl.scissor(0, 0, width, height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        
+        due.forEach((renderer) => this.runRenderer(renderer, canvasData, frame));
+        
+        gl.disable(gl.SCISSOR_TEST);
+        if (canvasData.instrumentation) {
+            // GPU time is the shared context's, the counters are this canvas's
+            canvasData.instrumentation.endFrame();
+            canvasData.frameStats = canvasData.instrumentation.getStats();
+        }
+        
+        context2d.clearRect(0, 0, width, height);
+        context2d.drawImage(target, 0, target.height - height, width, height, 0, 0, width, height);
+    }
+    
+    /**
+     * Halve the update rate of the lowest-priority renderer after an
+     * over-budget frame; restore rates once frames stay well under budget
+     */
+    balanceRenderRates(frameCost, topPriority) {
+        if (frameCost > this.frameBudget) {
+            this.overBudgetFrames++;
+            this.underBudgetStreak = 0;
+            for (let i = this.renderSchedule.length - 1; i >= 0; i--) {
+                const renderer = this.renderSchedule[i];
+                if (renderer.priority >= topPriority) break;
+                if (renderer.enabled && renderer.interval < this.maxRenderInterval) {
+                    renderer.interval *= 2;
+                    return;
+                }
+            }
+            return;
+        }
+        
+        if (frameCost < this.frameBudget * 0.6 && ++this.underBudgetStreak >= 30) {
+            this.underBudgetStreak = 0;
+            const throttled = this.renderSchedule.find((renderer) => renderer.interval > 1);
+            if (throttled) {
+                throttled.interval /= 2;
+            }
+        }
+    }
+    
+    /**
+     * Set the per-frame render budget in ms (null or 0 renders everything)
+     */
+    setFrameBudget(ms) {
+        // Applied when deterministic mode ends
+        if (this.deterministic) {
+            this.deterministic.frameBudget = ms;
+            return;
+        }
+        this.frameBudget = Number.isFinite(ms) && ms > 0 ? ms : null;
+        if (!this.frameBudget) {
+            this.renderSchedule.forEach((renderer) => {
+                renderer.interval = 1;
+            });
+        }
+        console.log(`⏱️ Frame budget: ${this.frameBudget ? `${this.frameBudget}ms` : 'disabled'}`);
     }
     
     /**
@@ -313,7 +969,9 @@ export class CanvasManager {
      */
     start() {
         console.log('🎬 Canvas Manager: Starting render loop');
-        requestAnimationFrame((t) => this.render(t));
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.scheduleFrame();
     }
     
     /**
@@ -336,7 +994,14 @@ export class CanvasManager {
      */
     getMetrics(canvasId = null) {
         if (canvasId) {
-            return this.performanceMetrics.get(canvasId);
+            const metrics = this.performanceMetrics.get(canvasId);
+            if (!metrics) return metrics;
+            const callbacks = this.renderCallbacks.get(canvasId) || [];
+            return {
+                ...metrics,
+                skippedFrames: callbacks.reduce((total, renderer) => total + renderer.skippedFrames, 0),
+                throttledFrames: callbacks.reduce((total, renderer) => total + renderer.throttledFrames, 0)
+            };
         }
         
         // Return global metrics
@@ -345,7 +1010,25 @@ export class CanvasManager {
             quality: this.qualityLevel,
             activeCanvases: Array.from(this.canvases.values()).filter(c => c.isActive).length,
             totalCanvases: this.canvases.size,
-            frameCount: this.frameCount
+            lostContexts: Array.from(this.canvases.values()).filter(c => c.contextLost).length,
+            realContexts: this.getRealContextCount(),
+            pooledContexts: this.contextPool.length,
+            virtualCanvases: this.getVirtualCanvases().length,
+            visibleVirtualCanvases: this.getVirtualCanvases().filter(c => c.isVisible).length,
+            frameCount: this.frameCount,
+            frameBudget: this.frameBudget,
+            frameCost: this.lastFrameCost,
+            overBudgetFrames: this.overBudgetFrames,
+            skippedFrames: this.skippedFrames,
+            throttledFrames: this.throttledFrames,
+            renderers: this.renderSchedule.map((renderer) => ({
+                canvasId: renderer.canvasId,
+                priority: renderer.priority,
+                cost: renderer.avgCost,
+                interval: renderer.interval,
+                skippedFrames: renderer.skippedFrames,
+                throttledFrames: renderer.throttledFrames
+            }))
         };
     }
     
@@ -422,6 +1105,10 @@ export class CanvasManager {
      * Set adaptive quality mode
      */
     setAdaptiveQuality(enabled) {
+        if (this.deterministic) {
+            this.deterministic.adaptiveQuality = enabled;
+            return;
+        }
         this.adaptiveQuality = enabled;
         console.log(`📊 Adaptive quality: ${enabled ? 'enabled' : 'disabled'}`);
     }
@@ -447,8 +1134,19 @@ export class CanvasManager {
     dispose() {
         console.log('🧹 Disposing all canvases...');
         this.getAllCanvasIds().forEach(id => this.destroyCanvas(id));
+        this.contextPool.forEach((entry) => this.loseContext(entry.gl));
+        this.contextPool = [];
+        this.releaseSharedContext();
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
+            this.visibilityObserver = null;
+        }
         this.contexts.clear();
         this.performanceMetrics.clear();
         this.renderCallbacks.clear();
+        this.renderSchedule = [];
+        if (Utils.timeSource === this.time) {
+            Utils.useSources();
+        }
     }
 }
@@ -91,6 +91,18 @@ export class PerformanceMonitor {
                     <span class="perf-stat-value" id="perf-frame-count">--</span>
                 </div>
                 
+                <!-- Per-Canvas GPU Metrics -->
+                <div class="perf-canvas-metrics">
+                    <div class="perf-canvas-row perf-canvas-row-head">
+                        <span>Canvas</span>
+                        <span title="JavaScript time per frame">CPU</span>
+                        <span title="GPU time per frame (timer query)">GPU</span>
+                        <span>Draws</span>
+                        <span>Tris</span>
+                    </div>
+                    <div id="perf-canvas-list"></div>
+                </div>
+                
                 <!-- Adaptive Quality Toggle -->
                 <div class="perf-control">
                     <label class="perf-toggle">
@@ -270,6 +282,32 @@ export class PerformanceMonitor {
                 font-family: 'Monaco', 'Courier New', monospace;
             }
             
+            .perf-canvas-metrics {
+                margin-top: 12px;
+                font-family: 'Monaco', 'Courier New', monospace;
+                font-size: 11px;
+            }
+            
+            .perf-canvas-row {
+                display: grid;
+                grid-template-columns: 1fr 48px 48px 44px 52px;
+                gap: 4px;
+                padding: 4px 0;
+                text-align: right;
+            }
+            
+            .perf-canvas-row > span:first-child {
+                text-align: left;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            
+            .perf-canvas-row-head {
+                opacity: 0.6;
+                border-bottom: 1px solid ${this.options.theme === 'dark' ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'};
+            }
+            
             .perf-control {
                 margin: 16px 0;
             }
@@ -456,6 +494,41 @@ export class PerformanceMonitor {
         // Update Frame Count
         document.getElementById('perf-frame-count').textContent = 
             metrics.frameCount.toLocaleString();
+        
+        this.updateCanvasMetrics();
+    }
+    
+    updateCanvasMetrics() {
+        const list = document.getElementById('perf-canvas-list');
+        if (!list || typeof this.manager.getAllCanvasIds !== 'function') return;
+        
+        const formatCount = (value) => (value >= 10000 ? `${(value / 1000).toFixed(0)}k` : String(value || 0));
+        // Built with textContent: canvas ids come from callers and are not markup
+        const rows = [];
+        this.manager.getAllCanvasIds().forEach((canvasId) => {
+            const metrics = this.manager.getMetrics(canvasId);
+            if (!metrics) return;
+            const gpu = metrics.gpuTime != null
+                ? `${metrics.gpuTime.toFixed(1)}ms`
+                : (metrics.gpuTimerSupported ? '…' : 'n/a');
+            
+            const row = document.createElement('div');
+            row.className = 'perf-canvas-row';
+            [
+                canvasId,
+                `${(metrics.cpuTime || 0).toFixed(1)}ms`,
+                gpu,
+                String(metrics.drawCalls || 0),
+                formatCount(metrics.triangles)
+            ].forEach((text) => {
+                const cell = document.createElement('span');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            row.firstChild.title = canvasId;
+            rows.push(row);
+        });
+        list.replaceChildren(...rows);
     }
     
     drawGraph(canvasId, data, minValue, maxValue, color) {
@@ -1,13 +1,33 @@
 /**
  * ADDITION #3: Shader Preset System
  * Dynamic visual preset switching with smooth transitions
+ *
+ * Presets round-trip through a versioned JSON pack so looks can be tuned
+ * without touching JavaScript:
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "presets": {
+ *       "ember": {
+ *         "name": "Ember", "hue": 20, "chaos": 0.4, ...,
+ *         "transition": { "duration": 1600, "easing": "cubic-bezier(0.2, 0, 0, 1)",
+ *                         "curves": { "hue": "shortest", "gridDensity": "step" } }
+ *       }
+ *     }
+ *   }
+ *
+ * Packs load from a URL (loadPresetPack) or from inline
+ * <script type="application/json" data-shader-presets> blocks, which are
+ * picked up on construction and again by loadInlinePresetPacks()
  */
 
 export class ShaderPresetSystem {
     constructor(canvasManager) {
         this.manager = canvasManager;
         
-        this.presets = {
+        // Keyed by pack data, so no prototype: `constructor` and friends are
+        // never mistaken for stored presets
+        this.presets = Object.assign(Object.create(null), {
             quantum: {
                 name: 'Quantum Field',
                 gridDensity: 12,
@@ -96,16 +116,19 @@ export class ShaderPresetSystem {
                 speed: 0.5,
                 description: 'Flowing northern lights'
             }
-        };
+        });
         
         this.currentPreset = 'quantum';
         this.isTransitioning = false;
         this.transitionProgress = 0;
         this.transitionDuration = 2000; // ms
+        this.loadedPackElements = new WeakSet();
 
         // NO UI - Pure orchestration mode
         // Presets are controlled entirely by VisualOrchestrator based on scroll/interaction
         console.log('🎭 ShaderPresetSystem initialized in pure orchestration mode (no manual controls)');
+
+        this.loadInlinePresetPacks();
     }
     
     // UI removed - Pure orchestration mode
@@ -123,9 +146,12 @@ export class ShaderPresetSystem {
             return false;
         }
         
+        // Options override the transition stored with the preset
+        const transition = this.presets[presetKey].transition || {};
         const {
-            duration = this.transitionDuration,
-            easing = 'easeInOutCubic'
+            duration = transition.duration ?? this.transitionDuration,
+            easing = transition.easing || 'easeInOutCubic',
+            curves = transition.curves || null
         } = options;
         
         if (this.isTransitioning) {
@@ -140,14 +166,14 @@ export class ShaderPresetSystem {
         const targetPreset = this.presets[presetKey];
         
         // Find all quantum background engines and transition them
-        this.transitionBackgroundEngines(targetPreset, duration, easing);
+        this.transitionBackgroundEngines(targetPreset, duration, easing, curves);
         
         this.currentPreset = presetKey;
         
         return true;
     }
     
-    transitionBackgroundEngines(targetPreset, duration, easing) {
+    transitionBackgroundEngines(targetPreset, duration, easing, curves = null) {
         // This method should be called with access to your background engines
         // For now, we'll dispatch a custom event that engines can listen to
         
@@ -155,7 +181,8 @@ export class ShaderPresetSystem {
             detail: {
                 preset: targetPreset,
                 duration,
-                easing
+                easing,
+                curves
             }
         });
         
@@ -175,22 +202,23 @@ export class ShaderPresetSystem {
     }
     
     addCustomPreset(key, preset) {
+        if (!ShaderPresetSystem.isValidKey(key)) {
+            console.warn('⚠️ Invalid preset key:', key);
+            return false;
+        }
+
         if (this.presets[key]) {
             console.warn('Preset already exists:', key);
             return false;
         }
 
-        this.presets[key] = {
-            name: preset.name || 'Custom Preset',
-            gridDensity: preset.gridDensity || 12,
-            chaos: preset.chaos || 0.2,
-            morphFactor: preset.morphFactor || 1.0,
-            hue: preset.hue || 180,
-            intensity: preset.intensity || 0.5,
-            saturation: preset.saturation || 0.9,
-            speed: preset.speed || 0.6,
-            description: preset.description || 'Custom visual preset'
-        };
+        const { preset: normalized, errors } = ShaderPresetSystem.normalizePreset(preset, key);
+        if (!normalized) {
+            console.warn('⚠️ Invalid preset:', errors.join('; '));
+            return false;
+        }
+
+        this.presets[key] = normalized;
 
         // No UI updates in pure orchestration mode
         console.log('✅ Custom preset added (orchestrator-only):', key);
@@ -198,6 +226,242 @@ export class ShaderPresetSystem {
         return true;
     }
     
+    /**
+     * Serializable preset pack. Pass keys to export a subset
+     */
+    exportPresets(keys = Object.keys(this.presets)) {
+        const presets = {};
+        keys.forEach(key => {
+            if (this.presets[key]) {
+                presets[key] = JSON.parse(JSON.stringify(this.presets[key]));
+            }
+        });
+        
+        return {
+            schemaVersion: ShaderPresetSystem.SCHEMA_VERSION,
+            presets
+        };
+    }
+    
+    exportPresetsJSON(keys, space = 2) {
+        return JSON.stringify(this.exportPresets(keys), null, space);
+    }
+    
+    /**
+     * Add presets from a pack object or JSON string. Invalid presets are
+     * skipped and reported; existing keys are kept unless `overwrite` is set
+     * Returns { imported, skipped, errors }
+     */
+    importPresets(source, { overwrite = false } = {}) {
+        const result = { imported: [], skipped: [], errors: [] };
+        let pack = source;
+        
+        if (typeof source === 'string') {
+            try {
+                pack = JSON.parse(source);
+            } catch (error) {
+                result.errors.push(`Invalid JSON: ${error.message}`);
+                console.warn('⚠️ Preset pack rejected:', result.errors[0]);
+                return result;
+            }
+        }
+        
+        const packErrors = ShaderPresetSystem.validatePack(pack);
+        if (packErrors.length) {
+            result.errors.push(...packErrors);
+            console.warn('⚠️ Preset pack rejected:', packErrors.join('; '));
+            return result;
+        }
+        
+        Object.entries(pack.presets).forEach(([key, data]) => {
+            const { preset, errors } = ShaderPresetSystem.normalizePreset(data, `presets.${key}`);
+            
+            if (!preset) {
+                result.errors.push(...errors);
+                result.skipped.push(key);
+            } else if (this.presets[key] && !overwrite) {
+                result.skipped.push(key);
+            } else {
+                this.presets[key] = preset;
+                result.imported.push(key);
+            }
+        });
+        
+        if (result.errors.length) {
+            console.warn('⚠️ Skipped invalid presets:', result.errors.join('; '));
+        }
+        console.log(`✅ Imported ${result.imported.length} preset(s)`);
+        
+        return result;
+    }
+    
+    /**
+     * Fetch a preset pack and import it
+     */
+    async loadPresetPack(url, options = {}) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return this.importPresets(await response.json(), options);
+        } catch (error) {
+            console.warn('⚠️ Could not load preset pack:', url, error);
+            return { imported: [], skipped: [], errors: [`${url}: ${error.message}`] };
+        }
+    }
+    
+    /**
+     * Import a pack from an inline <script type="application/json"> element
+     * (or a selector for one). `data-overwrite` lets it replace existing keys
+     */
+    loadInlinePresetPack(elementOrSelector, options = {}) {
+        const element = typeof elementOrSelector === 'string'
+            ? document.querySelector(elementOrSelector)
+            : elementOrSelector;
+        
+        if (!element) {
+            console.warn('⚠️ Preset pack element not found:', elementOrSelector);
+            return { imported: [], skipped: [], errors: ['Preset pack element not found'] };
+        }
+        
+        const overwrite = options.overwrite ?? (element.dataset && element.dataset.overwrite !== undefined);
+        this.loadedPackElements.add(element);
+        return this.importPresets(element.textContent, { ...options, overwrite });
+    }
+    
+    /**
+     * Import every inline pack on the page that hasn't been imported yet.
+     * Safe to call again after packs are added
+     */
+    loadInlinePresetPacks() {
+        if (typeof document === 'undefined') return;
+        
+        document.querySelectorAll('script[type="application/json"][data-shader-presets]')
+            .forEach(element => {
+                if (!this.loadedPackElements.has(element)) {
+                    this.loadInlinePresetPack(element);
+                }
+            });
+    }
+    
+    // Preset schema
+    static SCHEMA_VERSION = 1;
+    
+    static PARAMETERS = {
+        gridDensity: { min: 1, max: 100, default: 12 },
+        chaos: { min: 0, max: 1, default: 0.2 },
+        morphFactor: { min: 0, max: 5, default: 1.0 },
+        hue: { min: 0, max: 360, default: 180, wrap: true },
+        intensity: { min: 0, max: 1, default: 0.5 },
+        saturation: { min: 0, max: 1, default: 0.9 },
+        speed: { min: 0, max: 5, default: 0.6 }
+    };
+    
+    static isValidKey(key) {
+        return typeof key === 'string' && /^[A-Za-z][\w-]*$/.test(key);
+    }
+    
+    static validatePack(pack) {
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+            return ['Preset pack must be an object'];
+        }
+        
+        const errors = [];
+        const version = pack.schemaVersion;
+        if (!Number.isInteger(version) || version < 1) {
+            errors.push('schemaVersion: expected a positive integer');
+        } else if (version > ShaderPresetSystem.SCHEMA_VERSION) {
+            errors.push(`schemaVersion: ${version} is newer than supported (${ShaderPresetSystem.SCHEMA_VERSION})`);
+        }
+        
+        if (!pack.presets || typeof pack.presets !== 'object' || Array.isArray(pack.presets)) {
+            errors.push('presets: expected an object of presets by key');
+        } else {
+            Object.keys(pack.presets).forEach(key => {
+                if (!ShaderPresetSystem.isValidKey(key)) {
+                    errors.push(`presets.${key}: keys must start with a letter and use letters, digits, _ or -`);
+                }
+            });
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Validate a preset and fill in defaults for missing parameters
+     * Returns { preset, errors }; preset is null when anything is invalid
+     */
+    static normalizePreset(data, path = 'preset') {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { preset: null, errors: [`${path}: expected an object`] };
+        }
+        
+        const errors = [];
+        const preset = {
+            name: typeof data.name === 'string' && data.name ? data.name : 'Custom Preset'
+        };
+        
+        Object.entries(ShaderPresetSystem.PARAMETERS).forEach(([key, spec]) => {
+            const value = data[key];
+            if (value === undefined) {
+                preset[key] = spec.default;
+            } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${path}.${key}: expected a number`);
+            } else if (spec.wrap) {
+                preset[key] = ((value % spec.max) + spec.max) % spec.max;
+            } else if (value < spec.min || value > spec.max) {
+                errors.push(`${path}.${key}: ${value} is outside ${spec.min}-${spec.max}`);
+            } else {
+                preset[key] = value;
+            }
+        });
+        
+        preset.description = typeof data.description === 'string' ? data.description : 'Custom visual preset';
+        
+        if (data.transition !== undefined) {
+            const transitionErrors = ShaderPresetSystem.validateTransition(data.transition, `${path}.transition`);
+            if (transitionErrors.length) {
+                errors.push(...transitionErrors);
+            } else {
+                preset.transition = JSON.parse(JSON.stringify(data.transition));
+            }
+        }
+        
+        return { preset: errors.length ? null : preset, errors };
+    }
+    
+    static validateTransition(transition, path = 'transition') {
+        if (!transition || typeof transition !== 'object' || Array.isArray(transition)) {
+            return [`${path}: expected an object`];
+        }
+        
+        const errors = [];
+        const { duration, easing, curves } = transition;
+        
+        if (duration !== undefined && (typeof duration !== 'number' || !(duration >= 0))) {
+            errors.push(`${path}.duration: expected milliseconds >= 0`);
+        }
+        if (easing !== undefined && !ShaderPresetSystem.resolveEasing(easing)) {
+            errors.push(`${path}.easing: unknown easing "${easing}"`);
+        }
+        if (curves !== undefined) {
+            if (!curves || typeof curves !== 'object' || Array.isArray(curves)) {
+                errors.push(`${path}.curves: expected an object of curves by parameter`);
+            } else {
+                Object.entries(curves).forEach(([key, curve]) => {
+                    if (!ShaderPresetSystem.PARAMETERS[key]) {
+                        errors.push(`${path}.curves.${key}: unknown parameter`);
+                    } else if (!ShaderPresetSystem.resolveCurve(curve)) {
+                        errors.push(`${path}.curves.${key}: expected an easing, a path (${Object.keys(ShaderPresetSystem.paths).join(', ')}) or { easing, path }`);
+                    }
+                });
+            }
+        }
+        
+        return errors;
+    }
+    
     // Easing functions
     static easings = {
         linear: t => t,
@@ -216,22 +480,133 @@ export class ShaderPresetSystem {
         }
     };
     
+    // How a parameter travels from start to end value, given eased progress
+    static paths = {
+        linear: (from, to, t) => from + (to - from) * t,
+        // Around the colour wheel the short way, e.g. 350 -> 10 via 0
+        shortest: (from, to, t) => {
+            const delta = ((((to - from) % 360) + 540) % 360) - 180;
+            return (((from + delta * t) % 360) + 360) % 360;
+        },
+        // Jump at the end, for values that should not pass through in-betweens
+        step: (from, to, t) => (t < 1 ? from : to)
+    };
+    
+    // Per-parameter curves applied unless a transition overrides them
+    static DEFAULT_CURVES = {
+        hue: 'shortest'
+    };
+    
+    /**
+     * CSS-style cubic-bezier easing; x1 and x2 must be within [0, 1]
+     */
+    static cubicBezier(x1, y1, x2, y2) {
+        const sample = (a1, a2, t) => (((1 - 3 * a2 + 3 * a1) * t + (3 * a2 - 6 * a1)) * t + 3 * a1) * t;
+        const slope = (a1, a2, t) => 3 * (1 - 3 * a2 + 3 * a1) * t * t + 2 * (3 * a2 - 6 * a1) * t + 3 * a1;
+        
+        return x => {
+            if (x <= 0) return 0;
+            if (x >= 1) return 1;
+            
+            // Newton-Raphson, falling back to bisection on flat slopes
+            let t = x;
+            for (let i = 0; i < 8; i++) {
+                const error = sample(x1, x2, t) - x;
+                if (Math.abs(error) < 1e-6) return sample(y1, y2, t);
+                const d = slope(x1, x2, t);
+                if (Math.abs(d) < 1e-6) break;
+                t -= error / d;
+            }
+            
+            let low = 0;
+            let high = 1;
+            t = x;
+            while (high - low > 1e-6) {
+                if (sample(x1, x2, t) < x) {
+                    low = t;
+                } else {
+                    high = t;
+                }
+                t = (low + high) / 2;
+            }
+            return sample(y1, y2, t);
+        };
+    }
+    
+    /**
+     * Easing function for a name in `easings`, a "cubic-bezier(...)" string
+     * or a function. Null when it cannot be resolved
+     */
+    static resolveEasing(easing) {
+        if (typeof easing === 'function') return easing;
+        if (typeof easing !== 'string') return null;
+        if (ShaderPresetSystem.easings[easing]) return ShaderPresetSystem.easings[easing];
+        
+        const match = easing.match(/^cubic-bezier\(([^)]*)\)$/);
+        if (!match) return null;
+        
+        const points = match[1].split(',').map(Number);
+        if (points.length !== 4 || points.some(value => !Number.isFinite(value)) ||
+            points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) {
+            return null;
+        }
+        return ShaderPresetSystem.cubicBezier(...points);
+    }
+    
+    /**
+     * Normalize a curve spec: a path name, an easing, or { easing, path }
+     * Returns { easing: fn | null, path } or null when invalid
+     */
+    static resolveCurve(curve) {
+        if (typeof curve === 'string' && ShaderPresetSystem.paths[curve]) {
+            return { easing: null, path: curve };
+        }
+        if (typeof curve === 'string' || typeof curve === 'function') {
+            const easing = ShaderPresetSystem.resolveEasing(curve);
+            return easing ? { easing, path: 'linear' } : null;
+        }
+        if (curve && typeof curve === 'object') {
+            const easing = curve.easing === undefined ? null : ShaderPresetSystem.resolveEasing(curve.easing);
+            const path = curve.path === undefined ? 'linear' : curve.path;
+            if ((curve.easing !== undefined && !easing) || !ShaderPresetSystem.paths[path]) return null;
+            return { easing, path };
+        }
+        return null;
+    }
+    
     /**
-     * Animate parameters from current to target values
+     * Animate parameters from current to target values. Pass the canvas
+     * manager's `time` source to follow its clock (deterministic mode), and
+     * `curves` to give parameters their own easing or path on top of
+     * DEFAULT_CURVES
      */
-    static animateParams(current, target, duration, easingName = 'easeInOutCubic', onUpdate) {
-        const start = Date.now();
+    static animateParams(current, target, duration, easingName = 'easeInOutCubic', onUpdate, time = null, curves = null) {
+        const now = () => (time ? time.now() : Date.now());
+        const requestFrame = (callback) => (time ? time.requestFrame(callback) : requestAnimationFrame(callback));
+        const start = now();
         const initial = { ...current };
-        const easing = ShaderPresetSystem.easings[easingName] || ShaderPresetSystem.easings.easeInOutCubic;
+        const easing = ShaderPresetSystem.resolveEasing(easingName) || ShaderPresetSystem.easings.easeInOutCubic;
+        
+        const paramCurves = {};
+        Object.entries({ ...ShaderPresetSystem.DEFAULT_CURVES, ...curves }).forEach(([key, spec]) => {
+            const curve = ShaderPresetSystem.resolveCurve(spec);
+            if (curve) {
+                paramCurves[key] = curve;
+            } else {
+                console.warn(`⚠️ Ignoring invalid curve for ${key}:`, spec);
+            }
+        });
         
         const animate = () => {
-            const elapsed = Date.now() - start;
-            const progress = Math.min(elapsed / duration, 1);
-            const eased = easing(progress);
+            const elapsed = now() - start;
+            const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
             
             Object.keys(target).forEach(key => {
                 if (typeof target[key] === 'number' && typeof initial[key] === 'number') {
-                    current[key] = initial[key] + (target[key] - initial[key]) * eased;
+                    const curve = paramCurves[key];
+                    const eased = (curve && curve.easing ? curve.easing : easing)(progress);
+                    const interpolate = ShaderPresetSystem.paths[curve ? curve.path : 'linear'];
+                    current[key] = interpolate(initial[key], target[key], eased);
                 }
             });
             
@@ -240,7 +615,7 @@ export class ShaderPresetSystem {
             }
             
             if (progress < 1) {
-                requestAnimationFrame(animate);
+                requestFrame(animate);
             }
         };
         
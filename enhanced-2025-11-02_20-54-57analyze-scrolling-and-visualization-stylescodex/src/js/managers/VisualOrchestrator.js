@@ -7,6 +7,7 @@
 export class VisualOrchestrator {
     constructor(canvasManager) {
         this.manager = canvasManager;
+        this.time = canvasManager.time;
         
         // State tracking
         this.state = {
@@ -118,7 +119,7 @@ export class VisualOrchestrator {
             userEnergy: 1.0
         };
         
-        this.lastUpdateTime = performance.now();
+        this.lastUpdateTime = this.time.now();
         this.lastScrollY = window.pageYOffset;
         this.lastMousePos = { x: 0.5, y: 0.5 };
         
@@ -287,10 +288,10 @@ export class VisualOrchestrator {
             // Broadcast current visual state
             this.broadcastState();
             
-            requestAnimationFrame(update);
+            this.time.requestFrame(update);
         };
         
-        requestAnimationFrame(update);
+        this.time.requestFrame(update);
     }
     
     calculateMultipliers() {
@@ -394,7 +395,7 @@ export class VisualOrchestrator {
     }
     
     getTimeOfDay() {
-        const hour = new Date().getHours();
+        const hour = this.time.date().getHours();
         if (hour >= 5 && hour < 12) return 'morning';
         if (hour >= 12 && hour < 17) return 'afternoon';
         if (hour >= 17 && hour < 21) return 'evening';
@@ -0,0 +1,214 @@
+/**
+ * GL Instrumentation
+ * Counts draw calls, triangles and program switches on a WebGL context and
+ * measures GPU time with EXT_disjoint_timer_query(_webgl2) where available
+ */
+
+const MAX_PENDING_QUERIES = 4;
+
+export class GLInstrumentation {
+    constructor(gl) {
+        this.gl = gl;
+        this.isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+        this.originals = {};
+        this.frame = { drawCalls: 0, triangles: 0, programSwitches: 0 };
+        this.lastFrame = { drawCalls: 0, triangles: 0, programSwitches: 0 };
+        this.currentProgram = null;
+        this.gpuTime = null;
+        this.activeQuery = null;
+        this.pendingQueries = [];
+
+        this.timerExt = this.isWebGL2
+            ? gl.getExtension('EXT_disjoint_timer_query_webgl2')
+            : gl.getExtension('EXT_disjoint_timer_query');
+
+        this.wrapContext();
+    }
+
+    /**
+     * Shadow the draw and program methods on the context instance so callers
+     * keep using the same `gl` object
+     */
+    wrapContext() {
+        const gl = this.gl;
+        const wrap = (name, counter) => {
+            if (typeof gl[name] !== 'function') return;
+            const original = gl[name];
+            this.originals[name] = original;
+            gl[name] = (...args) => {
+                counter(...args);
+                return original.apply(gl, args);
+            };
+        };
+
+        wrap('drawArrays', (mode, first, count) => this.countDraw(mode, count, 1));
+        wrap('drawElements', (mode, count) => this.countDraw(mode, count, 1));
+        wrap('drawArraysInstanced', (mode, first, count, instances) => this.countDraw(mode, count, instances));
+        wrap('drawElementsInstanced', (mode, count, type, offset, instances) => this.countDraw(mode, count, instances));
+        wrap('drawRangeElements', (mode, start, end, count) => this.countDraw(mode, count, 1));
+        wrap('useProgram', (program) => {
+            if (program !== this.currentProgram) {
+                this.frame.programSwitches++;
+                this.currentProgram = program;
+            }
+        });
+
+        // WebGL1 instancing lives on the ANGLE extension object
+        if (!this.isWebGL2) {
+            const getExtension = gl.getExtension;
+            this.originals.getExtension = getExtension;
+            gl.getExtension = (name) => {
+                const ext = getExtension.call(gl, name);
+                if (ext && name === 'ANGLE_instanced_arrays' && !ext.__instrumented) {
+                    const drawArrays = ext.drawArraysInstancedANGLE;
+                    const drawElements = ext.drawElementsInstancedANGLE;
+                    ext.drawArraysInstancedANGLE = (mode, first, count, instances) => {
+                        this.countDraw(mode, count, instances);
+                        return drawArrays.call(ext, mode, first, count, instances);
+                    };
+                    ext.drawElementsInstancedANGLE = (mode, count, type, offset, instances) => {
+                        this.countDraw(mode, count, instances);
+                        return drawElements.call(ext, mode, count, type, offset, instances);
+                    };
+                    ext.__instrumented = true;
+                }
+                return ext;
+            };
+        }
+    }
+
+    countDraw(mode, count, instances = 1) {
+        const gl = this.gl;
+        this.frame.drawCalls++;
+        let triangles = 0;
+        if (mode === gl.TRIANGLES) {
+            triangles = Math.floor(count / 3);
+        } else if (mode === gl.TRIANGLE_STRIP || mode === gl.TRIANGLE_FAN) {
+            triangles = Math.max(0, count - 2);
+        }
+        this.frame.triangles += triangles * Math.max(1, instances || 1);
+    }
+
+    /**
+     * Reset per-frame counters and open a GPU timer query
+     */
+    beginFrame() {
+        this.frame.drawCalls = 0;
+        this.frame.triangles = 0;
+        this.frame.programSwitches = 0;
+        this.pollQueries();
+
+        if (!this.timerExt || this.activeQuery || this.pendingQueries.length >= MAX_PENDING_QUERIES) return;
+
+        const gl = this.gl;
+        const ext = this.timerExt;
+        if (this.isWebGL2) {
+            this.activeQuery = gl.createQuery();
+            gl.beginQuery(ext.TIME_ELAPSED_EXT, this.activeQuery);
+        } else {
+            this.activeQuery = ext.createQueryEXT();
+            ext.beginQueryEXT(ext.TIME_ELAPSED_EXT, this.activeQuery);
+        }
+    }
+
+    /**
+     * Close the timer query and publish this frame's counters
+     */
+    endFrame() {
+        if (this.activeQuery) {
+            const ext = this.timerExt;
+            if (this.isWebGL2) {
+                this.gl.endQuery(ext.TIME_ELAPSED_EXT);
+            } else {
+                ext.endQueryEXT(ext.TIME_ELAPSED_EXT);
+            }
+            this.pendingQueries.push(this.activeQuery);
+            this.activeQuery = null;
+        }
+        this.lastFrame = { ...this.frame };
+    }
+
+    /**
+     * Collect finished timer queries; results arrive a few frames late
+     */
+    pollQueries() {
+        if (!this.pendingQueries.length) return;
+
+        const gl = this.gl;
+        const ext = this.timerExt;
+        const disjoint = gl.getParameter(ext.GPU_DISJOINT_EXT);
+
+        while (this.pendingQueries.length) {
+            const query = this.pendingQueries[0];
+            const available = this.isWebGL2
+                ? gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)
+                : ext.getQueryObjectEXT(query, ext.QUERY_RESULT_AVAILABLE_EXT);
+            if (!available && !disjoint) break;
+
+            this.pendingQueries.shift();
+            if (!disjoint) {
+                const elapsedNs = this.isWebGL2
+                    ? gl.getQueryParameter(query, gl.QUERY_RESULT)
+                    : ext.getQueryObjectEXT(query, ext.QUERY_RESULT_EXT);
+                const elapsedMs = elapsedNs / 1e6;
+                this.gpuTime = this.gpuTime === null ? elapsedMs : this.gpuTime + (elapsedMs - this.gpuTime) * 0.2;
+            }
+            this.deleteQuery(query);
+        }
+    }
+
+    deleteQuery(query) {
+        if (this.isWebGL2) {
+            this.gl.deleteQuery(query);
+        } else {
+            this.timerExt.deleteQueryEXT(query);
+        }
+    }
+
+    /**
+     * Counters from the last completed frame
+     */
+    getStats() {
+        return {
+            drawCalls: this.lastFrame.drawCalls,
+            triangles: this.lastFrame.triangles,
+            programSwitches: this.lastFrame.programSwitches,
+            gpuTime: this.gpuTime,
+            gpuTimerSupported: Boolean(this.timerExt)
+        };
+    }
+
+    /**
+     * Forget queries and re-fetch the timer extension; both are invalidated
+     * when the context is lost
+     */
+    reset() {
+        this.pendingQueries = [];
+        this.activeQuery = null;
+        this.currentProgram = null;
+        this.gpuTime = null;
+        if (!this.gl.isContextLost()) {
+            this.timerExt = this.isWebGL2
+                ? this.gl.getExtension('EXT_disjoint_timer_query_webgl2')
+                : this.gl.getExtension('EXT_disjoint_timer_query');
+        }
+    }
+
+    /**
+     * Release queries and restore the context's own methods
+     */
+    dispose() {
+        if (this.timerExt && !this.gl.isContextLost()) {
+            if (this.activeQuery) {
+                this.endFrame();
+            }
+            this.pendingQueries.forEach((query) => this.deleteQuery(query));
+        }
+        this.pendingQueries = [];
+        this.activeQuery = null;
+        Object.keys(this.originals).forEach((name) => {
+            delete this.gl[name];
+        });
+        this.originals = {};
+    }
+}
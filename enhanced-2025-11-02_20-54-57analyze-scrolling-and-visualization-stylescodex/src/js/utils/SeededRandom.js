@@ -0,0 +1,80 @@
+/**
+ * Seeded Random
+ * mulberry32 PRNG with named child streams. Each visualizer forks its own
+ * stream by label, so adding or reordering visualizers does not shift the
+ * numbers any other one draws
+ */
+
+const hashString = (value) => {
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+export class SeededRandom {
+    constructor(seed = null) {
+        this.children = new Map();
+        this.label = '';
+        this.reseed(seed);
+    }
+
+    /**
+     * Restart the sequence. A null seed picks a random one (the default,
+     * non-deterministic behaviour). Forked streams are reseeded as well
+     */
+    reseed(seed = null) {
+        this.seed = seed === null ? Math.floor(Math.random() * 0x100000000) : (Number(seed) >>> 0);
+        this.state = this.seed;
+        this.children.forEach((child, label) => child.reseed(this.childSeed(label)));
+    }
+
+    childSeed(label) {
+        return (this.seed ^ hashString(String(label))) >>> 0;
+    }
+
+    /**
+     * Stream for `label`; the same label always returns the same stream
+     */
+    fork(label) {
+        if (!this.children.has(label)) {
+            const child = new SeededRandom(this.childSeed(label));
+            child.label = String(label);
+            this.children.set(label, child);
+        }
+        return this.children.get(label);
+    }
+
+    /**
+     * Next float in [0, 1), a drop-in for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+
+    /**
+     * Base-36 identifier, e.g. for generated element ids
+     */
+    id(length = 9) {
+        let id = '';
+        while (id.length < length) {
+            id += Math.floor(this.next() * 36).toString(36);
+        }
+        return id;
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * Time Source
+ * Shared clock and frame scheduler. In realtime mode it wraps
+ * performance.now() and requestAnimationFrame; in manual mode time only moves
+ * when step() is called, so every frame-driven system renders the same
+ * sequence of timestamps on every run
+ */
+
+export class TimeSource {
+    constructor() {
+        this.manual = false;
+        this.manualTime = 0;
+        this.epoch = 0; // wall-clock ms that manual time 0 maps to
+        this.frameMs = 1000 / 60;
+        this.frameQueue = new Map();
+        this.nextFrameId = 1;
+    }
+
+    /**
+     * Switch to manual stepping. `startTime` fixes the wall clock seen through
+     * date(); `frameMs` is the length of one step()
+     */
+    setManual({ startTime = Date.UTC(2025, 0, 1, 12), frameMs = 1000 / 60 } = {}) {
+        this.manual = true;
+        this.manualTime = 0;
+        this.epoch = startTime instanceof Date ? startTime.getTime() : Number(startTime);
+        this.frameMs = frameMs;
+        this.frameQueue.clear();
+    }
+
+    /**
+     * Back to the real clock. Frames queued while manual are handed to
+     * requestAnimationFrame so running loops keep going
+     */
+    setRealtime() {
+        if (!this.manual) return;
+
+        this.manual = false;
+        const pending = Array.from(this.frameQueue.values());
+        this.frameQueue.clear();
+        pending.forEach((callback) => requestAnimationFrame(callback));
+    }
+
+    now() {
+        return this.manual ? this.manualTime : performance.now();
+    }
+
+    /**
+     * Current wall-clock date, frozen at startTime + elapsed in manual mode
+     */
+    date() {
+        return this.manual ? new Date(this.epoch + this.manualTime) : new Date();
+    }
+
+    requestFrame(callback) {
+        if (!this.manual) {
+            return requestAnimationFrame(callback);
+        }
+        const id = this.nextFrameId++;
+        this.frameQueue.set(id, callback);
+        return id;
+    }
+
+    cancelFrame(id) {
+        if (this.manual) {
+            this.frameQueue.delete(id);
+        } else {
+            cancelAnimationFrame(id);
+        }
+    }
+
+    /**
+     * Advance manual time by `frames` frames, running the callbacks queued
+     * for each one. Returns the new time
+     */
+    step(frames = 1) {
+        if (!this.manual) {
+            console.warn('⚠️ TimeSource.step() ignored outside manual mode');
+            return this.now();
+        }
+
+        for (let i = 0; i < frames; i++) {
+            this.manualTime += this.frameMs;
+            // Callbacks requested during this frame run on the next one
+            const callbacks = Array.from(this.frameQueue.values());
+            this.frameQueue.clear();
+            callbacks.forEach((callback) => {
+                try {
+                    callback(this.manualTime);
+                } catch (error) {
+                    console.error('Frame callback error:', error);
+                }
+            });
+        }
+        return this.manualTime;
+    }
+}
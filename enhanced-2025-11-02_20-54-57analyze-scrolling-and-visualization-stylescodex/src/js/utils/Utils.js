@@ -160,11 +160,32 @@ export const Utils = {
                };
     },
     
+    /**
+     * Clock and PRNG behind now(), random(), randomFloat() and
+     * generateUUID(). CanvasManager points them at its TimeSource and a
+     * SeededRandom stream so deterministic mode covers these helpers too;
+     * unset, they use performance.now() and Math.random()
+     */
+    timeSource: null,
+    randomSource: null,
+    
+    useSources({ time = null, random = null } = {}) {
+        this.timeSource = time;
+        this.randomSource = random;
+    },
+    
+    /**
+     * Random float in [0, 1)
+     */
+    random() {
+        return this.randomSource ? this.randomSource.next() : Math.random();
+    },
+    
     /**
      * Get random float between min and max
      */
     randomFloat(min, max) {
-        return min + Math.random() * (max - min);
+        return min + this.random() * (max - min);
     },
     
     /**
@@ -237,6 +258,27 @@ export const Utils = {
         return urlParams.get(param);
     },
     
+    /**
+     * Deterministic mode settings for CanvasManager, or null. Enabled with
+     * `?deterministic` (optionally `=<seed>`) or `?seed=<n>` in the URL, or by
+     * setting `window.__CLEAR_SEAS_DETERMINISTIC` (true or { seed, startTime,
+     * frameMs }) before the app loads
+     */
+    getDeterministicSettings() {
+        const preset = window.__CLEAR_SEAS_DETERMINISTIC;
+        if (preset) {
+            return preset === true ? { seed: 1 } : { seed: 1, ...preset };
+        }
+        
+        const flag = this.getQueryParam('deterministic');
+        const seed = this.getQueryParam('seed');
+        if (flag === null && seed === null) return null;
+        if (flag === 'false' || flag === '0') return null;
+        
+        const parsed = parseInt(seed !== null ? seed : flag, 10);
+        return { seed: Number.isFinite(parsed) ? parsed : 1 };
+    },
+    
     /**
      * Deep clone object
      */
@@ -261,8 +303,8 @@ export const Utils = {
      * Generate UUID
      */
     generateUUID() {
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-            const r = Math.random() * 16 | 0;
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+            const r = this.random() * 16 | 0;
             const v = c === 'x' ? r : (r & 0x3 | 0x8);
             return v.toString(16);
         });
@@ -291,6 +333,7 @@ export const Utils = {
      * Performance now with fallback
      */
     now() {
+        if (this.timeSource) return this.timeSource.now();
         return (performance && performance.now) ? performance.now() : Date.now();
     }
 };
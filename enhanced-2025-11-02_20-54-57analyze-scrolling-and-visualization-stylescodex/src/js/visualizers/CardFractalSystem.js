@@ -3,8 +3,17 @@
  * Cards decay fractally with color occlusions and reform through emergence
  */
 
+import { TimeSource } from '../utils/TimeSource.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
 export class CardFractalSystem {
-    constructor() {
+    /**
+     * Takes time and randomness from `canvasManager` when given, so effects
+     * replay identically in deterministic mode
+     */
+    constructor(canvasManager = null) {
+        this.time = canvasManager ? canvasManager.time : new TimeSource();
+        this.random = canvasManager ? canvasManager.createRandom('card-fractal') : new SeededRandom();
         this.cards = new Map();
         this.canvases = new Map();
         this.contexts = new Map();
@@ -23,7 +32,7 @@ export class CardFractalSystem {
     }
     
     prepareCard(card) {
-        const cardId = card.dataset.cardId || `card-${Math.random().toString(36).substr(2, 9)}`;
+        const cardId = card.dataset.cardId || `card-${this.random.id(9)}`;
         card.dataset.cardId = cardId;
         
         // Create canvas overlay for effects
@@ -96,7 +105,7 @@ export class CardFractalSystem {
             type: 'decay',
             progress: 0,
             duration: 1200,
-            startTime: performance.now(),
+            startTime: this.time.now(),
             cancelled: false,
             particles: []
         };
@@ -115,7 +124,7 @@ export class CardFractalSystem {
         // Create particles in fractal pattern
         for (let i = 0; i < Math.min(particleCount, 500); i++) {
             const angle = (i / particleCount) * Math.PI * 2;
-            const radius = Math.random();
+            const radius = this.random.next();
             
             // Fractal distribution using recursive subdivision
             const fractalX = this.fractalPosition(i, particleCount, depth);
@@ -124,15 +133,15 @@ export class CardFractalSystem {
             effect.particles.push({
                 x: fractalX * rect.width * 2,
                 y: fractalY * rect.height * 2,
-                vx: (Math.random() - 0.5) * 3,
-                vy: (Math.random() - 0.5) * 3,
-                size: Math.random() * 4 + 1,
+                vx: (this.random.next() - 0.5) * 3,
+                vy: (this.random.next() - 0.5) * 3,
+                size: this.random.next() * 4 + 1,
                 life: 1.0,
-                decay: Math.random() * 0.02 + 0.01,
-                hue: color.h + (Math.random() - 0.5) * 60,
+                decay: this.random.next() * 0.02 + 0.01,
+                hue: color.h + (this.random.next() - 0.5) * 60,
                 sat: color.s,
                 val: color.v,
-                depth: Math.random() * depth
+                depth: this.random.next() * depth
             });
         }
     }
@@ -169,7 +178,7 @@ export class CardFractalSystem {
             type: 'emergence',
             progress: 0,
             duration: 1500,
-            startTime: performance.now(),
+            startTime: this.time.now(),
             cancelled: false,
             agents: []
         };
@@ -187,22 +196,22 @@ export class CardFractalSystem {
         
         // Create agents that will form emergent patterns
         for (let i = 0; i < agentCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const radius = Math.random() * Math.max(rect.width, rect.height);
+            const angle = this.random.next() * Math.PI * 2;
+            const radius = this.random.next() * Math.max(rect.width, rect.height);
             
             effect.agents.push({
                 x: rect.width + Math.cos(angle) * radius,
                 y: rect.height + Math.sin(angle) * radius,
-                targetX: (Math.random() * 0.6 + 0.2) * rect.width * 2,
-                targetY: (Math.random() * 0.6 + 0.2) * rect.height * 2,
+                targetX: (this.random.next() * 0.6 + 0.2) * rect.width * 2,
+                targetY: (this.random.next() * 0.6 + 0.2) * rect.height * 2,
                 vx: 0,
                 vy: 0,
-                size: Math.random() * 3 + 1,
-                hue: color.h + (Math.random() - 0.5) * 40,
+                size: this.random.next() * 3 + 1,
+                hue: color.h + (this.random.next() - 0.5) * 40,
                 sat: color.s,
                 val: color.v,
-                phase: Math.random() * Math.PI * 2,
-                speed: 0.02 + Math.random() * 0.03
+                phase: this.random.next() * Math.PI * 2,
+                speed: 0.02 + this.random.next() * 0.03
             });
         }
     }
@@ -214,7 +223,7 @@ export class CardFractalSystem {
             return;
         }
         
-        const now = performance.now();
+        const now = this.time.now();
         effect.progress = Math.min(1, (now - effect.startTime) / effect.duration);
         
         if (effect.type === 'decay') {
@@ -224,7 +233,7 @@ export class CardFractalSystem {
         }
         
         if (effect.progress < 1) {
-            requestAnimationFrame(() => this.animateEffect(cardId));
+            this.time.requestFrame(() => this.animateEffect(cardId));
         } else {
             this.activeEffects.delete(cardId);
             this.clearCanvas(cardId);
@@ -288,8 +297,8 @@ export class CardFractalSystem {
             const gridSize = 8;
             for (let x = 0; x < canvas.width; x += gridSize) {
                 for (let y = 0; y < canvas.height; y += gridSize) {
-                    if (Math.random() > effect.progress) {
-                        ctx.fillRect(x, y, gridSize * Math.random(), gridSize * Math.random());
+                    if (this.random.next() > effect.progress) {
+                        ctx.fillRect(x, y, gridSize * this.random.next(), gridSize * this.random.next());
                     }
                 }
             }
@@ -46,11 +46,25 @@ export class EnhancedQuantumBackground {
         this.manager.registerRenderer(this.canvasId, (context) => {
             this.render(context);
         }, 5);
+        this.manager.registerVisualizer(this.canvasId, this);
         
         console.log('🌌 Enhanced Quantum Background initialized with RGB offset & moiré');
         return true;
     }
     
+    /**
+     * GL objects die with the context; params and rotation carry over
+     */
+    onContextLost() {
+        this.program = null;
+        this.uniforms = {};
+    }
+    
+    onContextRestored(canvasData) {
+        this.gl = canvasData.gl;
+        this.initShaders();
+    }
+    
     updateFromOrchestrator(detail) {
         const { state } = detail;
         
@@ -316,6 +330,7 @@ export class EnhancedQuantumBackground {
     render(context) {
         const { timestamp, deltaTime, mouse, scroll, canvas } = context;
         const gl = this.gl;
+        if (!this.program) return;
         
         this.time = timestamp;
         
@@ -350,6 +365,7 @@ export class EnhancedQuantumBackground {
     
     dispose() {
         const gl = this.gl;
+        this.manager.unregisterVisualizer(this.canvasId, this);
         if (this.program) gl.deleteProgram(this.program);
     }
 }
@@ -7,6 +7,7 @@ export class ParticleNetworkSystem {
     constructor(canvasManager, canvasId, options = {}) {
         this.manager = canvasManager;
         this.canvasId = canvasId;
+        this.random = canvasManager.createRandom(canvasId);
         
         this.options = {
             particleCount: options.particleCount || 150,
@@ -54,6 +55,7 @@ export class ParticleNetworkSystem {
         this.manager.registerRenderer(this.canvasId, (context) => {
             this.render(context);
         }, 10); // Higher priority
+        this.manager.registerVisualizer(this.canvasId, this);
         
         this.isInitialized = true;
         console.log(`✨ Particle Network initialized with ${this.particles.length} particles`);
@@ -61,19 +63,33 @@ export class ParticleNetworkSystem {
         return true;
     }
     
+    /**
+     * Particles live in JS and survive a context loss; only programs are rebuilt
+     */
+    onContextLost() {
+        this.program = null;
+        this.lineProgram = null;
+    }
+    
+    onContextRestored(canvasData) {
+        this.gl = canvasData.gl;
+        this.initializeShaders();
+    }
+    
     createParticles() {
         this.particles = [];
+        const random = () => this.random.next();
         
         for (let i = 0; i < this.options.particleCount; i++) {
             const layer = Math.floor(i / (this.options.particleCount / this.options.depthLayers));
             const depth = layer / this.options.depthLayers;
             
             this.particles.push({
-                x: Math.random() * 2 - 1,
-                y: Math.random() * 2 - 1,
+                x: random() * 2 - 1,
+                y: random() * 2 - 1,
                 z: depth,
-                vx: (Math.random() - 0.5) * this.options.speed,
-                vy: (Math.random() - 0.5) * this.options.speed,
+                vx: (random() - 0.5) * this.options.speed,
+                vy: (random() - 0.5) * this.options.speed,
                 size: this.options.particleSize * (0.5 + depth * 0.5),
                 alpha: 0.3 + depth * 0.6,
                 hue: (depth * 60) % 360
@@ -259,6 +275,7 @@ export class ParticleNetworkSystem {
     render(context) {
         const { deltaTime, mouse, scroll, quality } = context;
         const gl = this.gl;
+        if (!this.program || !this.lineProgram) return;
         
         // Update particles
         this.update(deltaTime, mouse, scroll);
@@ -432,6 +449,7 @@ export class ParticleNetworkSystem {
     
     dispose() {
         const gl = this.gl;
+        this.manager.unregisterVisualizer(this.canvasId, this);
         if (this.program) gl.deleteProgram(this.program);
         if (this.lineProgram) gl.deleteProgram(this.lineProgram);
     }
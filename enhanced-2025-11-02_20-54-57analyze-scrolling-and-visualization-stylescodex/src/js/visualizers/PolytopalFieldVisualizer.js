@@ -10,6 +10,7 @@ export class PolytopalFieldVisualizer {
     constructor(canvasManager, canvasId, options = {}) {
         this.canvasManager = canvasManager;
         this.canvasId = canvasId;
+        this.random = canvasManager.createRandom(canvasId);
 
         this.settings = {
             baseCount: options.baseCount || 80,
@@ -93,15 +94,16 @@ export class PolytopalFieldVisualizer {
 
     createNode(width, height) {
         const velocitySeed = this.runtime.velocityLimit * 0.6;
+        const random = () => this.random.next();
         return {
-            x: Math.random() * width,
-            y: Math.random() * height,
-            z: Math.random() * 100,
-            vx: (Math.random() - 0.5) * velocitySeed,
-            vy: (Math.random() - 0.5) * velocitySeed,
-            vz: (Math.random() - 0.5) * 0.08,
-            radius: Math.random() * 1.4 + 0.8,
-            phase: Math.random() * Math.PI * 2
+            x: random() * width,
+            y: random() * height,
+            z: random() * 100,
+            vx: (random() - 0.5) * velocitySeed,
+            vy: (random() - 0.5) * velocitySeed,
+            vz: (random() - 0.5) * 0.08,
+            radius: random() * 1.4 + 0.8,
+            phase: random() * Math.PI * 2
         };
     }
 
@@ -3,6 +3,8 @@
  * 4D polytope projection with advanced visual effects
  */
 
+import { ShaderPresetSystem } from '../managers/ShaderPresetSystem.js';
+
 export class QuantumBackgroundEngine {
     constructor(canvasManager, canvasId, options = {}) {
         this.manager = canvasManager;
@@ -46,11 +48,24 @@ export class QuantumBackgroundEngine {
             this.render(context);
         }, 5); // Medium priority
         
+        // Rebuild shaders after a GPU reset
+        this.manager.registerVisualizer(this.canvasId, this);
+        
         console.log('🌌 Quantum Background Engine initialized');
         
         return true;
     }
     
+    onContextLost() {
+        this.program = null;
+        this.uniforms = {};
+    }
+    
+    onContextRestored(canvasData) {
+        this.gl = canvasData.gl;
+        this.initShaders();
+    }
+    
     initShaders() {
         const gl = this.gl;
         
@@ -292,6 +307,7 @@ export class QuantumBackgroundEngine {
     render(context) {
         const { timestamp, deltaTime, mouse, scroll, canvas } = context;
         const gl = this.gl;
+        if (!this.program) return;
         
         this.time = timestamp;
         
@@ -327,16 +343,10 @@ export class QuantumBackgroundEngine {
     }
     
     applyPreset(detail) {
-        const { preset, duration, easing } = detail;
+        const { preset, duration, easing, curves } = detail;
         
         // Use the ShaderPresetSystem's animation helper
-        const ShaderPresetSystem = window.ShaderPresetSystem;
-        if (ShaderPresetSystem) {
-            ShaderPresetSystem.animateParams(this.params, preset, duration, easing);
-        } else {
-            // Fallback: instant transition
-            Object.assign(this.params, preset);
-        }
+        ShaderPresetSystem.animateParams(this.params, preset, duration, easing, null, this.manager.time, curves);
     }
     
     setParams(params) {
@@ -345,6 +355,7 @@ export class QuantumBackgroundEngine {
     
     dispose() {
         const gl = this.gl;
+        this.manager.unregisterVisualizer(this.canvasId, this);
         if (this.program) {
             gl.deleteProgram(this.program);
         }
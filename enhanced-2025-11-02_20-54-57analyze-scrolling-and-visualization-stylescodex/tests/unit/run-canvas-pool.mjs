@@ -0,0 +1,194 @@
+import { strict as assert } from 'node:assert';
+
+/**
+ * Unit checks for CanvasManager's context budget: canvases that opt in with
+ * `virtual: 'auto'` move to the shared context once the real ones run out,
+ * and pooled contexts come back with default GL state. Runs against a fake
+ * DOM and a fake WebGL context that only tracks the state these checks read.
+ */
+
+const GL = {
+  ARRAY_BUFFER: 1, ELEMENT_ARRAY_BUFFER: 2, FRAMEBUFFER: 3, RENDERBUFFER: 4,
+  TEXTURE_2D: 5, TEXTURE_CUBE_MAP: 6, TEXTURE0: 100,
+  BLEND: 10, CULL_FACE: 11, DEPTH_TEST: 12, POLYGON_OFFSET_FILL: 13, SAMPLE_ALPHA_TO_COVERAGE: 14,
+  SAMPLE_COVERAGE: 15, SCISSOR_TEST: 16, STENCIL_TEST: 17,
+  FUNC_ADD: 20, ONE: 21, ZERO: 22, SRC_ALPHA: 23, LESS: 24,
+  UNPACK_FLIP_Y_WEBGL: 30, UNPACK_PREMULTIPLY_ALPHA_WEBGL: 31,
+  MAX_VERTEX_ATTRIBS: 40, MAX_COMBINED_TEXTURE_IMAGE_UNITS: 41
+};
+
+class FakeGL {
+  constructor() {
+    Object.assign(this, GL);
+    this.program = null;
+    this.enabled = new Set();
+    this.attributes = new Set();
+    this.buffers = new Map();
+    this.textures = new Map();
+    this.activeUnit = GL.TEXTURE0;
+    this.blend = null;
+    this.lost = false;
+  }
+
+  getParameter(name) {
+    return { [GL.MAX_VERTEX_ATTRIBS]: 4, [GL.MAX_COMBINED_TEXTURE_IMAGE_UNITS]: 2 }[name];
+  }
+
+  getExtension(name) {
+    return name === 'WEBGL_lose_context' ? { loseContext: () => { this.lost = true; } } : null;
+  }
+
+  isContextLost() { return this.lost; }
+  useProgram(program) { this.program = program; }
+  bindVertexArray(vao) { this.vao = vao; }
+  enableVertexAttribArray(index) { this.attributes.add(index); }
+  disableVertexAttribArray(index) { this.attributes.delete(index); }
+  bindBuffer(target, buffer) { this.buffers.set(target, buffer); }
+  bindFramebuffer(target, framebuffer) { this.buffers.set(target, framebuffer); }
+  bindRenderbuffer(target, renderbuffer) { this.buffers.set(target, renderbuffer); }
+  activeTexture(unit) { this.activeUnit = unit; }
+  bindTexture(target, texture) { this.textures.set(`${this.activeUnit}:${target}`, texture); }
+  enable(capability) { this.enabled.add(capability); }
+  disable(capability) { this.enabled.delete(capability); }
+  blendEquation() {}
+  blendFunc(source, destination) { this.blend = [source, destination]; }
+  colorMask() {}
+  depthMask() {}
+  depthFunc() {}
+  clearColor() {}
+  pixelStorei() {}
+  viewport() {}
+}
+
+class FakeCanvas {
+  constructor() {
+    this.style = {};
+    this.parentElement = null;
+    this.context = null;
+  }
+
+  getContext(type) {
+    if (!this.context) {
+      this.context = type === '2d' ? { clearRect() {}, drawImage() {} } : new FakeGL();
+    }
+    return this.context;
+  }
+
+  addEventListener() {}
+  removeEventListener() {}
+}
+
+const container = {
+  appendChild(child) { child.parentElement = container; },
+  removeChild(child) { child.parentElement = null; }
+};
+
+globalThis.WebGL2RenderingContext = FakeGL;
+globalThis.window = { innerWidth: 1280, innerHeight: 800, devicePixelRatio: 1, pageYOffset: 0, addEventListener() {} };
+globalThis.document = {
+  body: container,
+  documentElement: { scrollHeight: 800 },
+  createElement: () => new FakeCanvas(),
+  addEventListener() {}
+};
+
+const { CanvasManager } = await import('../../src/js/managers/CanvasManager.js');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// The manager logs every canvas it creates; keep the checklist readable
+const quietly = (fn) => {
+  const { log } = console;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+};
+
+const createManager = (maxPoolSize) => quietly(() => {
+  const manager = new CanvasManager();
+  manager.maxPoolSize = maxPoolSize;
+  return manager;
+});
+
+const create = (manager, id, options = {}) => quietly(() => manager.createCanvas(id, { container, width: 100, height: 100, ...options }));
+
+test('the canvas after the last real context goes virtual when it opts in', () => {
+  const manager = createManager(4);
+  // One context stays free for the shared virtual one
+  const real = [1, 2, 3].map((index) => create(manager, `particle-${index}`, { virtual: 'auto' }));
+  assert.ok(real.every((canvas) => !canvas.virtual));
+  assert.equal(manager.getLiveContextCount(), 3);
+
+  const overflow = create(manager, 'particle-4', { virtual: 'auto' });
+  assert.equal(overflow.virtual, true);
+  assert.equal(overflow.gl, manager.sharedContext.gl);
+  assert.equal(create(manager, 'particle-5', { virtual: 'auto' }).gl, overflow.gl);
+  assert.equal(manager.getRealContextCount(), 4);
+  quietly(() => manager.dispose());
+});
+
+test('canvases that do not opt in keep their own context', () => {
+  const manager = createManager(2);
+  create(manager, 'background');
+  const second = create(manager, 'foreground');
+  assert.equal(second.virtual, false);
+  assert.equal(manager.sharedContext, null);
+  quietly(() => manager.dispose());
+});
+
+test('a pooled context comes back with default GL state', () => {
+  const manager = createManager(4);
+  const first = create(manager, 'first');
+  const gl = first.gl;
+  gl.useProgram('line-program');
+  gl.enableVertexAttribArray(2);
+  gl.bindBuffer(gl.ARRAY_BUFFER, 'positions');
+  gl.activeTexture(gl.TEXTURE0 + 1);
+  gl.bindTexture(gl.TEXTURE_2D, 'noise');
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+  quietly(() => manager.destroyCanvas('first'));
+
+  const second = create(manager, 'second');
+  assert.equal(second.gl, gl);
+  assert.equal(gl.program, null);
+  assert.equal(gl.attributes.size, 0);
+  assert.equal(gl.buffers.get(gl.ARRAY_BUFFER), null);
+  assert.equal(gl.textures.get(`${gl.TEXTURE0 + 1}:${gl.TEXTURE_2D}`), null);
+  assert.equal(gl.activeUnit, gl.TEXTURE0);
+  assert.equal(gl.enabled.has(gl.BLEND), false);
+  assert.deepEqual(gl.blend, [gl.ONE, gl.ZERO]);
+  quietly(() => manager.dispose());
+});
+
+const run = async () => {
+  let failures = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`✗ ${name}`);
+      console.error(error);
+    }
+  }
+  if (failures) {
+    throw new Error(`${failures} of ${tests.length} canvas pool checks failed`);
+  }
+  console.log(`${tests.length} canvas pool checks passed`);
+};
+
+run()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+    process.exit(1);
+  });
@@ -0,0 +1,141 @@
+import { strict as assert } from 'node:assert';
+import { TimeSource } from '../../src/js/utils/TimeSource.js';
+import { SeededRandom } from '../../src/js/utils/SeededRandom.js';
+import { Utils } from '../../src/js/utils/Utils.js';
+
+/**
+ * Unit checks for the deterministic-mode building blocks CanvasManager hands
+ * to visualizers: the manually stepped TimeSource and SeededRandom streams.
+ */
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const draw = (random, count) => Array.from({ length: count }, () => random.next());
+
+test('the same seed replays the same sequence', () => {
+  assert.deepEqual(draw(new SeededRandom(42), 5), draw(new SeededRandom(42), 5));
+  assert.notDeepEqual(draw(new SeededRandom(42), 5), draw(new SeededRandom(43), 5));
+});
+
+test('values stay in [0, 1) and ranges are respected', () => {
+  const random = new SeededRandom(7);
+  for (let i = 0; i < 1000; i++) {
+    const value = random.next();
+    assert.ok(value >= 0 && value < 1);
+    const integer = random.int(3, 5);
+    assert.ok(Number.isInteger(integer) && integer >= 3 && integer <= 5);
+  }
+  assert.match(random.id(9), /^[0-9a-z]{9}$/);
+});
+
+test('forked streams do not depend on draw order', () => {
+  const first = new SeededRandom(11);
+  const particles = draw(first.fork('particles'), 3);
+
+  const second = new SeededRandom(11);
+  draw(second.fork('cards'), 10);
+  draw(second, 4);
+  assert.deepEqual(draw(second.fork('particles'), 3), particles);
+});
+
+test('reseeding restarts the root and its forks', () => {
+  const random = new SeededRandom(5);
+  const fork = random.fork('field');
+  const expected = draw(fork, 3);
+  draw(random, 2);
+  random.reseed(5);
+  assert.equal(random.fork('field'), fork);
+  assert.deepEqual(draw(fork, 3), expected);
+});
+
+test('manual time only moves on step()', () => {
+  const time = new TimeSource();
+  time.setManual({ startTime: Date.UTC(2025, 10, 2, 20, 54), frameMs: 16 });
+  assert.equal(time.now(), 0);
+  assert.equal(time.date().toISOString(), '2025-11-02T20:54:00.000Z');
+  assert.equal(time.step(3), 48);
+  assert.equal(time.date().getTime(), Date.UTC(2025, 10, 2, 20, 54) + 48);
+});
+
+test('frame callbacks run once per step with the frame time', () => {
+  const time = new TimeSource();
+  time.setManual({ frameMs: 10 });
+  const frames = [];
+  const loop = (timestamp) => {
+    frames.push(timestamp);
+    time.requestFrame(loop);
+  };
+  time.requestFrame(loop);
+  const cancelled = time.requestFrame(() => frames.push('cancelled'));
+  time.cancelFrame(cancelled);
+  time.step(3);
+  assert.deepEqual(frames, [10, 20, 30]);
+});
+
+test('a throwing frame callback does not stop the others', () => {
+  const time = new TimeSource();
+  time.setManual();
+  const originalError = console.error;
+  console.error = () => {};
+  let ran = false;
+  try {
+    time.requestFrame(() => {
+      throw new Error('boom');
+    });
+    time.requestFrame(() => {
+      ran = true;
+    });
+    time.step();
+  } finally {
+    console.error = originalError;
+  }
+  assert.ok(ran);
+});
+
+test('Utils helpers follow the sources they are pointed at', () => {
+  const time = new TimeSource();
+  time.setManual({ frameMs: 16 });
+  try {
+    Utils.useSources({ time, random: new SeededRandom(9) });
+    time.step(2);
+    assert.equal(Utils.now(), 32);
+    const uuid = Utils.generateUUID();
+    const floats = [Utils.randomFloat(0, 1), Utils.randomInt(1, 6)];
+
+    Utils.useSources({ time, random: new SeededRandom(9) });
+    assert.equal(Utils.generateUUID(), uuid);
+    assert.deepEqual([Utils.randomFloat(0, 1), Utils.randomInt(1, 6)], floats);
+    assert.match(uuid, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  } finally {
+    Utils.useSources();
+  }
+});
+
+const run = async () => {
+  let failures = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`✗ ${name}`);
+      console.error(error);
+    }
+  }
+  if (failures) {
+    throw new Error(`${failures} of ${tests.length} deterministic time checks failed`);
+  }
+  console.log(`${tests.length} deterministic time checks passed`);
+};
+
+run()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+    process.exit(1);
+  });
@@ -0,0 +1,144 @@
+import { strict as assert } from 'node:assert';
+import { createRequire } from 'node:module';
+
+/**
+ * Unit checks for scripts/polytope-geometry.js: element counts of the six
+ * regular 4-polytopes and their truncations, plus the metric properties
+ * that make them regular.
+ */
+
+const require = createRequire(import.meta.url);
+const PolytopeGeometry = require('../../scripts/polytope-geometry.js');
+
+// [vertices, edges, faces, cells]
+const REGULAR_COUNTS = {
+  cell5: [5, 10, 10, 5],
+  tesseract: [16, 32, 24, 8],
+  cell16: [8, 24, 32, 16],
+  cell24: [24, 96, 96, 24],
+  cell120: [600, 1200, 720, 120],
+  cell600: [120, 720, 1200, 600]
+};
+
+// [vertices, edges, faces] for truncate 0.25 and 0.5 (rectified)
+const TRUNCATED_COUNTS = {
+  cell5: [[20, 40, 30], [10, 30, 30]],
+  tesseract: [[64, 128, 88], [32, 96, 88]],
+  cell16: [[48, 120, 96], [24, 96, 96]],
+  cell24: [[192, 384, 240], [96, 288, 240]],
+  cell600: [[1440, 4320, 3600], [720, 3600, 3600]]
+};
+
+const distance = (a, b) => Math.hypot(...a.map((value, index) => value - b[index]));
+const norm = (a) => Math.hypot(...a);
+const close = (a, b, message) => assert.ok(Math.abs(a - b) < 1e-9, `${message} (${a} vs ${b})`);
+
+const edgeSet = (polytope) => new Set(polytope.edges.map(([a, b]) => `${Math.min(a, b)}:${Math.max(a, b)}`));
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test('exposes the six regular 4-polytopes', () => {
+  assert.deepEqual(PolytopeGeometry.names.slice().sort(), Object.keys(REGULAR_COUNTS).sort());
+});
+
+Object.entries(REGULAR_COUNTS).forEach(([name, [vertexCount, edgeCount, faceCount, cellCount]]) => {
+  test(`${name} has ${vertexCount} vertices, ${edgeCount} edges, ${faceCount} faces`, () => {
+    const polytope = PolytopeGeometry.create(name);
+    assert.equal(polytope.vertices.length, vertexCount);
+    assert.equal(polytope.edges.length, edgeCount);
+    assert.equal(polytope.faces.length, faceCount);
+    // Euler characteristic of a 4-polytope: V - E + F - C = 0
+    assert.equal(vertexCount - edgeCount + faceCount - cellCount, 0);
+  });
+
+  test(`${name} is regular`, () => {
+    const polytope = PolytopeGeometry.create(name);
+    const [p] = polytope.schlafli;
+    const edgeLength = distance(...polytope.edges[0].map((index) => polytope.vertices[index]));
+    const edges = edgeSet(polytope);
+    const degree = new Array(polytope.vertices.length).fill(0);
+
+    polytope.vertices.forEach((vertex) => close(norm(vertex), 1, 'vertex on the unit 3-sphere'));
+    polytope.edges.forEach(([a, b]) => {
+      close(distance(polytope.vertices[a], polytope.vertices[b]), edgeLength, 'equal edge lengths');
+      degree[a]++;
+      degree[b]++;
+    });
+    polytope.faces.forEach((face) => {
+      assert.equal(face.length, p);
+      face.forEach((vertex, index) => {
+        const next = face[(index + 1) % face.length];
+        assert.ok(edges.has(`${Math.min(vertex, next)}:${Math.max(vertex, next)}`), 'face sides are edges');
+      });
+    });
+
+    // Vertex degree is the vertex count of the {q, r} vertex figure
+    const expectedDegree = { cell5: 4, tesseract: 4, cell16: 6, cell24: 8, cell120: 4, cell600: 12 }[name];
+    assert.ok(degree.every((value) => value === expectedDegree), `every vertex has degree ${expectedDegree}`);
+  });
+});
+
+Object.entries(TRUNCATED_COUNTS).forEach(([name, counts]) => {
+  [0.25, 0.5].forEach((amount, index) => {
+    const [vertexCount, edgeCount, faceCount] = counts[index];
+    test(`${name} truncated by ${amount} has ${vertexCount}/${edgeCount}/${faceCount}`, () => {
+      const polytope = PolytopeGeometry.create(name, { truncate: amount });
+      assert.equal(polytope.vertices.length, vertexCount);
+      assert.equal(polytope.edges.length, edgeCount);
+      assert.equal(polytope.faces.length, faceCount);
+
+      const edgeLength = distance(...polytope.edges[0].map((vertex) => polytope.vertices[vertex]));
+      if (amount === 0.5) {
+        polytope.edges.forEach(([a, b]) => {
+          close(distance(polytope.vertices[a], polytope.vertices[b]), edgeLength, 'rectified edges are equal');
+        });
+      }
+    });
+  });
+});
+
+test('rectified 16-cell is the 24-cell', () => {
+  const rectified = PolytopeGeometry.create('cell16', { truncate: 0.5 });
+  const cell24 = PolytopeGeometry.create('cell24');
+  // The 16-cell's edge midpoints are a rotated 24-cell, so compare the
+  // pairwise distance spectrum instead of coordinates
+  const spectrum = (vertices) => vertices.map((vertex) => vertices.map((other) => distance(vertex, other).toFixed(6)).sort().join('|')).sort().join('/');
+  assert.equal(spectrum(rectified.vertices), spectrum(cell24.vertices));
+});
+
+test('legacy names and radius scaling', () => {
+  assert.equal(PolytopeGeometry.resolveName('simplex5'), 'cell5');
+  assert.equal(PolytopeGeometry.create('simplex5'), PolytopeGeometry.create('cell5'));
+  const scaled = PolytopeGeometry.create('tesseract', { radius: 2 });
+  scaled.vertices.forEach((vertex) => close(norm(vertex), 2, 'scaled radius'));
+  assert.throws(() => PolytopeGeometry.create('cell7'), /Unknown polytope/);
+});
+
+const run = async () => {
+  let failures = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`✗ ${name}`);
+      console.error(error);
+    }
+  }
+  if (failures) {
+    throw new Error(`${failures} of ${tests.length} polytope geometry checks failed`);
+  }
+  console.log(`${tests.length} polytope geometry checks passed`);
+};
+
+run()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+    process.exit(1);
+  });
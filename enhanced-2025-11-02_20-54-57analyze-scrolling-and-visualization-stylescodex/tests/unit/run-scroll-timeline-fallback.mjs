@@ -0,0 +1,142 @@
+import { strict as assert } from 'node:assert';
+
+/**
+ * Unit checks for the ScrollTrigger stand-in in scripts/scroll-timeline-fallback.js:
+ * start / end edges, scrubbed timeline progress and the order of the
+ * enter / leave callbacks over a scroll sweep. Runs against a fake window
+ * whose scroll position the checks set directly.
+ */
+
+const page = { scrollY: 0, innerHeight: 800 };
+globalThis.window = {
+  get scrollY() { return page.scrollY; },
+  get innerHeight() { return page.innerHeight; },
+  addEventListener() {},
+  removeEventListener() {}
+};
+globalThis.document = {
+  documentElement: { scrollTop: 0, clientHeight: 800 },
+  querySelectorAll: () => []
+};
+globalThis.Node = { DOCUMENT_POSITION_FOLLOWING: 4 };
+
+await import('../../scripts/scroll-timeline-fallback.js');
+const { gsap, ScrollTrigger } = window.__CLEAR_SEAS_SCROLL_TIMELINE;
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// Elements are laid out in page coordinates; the rect follows the scroll
+const element = (top, height, name = 'section') => ({
+  nodeType: 1,
+  style: {},
+  name,
+  getBoundingClientRect: () => ({ top: top - page.scrollY, height, left: 0, width: 1280 }),
+  compareDocumentPosition: () => 0
+});
+
+const scrollTo = (y) => {
+  page.scrollY = y;
+  ScrollTrigger.update();
+};
+
+const reset = () => {
+  ScrollTrigger.getAll().forEach((trigger) => trigger.kill());
+  page.scrollY = 0;
+};
+
+test('start and end edges resolve against the trigger and the viewport', () => {
+  reset();
+  const section = element(1000, 400);
+  const edges = (start, end) => {
+    const trigger = ScrollTrigger.create({ trigger: section, start, end });
+    trigger.refresh();
+    return [trigger.start, trigger.end];
+  };
+
+  assert.deepEqual(edges(undefined, undefined), [200, 1400]);
+  assert.deepEqual(edges('top 80%', '+=220%'), [360, 2120]);
+  assert.deepEqual(edges('center center', 'bottom 100px'), [800, 1300]);
+  // An end at or before the start still leaves a 1px range
+  assert.deepEqual(edges('25% top', 'bottom bottom'), [1100, 1101]);
+  assert.deepEqual(edges(500, '+=200px'), [500, 700]);
+  // Unknown tokens count as 0 rather than NaN
+  assert.deepEqual(edges('top middle', 'bottom top'), [1000, 1400]);
+});
+
+test('a scrubbed timeline follows the scroll progress', () => {
+  reset();
+  const target = { value: 0 };
+  const timeline = gsap.timeline({
+    defaults: { ease: 'none' },
+    scrollTrigger: { trigger: element(1000, 400), start: 'top top', end: '+=400', scrub: true }
+  });
+  timeline.to(target, { value: 100, duration: 1 });
+  timeline.scrollTrigger.refresh();
+
+  scrollTo(1200);
+  assert.equal(timeline.scrollTrigger.progress, 0.5);
+  assert.equal(timeline.progress(), 0.5);
+  assert.equal(target.value, 50);
+
+  scrollTo(5000);
+  assert.equal(timeline.progress(), 1);
+  assert.equal(target.value, 100);
+
+  scrollTo(1100);
+  assert.equal(timeline.progress(), 0.25);
+  assert.equal(target.value, 25);
+});
+
+test('enter and leave callbacks fire in scroll order both ways', () => {
+  reset();
+  const events = [];
+  const record = (name) => ['onEnter', 'onLeave', 'onEnterBack', 'onLeaveBack'].reduce((config, callback) => {
+    config[callback] = (trigger) => events.push(`${name}.${callback}:${trigger.direction}`);
+    return config;
+  }, {});
+
+  [['first', 1000], ['second', 2000]].forEach(([name, top]) => {
+    ScrollTrigger.create({ trigger: element(top, 400, name), start: 'top center', end: 'bottom center', ...record(name) })
+      .refresh();
+  });
+
+  for (let y = 0; y <= 2400; y += 100) scrollTo(y);
+  assert.deepEqual(events, ['first.onEnter:1', 'first.onLeave:1', 'second.onEnter:1', 'second.onLeave:1']);
+
+  events.length = 0;
+  for (let y = 2400; y >= 0; y -= 100) scrollTo(y);
+  assert.deepEqual(events, ['second.onEnterBack:-1', 'second.onLeaveBack:-1', 'first.onEnterBack:-1', 'first.onLeaveBack:-1']);
+
+  events.length = 0;
+  scrollTo(1800);
+  assert.deepEqual(events, ['second.onEnter:1'], 'jumping over a trigger fires nothing for it');
+});
+
+const run = async () => {
+  let failures = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`✗ ${name}`);
+      console.error(error);
+    }
+  }
+  if (failures) {
+    throw new Error(`${failures} of ${tests.length} scroll timeline checks failed`);
+  }
+  console.log(`${tests.length} scroll timeline checks passed`);
+};
+
+run()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+    process.exit(1);
+  });
@@ -0,0 +1,245 @@
+import { strict as assert } from 'node:assert';
+import { ShaderPresetSystem } from '../../src/js/managers/ShaderPresetSystem.js';
+import { TimeSource } from '../../src/js/utils/TimeSource.js';
+
+/**
+ * Unit checks for preset packs (export, import, validation, loading) and the
+ * easing / per-parameter curves used by preset transitions.
+ */
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// The system logs every import; keep the checklist readable
+const quiet = async (fn) => {
+  const { log, warn } = console;
+  const warnings = [];
+  console.log = () => {};
+  console.warn = (...args) => warnings.push(args.join(' '));
+  try {
+    return { result: await fn(), warnings };
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+};
+
+const createSystem = async () => (await quiet(() => new ShaderPresetSystem(null))).result;
+
+const pack = (presets) => ({ schemaVersion: ShaderPresetSystem.SCHEMA_VERSION, presets });
+
+test('exported presets import into a fresh system unchanged', async () => {
+  const source = await createSystem();
+  const json = source.exportPresetsJSON(['neural', 'zen']);
+  assert.deepEqual(Object.keys(JSON.parse(json).presets), ['neural', 'zen']);
+
+  const target = await createSystem();
+  const { result } = await quiet(() => target.importPresets(json, { overwrite: true }));
+  assert.deepEqual(result.imported, ['neural', 'zen']);
+  assert.deepEqual(target.getPresetData('neural'), source.getPresetData('neural'));
+});
+
+test('invalid presets are reported and skipped, valid ones still import', async () => {
+  const system = await createSystem();
+  const { result } = await quiet(() => system.importPresets(pack({
+    ember: { name: 'Ember', hue: 380, chaos: 0, transition: { easing: 'cubic-bezier(0.2, 0, 0, 1)' } },
+    broken: { chaos: 4, speed: 'fast' },
+    badCurve: { transition: { curves: { hue: 'sideways', glow: 'linear' } } }
+  })));
+
+  assert.deepEqual(result.imported, ['ember']);
+  assert.deepEqual(result.skipped, ['broken', 'badCurve']);
+  assert.equal(result.errors.length, 4);
+  assert.ok(result.errors.includes('presets.broken.chaos: 4 is outside 0-1'));
+  assert.ok(result.errors.includes('presets.badCurve.transition.curves.glow: unknown parameter'));
+
+  const ember = system.getPresetData('ember');
+  assert.equal(ember.hue, 20);
+  assert.equal(ember.chaos, 0);
+  assert.equal(ember.gridDensity, ShaderPresetSystem.PARAMETERS.gridDensity.default);
+});
+
+test('packs with a newer schema, bad JSON or unsafe keys are rejected', async () => {
+  const system = await createSystem();
+  const before = Object.keys(system.getAllPresets());
+
+  const newer = await quiet(() => system.importPresets({ schemaVersion: 99, presets: { later: {} } }));
+  assert.match(newer.result.errors[0], /newer than supported/);
+  const malformed = await quiet(() => system.importPresets('{ "presets": '));
+  assert.match(malformed.result.errors[0], /^Invalid JSON/);
+  const unsafe = await quiet(() => system.importPresets('{"schemaVersion": 1, "presets": {"__proto__": {}}}'));
+  assert.equal(unsafe.result.errors.length, 1);
+
+  assert.deepEqual(Object.keys(system.getAllPresets()), before);
+});
+
+test('keys named after Object.prototype members are presets like any other', async () => {
+  const system = await createSystem();
+  assert.equal(system.getPresetData('constructor'), null);
+  assert.equal((await quiet(() => system.applyPreset('toString'))).result, false);
+  assert.deepEqual(Object.keys(system.exportPresets(['constructor', 'zen']).presets), ['zen']);
+
+  const { result } = await quiet(() => system.importPresets(pack({ constructor: { hue: 90 } })));
+  assert.deepEqual(result.imported, ['constructor']);
+  assert.equal(system.getPresetData('constructor').hue, 90);
+
+  const custom = await quiet(() => system.addCustomPreset('__proto__', { hue: 10 }));
+  assert.equal(custom.result, false);
+  assert.equal(Object.getPrototypeOf(system.presets), null);
+});
+
+test('existing presets are kept unless overwrite is set', async () => {
+  const system = await createSystem();
+  const { result } = await quiet(() => system.importPresets(pack({ zen: { hue: 10 } })));
+  assert.deepEqual(result.skipped, ['zen']);
+  assert.equal(system.getPresetData('zen').hue, 120);
+
+  await quiet(() => system.importPresets(pack({ zen: { hue: 10 } }), { overwrite: true }));
+  assert.equal(system.getPresetData('zen').hue, 10);
+});
+
+test('packs load from a URL and from inline JSON elements', async () => {
+  const system = await createSystem();
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url) => ({
+    ok: url === '/presets/night.json',
+    status: url === '/presets/night.json' ? 200 : 404,
+    json: async () => pack({ night: { hue: 240, intensity: 0.3 } })
+  });
+
+  try {
+    const loaded = await quiet(() => system.loadPresetPack('/presets/night.json'));
+    assert.deepEqual(loaded.result.imported, ['night']);
+    const missing = await quiet(() => system.loadPresetPack('/presets/missing.json'));
+    assert.deepEqual(missing.result.errors, ['/presets/missing.json: HTTP 404']);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  const element = {
+    textContent: JSON.stringify(pack({ night: { hue: 250 }, dawn: { hue: 40 } })),
+    dataset: { overwrite: '' }
+  };
+  const inline = await quiet(() => system.loadInlinePresetPack(element));
+  assert.deepEqual(inline.result.imported, ['night', 'dawn']);
+  assert.equal(system.getPresetData('night').hue, 250);
+});
+
+test('inline packs on the page load once, later ones on the next scan', async () => {
+  const packElement = (presets) => ({ textContent: JSON.stringify(pack(presets)), dataset: { overwrite: '' } });
+  const elements = [packElement({ ember: { hue: 20 } })];
+  const originalDocument = globalThis.document;
+  globalThis.document = { querySelectorAll: () => elements };
+
+  try {
+    const system = await createSystem();
+    assert.equal(system.getPresetData('ember').hue, 20);
+
+    // An overwriting pack that was already imported must not clobber later edits
+    await quiet(() => system.importPresets(pack({ ember: { hue: 25 } }), { overwrite: true }));
+    elements.push(packElement({ dusk: { hue: 300 } }));
+    await quiet(() => system.loadInlinePresetPacks());
+    assert.equal(system.getPresetData('dusk').hue, 300);
+    assert.equal(system.getPresetData('ember').hue, 25);
+  } finally {
+    globalThis.document = originalDocument;
+  }
+});
+
+test('cubic-bezier easings match their CSS keywords', () => {
+  const ease = ShaderPresetSystem.resolveEasing('cubic-bezier(0.25, 0.1, 0.25, 1)');
+  // Reference values for CSS `ease`
+  assert.ok(Math.abs(ease(0.25) - 0.4094) < 1e-3);
+  assert.ok(Math.abs(ease(0.5) - 0.8024) < 1e-3);
+  assert.equal(ShaderPresetSystem.resolveEasing('cubic-bezier(0, 0, 0.58, 1)')(1), 1);
+  assert.equal(ShaderPresetSystem.resolveEasing('cubic-bezier(1.5, 0, 0, 1)'), null);
+  assert.equal(ShaderPresetSystem.resolveEasing('bouncy'), null);
+});
+
+test('hue takes the shortest path around the wheel by default', () => {
+  const time = new TimeSource();
+  time.setManual({ frameMs: 100 });
+  const params = { hue: 350, intensity: 0.2, gridDensity: 8 };
+  const hues = [];
+
+  ShaderPresetSystem.animateParams(params, { hue: 30, intensity: 0.6, gridDensity: 20 }, 400, 'linear',
+    (current) => hues.push(Math.round(current.hue)), time, { gridDensity: 'step' });
+  time.step(2);
+  assert.deepEqual(hues, [350, 0, 10]);
+  assert.ok(Math.abs(params.intensity - 0.4) < 1e-9);
+  assert.equal(params.gridDensity, 8);
+
+  time.step(2);
+  assert.deepEqual(hues, [350, 0, 10, 20, 30]);
+  assert.equal(params.gridDensity, 20);
+});
+
+test('per-parameter easing overrides the transition easing', () => {
+  const time = new TimeSource();
+  time.setManual({ frameMs: 50 });
+  const params = { chaos: 0, speed: 0 };
+
+  ShaderPresetSystem.animateParams(params, { chaos: 1, speed: 1 }, 100, 'linear', null, time,
+    { chaos: { easing: 'easeInQuad' } });
+  time.step();
+  assert.equal(params.speed, 0.5);
+  assert.equal(params.chaos, 0.25);
+});
+
+test('applyPreset sends the stored transition with the preset', async () => {
+  const system = await createSystem();
+  await quiet(() => system.importPresets(pack({
+    tide: { hue: 200, transition: { duration: 900, easing: 'easeOutQuad', curves: { hue: 'shortest' } } }
+  })));
+
+  const originalWindow = globalThis.window;
+  const originalCustomEvent = globalThis.CustomEvent;
+  const events = [];
+  globalThis.CustomEvent = class {
+    constructor(type, init) {
+      this.type = type;
+      this.detail = init.detail;
+    }
+  };
+  globalThis.window = { dispatchEvent: (event) => events.push(event) };
+
+  try {
+    await quiet(() => system.applyPreset('tide', { duration: 300 }));
+  } finally {
+    globalThis.window = originalWindow;
+    globalThis.CustomEvent = originalCustomEvent;
+  }
+
+  assert.equal(events[0].type, 'presetChange');
+  assert.equal(events[0].detail.duration, 300);
+  assert.equal(events[0].detail.easing, 'easeOutQuad');
+  assert.deepEqual(events[0].detail.curves, { hue: 'shortest' });
+});
+
+const run = async () => {
+  let failures = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`✗ ${name}`);
+      console.error(error);
+    }
+  }
+  if (failures) {
+    throw new Error(`${failures} of ${tests.length} shader preset checks failed`);
+  }
+  console.log(`${tests.length} shader preset checks passed`);
+};
+
+run()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+    process.exit(1);
+  });
@@ -19,6 +19,9 @@
   // POLYTOPE GEOMETRY DEFINITIONS
   // ============================================
 
+  // Real geometry comes from scripts/polytope-geometry.js, which is loaded
+  // before initialization when the page does not include it; the tesseract
+  // below is only used when that script cannot be loaded
   const POLYTOPES = {
     tesseract: {
       // 4D Hypercube vertices (16 vertices)
@@ -34,64 +37,23 @@
         [8,9],[8,10],[8,12],[9,11],[9,13],[10,11],[10,14],[11,15],[12,13],[12,14],
         [13,15],[14,15]
       ]
-    },
-
-    cell24: {
-      // 24-cell vertices (24 vertices)
-      vertices: [
-        [1,0,0,0], [-1,0,0,0], [0,1,0,0], [0,-1,0,0],
-        [0,0,1,0], [0,0,-1,0], [0,0,0,1], [0,0,0,-1],
-        [0.5,0.5,0.5,0.5], [0.5,0.5,0.5,-0.5], [0.5,0.5,-0.5,0.5], [0.5,0.5,-0.5,-0.5],
-        [0.5,-0.5,0.5,0.5], [0.5,-0.5,0.5,-0.5], [0.5,-0.5,-0.5,0.5], [0.5,-0.5,-0.5,-0.5],
-        [-0.5,0.5,0.5,0.5], [-0.5,0.5,0.5,-0.5], [-0.5,0.5,-0.5,0.5], [-0.5,0.5,-0.5,-0.5],
-        [-0.5,-0.5,0.5,0.5], [-0.5,-0.5,0.5,-0.5], [-0.5,-0.5,-0.5,0.5], [-0.5,-0.5,-0.5,-0.5]
-      ],
-      edges: generateCompleteEdges(24, 2.0) // Connect vertices within distance threshold
-    },
-
-    simplex5: {
-      // 5-cell (4D simplex) vertices (5 vertices)
-      vertices: [
-        [1,1,1,-1], [1,-1,-1,-1], [-1,1,-1,-1], [-1,-1,1,-1], [0,0,0,Math.sqrt(5)]
-      ],
-      edges: [[0,1],[0,2],[0,3],[0,4],[1,2],[1,3],[1,4],[2,3],[2,4],[3,4]]
-    },
-
-    cell120: {
-      // 120-cell approximation (simplified subset)
-      vertices: generateDodecahedralVertices(),
-      edges: generateCompleteEdges(20, 1.8)
     }
   };
 
-  function generateCompleteEdges(numVertices, threshold) {
-    const edges = [];
-    for (let i = 0; i < numVertices; i++) {
-      for (let j = i + 1; j < numVertices; j++) {
-        edges.push([i, j]);
-      }
-    }
-    return edges;
-  }
-
-  function generateDodecahedralVertices() {
-    const phi = (1 + Math.sqrt(5)) / 2; // Golden ratio
-    const vertices = [];
+  // Circumradius for generated polytopes; keeps rotated w clear of the
+  // stereographic projection distance (2.0)
+  const POLYTOPE_RADIUS = 1.5;
 
-    // Standard dodecahedron vertices in 4D
-    for (let i = -1; i <= 1; i += 2) {
-      for (let j = -1; j <= 1; j += 2) {
-        for (let k = -1; k <= 1; k += 2) {
-          vertices.push([i, j, k, 0]);
-        }
-      }
+  function resolvePolytope(type, options = {}) {
+    const geometry = window.PolytopeGeometry;
+    if (geometry && geometry.resolveName(type)) {
+      return geometry.create(type, { radius: POLYTOPE_RADIUS, truncate: options.truncate });
     }
-
-    // Additional vertices for 4D symmetry
-    const coords = [[0, phi, 1/phi, 0], [0, -phi, 1/phi, 0], [0, phi, -1/phi, 0], [0, -phi, -1/phi, 0]];
-    coords.forEach(c => vertices.push(c));
-
-    return vertices.slice(0, 20); // Limit to 20 for performance
+    if (POLYTOPES[type]) {
+      return POLYTOPES[type];
+    }
+    console.warn(`⚠️ Polytope "${type}" unavailable${geometry ? '' : ' (polytope-geometry.js not loaded)'}; using tesseract`);
+    return POLYTOPES.tesseract;
   }
 
   // ============================================
@@ -290,7 +252,7 @@
   // ============================================
 
   class PolytopeVisualizer {
-    constructor(canvas, polytopeType = 'tesseract') {
+    constructor(canvas, polytopeType = 'tesseract', options = {}) {
       this.canvas = canvas;
       this.gl = canvas.getContext('webgl', {
         alpha: true,
@@ -303,7 +265,7 @@
         return;
       }
 
-      this.polytope = POLYTOPES[polytopeType];
+      this.polytope = resolvePolytope(polytopeType, options);
       this.rotation4D = { xw: 0, yw: 0, zw: 0, xy: 0 };
       this.rotation3D = { x: 0.3, y: 0.4, z: 0 };
       this.time = 0;
@@ -412,22 +374,22 @@
         lineDepthData.push(depthData[i], depthData[j]);
       });
 
-      // Update WebGL buffers
-      this.vertexBuffer = this.createBuffer(new Float32Array(vertexData));
-      this.depthBuffer = this.createBuffer(new Float32Array(depthData));
-      this.lineBuffer = this.createBuffer(new Float32Array(lineData));
-      this.lineDepthBuffer = this.createBuffer(new Float32Array(lineDepthData));
+      // Update WebGL buffers (reused across frames)
+      this.vertexBuffer = this.writeBuffer(this.vertexBuffer, new Float32Array(vertexData));
+      this.depthBuffer = this.writeBuffer(this.depthBuffer, new Float32Array(depthData));
+      this.lineBuffer = this.writeBuffer(this.lineBuffer, new Float32Array(lineData));
+      this.lineDepthBuffer = this.writeBuffer(this.lineDepthBuffer, new Float32Array(lineDepthData));
 
       this.vertexCount = vertices3D.length;
       this.lineVertexCount = lineData.length / 3;
     }
 
-    createBuffer(data) {
+    writeBuffer(buffer, data) {
       const gl = this.gl;
-      const buffer = gl.createBuffer();
-      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
-      gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
-      return buffer;
+      const target = buffer || gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, target);
+      gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW);
+      return target;
     }
 
     render() {
@@ -521,6 +483,10 @@
       }
     }
 
+    setPolytope(polytopeType, options = {}) {
+      this.polytope = resolvePolytope(polytopeType, options);
+    }
+
     setColorScheme(scheme) {
       if (this.colorSchemes[scheme]) {
         this.currentScheme = scheme;
@@ -713,13 +679,34 @@
   // INITIALIZATION
   // ============================================
 
-  // Wait for DOM to be ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initPolytopeSystem);
-  } else {
-    initPolytopeSystem();
+  const GEOMETRY_SCRIPT_URL = document.currentScript
+    ? new URL('polytope-geometry.js', document.currentScript.src).href
+    : new URL('scripts/polytope-geometry.js', document.baseURI).href;
+
+  function loadPolytopeGeometry() {
+    if (window.PolytopeGeometry) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      const script = document.createElement('script');
+      script.src = GEOMETRY_SCRIPT_URL;
+      script.onload = resolve;
+      script.onerror = () => {
+        console.warn(`⚠️ Failed to load ${GEOMETRY_SCRIPT_URL}; polytopes fall back to the tesseract`);
+        resolve();
+      };
+      document.head.appendChild(script);
+    });
   }
 
+  const geometryReady = loadPolytopeGeometry();
+
+  // Wait for DOM and geometry to be ready
+  const domReady = document.readyState === 'loading'
+    ? new Promise((resolve) => document.addEventListener('DOMContentLoaded', resolve, { once: true }))
+    : Promise.resolve();
+  Promise.all([domReady, geometryReady]).then(initPolytopeSystem);
+
   function initPolytopeSystem() {
     // Check for reduced motion preference
     const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
@@ -0,0 +1,419 @@
+/**
+ * Polytope Geometry
+ * Vertices, edges and 2-faces of the six convex regular 4-polytopes, with
+ * optional uniform truncation
+ *
+ * Loads as a classic script (exposes `window.PolytopeGeometry` for
+ * polytope-shaders.js) and as a CommonJS module for the unit tests.
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC
+ */
+
+(function(root) {
+  'use strict';
+
+  const PHI = (1 + Math.sqrt(5)) / 2;
+  const EPSILON = 1e-6;
+
+  // Schläfli symbol {p, q, r}: p-gon faces, {q, r} vertex figures
+  const DEFINITIONS = {
+    cell5: { label: '5-cell', schlafli: [3, 3, 3], vertices: cell5Vertices },
+    tesseract: { label: 'Tesseract (8-cell)', schlafli: [4, 3, 3], vertices: tesseractVertices },
+    cell16: { label: '16-cell', schlafli: [3, 3, 4], vertices: cell16Vertices },
+    cell24: { label: '24-cell', schlafli: [3, 4, 3], vertices: cell24Vertices },
+    cell120: { label: '120-cell', schlafli: [5, 3, 3], vertices: cell120Vertices },
+    cell600: { label: '600-cell', schlafli: [3, 3, 5], vertices: cell600Vertices }
+  };
+
+  const ALIASES = {
+    simplex5: 'cell5',
+    pentachoron: 'cell5',
+    cell8: 'tesseract',
+    hypercube: 'tesseract',
+    orthoplex: 'cell16'
+  };
+
+  const cache = new Map();
+
+  // ============================================
+  // COORDINATE GENERATORS
+  // ============================================
+
+  function permutations(values) {
+    if (values.length <= 1) return [values.slice()];
+    const result = [];
+    values.forEach((value, index) => {
+      const rest = values.slice(0, index).concat(values.slice(index + 1));
+      permutations(rest).forEach((tail) => result.push([value].concat(tail)));
+    });
+    return result;
+  }
+
+  function isEvenPermutation(order) {
+    let inversions = 0;
+    for (let i = 0; i < order.length; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        if (order[i] > order[j]) inversions++;
+      }
+    }
+    return inversions % 2 === 0;
+  }
+
+  function signVariants(vector) {
+    let variants = [[]];
+    vector.forEach((value) => {
+      const signs = value === 0 ? [0] : [value, -value];
+      variants = variants.flatMap((prefix) => signs.map((signed) => prefix.concat(signed)));
+    });
+    return variants;
+  }
+
+  /**
+   * Every sign change of every (optionally only even) permutation, without
+   * duplicates
+   */
+  function expand(base, evenOnly = false) {
+    const seen = new Map();
+    permutations([0, 1, 2, 3]).forEach((order) => {
+      if (evenOnly && !isEvenPermutation(order)) return;
+      const permuted = order.map((index) => base[index]);
+      signVariants(permuted).forEach((vertex) => {
+        seen.set(vertex.map((value) => value.toFixed(6)).join(','), vertex);
+      });
+    });
+    return Array.from(seen.values());
+  }
+
+  function cell5Vertices() {
+    const w = 1 / Math.sqrt(5);
+    return [
+      [1, 1, 1, -w],
+      [1, -1, -1, -w],
+      [-1, 1, -1, -w],
+      [-1, -1, 1, -w],
+      [0, 0, 0, 4 * w]
+    ];
+  }
+
+  function tesseractVertices() {
+    return expand([1, 1, 1, 1]);
+  }
+
+  function cell16Vertices() {
+    return expand([1, 0, 0, 0]);
+  }
+
+  function cell24Vertices() {
+    return expand([1, 1, 0, 0]);
+  }
+
+  function cell600Vertices() {
+    return [
+      ...expand([0.5, 0.5, 0.5, 0.5]),
+      ...expand([1, 0, 0, 0]),
+      ...expand([PHI / 2, 0.5, 1 / (2 * PHI), 0], true)
+    ];
+  }
+
+  function cell120Vertices() {
+    const sqrt5 = Math.sqrt(5);
+    return [
+      ...expand([2, 2, 0, 0]),
+      ...expand([1, 1, 1, sqrt5]),
+      ...expand([PHI ** -2, PHI, PHI, PHI]),
+      ...expand([1 / PHI, 1 / PHI, 1 / PHI, PHI ** 2]),
+      ...expand([0, PHI ** -2, 1, PHI ** 2], true),
+      ...expand([0, 1 / PHI, PHI, sqrt5], true),
+      ...expand([1 / PHI, 1, PHI, 2], true)
+    ];
+  }
+
+  // ============================================
+  // VECTOR HELPERS
+  // ============================================
+
+  const subtract = (a, b) => a.map((value, index) => value - b[index]);
+  const dot = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+  const length = (a) => Math.sqrt(dot(a, a));
+
+  function scaleTo(vertices, radius) {
+    const current = Math.max(...vertices.map(length));
+    const factor = current > 0 ? radius / current : 1;
+    return vertices.map((vertex) => vertex.map((value) => value * factor));
+  }
+
+  /**
+   * True when the points span a plane (Gram–Schmidt on their offsets)
+   */
+  function isPlanar(points) {
+    const basis = [];
+    for (let i = 1; i < points.length; i++) {
+      let offset = subtract(points[i], points[0]);
+      basis.forEach((axis) => {
+        const projection = dot(offset, axis);
+        offset = offset.map((value, index) => value - projection * axis[index]);
+      });
+      const size = length(offset);
+      if (size > EPSILON * Math.max(1, length(points[i]))) {
+        if (basis.length === 2) return false;
+        basis.push(offset.map((value) => value / size));
+      }
+    }
+    return basis.length === 2;
+  }
+
+  // ============================================
+  // TOPOLOGY
+  // ============================================
+
+  /**
+   * Edges join vertex pairs at the minimum separation
+   */
+  function findEdges(vertices) {
+    let minimum = Infinity;
+    for (let i = 0; i < vertices.length; i++) {
+      for (let j = i + 1; j < vertices.length; j++) {
+        minimum = Math.min(minimum, length(subtract(vertices[i], vertices[j])));
+      }
+    }
+
+    const edges = [];
+    const tolerance = minimum * EPSILON * 10;
+    for (let i = 0; i < vertices.length; i++) {
+      for (let j = i + 1; j < vertices.length; j++) {
+        if (Math.abs(length(subtract(vertices[i], vertices[j])) - minimum) < tolerance) {
+          edges.push([i, j]);
+        }
+      }
+    }
+    return edges;
+  }
+
+  function adjacencyOf(vertexCount, edges) {
+    const adjacency = Array.from({ length: vertexCount }, () => []);
+    edges.forEach(([a, b]) => {
+      adjacency[a].push(b);
+      adjacency[b].push(a);
+    });
+    return adjacency;
+  }
+
+  /**
+   * Planar simple cycles of `size` vertices; for regular polytopes these are
+   * exactly the 2-faces. Each cycle is reported once, starting at its lowest
+   * index.
+   */
+  function findPlanarCycles(nodes, adjacency, size, positionOf) {
+    const cycles = [];
+    const seen = new Set();
+
+    nodes.forEach((start) => {
+      const walk = (path) => {
+        const last = path[path.length - 1];
+        if (path.length === size) {
+          if (!adjacency.get(last).includes(start)) return;
+          if (!isPlanar(path.map(positionOf))) return;
+          const key = path.slice().sort((a, b) => a - b).join(',');
+          if (seen.has(key)) return;
+          seen.add(key);
+          cycles.push(path.slice());
+          return;
+        }
+        adjacency.get(last).forEach((next) => {
+          if (next <= start || path.includes(next)) return;
+          path.push(next);
+          walk(path);
+          path.pop();
+        });
+      };
+      walk([start]);
+    });
+
+    return cycles;
+  }
+
+  function findFaces(vertices, edges, sides) {
+    const adjacency = adjacencyOf(vertices.length, edges);
+    const lookup = new Map(adjacency.map((neighbours, index) => [index, neighbours]));
+    return findPlanarCycles(vertices.map((_, index) => index), lookup, sides, (index) => vertices[index]);
+  }
+
+  function build(name) {
+    const definition = DEFINITIONS[name];
+    const vertices = scaleTo(definition.vertices(), 1);
+    const edges = findEdges(vertices);
+    const faces = findFaces(vertices, edges, definition.schlafli[0]);
+    return {
+      name,
+      label: definition.label,
+      schlafli: definition.schlafli.slice(),
+      vertices,
+      edges,
+      faces
+    };
+  }
+
+  // ============================================
+  // TRUNCATION
+  // ============================================
+
+  /**
+   * The vertex figure at each vertex: its neighbours, joined where they sit
+   * either side of the vertex on a shared face, and the figure's own faces
+   */
+  function vertexFigures(polytope) {
+    const { vertices, edges, faces, schlafli } = polytope;
+    const adjacency = adjacencyOf(vertices.length, edges);
+    const figureEdges = vertices.map(() => new Map());
+
+    faces.forEach((face) => {
+      face.forEach((vertex, index) => {
+        const previous = face[(index + face.length - 1) % face.length];
+        const next = face[(index + 1) % face.length];
+        const links = figureEdges[vertex];
+        if (!links.has(previous)) links.set(previous, []);
+        if (!links.has(next)) links.set(next, []);
+        links.get(previous).push(next);
+        links.get(next).push(previous);
+      });
+    });
+
+    return vertices.map((vertex, index) => {
+      const figureFaces = findPlanarCycles(adjacency[index], figureEdges[index], schlafli[1], (neighbour) => vertices[neighbour]);
+      const pairs = [];
+      figureEdges[index].forEach((linked, neighbour) => {
+        linked.forEach((other) => {
+          if (neighbour < other) pairs.push([neighbour, other]);
+        });
+      });
+      return { neighbours: adjacency[index], edges: pairs, faces: figureFaces };
+    });
+  }
+
+  /**
+   * Cut every vertex back `amount` of the way along its edges. 0.5 is the
+   * rectification, where the cuts from both ends meet at edge midpoints.
+   */
+  function truncate(polytope, amount) {
+    const t = Math.min(0.5, Math.max(0, Number(amount) || 0));
+    if (t === 0) return polytope;
+
+    const rectified = Math.abs(t - 0.5) < EPSILON;
+    const figures = vertexFigures(polytope);
+    const vertices = [];
+    const ids = new Map();
+
+    const pointId = (from, to) => {
+      const key = rectified ? `${Math.min(from, to)}:${Math.max(from, to)}` : `${from}:${to}`;
+      if (!ids.has(key)) {
+        const a = polytope.vertices[from];
+        const b = polytope.vertices[to];
+        ids.set(key, vertices.length);
+        vertices.push(a.map((value, index) => value + (b[index] - value) * t));
+      }
+      return ids.get(key);
+    };
+
+    const edges = [];
+    const edgeKeys = new Set();
+    const addEdge = (a, b) => {
+      const key = a < b ? `${a}:${b}` : `${b}:${a}`;
+      if (a === b || edgeKeys.has(key)) return;
+      edgeKeys.add(key);
+      edges.push(a < b ? [a, b] : [b, a]);
+    };
+
+    if (!rectified) {
+      polytope.edges.forEach(([a, b]) => addEdge(pointId(a, b), pointId(b, a)));
+    }
+    figures.forEach((figure, vertex) => {
+      figure.edges.forEach(([a, b]) => addEdge(pointId(vertex, a), pointId(vertex, b)));
+    });
+
+    const faces = polytope.faces.map((face) => {
+      if (rectified) {
+        return face.map((vertex, index) => pointId(vertex, face[(index + 1) % face.length]));
+      }
+      return face.flatMap((vertex, index) => [
+        pointId(vertex, face[(index + face.length - 1) % face.length]),
+        pointId(vertex, face[(index + 1) % face.length])
+      ]);
+    });
+    figures.forEach((figure, vertex) => {
+      figure.faces.forEach((face) => faces.push(face.map((neighbour) => pointId(vertex, neighbour))));
+    });
+
+    const radius = Math.max(...polytope.vertices.map(length));
+    return {
+      name: polytope.name,
+      label: `${rectified ? 'Rectified' : 'Truncated'} ${polytope.label}`,
+      schlafli: polytope.schlafli.slice(),
+      truncation: t,
+      vertices: scaleTo(vertices, radius),
+      edges,
+      faces
+    };
+  }
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  function resolveName(name) {
+    const key = ALIASES[name] || name;
+    return DEFINITIONS[key] ? key : null;
+  }
+
+  /**
+   * Generate a polytope scaled to `radius` (circumradius), optionally
+   * truncated by `truncate` in (0, 0.5]. Results are cached and shared, so
+   * treat them as read-only.
+   */
+  function create(name, options = {}) {
+    const key = resolveName(name);
+    if (!key) {
+      throw new Error(`Unknown polytope "${name}"`);
+    }
+
+    const radius = Number.isFinite(options.radius) && options.radius > 0 ? options.radius : 1;
+    const truncation = Math.min(0.5, Math.max(0, Number(options.truncate) || 0));
+    const cacheKey = `${key}:${radius}:${truncation}`;
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    if (!cache.has(key)) {
+      cache.set(key, build(key));
+    }
+    let polytope = cache.get(key);
+    if (truncation > 0) {
+      polytope = truncate(polytope, truncation);
+    }
+    if (radius !== 1) {
+      polytope = { ...polytope, vertices: scaleTo(polytope.vertices, radius) };
+    }
+
+    cache.set(cacheKey, polytope);
+    return polytope;
+  }
+
+  const PolytopeGeometry = {
+    names: Object.keys(DEFINITIONS),
+    aliases: { ...ALIASES },
+    resolveName,
+    create,
+    truncate
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = PolytopeGeometry;
+  }
+  if (root) {
+    root.PolytopeGeometry = PolytopeGeometry;
+  }
+
+})(typeof window !== 'undefined' ? window : null);
+
+/**
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC
+ * A Paul Phillips Manifestation
+ * Paul@clearseassolutions.com
+ */
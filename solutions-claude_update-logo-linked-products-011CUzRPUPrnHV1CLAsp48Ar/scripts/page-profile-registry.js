@@ -0,0 +1,363 @@
+/**
+ * Page profile registry
+ *
+ * Profiles are plain JSON objects, so they can be declared inline with
+ * `<script type="application/json" data-page-profiles>` or pushed onto
+ * `window.__CLEAR_SEAS_PAGE_PROFILES` before the orchestrator loads:
+ *
+ * {
+ *   "key": "signal-lab",
+ *   "match": {
+ *     "paths": ["/lab/*", "signal-lab.html"],
+ *     "meta": ["signal-lab"],
+ *     "dataset": { "pageKind": "lab" }
+ *   },
+ *   "palette": "aurora",
+ *   "family": "research",
+ *   "layout": "stack",
+ *   "accent": "#4fd1ff",
+ *   "videoPattern": [true, false, false],
+ *   "imageOrder": [2, 0, 1],
+ *   "videoOrder": [1, 0],
+ *   "overlay": { "blend": "screen", "opacity": 0.8 },
+ *   "canvas": { "scale": 1.05, "depth": "18px" },
+ *   "scripts": ["scripts/signal-lab.js"],
+ *   "seed": 12
+ * }
+ *
+ * A page selects a profile explicitly with `data-page-profile="key"` on
+ * `<body>`/`<html>` or `<meta name="clear-seas-page-profile" content="key">`.
+ * Otherwise the first profile whose `match` rules hit the URL path, the
+ * `<meta name="clear-seas-page">` value or the body dataset wins.
+ */
+
+export const DEFAULT_PAGE_PROFILE_KEY = 'core-foundation';
+
+const PROFILE_META_NAME = 'clear-seas-page-profile';
+const PAGE_META_NAME = 'clear-seas-page';
+const PROFILE_SCRIPT_SELECTOR = 'script[type="application/json"][data-page-profiles]';
+
+const PROFILE_KEYS = new Set([
+  'key',
+  'match',
+  'palette',
+  'family',
+  'layout',
+  'accent',
+  'videoPattern',
+  'imageOrder',
+  'videoOrder',
+  'overlay',
+  'canvas',
+  'scripts',
+  'seed'
+]);
+const MATCH_KEYS = new Set(['paths', 'meta', 'dataset']);
+const OVERLAY_KEYS = new Set(['blend', 'filter', 'opacity', 'rotate', 'depth']);
+const CANVAS_KEYS = new Set(['scale', 'depth']);
+const STRING_KEYS = ['palette', 'family', 'layout', 'accent'];
+const PROFILE_KEY_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const registry = new Map();
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string' && item.trim());
+
+const isIndexList = (value) => Array.isArray(value) && value.length > 0 &&
+  value.every((item) => Number.isInteger(item) && item >= 0);
+
+function reportUnknownKeys(input, allowed, path, warnings) {
+  Object.keys(input).forEach((key) => {
+    if (!allowed.has(key)) {
+      warnings.push({ path: path ? `${path}.${key}` : key, message: 'unknown key' });
+    }
+  });
+}
+
+/**
+ * Check a profile description against the schema above.
+ * Bad values are `errors` (the profile is rejected); unknown keys are
+ * `warnings` so a typo does not take a whole page profile down.
+ */
+export function validatePageProfile(input) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(input)) {
+    errors.push({ path: '', message: 'profile must be an object' });
+    return { valid: false, errors, warnings };
+  }
+
+  reportUnknownKeys(input, PROFILE_KEYS, '', warnings);
+
+  if (typeof input.key !== 'string' || !PROFILE_KEY_PATTERN.test(input.key)) {
+    errors.push({ path: 'key', message: 'must be a lowercase kebab-case string' });
+  }
+
+  STRING_KEYS.forEach((key) => {
+    if (input[key] != null && (typeof input[key] !== 'string' || !input[key].trim())) {
+      errors.push({ path: key, message: 'must be a non-empty string' });
+    }
+  });
+
+  if (input.match != null) {
+    if (!isPlainObject(input.match)) {
+      errors.push({ path: 'match', message: 'must be an object' });
+    } else {
+      reportUnknownKeys(input.match, MATCH_KEYS, 'match', warnings);
+      ['paths', 'meta'].forEach((key) => {
+        if (input.match[key] != null && !isStringList(input.match[key])) {
+          errors.push({ path: `match.${key}`, message: 'must be an array of strings' });
+        }
+      });
+      const { dataset } = input.match;
+      if (dataset != null && (!isPlainObject(dataset) ||
+        !Object.values(dataset).every((value) => typeof value === 'string'))) {
+        errors.push({ path: 'match.dataset', message: 'must map dataset keys to strings' });
+      }
+    }
+  }
+
+  if (input.videoPattern != null && !(Array.isArray(input.videoPattern) && input.videoPattern.length &&
+    input.videoPattern.every((item) => typeof item === 'boolean'))) {
+    errors.push({ path: 'videoPattern', message: 'must be a non-empty array of booleans' });
+  }
+
+  ['imageOrder', 'videoOrder'].forEach((key) => {
+    if (input[key] != null && !isIndexList(input[key])) {
+      errors.push({ path: key, message: 'must be a non-empty array of non-negative integers' });
+    }
+  });
+
+  if (input.overlay != null) {
+    if (!isPlainObject(input.overlay)) {
+      errors.push({ path: 'overlay', message: 'must be an object' });
+    } else {
+      reportUnknownKeys(input.overlay, OVERLAY_KEYS, 'overlay', warnings);
+      Object.entries(input.overlay).forEach(([key, value]) => {
+        if (!OVERLAY_KEYS.has(key)) {
+          return;
+        }
+        const valid = key === 'opacity'
+          ? typeof value === 'number' && value >= 0 && value <= 1
+          : typeof value === 'string' && value.trim();
+        if (!valid) {
+          errors.push({
+            path: `overlay.${key}`,
+            message: key === 'opacity' ? 'must be a number between 0 and 1' : 'must be a non-empty string'
+          });
+        }
+      });
+    }
+  }
+
+  if (input.canvas != null) {
+    if (!isPlainObject(input.canvas)) {
+      errors.push({ path: 'canvas', message: 'must be an object' });
+    } else {
+      reportUnknownKeys(input.canvas, CANVAS_KEYS, 'canvas', warnings);
+      if (input.canvas.scale != null && !(typeof input.canvas.scale === 'number' && input.canvas.scale > 0)) {
+        errors.push({ path: 'canvas.scale', message: 'must be a positive number' });
+      }
+      if (input.canvas.depth != null && (typeof input.canvas.depth !== 'string' || !input.canvas.depth.trim())) {
+        errors.push({ path: 'canvas.depth', message: 'must be a non-empty string' });
+      }
+    }
+  }
+
+  if (input.scripts != null && !isStringList(input.scripts)) {
+    errors.push({ path: 'scripts', message: 'must be an array of script URLs' });
+  }
+
+  if (input.seed != null && !(Number.isInteger(input.seed) && input.seed >= 0)) {
+    errors.push({ path: 'seed', message: 'must be a non-negative integer' });
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+function formatIssues(issues) {
+  return issues.map(({ path, message }) => (path ? `${path}: ${message}` : message)).join('; ');
+}
+
+export function registerPageProfile(input) {
+  const { valid, errors, warnings } = validatePageProfile(input);
+  const label = isPlainObject(input) && typeof input.key === 'string' ? input.key : '(unnamed)';
+  if (warnings.length) {
+    console.warn(`⚠️ Page profile "${label}": ${formatIssues(warnings)}`);
+  }
+  if (!valid) {
+    console.warn(`⚠️ Page profile "${label}" rejected: ${formatIssues(errors)}`);
+    return null;
+  }
+  const profile = {};
+  PROFILE_KEYS.forEach((key) => {
+    if (input[key] != null) {
+      profile[key] = JSON.parse(JSON.stringify(input[key]));
+    }
+  });
+  registry.set(profile.key, profile);
+  return profile;
+}
+
+export function registerPageProfiles(list) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  return list.map((entry) => registerPageProfile(entry)).filter(Boolean);
+}
+
+registerPageProfile({
+  key: DEFAULT_PAGE_PROFILE_KEY,
+  palette: 'foundation',
+  family: DEFAULT_PAGE_PROFILE_KEY,
+  layout: 'grid'
+});
+
+export function getPageProfile(key) {
+  return registry.get(key) || null;
+}
+
+export function listPageProfiles() {
+  return Array.from(registry.values());
+}
+
+function loadDeclaredProfiles() {
+  if (Array.isArray(window.__CLEAR_SEAS_PAGE_PROFILES)) {
+    registerPageProfiles(window.__CLEAR_SEAS_PAGE_PROFILES);
+  }
+  document.querySelectorAll(PROFILE_SCRIPT_SELECTOR).forEach((script) => {
+    if (script.dataset.pageProfilesLoaded === 'true') {
+      return;
+    }
+    script.dataset.pageProfilesLoaded = 'true';
+    try {
+      const parsed = JSON.parse(script.textContent || '[]');
+      registerPageProfiles(Array.isArray(parsed) ? parsed : [parsed]);
+    } catch (error) {
+      console.warn('⚠️ Failed to parse inline page profiles', error);
+    }
+  });
+}
+
+function readMeta(name) {
+  const meta = document.querySelector(`meta[name="${name}"]`);
+  const content = meta ? meta.getAttribute('content') : null;
+  return content ? content.trim() : null;
+}
+
+function currentPath() {
+  const path = window.location && window.location.pathname ? window.location.pathname : '/';
+  return path.endsWith('/') ? `${path}index.html` : path;
+}
+
+function pathMatches(pattern, path) {
+  const basename = path.slice(path.lastIndexOf('/') + 1);
+  const subject = pattern.includes('/') ? path : basename;
+  const expression = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${expression}$`).test(subject);
+}
+
+function datasetMatches(expected, datasets) {
+  return Object.entries(expected).every(([key, value]) => (
+    datasets.some((dataset) => dataset && dataset[key] === value)
+  ));
+}
+
+function matchesProfile(profile, context) {
+  const { match } = profile;
+  if (!match) {
+    return false;
+  }
+  const rules = [];
+  if (Array.isArray(match.paths) && match.paths.length) {
+    rules.push(match.paths.some((pattern) => pathMatches(pattern, context.path)));
+  }
+  if (Array.isArray(match.meta) && match.meta.length) {
+    rules.push(Boolean(context.metaName) && match.meta.includes(context.metaName));
+  }
+  if (isPlainObject(match.dataset) && Object.keys(match.dataset).length) {
+    rules.push(datasetMatches(match.dataset, context.datasets));
+  }
+  return rules.length > 0 && rules.some(Boolean);
+}
+
+function hashString(value) {
+  let hash = 2166136261;
+  for (let index = 0; index < value.length; index += 1) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Resolve the profile for the current document. Always returns an object;
+ * pages without a matching profile get the `core-foundation` defaults.
+ */
+export function resolvePageProfile() {
+  loadDeclaredProfiles();
+
+  const body = document.body;
+  const root = document.documentElement;
+  const path = currentPath();
+  const metaName = readMeta(PAGE_META_NAME) || path.slice(path.lastIndexOf('/') + 1);
+  const context = {
+    path,
+    metaName,
+    datasets: [body ? body.dataset : null, root ? root.dataset : null]
+  };
+
+  const explicitKey = body?.dataset?.pageProfile || root?.dataset?.pageProfile || readMeta(PROFILE_META_NAME);
+  let profile = explicitKey ? getPageProfile(explicitKey) : null;
+  let source = profile ? 'explicit' : null;
+
+  if (explicitKey && !profile) {
+    console.warn(`⚠️ Unknown page profile "${explicitKey}", falling back to rule matching`);
+  }
+
+  if (!profile) {
+    profile = listPageProfiles().find((candidate) => matchesProfile(candidate, context)) || null;
+    source = profile ? 'match' : 'default';
+  }
+
+  if (!profile) {
+    profile = getPageProfile(DEFAULT_PAGE_PROFILE_KEY);
+  }
+
+  const signature = `${profile.key}|${metaName}`;
+  return {
+    ...profile,
+    scripts: Array.isArray(profile.scripts) ? [...profile.scripts] : [],
+    metaName,
+    source,
+    signature,
+    seed: Number.isInteger(profile.seed) ? profile.seed : hashString(signature) % 997
+  };
+}
+
+/**
+ * Publish the resolved profile on `<html>` so stylesheets and other
+ * scripts can key off it without reaching into the orchestrator.
+ * The key goes to `data-resolved-profile`, not `data-page-profile`:
+ * the latter is an explicit override and would pin the next resolution.
+ */
+export function applyProfileMetadata(profile) {
+  const root = document.documentElement;
+  if (!root || !profile) {
+    return;
+  }
+  root.dataset.resolvedProfile = profile.key;
+  root.dataset.pagePalette = profile.palette || '';
+  root.dataset.pageFamily = profile.family || '';
+  root.dataset.pageLayout = profile.layout || '';
+  if (profile.accent) {
+    root.style.setProperty('--page-accent', profile.accent);
+  } else {
+    root.style.removeProperty('--page-accent');
+  }
+}
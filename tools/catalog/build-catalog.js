@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Catalog Generator
+ * Scans the build directories, reads each BRANCH_INFO.txt and the branch
+ * encoded in the directory name, merges the hand-written titles from
+ * annotations.json and writes data/catalog.json for the catalog page
+ *
+ * Usage:
+ *   node tools/catalog/build-catalog.js           # (re)write data/catalog.json
+ *   node tools/catalog/build-catalog.js --check   # exit 1 if it is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+    CATALOG_ROOT,
+    REPOSITORIES,
+    listBuildDirectories,
+    readBranchInfo,
+    parseDirectoryName
+} = require('../lib/build-info');
+
+const ANNOTATIONS_FILE = path.join(__dirname, 'annotations.json');
+const OUTPUT_FILE = path.join(CATALOG_ROOT, 'data', 'catalog.json');
+
+const USAGE = `Usage: node tools/catalog/build-catalog.js [options]
+
+Options:
+  --check           Do not write; exit 1 when data/catalog.json is stale
+  --output <file>   Write somewhere other than data/catalog.json
+  -h, --help        Show this help`;
+
+// First match wins; feature branches without a keyword stay "feature"
+const CATEGORY_KEYWORDS = [
+    ['polish', /polish|refine/],
+    ['analyze', /analy|red-team|review|audit/],
+    ['performance', /perf|optimi/],
+    ['fix', /fix|glitch|bug/],
+    ['visualizer', /visuali|vib3|webgl|shader|polytope|holograph/]
+];
+
+function inferCategory({ branchType, slug }) {
+    if (branchType === 'main') return 'main';
+    const found = CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(slug));
+    if (found) return found[0];
+    return branchType === 'feature' ? 'feature' : 'enhance';
+}
+
+function inferTitle(repo, slug) {
+    if (!slug) {
+        return `${REPOSITORIES[repo] ? REPOSITORIES[repo].name : repo} Main`;
+    }
+    return slug
+        .split(/[-_]+/)
+        .filter(Boolean)
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+function loadAnnotations() {
+    if (!fs.existsSync(ANNOTATIONS_FILE)) return {};
+    return JSON.parse(fs.readFileSync(ANNOTATIONS_FILE, 'utf8'));
+}
+
+/**
+ * One catalog entry per build directory that has a readable BRANCH_INFO.txt
+ */
+function collectBuilds(root = CATALOG_ROOT, annotations = loadAnnotations()) {
+    const builds = [];
+    const skipped = [];
+
+    for (const directory of listBuildDirectories(root)) {
+        const info = readBranchInfo(directory, root);
+        const parsed = parseDirectoryName(directory);
+        if (!info || !parsed.repo) {
+            skipped.push({ directory, reason: info ? 'unknown repository prefix' : 'no readable BRANCH_INFO.txt' });
+            continue;
+        }
+
+        const note = annotations[directory] || {};
+        builds.push({
+            directory,
+            repo: parsed.repo,
+            sourceRepo: info.sourceRepo,
+            branch: parsed.branch,
+            branchType: parsed.branchType,
+            title: note.title || inferTitle(parsed.repo, parsed.slug),
+            description: note.description || info.subject,
+            category: note.category || inferCategory(parsed),
+            date: info.date,
+            commitSubject: info.subject
+        });
+    }
+
+    const stale = Object.keys(annotations).filter((directory) => !builds.some((build) => build.directory === directory));
+    return { builds, skipped, stale };
+}
+
+function buildCatalog(builds) {
+    const repositories = {};
+    Object.entries(REPOSITORIES).forEach(([key, repository]) => {
+        repositories[key] = {
+            ...repository,
+            count: builds.filter((build) => build.repo === key).length
+        };
+    });
+
+    return { schemaVersion: 1, total: builds.length, repositories, builds };
+}
+
+function main() {
+    const { values: options } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            check: { type: 'boolean', default: false },
+            output: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const outputFile = options.output ? path.resolve(options.output) : OUTPUT_FILE;
+    const { builds, skipped, stale } = collectBuilds();
+    const json = `${JSON.stringify(buildCatalog(builds), null, 2)}\n`;
+
+    skipped.forEach(({ directory, reason }) => console.warn(`⚠️  Skipped ${directory}: ${reason}`));
+    stale.forEach((directory) => console.warn(`⚠️  annotations.json mentions missing build ${directory}`));
+
+    const relativeOutput = path.relative(process.cwd(), outputFile);
+    if (options.check) {
+        const current = fs.existsSync(outputFile) ? fs.readFileSync(outputFile, 'utf8') : null;
+        if (current !== json) {
+            console.error(`❌ ${relativeOutput} is out of date, run node tools/catalog/build-catalog.js`);
+            return 1;
+        }
+        console.log(`✅ ${relativeOutput} is up to date (${builds.length} builds)`);
+        return 0;
+    }
+
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    fs.writeFileSync(outputFile, json);
+    console.log(`📚 Wrote ${builds.length} builds to ${relativeOutput}`);
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exit(main());
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { collectBuilds, buildCatalog, inferCategory, inferTitle };
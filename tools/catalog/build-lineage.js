@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * Module Lineage Generator
+ * Fingerprints every JavaScript file in every catalog build, groups byte-
+ * identical copies into variants and links near-duplicate variants into
+ * families by normalized token similarity. Writes data/lineage.json, which
+ * lineage.html renders as per-module timelines and index.html uses for its
+ * "builds containing variant X" filter
+ *
+ * Usage:
+ *   node tools/catalog/build-lineage.js                   # (re)write data/lineage.json
+ *   node tools/catalog/build-lineage.js --threshold 0.9   # stricter families
+ *   node tools/catalog/build-lineage.js --check           # exit 1 if it is out of date
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { CATALOG_ROOT } = require('../lib/build-info');
+const { collectBuilds } = require('./build-catalog');
+const { hashFile, walkFiles } = require('./build-source-index');
+
+const OUTPUT_FILE = path.join(CATALOG_ROOT, 'data', 'lineage.json');
+const JS_FILE = /\.(m|c)?js$/i;
+const SHINGLE_SIZE = 5;
+const DEFAULT_THRESHOLD = 0.8;
+
+const USAGE = `Usage: node tools/catalog/build-lineage.js [options]
+
+Options:
+  --threshold <0-1>   Token similarity that links two variants into a family (default ${DEFAULT_THRESHOLD})
+  --check             Do not write; exit 1 when data/lineage.json is stale
+  -h, --help          Show this help`;
+
+// Comments and whitespace are dropped; strings, names and punctuation are kept
+const TOKEN_PATTERN = /\s+|\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)|'(?:\\[\s\S]|[^'\\\n])*'?|"(?:\\[\s\S]|[^"\\\n])*"?|`(?:\\[\s\S]|[^`\\])*`?|[A-Za-z_$][\w$]*|\d[\w.]*|[\s\S]/g;
+
+function tokenize(source) {
+    const tokens = [];
+    for (const [token] of source.matchAll(TOKEN_PATTERN)) {
+        const first = token.charAt(0);
+        if (/\s/.test(first)) continue;
+        if (first === '/' && (token.charAt(1) === '/' || token.charAt(1) === '*')) continue;
+        tokens.push(token);
+    }
+    return tokens;
+}
+
+// FNV-1a, enough to keep shingle sets as numbers instead of strings
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function shingles(tokens, size = SHINGLE_SIZE) {
+    const set = new Set();
+    if (tokens.length < size) {
+        if (tokens.length) set.add(hashString(tokens.join('\u0001')));
+        return set;
+    }
+    for (let i = 0; i <= tokens.length - size; i++) {
+        set.add(hashString(tokens.slice(i, i + size).join('\u0001')));
+    }
+    return set;
+}
+
+function jaccard(a, b) {
+    if (!a.size && !b.size) return 1;
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    let shared = 0;
+    small.forEach((value) => {
+        if (large.has(value)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+function familyLabel(index) {
+    let label = '';
+    let n = index;
+    do {
+        label = String.fromCharCode(65 + (n % 26)) + label;
+        n = Math.floor(n / 26) - 1;
+    } while (n >= 0);
+    return label;
+}
+
+const byDate = (a, b) => (Date.parse(a) || 0) - (Date.parse(b) || 0);
+
+/**
+ * module name -> variant hash -> { files: [{ directory, file }], ... }
+ */
+function collectVariants(builds, root) {
+    const modules = new Map();
+
+    for (const build of builds) {
+        const buildRoot = path.join(root, build.directory);
+        for (const file of walkFiles(buildRoot).filter((candidate) => JS_FILE.test(candidate))) {
+            const name = file.split('/').pop();
+            const full = path.join(buildRoot, file);
+            const hash = hashFile(full);
+
+            if (!modules.has(name)) modules.set(name, new Map());
+            const variants = modules.get(name);
+            if (!variants.has(hash)) {
+                const source = fs.readFileSync(full, 'utf8');
+                const tokens = tokenize(source);
+                variants.set(hash, {
+                    hash,
+                    normalizedHash: crypto.createHash('sha256').update(tokens.join(' ')).digest('hex').slice(0, 16),
+                    size: fs.statSync(full).size,
+                    lines: source.split('\n').length,
+                    shingles: shingles(tokens),
+                    carriers: []
+                });
+            }
+            variants.get(hash).carriers.push({ directory: build.directory, file, date: build.date });
+        }
+    }
+    return modules;
+}
+
+/**
+ * Variants of one module ordered by first appearance, linked into families
+ * (single linkage above `threshold`) and annotated with their closest
+ * earlier variant
+ */
+function describeModule(name, variants, threshold) {
+    const list = [...variants.values()].map((variant) => {
+        const dates = variant.carriers.map((carrier) => carrier.date).sort(byDate);
+        return { ...variant, firstSeen: dates[0], lastSeen: dates[dates.length - 1] };
+    });
+    list.sort((a, b) => byDate(a.firstSeen, b.firstSeen) || a.hash.localeCompare(b.hash));
+
+    const similarity = list.map((a, i) => list.map((b, j) => {
+        if (i === j) return 1;
+        if (a.normalizedHash === b.normalizedHash) return 1;
+        return j < i ? null : jaccard(a.shingles, b.shingles);
+    }));
+    const score = (i, j) => (j > i ? similarity[i][j] : similarity[j][i]);
+
+    // Union-find over variants that are similar enough
+    const parent = list.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    for (let i = 0; i < list.length; i++) {
+        for (let j = i + 1; j < list.length; j++) {
+            if (score(i, j) >= threshold) parent[find(j)] = find(i);
+        }
+    }
+
+    const labels = new Map();
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    return {
+        name,
+        copies: list.reduce((total, variant) => total + variant.carriers.length, 0),
+        variants: list.map((variant, i) => {
+            const root = find(i);
+            if (!labels.has(root)) labels.set(root, familyLabel(labels.size));
+
+            let closest = null;
+            for (let j = 0; j < i; j++) {
+                if (!closest || score(i, j) > closest.similarity) {
+                    closest = { id: `${name}@${list[j].hash.slice(0, 8)}`, similarity: score(i, j) };
+                }
+            }
+
+            const carriers = [...variant.carriers].sort((a, b) => byDate(a.date, b.date) || a.directory.localeCompare(b.directory));
+            return {
+                id: `${name}@${variant.hash.slice(0, 8)}`,
+                hash: variant.hash,
+                normalizedHash: variant.normalizedHash,
+                family: labels.get(root),
+                lines: variant.lines,
+                size: variant.size,
+                firstSeen: variant.firstSeen,
+                lastSeen: variant.lastSeen,
+                builds: [...new Set(carriers.map((carrier) => carrier.directory))],
+                paths: [...new Set(carriers.map((carrier) => carrier.file))].sort(),
+                closest: closest && { id: closest.id, similarity: round(closest.similarity) }
+            };
+        }),
+        families: labels.size
+    };
+}
+
+function generateLineage(root = CATALOG_ROOT, threshold = DEFAULT_THRESHOLD) {
+    const { builds } = collectBuilds(root);
+    const modules = collectVariants(builds, root);
+
+    return {
+        schemaVersion: 1,
+        similarityThreshold: threshold,
+        shingleSize: SHINGLE_SIZE,
+        modules: [...modules.keys()]
+            .sort((a, b) => a.localeCompare(b))
+            .map((name) => describeModule(name, modules.get(name), threshold))
+    };
+}
+
+function main() {
+    const { values: options } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            threshold: { type: 'string' },
+            check: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const threshold = options.threshold === undefined ? DEFAULT_THRESHOLD : Number(options.threshold);
+    if (!(threshold > 0 && threshold <= 1)) {
+        console.error('❌ --threshold must be a number in (0, 1]');
+        return 2;
+    }
+
+    const lineage = generateLineage(CATALOG_ROOT, threshold);
+    const json = `${JSON.stringify(lineage, null, 2)}\n`;
+    const relativeOutput = path.relative(process.cwd(), OUTPUT_FILE);
+
+    if (options.check) {
+        const current = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : null;
+        if (current !== json) {
+            console.error(`❌ ${relativeOutput} is out of date, run node tools/catalog/build-lineage.js`);
+            return 1;
+        }
+        console.log(`✅ ${relativeOutput} is up to date`);
+        return 0;
+    }
+
+    const variantCount = lineage.modules.reduce((total, module) => total + module.variants.length, 0);
+    fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
+    fs.writeFileSync(OUTPUT_FILE, json);
+    console.log(`🧬 ${lineage.modules.length} modules, ${variantCount} variants written to ${relativeOutput}`);
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exit(main());
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { tokenize, shingles, jaccard, describeModule, generateLineage };
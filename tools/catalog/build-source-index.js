@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * Source Index Generator
+ * Hashes every file of every catalog build into data/sources/<build>.json so
+ * diff.html can list added / removed / changed files between two builds
+ * without a server. File contents are not copied: the viewer fetches them
+ * from the build directories, which the static site already serves
+ *
+ * Usage:
+ *   node tools/catalog/build-source-index.js           # (re)write data/sources/
+ *   node tools/catalog/build-source-index.js --check   # exit 1 if it is out of date
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { CATALOG_ROOT } = require('../lib/build-info');
+const { collectBuilds } = require('./build-catalog');
+
+const OUTPUT_DIR = path.join(CATALOG_ROOT, 'data', 'sources');
+const SKIPPED_NAMES = new Set(['.git', 'node_modules', '.DS_Store']);
+
+const USAGE = `Usage: node tools/catalog/build-source-index.js [options]
+
+Options:
+  --check       Do not write; exit 1 when data/sources/ is stale
+  -h, --help    Show this help`;
+
+function hashFile(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Build-relative paths (forward slashes) of every file under `dir`
+ */
+function walkFiles(dir, base = dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (SKIPPED_NAMES.has(entry.name)) continue;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...walkFiles(full, base));
+        } else if (entry.isFile()) {
+            files.push(path.relative(base, full).split(path.sep).join('/'));
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * { directory, files: { "src/js/app.js": { hash, size } } }
+ */
+function indexBuild(directory, root = CATALOG_ROOT) {
+    const buildRoot = path.join(root, directory);
+    const files = {};
+    for (const file of walkFiles(buildRoot)) {
+        const full = path.join(buildRoot, file);
+        files[file] = { hash: hashFile(full), size: fs.statSync(full).size };
+    }
+    return { schemaVersion: 1, directory, files };
+}
+
+/**
+ * Every output file keyed by its name inside data/sources/
+ */
+function generateIndex(root = CATALOG_ROOT) {
+    const outputs = {};
+    for (const { directory } of collectBuilds(root).builds) {
+        outputs[`${directory}.json`] = `${JSON.stringify(indexBuild(directory, root))}\n`;
+    }
+    return outputs;
+}
+
+function isUpToDate(outputs) {
+    if (!fs.existsSync(OUTPUT_DIR)) return false;
+    const existing = fs.readdirSync(OUTPUT_DIR).filter((name) => name.endsWith('.json')).sort();
+    if (existing.join('\n') !== Object.keys(outputs).sort().join('\n')) return false;
+    return existing.every((name) => fs.readFileSync(path.join(OUTPUT_DIR, name), 'utf8') === outputs[name]);
+}
+
+function main() {
+    const { values: options } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            check: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const outputs = generateIndex();
+    const relativeOutput = path.relative(process.cwd(), OUTPUT_DIR);
+    const fileCount = Object.values(outputs).reduce((total, json) => total + Object.keys(JSON.parse(json).files).length, 0);
+
+    if (options.check) {
+        if (!isUpToDate(outputs)) {
+            console.error(`❌ ${relativeOutput}/ is out of date, run node tools/catalog/build-source-index.js`);
+            return 1;
+        }
+        console.log(`✅ ${relativeOutput}/ is up to date`);
+        return 0;
+    }
+
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    Object.entries(outputs).forEach(([name, json]) => fs.writeFileSync(path.join(OUTPUT_DIR, name), json));
+    console.log(`🗂️  Indexed ${fileCount} files from ${Object.keys(outputs).length} builds into ${relativeOutput}/`);
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exit(main());
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { hashFile, walkFiles, indexBuild, generateIndex };
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * Preview Capture
+ * Serves the catalog from this checkout, opens every build headless with
+ * software WebGL and the virtual clock, and records a poster (top of the
+ * page) plus a frame strip scrolling from top to bottom. Images go to
+ * data/previews/<build>/, the manifest the catalog page reads to
+ * data/previews.json; failed captures are recorded there too, next to the
+ * previous images when an earlier capture of the build succeeded
+ *
+ * Usage:
+ *   node tools/catalog/capture-previews.js                  # every catalog build
+ *   node tools/catalog/capture-previews.js v2-main codex-main
+ *   node tools/catalog/capture-previews.js --missing        # only builds without a preview
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { CATALOG_ROOT } = require('../lib/build-info');
+const { startStaticServer } = require('../lib/static-server');
+const { launchBrowser, openDeterministicPage } = require('../lib/headless-browser');
+const { composeStrip, resizeImage } = require('../lib/image-compose');
+const { collectBuilds } = require('./build-catalog');
+
+const PREVIEW_DIR = path.join(CATALOG_ROOT, 'data', 'previews');
+const MANIFEST_FILE = path.join(CATALOG_ROOT, 'data', 'previews.json');
+
+const DEFAULTS = {
+    viewport: { width: 1280, height: 800 },
+    poster: { width: 640, height: 400 },
+    frame: { width: 320, height: 200 },
+    frames: 6,
+    settleMs: 2500,
+    frameMs: 500,
+    // Software WebGL draws every stepped frame at capture time; minutes on one core
+    captureTimeoutMs: 900000
+};
+
+const USAGE = `Usage: node tools/catalog/capture-previews.js [build...] [options]
+
+Options:
+  --missing             Only capture builds without a successful preview
+  --frames <n>          Frames in the scroll-through strip (default ${DEFAULTS.frames})
+  --frame-ms <ms>       Virtual time between frames (default ${DEFAULTS.frameMs})
+  --settle-ms <ms>      Virtual time after load before the poster (default ${DEFAULTS.settleMs})
+  --allow-network       Let pages reach CDNs instead of blocking them
+  --headed              Show the browser window
+  -h, --help            Show this help`;
+
+function parseCli(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            missing: { type: 'boolean', default: false },
+            frames: { type: 'string' },
+            'frame-ms': { type: 'string' },
+            'settle-ms': { type: 'string' },
+            'allow-network': { type: 'boolean', default: false },
+            headed: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    return { options: values, builds: positionals.map((name) => name.replace(/[\\/]+$/, '')) };
+}
+
+function loadManifest() {
+    if (!fs.existsSync(MANIFEST_FILE)) {
+        return { schemaVersion: 1, builds: {} };
+    }
+    return JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+}
+
+/**
+ * Keep entries (and image folders) only for builds still in the catalog
+ */
+function pruneManifest(manifest, directories) {
+    Object.keys(manifest.builds).forEach((directory) => {
+        if (!directories.includes(directory)) {
+            delete manifest.builds[directory];
+            fs.rmSync(path.join(PREVIEW_DIR, directory), { recursive: true, force: true });
+        }
+    });
+    return manifest;
+}
+
+function sitePath(file) {
+    return path.relative(CATALOG_ROOT, file).split(path.sep).join('/');
+}
+
+async function captureFrames(browser, server, build, settings, options) {
+    const session = await openDeterministicPage(browser, {
+        baseUrl: server.url,
+        viewport: settings.viewport,
+        allowNetwork: options['allow-network']
+    });
+    const { page, clock } = session;
+
+    try {
+        await page.goto(`${server.url}/${encodeURIComponent(build)}/index.html`, {
+            waitUntil: 'load',
+            timeout: settings.captureTimeoutMs
+        });
+        await page.evaluate(() => document.fonts && document.fonts.ready);
+        await clock.advance(settings.settleMs);
+        await clock.settle();
+        await clock.pauseMedia();
+
+        const shoot = () => page.screenshot({ animations: 'disabled', caret: 'hide', timeout: settings.captureTimeoutMs });
+        const poster = await shoot();
+        const maxScroll = await page.evaluate(() =>
+            Math.max(0, document.documentElement.scrollHeight - window.innerHeight));
+
+        const frames = [];
+        for (let index = 0; index < settings.frames; index++) {
+            const y = settings.frames > 1 ? Math.round((index / (settings.frames - 1)) * maxScroll) : 0;
+            await page.evaluate((top) => {
+                window.scrollTo({ top, left: 0, behavior: 'instant' });
+                window.dispatchEvent(new Event('scroll'));
+            }, y);
+            await clock.settle();
+            await clock.advance(settings.frameMs);
+            await clock.settle();
+            frames.push(await shoot());
+        }
+
+        return { poster, frames, errors: session.errors };
+    } finally {
+        await session.context.close();
+    }
+}
+
+async function captureBuild(browser, composePage, server, build, settings, options) {
+    const capture = await captureFrames(browser, server, build, settings, options);
+    const outputDir = path.join(PREVIEW_DIR, build);
+    const posterFile = path.join(outputDir, 'poster.jpg');
+    const stripFile = path.join(outputDir, 'strip.jpg');
+
+    const poster = await resizeImage(composePage, capture.poster, settings.poster);
+    const strip = await composeStrip(composePage, capture.frames, settings.frame);
+
+    // Written aside and swapped in, so a failed write leaves the last capture intact
+    const stagingDir = `${outputDir}.partial`;
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    fs.mkdirSync(stagingDir, { recursive: true });
+    fs.writeFileSync(path.join(stagingDir, path.basename(posterFile)), poster);
+    fs.writeFileSync(path.join(stagingDir, path.basename(stripFile)), strip);
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.renameSync(stagingDir, outputDir);
+
+    return {
+        status: 'ok',
+        poster: sitePath(posterFile),
+        strip: sitePath(stripFile),
+        frames: capture.frames.length,
+        frameSize: [settings.frame.width, settings.frame.height],
+        pageErrors: capture.errors.length,
+        capturedAt: new Date().toISOString()
+    };
+}
+
+async function main() {
+    const { options, builds: requestedBuilds } = parseCli(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const settings = {
+        ...DEFAULTS,
+        frames: options.frames !== undefined ? Math.max(1, Math.round(Number(options.frames)) || 1) : DEFAULTS.frames,
+        frameMs: options['frame-ms'] !== undefined ? Number(options['frame-ms']) : DEFAULTS.frameMs,
+        settleMs: options['settle-ms'] !== undefined ? Number(options['settle-ms']) : DEFAULTS.settleMs
+    };
+
+    const available = collectBuilds().builds.map((build) => build.directory);
+    const unknown = requestedBuilds.filter((build) => !available.includes(build));
+    if (unknown.length) {
+        console.error(`❌ Unknown build directories: ${unknown.join(', ')}`);
+        return 2;
+    }
+
+    const manifest = pruneManifest(loadManifest(), available);
+    let builds = requestedBuilds.length ? requestedBuilds : available;
+    if (options.missing) {
+        builds = builds.filter((build) => !manifest.builds[build] || manifest.builds[build].status !== 'ok');
+    }
+    if (!builds.length) {
+        if (fs.existsSync(MANIFEST_FILE)) {
+            fs.writeFileSync(MANIFEST_FILE, `${JSON.stringify(manifest, null, 2)}\n`);
+        }
+        console.log('✅ Nothing to capture');
+        return 0;
+    }
+
+    const server = await startStaticServer(CATALOG_ROOT);
+    const browser = await launchBrowser({ headless: !options.headed });
+    const composePage = await browser.newPage();
+    const counts = { ok: 0, failed: 0 };
+
+    console.log(`📸 Capturing previews for ${builds.length} build(s)\n`);
+
+    try {
+        for (const build of builds) {
+            try {
+                manifest.builds[build] = await captureBuild(browser, composePage, server, build, settings, options);
+                const { pageErrors } = manifest.builds[build];
+                console.log(`  ✅ ${build}${pageErrors ? ` (${pageErrors} page error(s))` : ''}`);
+                counts.ok++;
+            } catch (error) {
+                const previous = manifest.builds[build];
+                const failedAt = new Date().toISOString();
+                if (previous && previous.status === 'ok') {
+                    // Keep showing the last good capture; the failure is noted beside it
+                    manifest.builds[build] = { ...previous, lastFailure: { error: error.message, failedAt } };
+                    console.log(`  ❌ ${build}: ${error.message} (kept the capture from ${previous.capturedAt})`);
+                } else {
+                    // The catalog falls back to a text-only card for failed builds
+                    fs.rmSync(path.join(PREVIEW_DIR, build), { recursive: true, force: true });
+                    manifest.builds[build] = { status: 'failed', error: error.message, capturedAt: failedAt };
+                    console.log(`  ❌ ${build}: ${error.message}`);
+                }
+                counts.failed++;
+            }
+
+            // Written after every build so an interrupted run keeps what it captured
+            fs.mkdirSync(path.dirname(MANIFEST_FILE), { recursive: true });
+            fs.writeFileSync(MANIFEST_FILE, `${JSON.stringify(manifest, null, 2)}\n`);
+        }
+    } finally {
+        await browser.close();
+        await server.close();
+    }
+
+    console.log(`\n📊 ${counts.ok} captured, ${counts.failed} failed`);
+    console.log(`📄 Manifest: ${path.relative(process.cwd(), MANIFEST_FILE)}`);
+    return counts.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+    main()
+        .then((code) => process.exit(code))
+        .catch((error) => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { captureFrames, captureBuild, pruneManifest, DEFAULTS };
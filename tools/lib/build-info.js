@@ -0,0 +1,120 @@
+/**
+ * Build Info
+ * Finds the build directories in the catalog checkout and reads what each
+ * one says about itself: BRANCH_INFO.txt (commit subject, date, source
+ * repository) and the repository / branch encoded in the directory name
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG_ROOT = path.resolve(__dirname, '..', '..');
+
+// Directory prefix -> catalog repository key
+const REPOSITORIES = {
+    v2: { name: 'V2 Refactored', source: 'ClearSeas-v2-refactored' },
+    solutions: { name: 'Solutions Web', source: 'ClearSeas-Solutions-Web' },
+    enhanced: { name: 'Enhanced', source: 'ClearSeas-Enhanced' },
+    codex: { name: 'Codex Web', source: 'Clearseas-codex-web' }
+};
+
+/**
+ * Every directory holding an index.html, sorted by name
+ */
+function listBuildDirectories(root = CATALOG_ROOT) {
+    return fs.readdirSync(root, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'tools')
+        .filter((entry) => fs.existsSync(path.join(root, entry.name, 'index.html')))
+        .map((entry) => entry.name)
+        .sort();
+}
+
+/**
+ * '2025-11-10 22:47:39 -0500' -> '2025-11-10T22:47:39-05:00'
+ */
+function toIsoDate(value) {
+    const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(value.trim());
+    if (!match) return null;
+    return `${match[1]}T${match[2]}${match[3]}:${match[4]}`;
+}
+
+/**
+ * Parse `subject|date|repository` (subjects may themselves contain '|')
+ */
+function parseBranchInfo(text) {
+    const line = text.split(/\r?\n/).find((candidate) => candidate.trim());
+    if (!line) return null;
+
+    const parts = line.trim().split('|');
+    if (parts.length < 3) return null;
+
+    const sourceRepo = parts.pop().trim();
+    const rawDate = parts.pop().trim();
+    const date = toIsoDate(rawDate);
+    if (!date) return null;
+
+    return { subject: parts.join('|').trim(), date, sourceRepo };
+}
+
+/**
+ * BRANCH_INFO.txt of a build, or null when it is missing or malformed
+ */
+function readBranchInfo(directory, root = CATALOG_ROOT) {
+    const file = path.join(root, directory, 'BRANCH_INFO.txt');
+    if (!fs.existsSync(file)) return null;
+    return parseBranchInfo(fs.readFileSync(file, 'utf8'));
+}
+
+function getBranchType(branch) {
+    if (branch.startsWith('claude/')) return 'claude';
+    if (branch.startsWith('codex/')) return 'codex';
+    if (branch.startsWith('feature/')) return 'feature';
+    if (branch === 'main') return 'main';
+    return 'other';
+}
+
+/**
+ * Recover repository key and branch name from the extraction naming scheme:
+ *
+ *   v2-claude_<slug>-<session>                 claude/<slug>-<session>
+ *   v2-feature_<slug>                          feature/<slug>
+ *   enhanced-codex_<HH-MM-SS><slug><date>      codex/<HH-MM-SS>/<slug>/<date>
+ *   enhanced-<date>_<HH-MM-SS><slug>codex      codex/<date>_<HH-MM-SS>/<slug>
+ *   enhanced-main                              main
+ *   enhanced-<anything else>                   <anything else>
+ */
+function parseDirectoryName(directory) {
+    const separator = directory.indexOf('-');
+    const prefix = separator === -1 ? directory : directory.slice(0, separator);
+    const repo = REPOSITORIES[prefix] ? prefix : null;
+    const rest = repo ? directory.slice(separator + 1) : directory;
+
+    let branch = rest;
+    let slug = rest;
+    let match;
+
+    if (rest === 'main') {
+        slug = '';
+    } else if ((match = /^(claude|feature)_(.+)$/.exec(rest))) {
+        branch = `${match[1]}/${match[2]}`;
+        slug = match[1] === 'claude' ? match[2].replace(/-[0-9A-Za-z]{20,}$/, '') : match[2];
+    } else if ((match = /^codex_(\d{2}-\d{2}-\d{2})(.+?)(\d{4}-\d{2}-\d{2})$/.exec(rest))) {
+        branch = `codex/${match[1]}/${match[2]}/${match[3]}`;
+        slug = match[2];
+    } else if ((match = /^(\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2})(.+)codex$/.exec(rest))) {
+        branch = `codex/${match[1]}/${match[2]}`;
+        slug = match[2];
+    }
+
+    return { repo, branch, branchType: getBranchType(branch), slug };
+}
+
+module.exports = {
+    CATALOG_ROOT,
+    REPOSITORIES,
+    listBuildDirectories,
+    parseBranchInfo,
+    readBranchInfo,
+    parseDirectoryName,
+    getBranchType
+};
@@ -0,0 +1,233 @@
+/**
+ * Headless Browser Helpers
+ * Launches Chromium with software WebGL (SwiftShader) and opens pages whose
+ * clock, timers, requestAnimationFrame and Math.random are replaced by a
+ * virtual clock, so the same build renders the same pixels on every machine
+ */
+
+// Software rasterisation keeps WebGL output identical across GPUs and lets
+// the builds' visualizers run on machines without one (CI, containers)
+const SOFTWARE_GL_ARGS = [
+    '--use-gl=angle',
+    '--use-angle=swiftshader',
+    '--enable-unsafe-swiftshader',
+    '--ignore-gpu-blocklist',
+    '--force-color-profile=srgb',
+    '--font-render-hinting=none',
+    '--disable-lcd-text',
+    '--hide-scrollbars',
+    '--mute-audio',
+    '--autoplay-policy=no-user-gesture-required'
+];
+
+const DEFAULT_DETERMINISM = {
+    seed: 1337,
+    startTime: '2025-11-02T12:00:00Z',
+    frameMs: 16
+};
+
+function loadPlaywright() {
+    for (const name of ['playwright', '@playwright/test', 'playwright-core']) {
+        try {
+            return require(name);
+        } catch (error) {
+            if (error.code !== 'MODULE_NOT_FOUND') {
+                throw error;
+            }
+        }
+    }
+    throw new Error(
+        'Playwright is not installed. Run `npm install --no-save playwright && npx playwright install chromium` ' +
+        'from the catalog root (any build\'s node_modules with playwright also works via NODE_PATH).'
+    );
+}
+
+/**
+ * CHROMIUM_EXECUTABLE_PATH points at a Chromium other than Playwright's own
+ * download, for machines where `npx playwright install` cannot reach its CDN
+ */
+async function launchBrowser({ headless = true, args = [], executablePath = process.env.CHROMIUM_EXECUTABLE_PATH } = {}) {
+    const { chromium } = loadPlaywright();
+    return chromium.launch({
+        headless,
+        executablePath: executablePath || undefined,
+        args: [...SOFTWARE_GL_ARGS, ...args]
+    });
+}
+
+/**
+ * Runs inside the page before any build script. Everything time-driven
+ * advances only when the test calls `__VISUAL_CLOCK.advance(ms)`
+ */
+function installDeterminism({ seed, startTime, frameMs }) {
+    const NativeDate = Date;
+    const nativeRequestAnimationFrame = window.requestAnimationFrame.bind(window);
+    const epoch = NativeDate.parse(startTime);
+    let now = 0;
+
+    class FrozenDate extends NativeDate {
+        constructor(...args) {
+            if (args.length === 0) {
+                super(epoch + now);
+            } else {
+                super(...args);
+            }
+        }
+
+        static now() {
+            return epoch + now;
+        }
+    }
+    window.Date = FrozenDate;
+    performance.now = () => now;
+
+    // mulberry32
+    let state = seed >>> 0;
+    Math.random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    let frameQueue = new Map();
+    let nextId = 1;
+    window.requestAnimationFrame = (callback) => {
+        const id = nextId++;
+        frameQueue.set(id, callback);
+        return id;
+    };
+    window.cancelAnimationFrame = (id) => {
+        frameQueue.delete(id);
+    };
+
+    const timers = new Map();
+    const schedule = (callback, delay, args, repeat) => {
+        const id = nextId++;
+        const interval = Math.max(0, Number(delay) || 0);
+        timers.set(id, { callback, args, due: now + interval, interval: repeat ? Math.max(1, interval) : null });
+        return id;
+    };
+    window.setTimeout = (callback, delay, ...args) => schedule(callback, delay, args, false);
+    window.setInterval = (callback, delay, ...args) => schedule(callback, delay, args, true);
+    window.clearTimeout = (id) => timers.delete(id);
+    window.clearInterval = (id) => timers.delete(id);
+
+    const invoke = (callback, args) => {
+        try {
+            if (typeof callback === 'function') {
+                callback(...args);
+            }
+        } catch (error) {
+            console.error(error);
+        }
+    };
+
+    const runTimers = () => {
+        // Timers scheduled while running wait for the next pass, like the event loop
+        const due = Array.from(timers.entries())
+            .filter(([, timer]) => timer.due <= now)
+            .sort((a, b) => (a[1].due - b[1].due) || (a[0] - b[0]));
+        due.forEach(([id, timer]) => {
+            if (!timers.has(id)) {
+                return;
+            }
+            if (timer.interval === null) {
+                timers.delete(id);
+            } else {
+                timer.due += timer.interval;
+            }
+            invoke(timer.callback, timer.args);
+        });
+    };
+
+    window.__VISUAL_CLOCK = {
+        now: () => now,
+        advance(ms) {
+            const frames = Math.max(1, Math.round(ms / frameMs));
+            for (let frame = 0; frame < frames; frame++) {
+                now += frameMs;
+                runTimers();
+                const callbacks = frameQueue;
+                frameQueue = new Map();
+                callbacks.forEach((callback) => invoke(callback, [now]));
+            }
+            return now;
+        },
+        // Two real frames, so layout, IntersectionObserver and compositing catch up
+        settle: () => new Promise((resolve) => nativeRequestAnimationFrame(() => nativeRequestAnimationFrame(resolve))),
+        pauseMedia() {
+            document.querySelectorAll('video, audio').forEach((media) => {
+                media.pause();
+                try {
+                    media.currentTime = 0;
+                } catch (error) {
+                    // Media without metadata cannot seek yet
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Open a page in a fresh context with the virtual clock installed and, unless
+ * `allowNetwork` is set, every request outside `baseUrl` aborted
+ */
+async function openDeterministicPage(browser, {
+    baseUrl,
+    viewport = { width: 1440, height: 900 },
+    allowNetwork = false,
+    determinism = {}
+} = {}) {
+    const context = await browser.newContext({
+        viewport,
+        deviceScaleFactor: 1,
+        locale: 'en-US',
+        timezoneId: 'UTC',
+        colorScheme: 'dark',
+        reducedMotion: 'no-preference',
+        serviceWorkers: 'block'
+    });
+
+    const blockedRequests = [];
+    if (!allowNetwork && baseUrl) {
+        const origin = new URL(baseUrl).origin;
+        await context.route('**/*', (route) => {
+            const url = route.request().url();
+            if (url.startsWith(origin) || url.startsWith('data:') || url.startsWith('blob:')) {
+                return route.continue();
+            }
+            blockedRequests.push(url);
+            return route.abort('blockedbyclient');
+        });
+    }
+
+    await context.addInitScript(installDeterminism, { ...DEFAULT_DETERMINISM, ...determinism });
+
+    const page = await context.newPage();
+    const errors = [];
+    page.on('pageerror', (error) => errors.push(error.message));
+    page.on('console', (message) => {
+        if (message.type() === 'error') {
+            errors.push(message.text());
+        }
+    });
+
+    const clock = {
+        advance: (ms) => page.evaluate((duration) => window.__VISUAL_CLOCK.advance(duration), ms),
+        settle: () => page.evaluate(() => window.__VISUAL_CLOCK.settle()),
+        pauseMedia: () => page.evaluate(() => window.__VISUAL_CLOCK.pauseMedia())
+    };
+
+    return { context, page, clock, errors, blockedRequests };
+}
+
+module.exports = {
+    SOFTWARE_GL_ARGS,
+    DEFAULT_DETERMINISM,
+    loadPlaywright,
+    launchBrowser,
+    installDeterminism,
+    openDeterministicPage
+};
@@ -0,0 +1,59 @@
+/**
+ * Image Compose
+ * Scales screenshots down and tiles them into frame strips inside the
+ * headless browser (canvas drawImage), so no native image library is needed
+ * next to Playwright
+ */
+
+/**
+ * Runs in the page. Draws every PNG into its own `width` x `height` cell of a
+ * single row (cover-fit, top aligned) and returns the row as a data URL
+ */
+async function tileImages({ images, width, height, type, quality }) {
+    const decode = async (base64) => {
+        const response = await fetch(`data:image/png;base64,${base64}`);
+        return createImageBitmap(await response.blob());
+    };
+
+    const bitmaps = await Promise.all(images.map(decode));
+    const canvas = document.createElement('canvas');
+    canvas.width = width * bitmaps.length;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.imageSmoothingEnabled = true;
+    context.imageSmoothingQuality = 'high';
+
+    bitmaps.forEach((bitmap, index) => {
+        const scale = Math.max(width / bitmap.width, height / bitmap.height);
+        const sourceWidth = width / scale;
+        const sourceHeight = height / scale;
+        const sourceX = (bitmap.width - sourceWidth) / 2;
+        context.drawImage(bitmap, sourceX, 0, sourceWidth, sourceHeight, index * width, 0, width, height);
+    });
+
+    return canvas.toDataURL(type, quality).split(',')[1];
+}
+
+/**
+ * Tile PNG buffers into one image of `buffers.length` frames using `page`
+ * (any page of the browser, typically a blank one). Resolves to a buffer
+ */
+async function composeStrip(page, buffers, { width, height, type = 'image/jpeg', quality = 0.8 } = {}) {
+    const image = await page.evaluate(tileImages, {
+        images: buffers.map((buffer) => buffer.toString('base64')),
+        width,
+        height,
+        type,
+        quality
+    });
+    return Buffer.from(image, 'base64');
+}
+
+/**
+ * Scale a single PNG buffer to `width` x `height`
+ */
+function resizeImage(page, buffer, options) {
+    return composeStrip(page, [buffer], options);
+}
+
+module.exports = { composeStrip, resizeImage, tileImages };
@@ -0,0 +1,95 @@
+/**
+ * Image Diff
+ * Compares two PNG screenshots inside the headless browser (canvas
+ * getImageData), so no native image library is needed next to Playwright
+ */
+
+/**
+ * Runs in the page. Pixels whose largest channel difference exceeds
+ * `pixelThreshold` (0-1) count as mismatched; the diff image shows them in
+ * red over a faded copy of the baseline
+ */
+async function comparePixels({ baseline, actual, pixelThreshold }) {
+    const decode = async (base64) => {
+        const response = await fetch(`data:image/png;base64,${base64}`);
+        return createImageBitmap(await response.blob());
+    };
+    const read = (bitmap, width, height) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(bitmap, 0, 0);
+        return context.getImageData(0, 0, width, height);
+    };
+
+    const [baselineBitmap, actualBitmap] = await Promise.all([decode(baseline), decode(actual)]);
+    const width = Math.max(baselineBitmap.width, actualBitmap.width);
+    const height = Math.max(baselineBitmap.height, actualBitmap.height);
+    const sizeMatches = baselineBitmap.width === actualBitmap.width && baselineBitmap.height === actualBitmap.height;
+    const a = read(baselineBitmap, width, height).data;
+    const b = read(actualBitmap, width, height).data;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const diff = context.createImageData(width, height);
+    const limit = pixelThreshold * 255;
+    let mismatched = 0;
+    let maxDelta = 0;
+
+    for (let i = 0; i < a.length; i += 4) {
+        const delta = Math.max(
+            Math.abs(a[i] - b[i]),
+            Math.abs(a[i + 1] - b[i + 1]),
+            Math.abs(a[i + 2] - b[i + 2]),
+            Math.abs(a[i + 3] - b[i + 3])
+        );
+        maxDelta = Math.max(maxDelta, delta);
+        if (delta > limit) {
+            mismatched++;
+            diff.data[i] = 255;
+            diff.data[i + 1] = 0;
+            diff.data[i + 2] = 60;
+            diff.data[i + 3] = 255;
+        } else {
+            const gray = (a[i] * 0.299 + a[i + 1] * 0.587 + a[i + 2] * 0.114) * 0.25 + 190;
+            diff.data[i] = gray;
+            diff.data[i + 1] = gray;
+            diff.data[i + 2] = gray;
+            diff.data[i + 3] = 255;
+        }
+    }
+
+    context.putImageData(diff, 0, 0);
+    const diffImage = canvas.toDataURL('image/png').split(',')[1];
+
+    return {
+        width,
+        height,
+        sizeMatches,
+        baselineSize: [baselineBitmap.width, baselineBitmap.height],
+        actualSize: [actualBitmap.width, actualBitmap.height],
+        mismatched,
+        ratio: mismatched / (width * height),
+        maxDelta: maxDelta / 255,
+        diffImage
+    };
+}
+
+/**
+ * Compare two PNG buffers using `page` (any page of the browser, typically a
+ * blank one). Resolves to the comparison stats plus `diff`, a PNG buffer
+ */
+async function compareImages(page, baselineBuffer, actualBuffer, { pixelThreshold = 0.1 } = {}) {
+    const result = await page.evaluate(comparePixels, {
+        baseline: baselineBuffer.toString('base64'),
+        actual: actualBuffer.toString('base64'),
+        pixelThreshold
+    });
+    const { diffImage, ...stats } = result;
+    return { ...stats, diff: Buffer.from(diffImage, 'base64') };
+}
+
+module.exports = { compareImages, comparePixels };
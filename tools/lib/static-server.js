@@ -0,0 +1,102 @@
+/**
+ * Static File Server
+ * Serves the catalog checkout over HTTP so builds load exactly as they do on
+ * GitHub Pages (relative URLs, module scripts, fetch) without any network
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.glsl': 'text/plain; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8'
+};
+
+function resolveRequestPath(root, url) {
+    const pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+    const filePath = path.resolve(root, `.${pathname}`);
+    // Never serve anything outside the root
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+        return null;
+    }
+    return filePath;
+}
+
+/**
+ * Start a server for `root` on an ephemeral port
+ * Resolves to { url, port, close() }
+ */
+function startStaticServer(root, { port = 0, host = '127.0.0.1', quiet = true } = {}) {
+    const rootDir = path.resolve(root);
+
+    const server = http.createServer((request, response) => {
+        let filePath = resolveRequestPath(rootDir, request.url);
+        if (!filePath) {
+            response.writeHead(403);
+            response.end('Forbidden');
+            return;
+        }
+
+        fs.stat(filePath, (statError, stats) => {
+            if (!statError && stats.isDirectory()) {
+                filePath = path.join(filePath, 'index.html');
+            }
+
+            fs.readFile(filePath, (readError, data) => {
+                if (readError) {
+                    if (!quiet) {
+                        console.log(`⚠️  404 ${request.url}`);
+                    }
+                    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                    response.end('Not found');
+                    return;
+                }
+
+                const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+                response.writeHead(200, {
+                    'Content-Type': type,
+                    'Content-Length': data.length,
+                    'Cache-Control': 'no-store'
+                });
+                response.end(request.method === 'HEAD' ? undefined : data);
+            });
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const address = server.address();
+            resolve({
+                url: `http://${host}:${address.port}`,
+                port: address.port,
+                close: () => new Promise((done) => {
+                    server.close(() => done());
+                    // Headless browsers keep connections alive between tests
+                    server.closeAllConnections();
+                })
+            });
+        });
+    });
+}
+
+module.exports = { startStaticServer, MIME_TYPES };
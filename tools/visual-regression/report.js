@@ -0,0 +1,88 @@
+/**
+ * Visual Regression Report
+ * Writes report.json (machine readable) and report.html (baseline, actual
+ * and diff side by side) into the output directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function imageCell(outputDir, file) {
+    if (!file || !fs.existsSync(file)) {
+        return '<td class="empty">—</td>';
+    }
+    const src = path.relative(outputDir, file).split(path.sep).map(encodeURIComponent).join('/');
+    return `<td><a href="${src}"><img src="${src}" loading="lazy" alt=""></a></td>`;
+}
+
+function renderHtml(outputDir, { results, update }) {
+    const rows = results.map((result) => {
+        const ratio = result.ratio !== undefined ? `${(result.ratio * 100).toFixed(3)}%` : '—';
+        const note = result.error || (result.sizeMatches === false
+            ? `size ${result.baselineSize.join('×')} → ${result.actualSize.join('×')}`
+            : '');
+        return `<tr class="${result.status}">
+            <td>${escapeHtml(result.build)}<br><strong>${escapeHtml(result.name)}</strong><br>${escapeHtml(note)}</td>
+            <td>${result.status}</td>
+            <td>${ratio}</td>
+            ${imageCell(outputDir, result.baseline)}
+            ${imageCell(outputDir, result.actual)}
+            ${imageCell(outputDir, result.diff)}
+        </tr>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Visual Regression Report</title>
+    <style>
+        body { font-family: system-ui, sans-serif; background: #0a0e27; color: #e0e6ed; margin: 2rem; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border-bottom: 1px solid #1e2749; padding: 0.5rem; vertical-align: top; text-align: left; }
+        img { max-width: 280px; display: block; }
+        tr.failed td:nth-child(2) { color: #ff6b6b; font-weight: 600; }
+        tr.recorded td:nth-child(2) { color: #ffd166; }
+        tr.passed td:nth-child(2) { color: #00ff88; }
+        .empty { color: #4a5578; }
+    </style>
+</head>
+<body>
+    <h1>Visual Regression Report${update ? ' (baselines updated)' : ''}</h1>
+    <table>
+        <thead><tr><th>Screenshot</th><th>Status</th><th>Diff</th><th>Baseline</th><th>Actual</th><th>Diff image</th></tr></thead>
+        <tbody>
+${rows}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
+
+function writeReport(outputDir, report) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const summary = {
+        generatedAt: new Date().toISOString(),
+        update: report.update,
+        results: report.results.map((result) => ({
+            ...result,
+            baseline: result.baseline && path.relative(outputDir, result.baseline),
+            actual: result.actual && path.relative(outputDir, result.actual),
+            diff: result.diff && path.relative(outputDir, result.diff)
+        })),
+        builds: report.builds
+    };
+    fs.writeFileSync(path.join(outputDir, 'report.json'), `${JSON.stringify(summary, null, 2)}\n`);
+    const htmlPath = path.join(outputDir, 'report.html');
+    fs.writeFileSync(htmlPath, renderHtml(outputDir, report));
+    return htmlPath;
+}
+
+module.exports = { writeReport };
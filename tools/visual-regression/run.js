@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/**
+ * Visual Regression Runner
+ * Serves catalog builds from this checkout, renders them headless with
+ * software WebGL and a frozen clock, screenshots fixed scroll positions and
+ * diffs them against the committed baselines. A screenshot without a
+ * baseline fails unless --update or --record-missing is passed
+ *
+ * Usage:
+ *   node tools/visual-regression/run.js                  # builds from config.json
+ *   node tools/visual-regression/run.js v2-main codex-main
+ *   node tools/visual-regression/run.js --all --viewport desktop
+ *   node tools/visual-regression/run.js v2-main --update # (re)write baselines
+ *   node tools/visual-regression/run.js --record-missing # baselines for new shots only
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { startStaticServer } = require('../lib/static-server');
+const { launchBrowser, openDeterministicPage } = require('../lib/headless-browser');
+const { compareImages } = require('../lib/image-diff');
+const { CATALOG_ROOT, listBuildDirectories } = require('../lib/build-info');
+const { writeReport } = require('./report');
+
+const BASELINE_DIR = path.join(__dirname, 'baselines');
+const OUTPUT_DIR = path.join(__dirname, 'output');
+
+const USAGE = `Usage: node tools/visual-regression/run.js [build...] [options]
+
+Options:
+  --all                 Test every build directory in the catalog
+  --update              Write current screenshots as the new baselines
+  --record-missing      Record screenshots without a baseline instead of failing them
+  --viewport <names>    Comma-separated viewport names from config.json
+  --page <file>         Page to load inside each build (default: config page)
+  --max-diff <ratio>    Allowed share of mismatched pixels per screenshot
+  --threshold <0-1>     Per-pixel channel difference that counts as a mismatch
+  --allow-network       Let pages reach CDNs instead of blocking them
+  --config <file>       Alternative config file
+  --headed              Show the browser window
+  -h, --help            Show this help`;
+
+function parseCli(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            all: { type: 'boolean', default: false },
+            update: { type: 'boolean', default: false },
+            'record-missing': { type: 'boolean', default: false },
+            viewport: { type: 'string' },
+            page: { type: 'string' },
+            'max-diff': { type: 'string' },
+            threshold: { type: 'string' },
+            'allow-network': { type: 'boolean', default: false },
+            config: { type: 'string' },
+            headed: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    return { options: values, builds: positionals.map((name) => name.replace(/[\\/]+$/, '')) };
+}
+
+function loadConfig(configPath) {
+    const file = configPath ? path.resolve(configPath) : path.join(__dirname, 'config.json');
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * '25%' is a share of the scrollable height, a number is pixels
+ */
+function resolveScrollPosition(position, maxScroll) {
+    if (typeof position === 'string' && position.trim().endsWith('%')) {
+        return Math.round((parseFloat(position) / 100) * maxScroll);
+    }
+    return Math.min(maxScroll, Math.max(0, Math.round(Number(position) || 0)));
+}
+
+function positionLabel(position) {
+    if (typeof position === 'string' && position.trim().endsWith('%')) {
+        return `scroll-${String(parseFloat(position)).padStart(3, '0')}`;
+    }
+    return `scroll-${Math.round(Number(position) || 0)}px`;
+}
+
+function settingsFor(config, build, options) {
+    const merged = { captureTimeoutMs: 60000, ...config, ...(config.overrides && config.overrides[build]) };
+    if (options['max-diff'] !== undefined) {
+        merged.maxDiffRatio = Number(options['max-diff']);
+    }
+    if (options.threshold !== undefined) {
+        merged.pixelThreshold = Number(options.threshold);
+    }
+    if (options.page) {
+        merged.page = options.page;
+    }
+    return merged;
+}
+
+async function captureBuild(browser, server, build, viewportName, viewport, settings, options) {
+    const session = await openDeterministicPage(browser, {
+        baseUrl: server.url,
+        viewport,
+        allowNetwork: options['allow-network'],
+        determinism: settings.determinism
+    });
+    const { page, clock } = session;
+    const shots = [];
+
+    try {
+        await page.goto(`${server.url}/${encodeURIComponent(build)}/${settings.page}`, {
+            waitUntil: 'load',
+            timeout: settings.captureTimeoutMs
+        });
+        await page.evaluate(() => document.fonts && document.fonts.ready);
+        await clock.advance(settings.settleMs);
+        await clock.settle();
+        await clock.pauseMedia();
+
+        const maxScroll = await page.evaluate(() =>
+            Math.max(0, document.documentElement.scrollHeight - window.innerHeight));
+
+        for (const position of settings.scrollPositions) {
+            const y = resolveScrollPosition(position, maxScroll);
+            await page.evaluate((top) => {
+                window.scrollTo({ top, left: 0, behavior: 'instant' });
+                window.dispatchEvent(new Event('scroll'));
+            }, y);
+            await clock.settle();
+            await clock.advance(settings.stepSettleMs);
+            await clock.settle();
+
+            const image = await page.screenshot({
+                animations: 'disabled',
+                caret: 'hide',
+                timeout: settings.captureTimeoutMs
+            });
+            shots.push({ name: `${viewportName}-${positionLabel(position)}`, scrollY: y, image });
+        }
+    } finally {
+        await session.context.close();
+    }
+
+    return { shots, errors: session.errors, blockedRequests: session.blockedRequests };
+}
+
+async function checkShot(comparePage, build, shot, settings, { update = false, recordMissing = false } = {}) {
+    const baselinePath = path.join(BASELINE_DIR, build, `${shot.name}.png`);
+    const outputDir = path.join(OUTPUT_DIR, build);
+    const actualPath = path.join(outputDir, `${shot.name}.actual.png`);
+    const result = {
+        build,
+        name: shot.name,
+        scrollY: shot.scrollY,
+        baseline: baselinePath,
+        actual: actualPath,
+        diff: null,
+        maxDiffRatio: settings.maxDiffRatio
+    };
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(actualPath, shot.image);
+
+    if (update) {
+        fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+        fs.writeFileSync(baselinePath, shot.image);
+        return { ...result, status: 'updated' };
+    }
+
+    if (!fs.existsSync(baselinePath)) {
+        // A fresh checkout must not pass by recording whatever it renders
+        if (!recordMissing) {
+            return { ...result, status: 'failed', missingBaseline: true };
+        }
+        fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+        fs.writeFileSync(baselinePath, shot.image);
+        return { ...result, status: 'recorded' };
+    }
+
+    const comparison = await compareImages(comparePage, fs.readFileSync(baselinePath), shot.image, {
+        pixelThreshold: settings.pixelThreshold
+    });
+    const { diff, ...stats } = comparison;
+    const passed = stats.sizeMatches && stats.ratio <= settings.maxDiffRatio;
+
+    if (!passed) {
+        result.diff = path.join(outputDir, `${shot.name}.diff.png`);
+        fs.writeFileSync(result.diff, diff);
+    }
+
+    return { ...result, ...stats, status: passed ? 'passed' : 'failed' };
+}
+
+function formatResult(result) {
+    const icons = { passed: '✅', failed: '❌', recorded: '🆕', updated: '📸' };
+    const detail = result.ratio !== undefined
+        ? ` ${(result.ratio * 100).toFixed(3)}% of pixels differ (limit ${(result.maxDiffRatio * 100).toFixed(3)}%)` +
+          (result.sizeMatches ? '' : ` size ${result.baselineSize.join('x')} → ${result.actualSize.join('x')}`)
+        : result.status === 'recorded' ? ' no baseline, recorded this screenshot as one'
+        : result.missingBaseline ? ' no baseline (run with --update or --record-missing to record one)' : '';
+    return `  ${icons[result.status]} ${result.name}${detail}`;
+}
+
+async function main() {
+    const { options, builds: requestedBuilds } = parseCli(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const config = loadConfig(options.config);
+    const available = listBuildDirectories();
+    const builds = options.all ? available : (requestedBuilds.length ? requestedBuilds : config.builds);
+    const unknown = builds.filter((build) => !available.includes(build));
+    if (unknown.length) {
+        console.error(`❌ Unknown build directories: ${unknown.join(', ')}`);
+        return 2;
+    }
+
+    const viewportNames = options.viewport ? options.viewport.split(',') : Object.keys(config.viewports);
+    const missingViewports = viewportNames.filter((name) => !config.viewports[name]);
+    if (missingViewports.length) {
+        console.error(`❌ Unknown viewports: ${missingViewports.join(', ')}`);
+        return 2;
+    }
+
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+    const server = await startStaticServer(CATALOG_ROOT);
+    const browser = await launchBrowser({ headless: !options.headed });
+    const comparePage = await browser.newPage();
+    const results = [];
+    const buildLogs = [];
+
+    console.log(`🧪 Visual regression: ${builds.length} build(s), viewports ${viewportNames.join(', ')}\n`);
+
+    try {
+        for (const build of builds) {
+            const settings = settingsFor(config, build, options);
+            const log = { build, errors: [], blockedRequests: [] };
+            buildLogs.push(log);
+            console.log(`📦 ${build}`);
+
+            for (const viewportName of viewportNames) {
+                try {
+                    const capture = await captureBuild(
+                        browser, server, build, viewportName, config.viewports[viewportName], settings, options
+                    );
+                    log.errors.push(...capture.errors);
+                    log.blockedRequests.push(...capture.blockedRequests);
+
+                    for (const shot of capture.shots) {
+                        const result = await checkShot(comparePage, build, shot, settings, {
+                            update: options.update,
+                            recordMissing: options['record-missing']
+                        });
+                        results.push(result);
+                        console.log(formatResult(result));
+                    }
+                } catch (error) {
+                    const result = { build, name: viewportName, status: 'failed', error: error.message };
+                    results.push(result);
+                    console.log(`  ❌ ${viewportName} could not be captured: ${error.message}`);
+                }
+            }
+
+            if (log.errors.length) {
+                console.log(`  ⚠️  ${log.errors.length} page error(s), see report.json`);
+            }
+            console.log('');
+        }
+    } finally {
+        await browser.close();
+        await server.close();
+    }
+
+    const reportPath = writeReport(OUTPUT_DIR, { results, builds: buildLogs, update: options.update });
+    const counts = results.reduce((totals, result) => {
+        totals[result.status] = (totals[result.status] || 0) + 1;
+        return totals;
+    }, {});
+
+    console.log(`📊 ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+    console.log(`📄 Report: ${path.relative(process.cwd(), reportPath)}`);
+    if (counts.recorded) {
+        console.log(`🆕 Recorded ${counts.recorded} new baseline(s) in ${path.relative(process.cwd(), BASELINE_DIR)}; ` +
+            'check them and commit them to guard those screenshots');
+    }
+    const missing = results.filter((result) => result.missingBaseline).length;
+    if (missing) {
+        console.log(`❌ ${missing} screenshot(s) have no baseline in ${path.relative(process.cwd(), BASELINE_DIR)}`);
+    }
+
+    return counts.failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    main()
+        .then((code) => process.exit(code))
+        .catch((error) => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { resolveScrollPosition, positionLabel, settingsFor, listBuildDirectories };
@@ -21,6 +21,8 @@ export class ClearSeasEnhancedApplication {
         this.orthogonalScrollChoreographer = null;
         this.sectionPinChoreographer = null;
         this.smoothScrollAnimator = null;
+        this.choreographer = null;  // Only with ?choreo-editor
+        this.timelineEditor = null;  // Authoring overlay (?choreo-editor)
         this.isInitialized = false;
 
         this.logger.info('🌊 Clear Seas Solutions - Smooth Scroll System with Multi-Layer Quantum Visualizer');
@@ -94,6 +96,11 @@ export class ClearSeasEnhancedApplication {
             this.smoothScrollAnimator.setupCardHoverEffects();
             this.logger.info('✅ Smooth scroll animations initialized');
 
+            // Opt-in choreography authoring overlay, only loaded when asked for
+            if (Utils.getQueryParam('choreo-editor') !== null) {
+                await this.initializeTimelineEditor();
+            }
+
             // Set visualizer to scrolling state after intro
             setTimeout(() => {
                 if (this.multiLayerVisualizer) {
@@ -118,6 +125,11 @@ export class ClearSeasEnhancedApplication {
     startRenderLoop() {
         const render = () => {
             if (this.quantumVisualizer) {
+                // The editor's choreography drives the background while it is open
+                if (this.choreographer) {
+                    this.choreographer.updateScrollPosition(window.scrollY);
+                    this.quantumVisualizer.updateParameters(this.choreographer.update());
+                }
                 this.quantumVisualizer.render();
             }
             requestAnimationFrame(render);
@@ -125,6 +137,26 @@ export class ClearSeasEnhancedApplication {
         requestAnimationFrame(render);
     }
 
+    /**
+     * Load the choreography timeline editor with a ScrollChoreographer over
+     * the page's data-visual-profile sections
+     */
+    async initializeTimelineEditor() {
+        this.logger.info('🎞️ Loading choreography timeline editor...');
+        const [{ ScrollChoreographer }, { ChoreographyTimelineEditor }] = await Promise.all([
+            import('./choreography/ScrollChoreographer.js'),
+            import('./debug/ChoreographyTimelineEditor.js')
+        ]);
+
+        this.choreographer = new ScrollChoreographer({
+            lerpSpeed: 0.08,
+            velocityInfluence: 0.5,
+            transitionZone: 0.3
+        });
+        this.timelineEditor = new ChoreographyTimelineEditor(this.choreographer);
+        this.logger.info('✅ Timeline editor ready (press E to toggle)');
+    }
+
     /**
      * Wait for GSAP and ScrollTrigger to load
      */
@@ -18,6 +18,7 @@ class ClearSeasApplication {
         this.quantumBackground = null;
         this.particleNetworks = new Map();
         this.cardFractalSystem = null;
+        this.timelineEditor = null;  // Authoring overlay (?choreo-editor)
         this.isInitialized = false;
         
         this.logger.info('🌊 Clear Seas Solutions - Pure Orchestration Mode');
@@ -64,6 +65,12 @@ class ClearSeasApplication {
             this.logger.info('🎭 Initializing Visual Orchestrator...');
             this.orchestrator = new VisualOrchestrator(this.canvasManager);
             
+            // Opt-in choreography authoring overlay, only loaded when asked for
+            if (Utils.getQueryParam('choreo-editor') !== null) {
+                const { ChoreographyTimelineEditor } = await import('./debug/ChoreographyTimelineEditor.js');
+                this.timelineEditor = new ChoreographyTimelineEditor(this.orchestrator.getChoreographer());
+            }
+            
             // Initialize Enhanced Quantum Background with RGB offset & moiré
             this.logger.info('🌌 Initializing Enhanced Quantum Background...');
             this.quantumBackground = new EnhancedQuantumBackground(
@@ -7,15 +7,29 @@
  * This is Phase 1 of the Complete Visualizer System Refactor
  * Enables per-tick parameter modulation for avant-garde flourish
  *
+ * Input arrives through ScrollInputNormalizer as pixel deltas from wheel,
+ * touch, keyboard and programmatic scrolling, so velocity tiers mean the
+ * same thing for a Firefox line-mode wheel, a trackpad or a phone
+ *
  * © 2025 Clear Seas Solutions LLC - Paul Phillips
  */
 
+import { ScrollInputNormalizer } from './ScrollInputNormalizer.js';
+
 export class MicroScrollChoreographer {
     constructor(options = {}) {
-        // Wheel event buffer (stores last N wheel events)
+        // Normalized input samples (stores last N samples)
         this.wheelBuffer = [];
         this.bufferSize = options.bufferSize || 10;
 
+        // Share one normalizer between systems by passing it in
+        this.inputNormalizer = options.inputNormalizer || null;
+        this.ownsInputNormalizer = !this.inputNormalizer;
+        this.inputOptions = options.input || {};
+        this.unsubscribeInput = null;
+        this.lastSample = null;
+        this.sourceCounts = { wheel: 0, touch: 0, keyboard: 0, scroll: 0 };
+
         // Micro-state: parameter adjustments applied between RAF frames
         this.microState = this.createEmptyMicroState();
 
@@ -25,7 +39,9 @@ export class MicroScrollChoreographer {
         // Velocity tracking
         this.instantVelocity = 0;
         this.smoothedVelocity = 0;
-        this.velocitySmoothing = options.velocitySmoothing || 0.15;
+        this.velocitySmoothing = options.velocitySmoothing || 0.15; // per 60 Hz frame
+        this.velocityWindow = options.velocityWindow || 120; // ms of input averaged into velocity
+        this.lastVelocityUpdate = performance.now();
 
         // Accumulation tracking (for micro-adjustments)
         this.rotationAccumulator = { xw: 0, yw: 0, zw: 0, xy: 0, xz: 0, yz: 0 };
@@ -52,76 +68,100 @@ export class MicroScrollChoreographer {
         // Performance tracking
         this.lastWheelTime = performance.now();
         this.wheelEventCount = 0;
+        this.inputEventCount = 0;
         this.rafCount = 0;
 
         this.initialize();
     }
 
     initialize() {
-        // Capture EVERY wheel event (passive for performance)
-        window.addEventListener('wheel', (e) => {
-            this.onWheel(e.deltaY, e.deltaX);
-        }, { passive: true });
+        // Capture EVERY scroll input (wheel, touch, keyboard, programmatic)
+        if (!this.inputNormalizer) {
+            this.inputNormalizer = new ScrollInputNormalizer(this.inputOptions);
+        }
+        this.unsubscribeInput = this.inputNormalizer.subscribe((sample) => this.onInput(sample));
 
-        console.log('🎯 MicroScrollChoreographer initialized - capturing every wheel tick');
+        console.log('🎯 MicroScrollChoreographer initialized - capturing every scroll input');
     }
 
     /**
-     * Handle EVERY wheel event (unthrottled)
-     * This is called for every single scroll tick
+     * Handle EVERY normalized input sample (unthrottled)
+     * This is called for every single wheel tick, touch move or key press
      */
-    onWheel(deltaY, deltaX = 0) {
-        const now = performance.now();
-        const timeSinceLastWheel = now - this.lastWheelTime;
+    onInput(sample) {
+        const { deltaY, deltaX = 0, timestamp = performance.now() } = sample;
 
         // Add to buffer
         this.wheelBuffer.push({
             deltaY,
             deltaX,
-            timestamp: now,
-            timeDelta: timeSinceLastWheel
+            timestamp,
+            timeDelta: timestamp - this.lastWheelTime,
+            source: sample.source,
+            device: sample.device,
+            inertial: Boolean(sample.inertial)
         });
 
-        // Trim buffer to size
-        if (this.wheelBuffer.length > this.bufferSize) {
+        // Trim buffer to size, keeping samples velocity still needs
+        while (this.wheelBuffer.length > this.bufferSize &&
+            this.wheelBuffer[0].timestamp <= timestamp - this.velocityWindow) {
             this.wheelBuffer.shift();
         }
 
         // Calculate instant velocity (px/s)
-        this.calculateVelocity();
+        this.calculateVelocity(timestamp);
 
         // Apply micro-adjustments to state
         this.applyMicroAdjustments(deltaY, deltaX);
 
-        this.lastWheelTime = now;
-        this.wheelEventCount++;
+        this.lastSample = sample;
+        this.lastWheelTime = timestamp;
+        this.inputEventCount++;
+        if (sample.source in this.sourceCounts) {
+            this.sourceCounts[sample.source]++;
+        }
+        if (sample.source === 'wheel') {
+            this.wheelEventCount++;
+        }
     }
 
     /**
-     * Calculate velocity from wheel buffer
+     * Feed a pixel delta directly (kept for callers that pre-date the normalizer)
      */
-    calculateVelocity() {
-        if (this.wheelBuffer.length < 2) {
-            this.instantVelocity = 0;
-            return;
-        }
+    onWheel(deltaY, deltaX = 0) {
+        this.onInput({ deltaY, deltaX, timestamp: performance.now(), source: 'wheel', device: 'mouse', inertial: false });
+    }
 
-        // Sum deltas over time window
+    /**
+     * Calculate velocity from the input buffer
+     * Each sample's delta is spread over the time since the previous sample
+     * (at most velocityWindow ms), and instant velocity is the distance that
+     * falls inside the last velocityWindow ms. Sparse wheel notches and
+     * 120 Hz trackpad streams moving equally fast read the same, and velocity
+     * falls back to zero once input stops. Smoothing is scaled by elapsed
+     * time rather than applied per event for the same reason
+     */
+    calculateVelocity(now = performance.now()) {
+        const windowStart = now - this.velocityWindow;
         let totalDelta = 0;
-        let totalTime = 0;
 
-        for (let i = 1; i < this.wheelBuffer.length; i++) {
-            totalDelta += Math.abs(this.wheelBuffer[i].deltaY);
-            totalTime += this.wheelBuffer[i].timeDelta;
+        for (let i = 0; i < this.wheelBuffer.length; i++) {
+            const sample = this.wheelBuffer[i];
+            const span = Math.min(Math.max(sample.timeDelta, 1), this.velocityWindow);
+            const covered = Math.min(sample.timestamp, now) - Math.max(sample.timestamp - span, windowStart);
+            if (covered > 0) {
+                totalDelta += Math.abs(sample.deltaY) * (covered / span);
+            }
         }
 
         // Calculate velocity in px/s
-        if (totalTime > 0) {
-            this.instantVelocity = (totalDelta / totalTime) * 1000;
-        }
+        this.instantVelocity = (totalDelta / this.velocityWindow) * 1000;
 
         // Smooth velocity
-        this.smoothedVelocity += (this.instantVelocity - this.smoothedVelocity) * this.velocitySmoothing;
+        const elapsed = Math.max(0, now - this.lastVelocityUpdate);
+        const factor = 1 - Math.pow(1 - this.velocitySmoothing, elapsed / (1000 / 60));
+        this.smoothedVelocity += (this.instantVelocity - this.smoothedVelocity) * factor;
+        this.lastVelocityUpdate = Math.max(this.lastVelocityUpdate, now);
     }
 
     /**
@@ -184,6 +224,9 @@ export class MicroScrollChoreographer {
      * Smoothly interpolates micro-state towards RAF state
      */
     getMicroState() {
+        // Let velocity decay while no input arrives
+        this.calculateVelocity();
+
         // Smooth micro-state towards RAF state
         for (const key in this.microState) {
             this.rafState[key] += (this.microState[key] - this.rafState[key]) * 0.2;
@@ -291,6 +334,11 @@ export class MicroScrollChoreographer {
     getStats() {
         return {
             wheelEvents: this.wheelEventCount,
+            inputEvents: this.inputEventCount,
+            sourceCounts: { ...this.sourceCounts },
+            device: this.lastSample ? this.lastSample.device : null,
+            source: this.lastSample ? this.lastSample.source : null,
+            inertial: this.lastSample ? Boolean(this.lastSample.inertial) : false,
             rafUpdates: this.rafCount,
             bufferSize: this.wheelBuffer.length,
             instantVelocity: this.instantVelocity,
@@ -322,6 +370,20 @@ export class MicroScrollChoreographer {
     clearBuffer() {
         this.wheelBuffer = [];
     }
+
+    /**
+     * Stop listening for input
+     */
+    destroy() {
+        if (this.unsubscribeInput) {
+            this.unsubscribeInput();
+            this.unsubscribeInput = null;
+        }
+        if (this.ownsInputNormalizer && this.inputNormalizer) {
+            this.inputNormalizer.destroy();
+            this.inputNormalizer = null;
+        }
+    }
 }
 
 /**
@@ -8,14 +8,18 @@
  * with velocity-based dynamics and emergent morphing
  *
  * REFACTORED: Now integrates with MicroScrollChoreographer for per-tick responsiveness
+ * Sections and their states come from the shared SectionRegistry
  *
  * © 2025 Clear Seas Solutions LLC - Paul Phillips
  */
 
 import { MicroScrollChoreographer } from './MicroScrollChoreographer.js';
+import { SectionRegistry } from './SectionRegistry.js';
 
 export class ScrollChoreographer {
     constructor(options = {}) {
+        // Shared with VisualOrchestrator when it creates us
+        this.registry = options.registry || null;
         this.sections = options.sections || this.getDefaultSections();
         this.currentState = this.createEmptyState();
         this.targetState = this.createEmptyState();
@@ -37,6 +41,9 @@ export class ScrollChoreographer {
         this.sectionProgress = 0; // 0-1 within current section
         this.transitionProgress = 0; // 0-1 for inter-section blending
 
+        // Pinned { index, progress } while the timeline editor scrubs
+        this.preview = null;
+
         // MicroScrollChoreographer integration
         this.microChoreographer = new MicroScrollChoreographer({
             bufferSize: 10,
@@ -62,315 +69,25 @@ export class ScrollChoreographer {
     }
 
     /**
-     * Define default visual states for each page section
-     * Each section has specific geometry, rotations, morphing, and colors
+     * Sections with their enter/progress/exit states, from the registry:
+     * markup declaring data-visual-profile, or the built-in layout. Follows
+     * the registry when it is refreshed
      */
     getDefaultSections() {
-        return [
-            {
-                name: 'hero',
-                selector: '.hero-section, #hero',
-                states: {
-                    enter: {
-                        geometry: 2,        // SPHERE - welcoming, harmonious
-                        gridDensity: 25,
-                        morphFactor: 1.0,
-                        chaos: 0.1,
-                        speed: 0.8,
-                        hue: 200,          // Blue - trust, clarity
-                        intensity: 0.6,
-                        saturation: 0.7,
-                        rot4dXY: 0.0,
-                        rot4dXZ: 0.0,
-                        rot4dYZ: 0.0,
-                        rot4dXW: 0.3,
-                        rot4dYW: 0.2,
-                        rot4dZW: 0.1
-                    },
-                    progress: {
-                        geometry: 2,        // Stay SPHERE
-                        gridDensity: 35,    // Increase detail
-                        morphFactor: 1.3,   // More morphing
-                        chaos: 0.2,
-                        speed: 1.0,
-                        hue: 210,          // Shift to deeper blue
-                        intensity: 0.7,
-                        saturation: 0.8,
-                        rot4dXW: 0.5,      // Increase 4D rotation
-                        rot4dYW: 0.4,
-                        rot4dZW: 0.3
-                    },
-                    exit: {
-                        geometry: 3,        // Transition to TORUS
-                        gridDensity: 40,
-                        morphFactor: 1.5,
-                        chaos: 0.3,
-                        speed: 1.2,
-                        hue: 220,
-                        intensity: 0.8,
-                        saturation: 0.85,
-                        rot4dXW: 0.7,
-                        rot4dYW: 0.6,
-                        rot4dZW: 0.5
-                    }
-                }
-            },
-            {
-                name: 'signals',
-                selector: '#signals-section, .signals',
-                states: {
-                    enter: {
-                        geometry: 3,        // TORUS - flow, connectivity
-                        gridDensity: 40,
-                        morphFactor: 1.5,
-                        chaos: 0.3,
-                        speed: 1.3,
-                        hue: 260,          // Purple - innovation
-                        intensity: 0.7,
-                        saturation: 0.85,
-                        rot4dXY: 0.2,
-                        rot4dXZ: 0.1,
-                        rot4dYZ: 0.15,
-                        rot4dXW: 0.7,
-                        rot4dYW: 0.6,
-                        rot4dZW: 0.5
-                    },
-                    progress: {
-                        geometry: 6,        // WAVE - signal propagation
-                        gridDensity: 50,
-                        morphFactor: 1.7,
-                        chaos: 0.4,
-                        speed: 1.6,
-                        hue: 270,
-                        intensity: 0.8,
-                        saturation: 0.9,
-                        rot4dXY: 0.3,
-                        rot4dXZ: 0.2,
-                        rot4dYZ: 0.25,
-                        rot4dXW: 1.0,
-                        rot4dYW: 0.9,
-                        rot4dZW: 0.8
-                    },
-                    exit: {
-                        geometry: 5,        // FRACTAL - complexity
-                        gridDensity: 60,
-                        morphFactor: 1.9,
-                        chaos: 0.5,
-                        speed: 1.8,
-                        hue: 280,
-                        intensity: 0.85,
-                        saturation: 0.95,
-                        rot4dXW: 1.2,
-                        rot4dYW: 1.1,
-                        rot4dZW: 1.0
-                    }
-                }
-            },
-            {
-                name: 'capabilities',
-                selector: '#capabilities-section, .capabilities',
-                states: {
-                    enter: {
-                        geometry: 7,        // CRYSTAL - structure, precision
-                        gridDensity: 60,
-                        morphFactor: 1.2,
-                        chaos: 0.2,
-                        speed: 1.0,
-                        hue: 180,          // Cyan - technology
-                        intensity: 0.8,
-                        saturation: 0.9,
-                        rot4dXY: 0.4,
-                        rot4dXZ: 0.3,
-                        rot4dYZ: 0.35,
-                        rot4dXW: 0.8,
-                        rot4dYW: 0.7,
-                        rot4dZW: 0.6
-                    },
-                    progress: {
-                        geometry: 1,        // HYPERCUBE - multi-dimensional capability
-                        gridDensity: 70,
-                        morphFactor: 1.4,
-                        chaos: 0.3,
-                        speed: 1.2,
-                        hue: 190,
-                        intensity: 0.85,
-                        saturation: 0.92,
-                        rot4dXY: 0.5,
-                        rot4dXZ: 0.4,
-                        rot4dYZ: 0.45,
-                        rot4dXW: 1.1,
-                        rot4dYW: 1.0,
-                        rot4dZW: 0.9
-                    },
-                    exit: {
-                        geometry: 0,        // TETRAHEDRON - foundation
-                        gridDensity: 80,
-                        morphFactor: 1.6,
-                        chaos: 0.4,
-                        speed: 1.4,
-                        hue: 200,
-                        intensity: 0.9,
-                        saturation: 0.95,
-                        rot4dXW: 1.3,
-                        rot4dYW: 1.2,
-                        rot4dZW: 1.1
-                    }
-                }
-            },
-            {
-                name: 'research',
-                selector: '#research-section, .research',
-                states: {
-                    enter: {
-                        geometry: 5,        // FRACTAL - recursive discovery
-                        gridDensity: 70,
-                        morphFactor: 1.8,
-                        chaos: 0.6,
-                        speed: 1.5,
-                        hue: 140,          // Green - growth, insight
-                        intensity: 0.75,
-                        saturation: 0.85,
-                        rot4dXY: 0.6,
-                        rot4dXZ: 0.5,
-                        rot4dYZ: 0.55,
-                        rot4dXW: 1.0,
-                        rot4dYW: 0.9,
-                        rot4dZW: 0.8
-                    },
-                    progress: {
-                        geometry: 4,        // KLEIN BOTTLE - non-orientable complexity
-                        gridDensity: 85,
-                        morphFactor: 2.0,
-                        chaos: 0.7,
-                        speed: 1.7,
-                        hue: 150,
-                        intensity: 0.85,
-                        saturation: 0.9,
-                        rot4dXY: 0.7,
-                        rot4dXZ: 0.6,
-                        rot4dYZ: 0.65,
-                        rot4dXW: 1.4,
-                        rot4dYW: 1.3,
-                        rot4dZW: 1.2
-                    },
-                    exit: {
-                        geometry: 6,        // WAVE - knowledge propagation
-                        gridDensity: 90,
-                        morphFactor: 1.8,
-                        chaos: 0.6,
-                        speed: 1.9,
-                        hue: 160,
-                        intensity: 0.9,
-                        saturation: 0.95,
-                        rot4dXW: 1.5,
-                        rot4dYW: 1.4,
-                        rot4dZW: 1.3
-                    }
-                }
-            },
-            {
-                name: 'platforms',
-                selector: '#platforms-section, .platforms',
-                states: {
-                    enter: {
-                        geometry: 1,        // HYPERCUBE - interconnected systems
-                        gridDensity: 80,
-                        morphFactor: 1.5,
-                        chaos: 0.4,
-                        speed: 1.3,
-                        hue: 40,           // Orange - energy, connectivity
-                        intensity: 0.8,
-                        saturation: 0.9,
-                        rot4dXY: 0.8,
-                        rot4dXZ: 0.7,
-                        rot4dYZ: 0.75,
-                        rot4dXW: 1.2,
-                        rot4dYW: 1.1,
-                        rot4dZW: 1.0
-                    },
-                    progress: {
-                        geometry: 3,        // TORUS - platform flow
-                        gridDensity: 90,
-                        morphFactor: 1.7,
-                        chaos: 0.5,
-                        speed: 1.5,
-                        hue: 50,
-                        intensity: 0.85,
-                        saturation: 0.93,
-                        rot4dXY: 0.9,
-                        rot4dXZ: 0.8,
-                        rot4dYZ: 0.85,
-                        rot4dXW: 1.5,
-                        rot4dYW: 1.4,
-                        rot4dZW: 1.3
-                    },
-                    exit: {
-                        geometry: 7,        // CRYSTAL - structured platform
-                        gridDensity: 95,
-                        morphFactor: 1.4,
-                        chaos: 0.3,
-                        speed: 1.2,
-                        hue: 60,
-                        intensity: 0.9,
-                        saturation: 0.95,
-                        rot4dXW: 1.6,
-                        rot4dYW: 1.5,
-                        rot4dZW: 1.4
-                    }
-                }
-            },
-            {
-                name: 'contact',
-                selector: '#contact-section, .contact, footer',
-                states: {
-                    enter: {
-                        geometry: 2,        // SPHERE - return to harmony
-                        gridDensity: 50,
-                        morphFactor: 1.0,
-                        chaos: 0.2,
-                        speed: 0.8,
-                        hue: 320,          // Magenta - connection
-                        intensity: 0.7,
-                        saturation: 0.85,
-                        rot4dXY: 0.3,
-                        rot4dXZ: 0.2,
-                        rot4dYZ: 0.25,
-                        rot4dXW: 0.5,
-                        rot4dYW: 0.4,
-                        rot4dZW: 0.3
-                    },
-                    progress: {
-                        geometry: 0,        // TETRAHEDRON - simplicity
-                        gridDensity: 40,
-                        morphFactor: 0.8,
-                        chaos: 0.15,
-                        speed: 0.6,
-                        hue: 330,
-                        intensity: 0.6,
-                        saturation: 0.8,
-                        rot4dXY: 0.2,
-                        rot4dXZ: 0.1,
-                        rot4dYZ: 0.15,
-                        rot4dXW: 0.3,
-                        rot4dYW: 0.2,
-                        rot4dZW: 0.1
-                    },
-                    exit: {
-                        geometry: 2,        // Back to SPHERE
-                        gridDensity: 30,
-                        morphFactor: 0.6,
-                        chaos: 0.1,
-                        speed: 0.5,
-                        hue: 340,
-                        intensity: 0.5,
-                        saturation: 0.75,
-                        rot4dXW: 0.2,
-                        rot4dYW: 0.1,
-                        rot4dZW: 0.05
-                    }
-                }
+        if (!this.registry) {
+            this.registry = new SectionRegistry();
+        }
+
+        this.registry.subscribe((sections) => {
+            this.sections = sections;
+            if (this.preview && this.preview.index >= sections.length) {
+                this.preview = null;
             }
-        ];
+            this.currentSectionIndex = Math.min(this.currentSectionIndex, Math.max(0, sections.length - 1));
+            this.updateSectionBoundaries();
+        });
+
+        return this.registry.getSections();
     }
 
     /**
@@ -378,7 +95,9 @@ export class ScrollChoreographer {
      */
     updateSectionBoundaries() {
         this.sections.forEach(section => {
-            const element = document.querySelector(section.selector);
+            const element = section.element && section.element.isConnected
+                ? section.element
+                : (section.selector ? document.querySelector(section.selector) : null);
             if (element) {
                 const rect = element.getBoundingClientRect();
                 const scrollTop = window.scrollY;
@@ -386,7 +105,7 @@ export class ScrollChoreographer {
                 section.bottom = rect.bottom + scrollTop;
                 section.height = rect.height;
             } else {
-                console.warn(`ScrollChoreographer: Section "${section.name}" element not found: ${section.selector}`);
+                console.warn(`ScrollChoreographer: Section "${section.name}" element not found: ${section.selector || 'detached element'}`);
             }
         });
     }
@@ -407,13 +126,42 @@ export class ScrollChoreographer {
         this.lastScrollPosition = scrollY;
         this.lastUpdateTime = now;
 
-        // Find current section
-        this.findCurrentSection();
+        // Find current section (or hold the scrubbed preview position)
+        if (this.preview) {
+            this.currentSectionIndex = this.preview.index;
+            this.sectionProgress = this.preview.progress;
+        } else {
+            this.findCurrentSection();
+        }
 
         // Update target state based on scroll position
         this.updateTargetState();
     }
 
+    /**
+     * Pin the choreography to a section and progress (0-1) regardless of
+     * the real scroll position. Pass null to follow the scroll again
+     */
+    setPreview(index, progress = 0) {
+        if (index === null || index === undefined || this.sections.length === 0) {
+            this.preview = null;
+            this.updateScrollPosition(window.scrollY);
+            return;
+        }
+
+        this.preview = {
+            index: Math.max(0, Math.min(this.sections.length - 1, Math.floor(index))),
+            progress: Math.max(0, Math.min(1, progress))
+        };
+        this.currentSectionIndex = this.preview.index;
+        this.sectionProgress = this.preview.progress;
+        this.updateTargetState();
+    }
+
+    isPreviewing() {
+        return this.preview !== null;
+    }
+
     /**
      * Find which section we're currently in
      */
@@ -0,0 +1,364 @@
+/**
+ * ScrollInputNormalizer.js
+ *
+ * Turns every way of scrolling into one stream of pixel deltas:
+ * - wheel events in pixel, line (Firefox) or page units
+ * - touch drags, and the momentum scrolling that follows them
+ * - keyboard scrolling (arrows, Page Up/Down, Space, Home/End)
+ * - scroll position changes nobody announced (scrollbar drags, scrollTo, anchors)
+ *
+ * Each sample is classified by device (mouse, trackpad, touch, keyboard,
+ * programmatic) and flags trackpad or touch inertia, so consumers can compute
+ * velocities that mean the same thing on every device.
+ *
+ * Sample shape:
+ *   { deltaX, deltaY, timestamp, timeDelta, source, device, inertial }
+ *   source: 'wheel' | 'touch' | 'keyboard' | 'scroll'
+ *
+ * © 2025 Clear Seas Solutions LLC - Paul Phillips
+ */
+
+const DELTA_MODE_LINE = 1;
+const DELTA_MODE_PAGE = 2;
+
+// Wheel events further apart than this start a new gesture
+const WHEEL_GESTURE_GAP = 250;
+
+// Mouse notches are coarse and sparse; trackpads stream small deltas
+const TRACKPAD_MAX_DELTA = 40;
+const TRACKPAD_MAX_INTERVAL = 30;
+
+// Consecutive shrinking trackpad deltas before a gesture counts as inertia
+const INERTIA_DECAY_SAMPLES = 3;
+
+// Momentum scrolling after a touch release lasts about this long
+const TOUCH_MOMENTUM_WINDOW = 2500;
+
+// Scroll events this soon after a release still carry the last drag
+const TOUCH_RELEASE_SETTLE = 20;
+
+const isEditableTarget = (target) => {
+    if (!target || !target.tagName) return false;
+    if (target.isContentEditable) return true;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+};
+
+// Space activates these instead of scrolling the page
+const SPACE_ACTIVATED_ROLES = ['button', 'checkbox', 'switch', 'radio', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'tab', 'treeitem'];
+
+const isSpaceActivatedTarget = (target) => {
+    if (!target || !target.tagName) return false;
+    if (['BUTTON', 'SUMMARY'].includes(target.tagName)) return true;
+    const role = target.getAttribute ? target.getAttribute('role') : null;
+    return Boolean(role) && SPACE_ACTIVATED_ROLES.includes(role);
+};
+
+export class ScrollInputNormalizer {
+    constructor(options = {}) {
+        this.target = options.target || window;
+        this.lineHeight = options.lineHeight || 16;
+        this.keyStep = options.keyStep || 40;
+        this.pageFactor = options.pageFactor || 0.875; // share of the viewport a page key scrolls
+
+        // Scroll events this long after a wheel/touch/key input belong to it
+        this.attributionWindow = {
+            wheel: 250,
+            touch: 150,
+            keyboard: 600,
+            ...options.attributionWindow
+        };
+
+        this.subscribers = new Set();
+        this.lastSampleTime = null;
+        this.lastInput = { source: null, time: -Infinity };
+        this.lastScroll = this.readScrollPosition();
+
+        this.wheelGesture = this.createWheelGesture(-Infinity);
+        this.touch = { active: false, x: 0, y: 0, releasedAt: -Infinity };
+
+        this.handlers = {
+            wheel: (e) => this.handleWheel(e),
+            touchstart: (e) => this.handleTouchStart(e),
+            touchmove: (e) => this.handleTouchMove(e),
+            touchend: (e) => this.handleTouchEnd(e),
+            touchcancel: (e) => this.handleTouchEnd(e),
+            keydown: (e) => this.handleKeydown(e),
+            scroll: () => this.handleScroll()
+        };
+
+        this.attach();
+    }
+
+    attach() {
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            this.target.addEventListener(type, handler, { passive: true });
+        });
+    }
+
+    /**
+     * Remove all listeners and subscribers
+     */
+    destroy() {
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            this.target.removeEventListener(type, handler, { passive: true });
+        });
+        this.subscribers.clear();
+    }
+
+    /**
+     * Receive every normalized sample; returns an unsubscribe function
+     */
+    subscribe(callback) {
+        this.subscribers.add(callback);
+        return () => this.subscribers.delete(callback);
+    }
+
+    emit(sample) {
+        const timeDelta = this.lastSampleTime === null ? 0 : sample.timestamp - this.lastSampleTime;
+        this.lastSampleTime = sample.timestamp;
+        const normalized = { ...sample, timeDelta };
+
+        this.subscribers.forEach((callback) => {
+            try {
+                callback(normalized);
+            } catch (error) {
+                console.error('Scroll input subscriber error:', error);
+            }
+        });
+    }
+
+    markInput(source, time) {
+        this.lastInput = { source, time };
+    }
+
+    // ============================================
+    // WHEEL
+    // ============================================
+
+    handleWheel(event) {
+        const now = performance.now();
+        const scale = this.getDeltaScale(event.deltaMode);
+        const deltaY = event.deltaY * scale;
+        const deltaX = event.deltaX * scale;
+        if (!deltaY && !deltaX) return;
+
+        const { device, inertial } = this.classifyWheel(event, deltaY, deltaX, now);
+        this.markInput('wheel', now);
+        this.emit({ deltaX, deltaY, timestamp: now, source: 'wheel', device, inertial });
+    }
+
+    getDeltaScale(deltaMode) {
+        if (deltaMode === DELTA_MODE_LINE) return this.lineHeight;
+        if (deltaMode === DELTA_MODE_PAGE) return this.getViewportHeight();
+        return 1;
+    }
+
+    createWheelGesture(time) {
+        return { start: time, lastTime: time, device: null, lastMagnitude: 0, decaySamples: 0, inertial: false };
+    }
+
+    /**
+     * A gesture keeps the device of its first event. Trackpad gestures turn
+     * inertial once their deltas keep shrinking after release, and stop being
+     * inertial as soon as a delta grows again (the fingers pushed again)
+     */
+    classifyWheel(event, deltaY, deltaX, now) {
+        let gesture = this.wheelGesture;
+        const interval = now - gesture.lastTime;
+        if (interval > WHEEL_GESTURE_GAP) {
+            gesture = this.createWheelGesture(now);
+            this.wheelGesture = gesture;
+        }
+
+        const magnitude = Math.max(Math.abs(deltaY), Math.abs(deltaX));
+
+        if (!gesture.device) {
+            gesture.device = this.detectWheelDevice(event, deltaY, deltaX, magnitude);
+        } else if (gesture.device === 'mouse' && event.deltaMode === 0 && interval < TRACKPAD_MAX_INTERVAL &&
+            magnitude < TRACKPAD_MAX_DELTA) {
+            // The first event of a trackpad swipe can look like a notch
+            gesture.device = 'trackpad';
+        }
+
+        if (gesture.device === 'trackpad') {
+            if (magnitude < gesture.lastMagnitude) {
+                gesture.decaySamples++;
+                gesture.inertial = gesture.inertial || gesture.decaySamples >= INERTIA_DECAY_SAMPLES;
+            } else if (magnitude > gesture.lastMagnitude) {
+                gesture.decaySamples = 0;
+                gesture.inertial = false;
+            }
+        }
+
+        gesture.lastMagnitude = magnitude;
+        gesture.lastTime = now;
+        return { device: gesture.device, inertial: gesture.inertial };
+    }
+
+    detectWheelDevice(event, deltaY, deltaX, magnitude) {
+        // Line and page units only come from wheel notches
+        if (event.deltaMode === DELTA_MODE_LINE || event.deltaMode === DELTA_MODE_PAGE) return 'mouse';
+
+        // Two-axis or sub-pixel deltas come from precision touchpads
+        if (deltaX && deltaY) return 'trackpad';
+        if (!Number.isInteger(event.deltaY) || !Number.isInteger(event.deltaX)) return 'trackpad';
+
+        // WebKit/Blink report notches as multiples of 120 in wheelDelta
+        const legacy = event.wheelDeltaY || event.wheelDelta;
+        if (legacy && Math.abs(legacy) % 120 === 0) return 'mouse';
+
+        return magnitude < TRACKPAD_MAX_DELTA ? 'trackpad' : 'mouse';
+    }
+
+    // ============================================
+    // TOUCH
+    // ============================================
+
+    handleTouchStart(event) {
+        const point = event.touches && event.touches[0];
+        if (!point) return;
+        this.touch.active = true;
+        this.touch.x = point.clientX;
+        this.touch.y = point.clientY;
+        this.markInput('touch', performance.now());
+    }
+
+    handleTouchMove(event) {
+        const point = event.touches && event.touches[0];
+        if (!this.touch.active || !point) return;
+
+        const now = performance.now();
+        // Dragging up scrolls down, like the wheel's positive deltaY
+        const deltaY = this.touch.y - point.clientY;
+        const deltaX = this.touch.x - point.clientX;
+        this.touch.x = point.clientX;
+        this.touch.y = point.clientY;
+        this.markInput('touch', now);
+
+        if (deltaY || deltaX) {
+            this.emit({ deltaX, deltaY, timestamp: now, source: 'touch', device: 'touch', inertial: false });
+        }
+    }
+
+    handleTouchEnd(event) {
+        if (event.touches && event.touches.length) return;
+        this.touch.active = false;
+        this.touch.releasedAt = performance.now();
+    }
+
+    // ============================================
+    // KEYBOARD
+    // ============================================
+
+    handleKeydown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (isEditableTarget(event.target)) return;
+        const isSpace = event.key === ' ' || event.key === 'Spacebar';
+        if (isSpace && isSpaceActivatedTarget(event.target)) return;
+
+        const deltaY = this.getKeyDelta(event);
+        if (!deltaY) return;
+
+        const now = performance.now();
+        this.markInput('keyboard', now);
+        this.emit({ deltaX: 0, deltaY, timestamp: now, source: 'keyboard', device: 'keyboard', inertial: false });
+    }
+
+    /**
+     * Pixels the browser scrolls for a key, clamped to the scrollable range
+     */
+    getKeyDelta(event) {
+        const page = this.getViewportHeight() * this.pageFactor;
+        const { y } = this.readScrollPosition();
+        const maxScroll = this.getMaxScroll();
+        let delta = 0;
+
+        switch (event.key) {
+            case 'ArrowDown':
+                delta = this.keyStep;
+                break;
+            case 'ArrowUp':
+                delta = -this.keyStep;
+                break;
+            case 'PageDown':
+                delta = page;
+                break;
+            case 'PageUp':
+                delta = -page;
+                break;
+            case ' ':
+            case 'Spacebar':
+                delta = event.shiftKey ? -page : page;
+                break;
+            case 'Home':
+                delta = -y;
+                break;
+            case 'End':
+                delta = maxScroll - y;
+                break;
+            default:
+                return 0;
+        }
+
+        return Math.max(-y, Math.min(maxScroll - y, delta));
+    }
+
+    // ============================================
+    // SCROLL POSITION
+    // ============================================
+
+    /**
+     * Movement already reported by a wheel, touch or key sample is skipped;
+     * the rest is momentum after a touch release or programmatic scrolling.
+     * Once the finger lifts, scrolling is momentum straight away rather than
+     * waiting out the touch attribution window
+     */
+    handleScroll() {
+        const now = performance.now();
+        const position = this.readScrollPosition();
+        const deltaY = position.y - this.lastScroll.y;
+        const deltaX = position.x - this.lastScroll.x;
+        this.lastScroll = position;
+        if (!deltaY && !deltaX) return;
+
+        const { source, time } = this.lastInput;
+        const touchMomentum = !this.touch.active && this.touch.releasedAt >= time &&
+            now - this.touch.releasedAt > TOUCH_RELEASE_SETTLE &&
+            now - this.touch.releasedAt <= TOUCH_MOMENTUM_WINDOW;
+        if (source && !touchMomentum && now - time <= this.attributionWindow[source]) return;
+
+        this.emit({
+            deltaX,
+            deltaY,
+            timestamp: now,
+            source: 'scroll',
+            device: touchMomentum ? 'touch' : 'programmatic',
+            inertial: touchMomentum
+        });
+    }
+
+    readScrollPosition() {
+        if (this.target === window) {
+            return { x: window.scrollX || window.pageXOffset || 0, y: window.scrollY || window.pageYOffset || 0 };
+        }
+        return { x: this.target.scrollLeft || 0, y: this.target.scrollTop || 0 };
+    }
+
+    getViewportHeight() {
+        return this.target === window ? window.innerHeight : this.target.clientHeight;
+    }
+
+    getMaxScroll() {
+        const scrollHeight = this.target === window
+            ? document.documentElement.scrollHeight
+            : this.target.scrollHeight;
+        return Math.max(0, scrollHeight - this.getViewportHeight());
+    }
+}
+
+/**
+ * A Paul Phillips Manifestation
+ * "The Revolution Will Not be in a Structured Format"
+ * © 2025 Clear Seas Solutions LLC
+ */
@@ -0,0 +1,588 @@
+/**
+ * SectionRegistry.js
+ *
+ * Single source of truth for which page sections drive the visuals and how.
+ * VisualOrchestrator reads each section's `visual` profile (preset, form,
+ * intensity...) and ScrollChoreographer its enter/progress/exit `states`.
+ *
+ * Sections declare themselves in markup:
+ *
+ *   <section id="labs" data-visual-profile="crystal"
+ *            data-visual-params='{"hue": 40, "exit": {"geometry": 5}}'>
+ *
+ * Flat keys in data-visual-params override the visual profile and every
+ * state; `enter`, `progress` and `exit` objects override one state only.
+ * The section name is data-section, then id. Pages without any
+ * data-visual-profile fall back to the built-in layout (hero, signals,
+ * capabilities, research, platforms, contact) matched by selector
+ *
+ * © 2025 Clear Seas Solutions LLC - Paul Phillips
+ */
+
+/**
+ * Named visual profiles. `visual` feeds VisualOrchestrator, `states` the
+ * scroll choreography keyframes
+ */
+export const VISUAL_PROFILES = {
+    quantum: {
+        label: 'Quantum Lattice',
+        visual: {
+            preset: 'quantum',
+            form: 'lattice',           // Quantum 4D lattice structure
+            intensity: 0.6,
+            chaos: 0.15,
+            speed: 0.5,
+            hue: 180,
+            rgbOffset: 0.0005,         // Reduced from 0.002
+            moireIntensity: 0.03,      // Reduced from 0.1
+            formMix: 1.0
+        },
+        states: {
+            enter: {
+                geometry: 2,        // SPHERE - welcoming, harmonious
+                gridDensity: 25,
+                morphFactor: 1.0,
+                chaos: 0.1,
+                speed: 0.8,
+                hue: 200,          // Blue - trust, clarity
+                intensity: 0.6,
+                saturation: 0.7,
+                rot4dXY: 0.0,
+                rot4dXZ: 0.0,
+                rot4dYZ: 0.0,
+                rot4dXW: 0.3,
+                rot4dYW: 0.2,
+                rot4dZW: 0.1
+            },
+            progress: {
+                geometry: 2,        // Stay SPHERE
+                gridDensity: 35,    // Increase detail
+                morphFactor: 1.3,   // More morphing
+                chaos: 0.2,
+                speed: 1.0,
+                hue: 210,          // Shift to deeper blue
+                intensity: 0.7,
+                saturation: 0.8,
+                rot4dXW: 0.5,      // Increase 4D rotation
+                rot4dYW: 0.4,
+                rot4dZW: 0.3
+            },
+            exit: {
+                geometry: 3,        // Transition to TORUS
+                gridDensity: 40,
+                morphFactor: 1.5,
+                chaos: 0.3,
+                speed: 1.2,
+                hue: 220,
+                intensity: 0.8,
+                saturation: 0.85,
+                rot4dXW: 0.7,
+                rot4dYW: 0.6,
+                rot4dZW: 0.5
+            }
+        }
+    },
+    neural: {
+        label: 'Neural Waves',
+        visual: {
+            preset: 'neural',
+            form: 'wave',              // Flowing wave patterns
+            intensity: 0.75,
+            chaos: 0.4,
+            speed: 0.8,
+            hue: 280,
+            rgbOffset: 0.001,          // Reduced from 0.005
+            moireIntensity: 0.08,      // Reduced from 0.3
+            formMix: 1.0
+        },
+        states: {
+            enter: {
+                geometry: 3,        // TORUS - flow, connectivity
+                gridDensity: 40,
+                morphFactor: 1.5,
+                chaos: 0.3,
+                speed: 1.3,
+                hue: 260,          // Purple - innovation
+                intensity: 0.7,
+                saturation: 0.85,
+                rot4dXY: 0.2,
+                rot4dXZ: 0.1,
+                rot4dYZ: 0.15,
+                rot4dXW: 0.7,
+                rot4dYW: 0.6,
+                rot4dZW: 0.5
+            },
+            progress: {
+                geometry: 6,        // WAVE - signal propagation
+                gridDensity: 50,
+                morphFactor: 1.7,
+                chaos: 0.4,
+                speed: 1.6,
+                hue: 270,
+                intensity: 0.8,
+                saturation: 0.9,
+                rot4dXY: 0.3,
+                rot4dXZ: 0.2,
+                rot4dYZ: 0.25,
+                rot4dXW: 1.0,
+                rot4dYW: 0.9,
+                rot4dZW: 0.8
+            },
+            exit: {
+                geometry: 5,        // FRACTAL - complexity
+                gridDensity: 60,
+                morphFactor: 1.9,
+                chaos: 0.5,
+                speed: 1.8,
+                hue: 280,
+                intensity: 0.85,
+                saturation: 0.95,
+                rot4dXW: 1.2,
+                rot4dYW: 1.1,
+                rot4dZW: 1.0
+            }
+        }
+    },
+    crystal: {
+        label: 'Crystal Matrix',
+        visual: {
+            preset: 'crystal',
+            form: 'crystal',           // Sharp crystalline structures
+            intensity: 0.65,
+            chaos: 0.1,
+            speed: 0.4,
+            hue: 200,
+            rgbOffset: 0.0003,         // Reduced from 0.001
+            moireIntensity: 0.02,      // Reduced from 0.05
+            formMix: 1.0
+        },
+        states: {
+            enter: {
+                geometry: 7,        // CRYSTAL - structure, precision
+                gridDensity: 60,
+                morphFactor: 1.2,
+                chaos: 0.2,
+                speed: 1.0,
+                hue: 180,          // Cyan - technology
+                intensity: 0.8,
+                saturation: 0.9,
+                rot4dXY: 0.4,
+                rot4dXZ: 0.3,
+                rot4dYZ: 0.35,
+                rot4dXW: 0.8,
+                rot4dYW: 0.7,
+                rot4dZW: 0.6
+            },
+            progress: {
+                geometry: 1,        // HYPERCUBE - multi-dimensional capability
+                gridDensity: 70,
+                morphFactor: 1.4,
+                chaos: 0.3,
+                speed: 1.2,
+                hue: 190,
+                intensity: 0.85,
+                saturation: 0.92,
+                rot4dXY: 0.5,
+                rot4dXZ: 0.4,
+                rot4dYZ: 0.45,
+                rot4dXW: 1.1,
+                rot4dYW: 1.0,
+                rot4dZW: 0.9
+            },
+            exit: {
+                geometry: 0,        // TETRAHEDRON - foundation
+                gridDensity: 80,
+                morphFactor: 1.6,
+                chaos: 0.4,
+                speed: 1.4,
+                hue: 200,
+                intensity: 0.9,
+                saturation: 0.95,
+                rot4dXW: 1.3,
+                rot4dYW: 1.2,
+                rot4dZW: 1.1
+            }
+        }
+    },
+    cosmic: {
+        label: 'Cosmic Nebula',
+        visual: {
+            preset: 'cosmic',
+            form: 'nebula',            // Organic nebula clouds
+            intensity: 0.7,
+            chaos: 0.3,
+            speed: 0.6,
+            hue: 240,
+            rgbOffset: 0.0008,         // Reduced from 0.003
+            moireIntensity: 0.06,      // Reduced from 0.2
+            formMix: 1.0
+        },
+        states: {
+            enter: {
+                geometry: 5,        // FRACTAL - recursive discovery
+                gridDensity: 70,
+                morphFactor: 1.8,
+                chaos: 0.6,
+                speed: 1.5,
+                hue: 140,          // Green - growth, insight
+                intensity: 0.75,
+                saturation: 0.85,
+                rot4dXY: 0.6,
+                rot4dXZ: 0.5,
+                rot4dYZ: 0.55,
+                rot4dXW: 1.0,
+                rot4dYW: 0.9,
+                rot4dZW: 0.8
+            },
+            progress: {
+                geometry: 4,        // KLEIN BOTTLE - non-orientable complexity
+                gridDensity: 85,
+                morphFactor: 2.0,
+                chaos: 0.7,
+                speed: 1.7,
+                hue: 150,
+                intensity: 0.85,
+                saturation: 0.9,
+                rot4dXY: 0.7,
+                rot4dXZ: 0.6,
+                rot4dYZ: 0.65,
+                rot4dXW: 1.4,
+                rot4dYW: 1.3,
+                rot4dZW: 1.2
+            },
+            exit: {
+                geometry: 6,        // WAVE - knowledge propagation
+                gridDensity: 90,
+                morphFactor: 1.8,
+                chaos: 0.6,
+                speed: 1.9,
+                hue: 160,
+                intensity: 0.9,
+                saturation: 0.95,
+                rot4dXW: 1.5,
+                rot4dYW: 1.4,
+                rot4dZW: 1.3
+            }
+        }
+    },
+    cyber: {
+        label: 'Cybernetic Vortex',
+        visual: {
+            preset: 'cyber',
+            form: 'vortex',            // Swirling vortex/spiral
+            intensity: 0.8,
+            chaos: 0.25,
+            speed: 0.7,
+            hue: 160,
+            rgbOffset: 0.001,          // Reduced from 0.004
+            moireIntensity: 0.07,      // Reduced from 0.25
+            formMix: 1.0
+        },
+        states: {
+            enter: {
+                geometry: 1,        // HYPERCUBE - interconnected systems
+                gridDensity: 80,
+                morphFactor: 1.5,
+                chaos: 0.4,
+                speed: 1.3,
+                hue: 40,           // Orange - energy, connectivity
+                intensity: 0.8,
+                saturation: 0.9,
+                rot4dXY: 0.8,
+                rot4dXZ: 0.7,
+                rot4dYZ: 0.75,
+                rot4dXW: 1.2,
+                rot4dYW: 1.1,
+                rot4dZW: 1.0
+            },
+            progress: {
+                geometry: 3,        // TORUS - platform flow
+                gridDensity: 90,
+                morphFactor: 1.7,
+                chaos: 0.5,
+                speed: 1.5,
+                hue: 50,
+                intensity: 0.85,
+                saturation: 0.93,
+                rot4dXY: 0.9,
+                rot4dXZ: 0.8,
+                rot4dYZ: 0.85,
+                rot4dXW: 1.5,
+                rot4dYW: 1.4,
+                rot4dZW: 1.3
+            },
+            exit: {
+                geometry: 7,        // CRYSTAL - structured platform
+                gridDensity: 95,
+                morphFactor: 1.4,
+                chaos: 0.3,
+                speed: 1.2,
+                hue: 60,
+                intensity: 0.9,
+                saturation: 0.95,
+                rot4dXW: 1.6,
+                rot4dYW: 1.5,
+                rot4dZW: 1.4
+            }
+        }
+    },
+    aurora: {
+        label: 'Aurora',
+        visual: {
+            preset: 'aurora',
+            form: 'fractal',           // Fractal branching patterns
+            intensity: 0.55,
+            chaos: 0.2,
+            speed: 0.5,
+            hue: 200,
+            rgbOffset: 0.0005,         // Reduced from 0.002
+            moireIntensity: 0.04,      // Reduced from 0.15
+            formMix: 1.0
+        },
+        states: {
+            enter: {
+                geometry: 2,        // SPHERE - return to harmony
+                gridDensity: 50,
+                morphFactor: 1.0,
+                chaos: 0.2,
+                speed: 0.8,
+                hue: 320,          // Magenta - connection
+                intensity: 0.7,
+                saturation: 0.85,
+                rot4dXY: 0.3,
+                rot4dXZ: 0.2,
+                rot4dYZ: 0.25,
+                rot4dXW: 0.5,
+                rot4dYW: 0.4,
+                rot4dZW: 0.3
+            },
+            progress: {
+                geometry: 0,        // TETRAHEDRON - simplicity
+                gridDensity: 40,
+                morphFactor: 0.8,
+                chaos: 0.15,
+                speed: 0.6,
+                hue: 330,
+                intensity: 0.6,
+                saturation: 0.8,
+                rot4dXY: 0.2,
+                rot4dXZ: 0.1,
+                rot4dYZ: 0.15,
+                rot4dXW: 0.3,
+                rot4dYW: 0.2,
+                rot4dZW: 0.1
+            },
+            exit: {
+                geometry: 2,        // Back to SPHERE
+                gridDensity: 30,
+                morphFactor: 0.6,
+                chaos: 0.1,
+                speed: 0.5,
+                hue: 340,
+                intensity: 0.5,
+                saturation: 0.75,
+                rot4dXW: 0.2,
+                rot4dYW: 0.1,
+                rot4dZW: 0.05
+            }
+        }
+    }
+};
+
+/**
+ * Built-in layout used when no section declares data-visual-profile
+ */
+export const DEFAULT_SECTIONS = [
+    { name: 'hero', selector: '.hero-section, #hero', profile: 'quantum' },
+    { name: 'signals', selector: '#signals-section, .signals', profile: 'neural' },
+    { name: 'capabilities', selector: '#capabilities-section, .capabilities', profile: 'crystal' },
+    { name: 'research', selector: '#research-section, .research', profile: 'cosmic' },
+    { name: 'platforms', selector: '#platforms-section, .platforms', profile: 'cyber' },
+    { name: 'contact', selector: '#contact-section, .contact, footer', profile: 'aurora' }
+];
+
+const STATE_KEYS = ['enter', 'progress', 'exit'];
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+export class SectionRegistry {
+    constructor(options = {}) {
+        this.root = options.root || document;
+        // Prototype-free so markup like data-visual-profile="constructor"
+        // cannot resolve to an Object.prototype member
+        this.profiles = Object.assign(Object.create(null), VISUAL_PROFILES, options.profiles);
+        this.fallbackSections = options.sections || DEFAULT_SECTIONS;
+        this.defaultProfile = options.defaultProfile || 'quantum';
+
+        this.sections = [];
+        this.subscribers = new Set();
+
+        this.refresh();
+    }
+
+    /**
+     * Add or replace a named profile, usable from data-visual-profile
+     */
+    registerProfile(name, profile) {
+        this.profiles[name] = {
+            label: profile.label || name,
+            visual: { ...profile.visual },
+            states: clone(profile.states)
+        };
+    }
+
+    /**
+     * Profile by name; legacy section names (hero, signals...) resolve to
+     * the profile their built-in section uses
+     */
+    resolveProfile(name) {
+        if (this.hasProfile(name)) return name;
+
+        const legacy = this.fallbackSections.find((section) => section.name === name);
+        if (legacy && this.hasProfile(legacy.profile)) return legacy.profile;
+
+        return null;
+    }
+
+    hasProfile(name) {
+        return typeof name === 'string' && Object.hasOwn(this.profiles, name) && Boolean(this.profiles[name]);
+    }
+
+    /**
+     * Re-scan the document and notify subscribers
+     */
+    refresh() {
+        this.sections = this.discover();
+        this.subscribers.forEach((callback) => callback(this.sections));
+        return this.sections;
+    }
+
+    discover() {
+        const declared = Array.from(this.root.querySelectorAll('[data-visual-profile]'));
+
+        if (declared.length) {
+            const names = new Set();
+            return declared.map((element, index) => {
+                let name = element.dataset.section || element.id || `section-${index + 1}`;
+                if (names.has(name)) {
+                    name = `${name}-${index + 1}`;
+                }
+                names.add(name);
+
+                return this.createSection(name, element.dataset.visualProfile, {
+                    element,
+                    overrides: this.readOverrides(element, name)
+                });
+            });
+        }
+
+        return this.fallbackSections.map((section) => this.createSection(section.name, section.profile, {
+            selector: section.selector,
+            element: this.root.querySelector(section.selector)
+        }));
+    }
+
+    readOverrides(element, name) {
+        const raw = element.dataset.visualParams;
+        if (!raw) return null;
+
+        try {
+            const overrides = JSON.parse(raw);
+            if (overrides && typeof overrides === 'object' && !Array.isArray(overrides)) {
+                return overrides;
+            }
+        } catch (error) {
+            // fall through to the warning
+        }
+
+        console.warn(`⚠️ Ignoring invalid data-visual-params on section "${name}"`);
+        return null;
+    }
+
+    createSection(name, profileName, { element = null, selector = null, overrides = null } = {}) {
+        let resolved = this.resolveProfile(profileName);
+        if (!resolved) {
+            console.warn(`⚠️ Unknown visual profile "${profileName}" on section "${name}", using "${this.defaultProfile}"`);
+            resolved = this.defaultProfile;
+        }
+
+        const profile = this.profiles[resolved];
+        const section = {
+            name,
+            profile: resolved,
+            element,
+            selector,
+            visual: { ...profile.visual },
+            states: clone(profile.states)
+        };
+
+        if (overrides) {
+            this.applyOverrides(section, overrides);
+        }
+
+        return section;
+    }
+
+    applyOverrides(section, overrides) {
+        Object.entries(overrides).forEach(([key, value]) => {
+            // JSON.parse keeps "__proto__" as a plain key; assigning it would swap prototypes
+            if (key === '__proto__') return;
+
+            if (STATE_KEYS.includes(key)) {
+                if (value && typeof value === 'object') {
+                    Object.assign(section.states[key], value);
+                }
+                return;
+            }
+
+            section.visual[key] = value;
+            STATE_KEYS.forEach((state) => {
+                if (typeof value === 'number') {
+                    section.states[state][key] = value;
+                }
+            });
+        });
+    }
+
+    getSections() {
+        return this.sections;
+    }
+
+    getSection(name) {
+        return this.sections.find((section) => section.name === name) || null;
+    }
+
+    getSectionForElement(element) {
+        return this.sections.find((section) => section.element === element) || null;
+    }
+
+    /**
+     * Visual profiles keyed by section name
+     */
+    getProfileMap() {
+        const map = {};
+        this.sections.forEach((section) => {
+            map[section.name] = section.visual;
+        });
+        return map;
+    }
+
+    getDefaultVisual() {
+        return { ...this.profiles[this.defaultProfile].visual };
+    }
+
+    /**
+     * Called with the new section list after every refresh(); returns an
+     * unsubscribe function
+     */
+    subscribe(callback) {
+        this.subscribers.add(callback);
+        return () => this.subscribers.delete(callback);
+    }
+}
+
+/**
+ * A Paul Phillips Manifestation
+ * "The Revolution Will Not be in a Structured Format"
+ * © 2025 Clear Seas Solutions LLC
+ */
@@ -211,6 +211,8 @@ export class UnifiedScrollChoreographer {
 
         this.elementManager.visualizers.forEach((vizData, id) => {
             const { visualizer, canvas } = vizData;
+            // Elements whose WebGL setup failed have no visualizer
+            if (!visualizer || !visualizer.params) return;
 
             // Pulse effect based on scroll progress
             const pulse = Math.sin(progress * Math.PI);
@@ -0,0 +1,525 @@
+/**
+ * ChoreographyTimelineEditor.js
+ *
+ * Authoring overlay for ScrollChoreographer; app-enhanced.js (index.html) and
+ * app.js load it for ?choreo-editor
+ * - Timeline of every section's enter / progress / exit states
+ * - Scrub the choreography without scrolling the page
+ * - Edit state parameters live (changes apply on the next frame)
+ * - Export the edited sections as JSON, including data-visual-params
+ *   snippets for sections that came from markup
+ *
+ * © 2025 Clear Seas Solutions LLC - Paul Phillips
+ */
+
+const STATE_NAMES = ['enter', 'progress', 'exit'];
+
+// Sub-state boundaries used by ScrollChoreographer.updateTargetState()
+const STATE_RANGES = {
+    enter: [0, 0.3],
+    progress: [0.3, 0.7],
+    exit: [0.7, 1]
+};
+
+const PARAMETERS = {
+    geometry: { min: 0, max: 7, step: 1 },
+    gridDensity: { min: 1, max: 100, step: 1 },
+    morphFactor: { min: 0, max: 3, step: 0.01 },
+    chaos: { min: 0, max: 1, step: 0.01 },
+    speed: { min: 0, max: 3, step: 0.01 },
+    hue: { min: 0, max: 360, step: 1 },
+    intensity: { min: 0, max: 1, step: 0.01 },
+    saturation: { min: 0, max: 1, step: 0.01 },
+    rot4dXY: { min: -3.14, max: 3.14, step: 0.01 },
+    rot4dXZ: { min: -3.14, max: 3.14, step: 0.01 },
+    rot4dYZ: { min: -3.14, max: 3.14, step: 0.01 },
+    rot4dXW: { min: -3.14, max: 3.14, step: 0.01 },
+    rot4dYW: { min: -3.14, max: 3.14, step: 0.01 },
+    rot4dZW: { min: -3.14, max: 3.14, step: 0.01 }
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+})[char]);
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+export class ChoreographyTimelineEditor {
+    constructor(choreographer) {
+        this.choreographer = choreographer;
+        this.registry = choreographer.registry || null;
+
+        // Untouched copies, for reset and for the markup diff
+        this.originals = new Map();
+        this.captureOriginals();
+
+        this.selectedIndex = 0;
+        this.selectedState = 'enter';
+        this.scrubbing = false;
+        this.timelineValue = 0; // 0-1 across all sections
+        this.isVisible = true;
+        this.overlay = null;
+        this.frame = null;
+
+        this.createOverlay();
+        this.renderTimeline();
+        this.renderEditor();
+        this.startUpdating();
+
+        if (this.registry) {
+            this.unsubscribeRegistry = this.registry.subscribe(() => {
+                this.captureOriginals();
+                this.selectedIndex = Math.min(this.selectedIndex, Math.max(0, this.getSections().length - 1));
+                this.renderTimeline();
+                this.renderEditor();
+            });
+        }
+
+        console.log('🎚️ ChoreographyTimelineEditor ready - press "E" to toggle');
+    }
+
+    getSections() {
+        return this.choreographer.sections;
+    }
+
+    captureOriginals() {
+        this.getSections().forEach((section) => {
+            if (!this.originals.has(section)) {
+                this.originals.set(section, clone(section.states));
+            }
+        });
+    }
+
+    // ============================================
+    // DOM
+    // ============================================
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'choreography-timeline-editor';
+        this.overlay.style.cssText = `
+            position: fixed;
+            left: 20px;
+            right: 20px;
+            bottom: 20px;
+            max-height: 55vh;
+            overflow-y: auto;
+            background: rgba(0, 0, 0, 0.88);
+            color: #00ff88;
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            padding: 12px 15px;
+            border: 2px solid #00ff88;
+            border-radius: 8px;
+            z-index: 10001;
+            box-shadow: 0 4px 20px rgba(0, 255, 136, 0.3);
+            backdrop-filter: blur(10px);
+            line-height: 1.5;
+        `;
+
+        this.overlay.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 8px;">
+                <strong style="font-size: 13px; color: #00ffff;">🎚️ CHOREOGRAPHY TIMELINE</strong>
+                <label style="cursor: pointer;">
+                    <input type="checkbox" data-action="scrub"> Scrub
+                </label>
+                <input type="range" data-action="timeline" min="0" max="1000" value="0" style="flex: 1;">
+                <span data-role="position" style="min-width: 220px; color: #ffff00;"></span>
+                <button type="button" data-action="export">Export JSON</button>
+                <button type="button" data-action="reset">Reset section</button>
+                <button type="button" data-action="close">✕</button>
+            </div>
+            <div data-role="timeline" style="display: flex; gap: 2px; margin-bottom: 8px;"></div>
+            <div data-role="editor"></div>
+            <div data-role="export" style="display: none; margin-top: 8px;">
+                <textarea data-role="export-text" readonly spellcheck="false"
+                    style="width: 100%; height: 160px; background: #000; color: #aaffff; border: 1px solid #00ff88; font: inherit;"></textarea>
+                <div style="margin-top: 4px;">
+                    <button type="button" data-action="copy">Copy</button>
+                    <button type="button" data-action="download">Download</button>
+                </div>
+            </div>
+        `;
+
+        this.overlay.addEventListener('click', (e) => this.onClick(e));
+        this.overlay.addEventListener('input', (e) => this.onInput(e));
+        this.overlay.addEventListener('change', (e) => this.onChange(e));
+
+        this.onKeydown = (e) => {
+            const tag = e.target && e.target.tagName;
+            if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+            if (e.key === 'e' || e.key === 'E') {
+                this.toggle();
+            }
+        };
+        window.addEventListener('keydown', this.onKeydown);
+
+        document.body.appendChild(this.overlay);
+    }
+
+    renderTimeline() {
+        const container = this.overlay.querySelector('[data-role="timeline"]');
+        container.innerHTML = this.getSections().map((section, index) => `
+            <div data-section-index="${index}" style="flex: 1; min-width: 0; cursor: pointer; border: 1px solid #00ff88; border-radius: 4px; padding: 3px 4px;">
+                <div style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis; color: #00ffff;">
+                    ${escapeHtml(section.name)}${section.profile ? ` <span style="color: #888;">${escapeHtml(section.profile)}</span>` : ''}
+                </div>
+                <div style="display: flex; gap: 1px; margin-top: 2px;">
+                    ${STATE_NAMES.map((state) => `
+                        <div data-section-index="${index}" data-state="${state}"
+                            style="flex: ${(STATE_RANGES[state][1] - STATE_RANGES[state][0]) * 10}; text-align: center; background: rgba(0, 255, 136, 0.12);">
+                            ${state}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+        this.highlightSelection();
+    }
+
+    renderEditor() {
+        const container = this.overlay.querySelector('[data-role="editor"]');
+        const section = this.getSections()[this.selectedIndex];
+        if (!section) {
+            container.innerHTML = '<div style="color: #888;">No sections registered</div>';
+            return;
+        }
+
+        const state = section.states[this.selectedState] || {};
+        const rows = Object.entries(PARAMETERS).map(([key, range]) => {
+            const defined = typeof state[key] === 'number';
+            const value = defined ? state[key] : '';
+            return `
+                <label style="display: flex; align-items: center; gap: 6px; opacity: ${defined ? 1 : 0.5};"
+                    title="${defined ? '' : 'Not set in this state - not animated until edited'}">
+                    <span style="width: 90px;">${key}</span>
+                    <input type="range" data-param="${key}" min="${range.min}" max="${range.max}" step="${range.step}"
+                        value="${defined ? value : range.min}" style="flex: 1;">
+                    <input type="number" data-param="${key}" min="${range.min}" max="${range.max}" step="${range.step}"
+                        value="${value}" placeholder="—" style="width: 70px; background: #000; color: #aaffff; border: 1px solid #335;">
+                </label>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div style="margin-bottom: 6px; color: #00ffff;">
+                Editing <strong>${escapeHtml(section.name)}</strong> →
+                ${STATE_NAMES.map((name) => `
+                    <button type="button" data-action="select-state" data-state="${name}"
+                        style="${name === this.selectedState ? 'background: #00ff88; color: #000;' : ''}">${name}</button>
+                `).join('')}
+            </div>
+            <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(280px, 1fr)); column-gap: 16px;">
+                ${rows}
+            </div>
+        `;
+        this.highlightSelection();
+    }
+
+    highlightSelection() {
+        this.overlay.querySelectorAll('[data-state][data-section-index]').forEach((cell) => {
+            const selected = Number(cell.dataset.sectionIndex) === this.selectedIndex &&
+                cell.dataset.state === this.selectedState;
+            cell.style.outline = selected ? '1px solid #ffff00' : 'none';
+        });
+    }
+
+    // ============================================
+    // EVENTS
+    // ============================================
+
+    onClick(e) {
+        const action = e.target.closest('[data-action]');
+        if (action && action.tagName === 'BUTTON') {
+            switch (action.dataset.action) {
+                case 'select-state':
+                    this.selectState(this.selectedIndex, action.dataset.state);
+                    break;
+                case 'export':
+                    this.showExport();
+                    break;
+                case 'reset':
+                    this.resetSection(this.selectedIndex);
+                    break;
+                case 'copy':
+                    this.copyExport();
+                    break;
+                case 'download':
+                    this.downloadExport();
+                    break;
+                case 'close':
+                    this.hide();
+                    break;
+            }
+            return;
+        }
+
+        const cell = e.target.closest('[data-section-index]');
+        if (cell) {
+            const index = Number(cell.dataset.sectionIndex);
+            this.selectState(index, cell.dataset.state || this.selectedState);
+
+            // Jump the scrubber to the clicked state
+            if (this.scrubbing) {
+                const [start, end] = STATE_RANGES[this.selectedState];
+                this.scrubTo((index + (start + end) / 2) / this.getSections().length);
+            }
+        }
+    }
+
+    onInput(e) {
+        const target = e.target;
+
+        if (target.dataset.action === 'timeline') {
+            if (!this.scrubbing) {
+                this.setScrubbing(true);
+            }
+            this.scrubTo(Number(target.value) / 1000);
+            return;
+        }
+
+        if (target.dataset.param && target.value !== '') {
+            this.setParameter(target.dataset.param, Number(target.value));
+            // Keep the paired slider / number field in sync
+            this.overlay.querySelectorAll(`[data-param="${target.dataset.param}"]`).forEach((input) => {
+                if (input !== target) {
+                    input.value = target.value;
+                }
+            });
+            target.closest('label').style.opacity = 1;
+        }
+    }
+
+    onChange(e) {
+        if (e.target.dataset.action === 'scrub') {
+            this.setScrubbing(e.target.checked);
+        }
+    }
+
+    // ============================================
+    // EDITING
+    // ============================================
+
+    selectState(index, state) {
+        this.selectedIndex = index;
+        this.selectedState = STATE_NAMES.includes(state) ? state : 'enter';
+        this.renderEditor();
+    }
+
+    setParameter(key, value) {
+        const section = this.getSections()[this.selectedIndex];
+        if (!section || !Number.isFinite(value)) return;
+
+        section.states[this.selectedState][key] = value;
+        // Re-target right away instead of waiting for the next scroll update
+        this.choreographer.updateTargetState();
+    }
+
+    resetSection(index) {
+        const section = this.getSections()[index];
+        const original = section && this.originals.get(section);
+        if (!original) return;
+
+        section.states = clone(original);
+        this.choreographer.updateTargetState();
+        this.renderEditor();
+    }
+
+    // ============================================
+    // SCRUBBING
+    // ============================================
+
+    setScrubbing(enabled) {
+        this.scrubbing = enabled;
+        this.overlay.querySelector('[data-action="scrub"]').checked = enabled;
+
+        if (enabled) {
+            this.scrubTo(this.getLivePosition());
+        } else {
+            this.choreographer.setPreview(null);
+        }
+    }
+
+    /**
+     * Preview a point on the whole-page timeline (0-1, each section an equal span)
+     */
+    scrubTo(value) {
+        const count = this.getSections().length;
+        if (!count) return;
+
+        this.timelineValue = Math.max(0, Math.min(1, value));
+        const position = Math.min(this.timelineValue * count, count - 1e-6);
+        const index = Math.floor(position);
+        this.choreographer.setPreview(index, position - index);
+    }
+
+    getLivePosition() {
+        const count = this.getSections().length;
+        if (!count) return 0;
+        return (this.choreographer.currentSectionIndex + this.choreographer.getSectionProgress()) / count;
+    }
+
+    getSubState(progress) {
+        return STATE_NAMES.find((name) => progress < STATE_RANGES[name][1]) || 'exit';
+    }
+
+    startUpdating() {
+        const update = () => {
+            if (this.isVisible) {
+                this.updateReadout();
+            }
+            this.frame = requestAnimationFrame(update);
+        };
+        this.frame = requestAnimationFrame(update);
+    }
+
+    updateReadout() {
+        const value = this.scrubbing ? this.timelineValue : this.getLivePosition();
+        const slider = this.overlay.querySelector('[data-action="timeline"]');
+        if (!this.scrubbing) {
+            slider.value = Math.round(value * 1000);
+        }
+
+        const progress = this.choreographer.getSectionProgress();
+        this.overlay.querySelector('[data-role="position"]').textContent =
+            `${this.choreographer.getCurrentSectionName()} · ${this.getSubState(progress)} · ${(progress * 100).toFixed(0)}%` +
+            (this.scrubbing ? ' (scrub)' : '');
+
+        this.overlay.querySelectorAll('[data-role="timeline"] > [data-section-index]').forEach((block) => {
+            const active = Number(block.dataset.sectionIndex) === this.choreographer.currentSectionIndex;
+            block.style.background = active ? 'rgba(0, 255, 255, 0.15)' : 'transparent';
+        });
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+
+    /**
+     * Edited sections in ScrollChoreographer's `sections` format. Sections
+     * with a profile also get `visualParams`: the changes relative to that
+     * profile, ready to paste into data-visual-params
+     */
+    exportSections() {
+        return {
+            exportedAt: new Date().toISOString(),
+            sections: this.getSections().map((section) => {
+                const exported = {
+                    name: section.name,
+                    profile: section.profile || null,
+                    selector: section.selector || (section.element && section.element.id ? `#${section.element.id}` : null),
+                    states: clone(section.states)
+                };
+
+                const base = this.getProfileStates(section);
+                if (base) {
+                    exported.visualParams = this.diffStates(base, section.states);
+                }
+                return exported;
+            })
+        };
+    }
+
+    getProfileStates(section) {
+        if (!this.registry || !section.profile || !this.registry.hasProfile(section.profile)) return null;
+        return this.registry.profiles[section.profile].states;
+    }
+
+    diffStates(base, states) {
+        const diff = {};
+        STATE_NAMES.forEach((name) => {
+            const changed = {};
+            Object.entries(states[name] || {}).forEach(([key, value]) => {
+                if (!base[name] || base[name][key] !== value) {
+                    changed[key] = value;
+                }
+            });
+            if (Object.keys(changed).length) {
+                diff[name] = changed;
+            }
+        });
+        return diff;
+    }
+
+    getExportJSON() {
+        return JSON.stringify(this.exportSections(), null, 2);
+    }
+
+    showExport() {
+        const panel = this.overlay.querySelector('[data-role="export"]');
+        this.overlay.querySelector('[data-role="export-text"]').value = this.getExportJSON();
+        panel.style.display = 'block';
+    }
+
+    copyExport() {
+        const text = this.getExportJSON();
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).catch((error) => {
+                console.warn('⚠️ Clipboard unavailable, select the exported text instead', error);
+            });
+        }
+    }
+
+    downloadExport() {
+        const blob = new Blob([this.getExportJSON()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'choreography-sections.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    // ============================================
+    // VISIBILITY
+    // ============================================
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.isVisible = true;
+        this.overlay.style.display = 'block';
+    }
+
+    /**
+     * Hiding also hands the choreography back to the real scroll
+     */
+    hide() {
+        this.isVisible = false;
+        this.overlay.style.display = 'none';
+        if (this.scrubbing) {
+            this.setScrubbing(false);
+        }
+    }
+
+    dispose() {
+        if (this.scrubbing) {
+            this.choreographer.setPreview(null);
+        }
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+        }
+        if (this.unsubscribeRegistry) {
+            this.unsubscribeRegistry();
+        }
+        window.removeEventListener('keydown', this.onKeydown);
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+    }
+}
+
+/**
+ * A Paul Phillips Manifestation
+ * "The Revolution Will Not be in a Structured Format"
+ * © 2025 Clear Seas Solutions LLC
+ */
@@ -94,12 +94,24 @@ export class MicroScrollDebugOverlay {
                 </div>
             </div>
 
+            <div style="margin-bottom: 8px;">
+                <strong style="color: #00ffff;">INPUT:</strong>
+                <div style="margin-left: 10px;">
+                    Device: <span style="color: #ffff00;">${stats.device || '—'}</span>${stats.inertial ? ' <span style="color: #ff88ff;">(inertia)</span>' : ''}<br/>
+                    Source: <span style="color: #ffff00;">${stats.source || '—'}</span><br/>
+                    <span style="font-size: 10px;">
+                        Wheel ${stats.sourceCounts.wheel} • Touch ${stats.sourceCounts.touch} •
+                        Keys ${stats.sourceCounts.keyboard} • Scroll ${stats.sourceCounts.scroll}
+                    </span>
+                </div>
+            </div>
+
             <div style="margin-bottom: 8px;">
                 <strong style="color: #00ffff;">PERFORMANCE:</strong>
                 <div style="margin-left: 10px;">
-                    Wheel Events: <span style="color: #ffff00;">${stats.wheelEvents}</span><br/>
+                    Input Events: <span style="color: #ffff00;">${stats.inputEvents}</span><br/>
                     RAF Updates: <span style="color: #ffff00;">${stats.rafUpdates}</span><br/>
-                    Buffer: <span style="color: #ffff00;">${stats.bufferSize}/10</span>
+                    Buffer: <span style="color: #ffff00;">${stats.bufferSize}/${this.microChoreographer.bufferSize}</span>
                 </div>
             </div>
 
@@ -136,7 +148,7 @@ export class MicroScrollDebugOverlay {
             </div>
 
             <div style="margin-top: 12px; padding-top: 8px; border-top: 1px solid #00ff88; text-align: center; font-size: 9px; color: #888;">
-                Press 'D' to hide • Every wheel tick captured
+                Press 'D' to hide • Every scroll input captured
             </div>
         `;
 
@@ -10,9 +10,18 @@
  * - Ripple effects propagating through visualizer network
  * - Synchronized state changes
  *
+ * Couplings and ripples work in document space through a SpatialGrid that is
+ * kept current on window resize, document and element resize, and the
+ * tracked elements being hidden, so elements below the fold take part as well
+ *
  * © 2025 Clear Seas Solutions LLC - Paul Phillips
  */
 
+import { SpatialGrid } from '../utils/SpatialGrid.js';
+
+// ElementVisualizers whose WebGL or shader setup failed have no params
+const hasParams = (viz) => Boolean(viz && viz.visualizer && viz.visualizer.params);
+
 export class GeometryMorpher {
     constructor(visualizer) {
         this.visualizer = visualizer;
@@ -74,6 +83,17 @@ export class GeometryMorpher {
     }
 }
 
+/**
+ * Coupling falloff curves: map normalized distance (0 = same spot,
+ * 1 = couplingRadius) to strength
+ */
+export const COUPLING_FALLOFF = {
+    linear: (t) => 1 - t,
+    quadratic: (t) => (1 - t) * (1 - t),
+    smooth: (t) => 1 - t * t * (3 - 2 * t),
+    exponential: (t) => (Math.exp(-4 * t) - Math.exp(-4)) / (1 - Math.exp(-4))
+};
+
 /**
  * EmergentInteractionSystem
  *
@@ -88,6 +108,11 @@ export class EmergentInteractionSystem {
             propagationSpeed: options.propagationSpeed || 0.5,
             rippleDecay: options.rippleDecay || 0.95,
             synchronizationThreshold: options.synchronizationThreshold || 0.7,
+            couplingRadius: options.couplingRadius || 300, // px, document space
+            couplingFalloff: options.couplingFalloff || 'linear', // name in COUPLING_FALLOFF or (t) => strength
+            rippleMaxRadius: options.rippleMaxRadius || 500,
+            rippleBandWidth: options.rippleBandWidth || 50, // how close to the wavefront a visualizer is hit
+            observeLayout: options.observeLayout !== false,
             ...options
         };
 
@@ -97,52 +122,119 @@ export class EmergentInteractionSystem {
         // Track visualizer couplings
         this.couplings = new Map();
 
+        // Document-space centers of every visualizer
+        this.grid = new SpatialGrid(this.options.couplingRadius);
+
+        // Layout observation
+        this.resizeObserver = null;
+        this.mutationObserver = null;
+        this.observedElements = new Set();
+        this.layoutFrame = null;
+        this.onWindowResize = () => this.scheduleLayoutUpdate();
+
         this.initializeCouplings();
+
+        if (this.options.observeLayout) {
+            this.observeLayout();
+        }
     }
 
     /**
      * Initialize coupling relationships between visualizers
+     * Measures every visualizer, then couples each one with its grid
+     * neighbours inside couplingRadius. Safe to call again at any time
      */
     initializeCouplings() {
-        const visualizers = Array.from(this.manager.visualizers.values());
-
-        visualizers.forEach((viz1, i) => {
-            const element1 = viz1.element;
-            const rect1 = element1.getBoundingClientRect();
-            const center1 = {
-                x: rect1.left + rect1.width / 2,
-                y: rect1.top + rect1.height / 2
-            };
+        this.updatePositions();
+        this.rebuildCouplings();
+
+        console.log(`🔗 Created ${this.countCouplings()} emergent couplings`);
+    }
+
+    /**
+     * Center of an element in document coordinates
+     */
+    measureElement(element) {
+        const rect = element.getBoundingClientRect();
+        return {
+            x: rect.left + rect.width / 2 + (window.scrollX || window.pageXOffset || 0),
+            y: rect.top + rect.height / 2 + (window.scrollY || window.pageYOffset || 0)
+        };
+    }
+
+    /**
+     * Re-measure every visualizer and sync the grid with the manager
+     */
+    updatePositions() {
+        const ids = new Set();
+
+        this.manager.visualizers.forEach((viz, id) => {
+            ids.add(id);
+            // Detached elements measure as 0x0 at the origin; leave them
+            // and visualizers without WebGL out
+            if (!hasParams(viz) || !viz.element.isConnected) {
+                this.grid.remove(id);
+                return;
+            }
+            const center = this.measureElement(viz.element);
+            this.grid.insert(id, center.x, center.y);
+        });
 
-            visualizers.slice(i + 1).forEach(viz2 => {
-                const element2 = viz2.element;
-                const rect2 = element2.getBoundingClientRect();
-                const center2 = {
-                    x: rect2.left + rect2.width / 2,
-                    y: rect2.top + rect2.height / 2
-                };
-
-                // Calculate distance
-                const distance = Math.sqrt(
-                    Math.pow(center2.x - center1.x, 2) +
-                    Math.pow(center2.y - center1.y, 2)
-                );
-
-                // Create coupling if close enough (within 300px)
-                if (distance < 300) {
-                    const strength = 1 - (distance / 300);
-                    this.createCoupling(viz1, viz2, strength);
+        Array.from(this.grid.points.keys()).forEach((id) => {
+            if (!ids.has(id)) {
+                this.grid.remove(id);
+            }
+        });
+    }
+
+    /**
+     * Recompute couplings from the grid
+     */
+    rebuildCouplings() {
+        this.couplings = new Map();
+        const radius = this.options.couplingRadius;
+
+        this.grid.points.forEach((point, id) => {
+            const viz1 = this.manager.visualizers.get(id);
+
+            this.grid.queryRadius(point.x, point.y, radius).forEach(({ id: otherId, distance }) => {
+                // Each pair once
+                if (otherId <= id) return;
+
+                const strength = this.getCouplingStrength(distance);
+                if (strength > 0) {
+                    this.createCoupling(viz1, this.manager.visualizers.get(otherId), strength, distance);
                 }
             });
         });
+    }
 
-        console.log(`🔗 Created ${this.couplings.size} emergent couplings`);
+    /**
+     * Coupling strength for a distance, through the configured falloff
+     */
+    getCouplingStrength(distance) {
+        const radius = this.options.couplingRadius;
+        if (distance >= radius) return 0;
+
+        const falloff = typeof this.options.couplingFalloff === 'function'
+            ? this.options.couplingFalloff
+            : COUPLING_FALLOFF[this.options.couplingFalloff] || COUPLING_FALLOFF.linear;
+
+        return Math.max(0, Math.min(1, falloff(distance / radius)));
+    }
+
+    countCouplings() {
+        let count = 0;
+        this.couplings.forEach((list) => {
+            count += list.length;
+        });
+        return count / 2;
     }
 
     /**
      * Create coupling between two visualizers
      */
-    createCoupling(viz1, viz2, strength) {
+    createCoupling(viz1, viz2, strength, distance = null) {
         const id1 = viz1.element.dataset.vizId;
         const id2 = viz2.element.dataset.vizId;
 
@@ -153,25 +245,136 @@ export class EmergentInteractionSystem {
             this.couplings.set(id2, []);
         }
 
-        this.couplings.get(id1).push({ viz: viz2, strength });
-        this.couplings.get(id2).push({ viz: viz1, strength });
+        this.couplings.get(id1).push({ viz: viz2, strength, distance });
+        this.couplings.get(id2).push({ viz: viz1, strength, distance });
+    }
+
+    /**
+     * Change radius and/or falloff and rebuild couplings
+     */
+    setCouplingOptions({ radius, falloff } = {}) {
+        if (radius) {
+            this.options.couplingRadius = radius;
+            this.grid.setCellSize(radius);
+        }
+        if (falloff) {
+            this.options.couplingFalloff = falloff;
+        }
+        this.rebuildCouplings();
     }
 
+    // ============================================
+    // LAYOUT OBSERVATION
+    // ============================================
+
+    /**
+     * Keep positions current. Only the tracked elements are watched: their
+     * own size and `hidden` attribute, plus the document's size, which
+     * changes whenever content above them grows or shrinks. Unrelated class
+     * toggles elsewhere on the page (scroll choreography flips them every
+     * frame) do not trigger a re-measure. The manager calls
+     * scheduleLayoutUpdate() itself when visualizers are added or removed
+     */
+    observeLayout() {
+        window.addEventListener('resize', this.onWindowResize, { passive: true });
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.scheduleLayoutUpdate());
+            this.resizeObserver.observe(document.documentElement);
+        }
+
+        if (typeof MutationObserver !== 'undefined') {
+            this.mutationObserver = new MutationObserver(() => this.scheduleLayoutUpdate());
+        }
+
+        this.syncObservedElements();
+    }
+
+    /**
+     * Observe the elements the manager currently holds
+     */
+    syncObservedElements() {
+        const current = new Set();
+        this.manager.visualizers.forEach((viz) => current.add(viz.element));
+
+        const removed = Array.from(this.observedElements).filter((element) => !current.has(element));
+        const added = Array.from(current).filter((element) => !this.observedElements.has(element));
+        if (!removed.length && !added.length) return;
+
+        removed.forEach((element) => {
+            if (this.resizeObserver) this.resizeObserver.unobserve(element);
+            this.observedElements.delete(element);
+        });
+        added.forEach((element) => {
+            if (this.resizeObserver) this.resizeObserver.observe(element);
+            this.observedElements.add(element);
+        });
+
+        // MutationObserver has no unobserve(); re-attach to the current set
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+            this.observedElements.forEach((element) => {
+                this.mutationObserver.observe(element, { attributes: true, attributeFilter: ['hidden'] });
+            });
+        }
+    }
+
+    /**
+     * Batch layout changes into one update per frame
+     */
+    scheduleLayoutUpdate() {
+        if (this.layoutFrame !== null) return;
+        this.layoutFrame = requestAnimationFrame(() => {
+            this.layoutFrame = null;
+            this.refreshLayout();
+        });
+    }
+
+    /**
+     * Re-measure, pick up added/removed visualizers and rebuild couplings
+     */
+    refreshLayout() {
+        this.syncObservedElements();
+        this.updatePositions();
+        this.rebuildCouplings();
+    }
+
+    /**
+     * Stop observing layout
+     */
+    destroy() {
+        window.removeEventListener('resize', this.onWindowResize);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+            this.mutationObserver = null;
+        }
+        if (this.layoutFrame !== null) {
+            cancelAnimationFrame(this.layoutFrame);
+            this.layoutFrame = null;
+        }
+        this.observedElements.clear();
+        this.ripples = [];
+    }
+
+    // ============================================
+    // RIPPLES
+    // ============================================
+
     /**
      * Trigger ripple from a point
      */
     triggerRipple(sourceElement, intensity = 1.0) {
-        const rect = sourceElement.getBoundingClientRect();
-        const center = {
-            x: rect.left + rect.width / 2,
-            y: rect.top + rect.height / 2
-        };
+        const center = this.measureElement(sourceElement);
 
         this.ripples.push({
             center,
             radius: 0,
             intensity,
-            maxRadius: 500,
+            maxRadius: this.options.rippleMaxRadius,
             speed: this.options.propagationSpeed * 100
         });
 
@@ -189,39 +392,36 @@ export class EmergentInteractionSystem {
 
     /**
      * Update active ripples
+     * Only visualizers near the wavefront are looked up, through the grid
      */
     updateRipples() {
+        const band = this.options.rippleBandWidth;
+
         this.ripples = this.ripples.filter(ripple => {
             ripple.radius += ripple.speed;
             ripple.intensity *= this.options.rippleDecay;
 
-            // Apply ripple effect to visualizers
-            this.manager.visualizers.forEach(viz => {
-                const rect = viz.element.getBoundingClientRect();
-                const vizCenter = {
-                    x: rect.left + rect.width / 2,
-                    y: rect.top + rect.height / 2
-                };
-
-                const distance = Math.sqrt(
-                    Math.pow(vizCenter.x - ripple.center.x, 2) +
-                    Math.pow(vizCenter.y - ripple.center.y, 2)
-                );
+            const hits = this.grid.queryRadius(ripple.center.x, ripple.center.y, ripple.radius + band);
 
+            // Apply ripple effect to visualizers
+            hits.forEach(({ id, distance }) => {
                 // Check if ripple is hitting this visualizer
-                if (Math.abs(distance - ripple.radius) < 50) {
-                    const effect = ripple.intensity * 0.3;
-
-                    // Pulse effect
-                    viz.visualizer.params.intensity += effect;
-                    viz.visualizer.params.chaos += effect * 0.5;
-                    viz.visualizer.params.speed += effect * 0.5;
-
-                    // Clamp values
-                    viz.visualizer.params.intensity = Math.min(1.0, viz.visualizer.params.intensity);
-                    viz.visualizer.params.chaos = Math.min(1.0, viz.visualizer.params.chaos);
-                    viz.visualizer.params.speed = Math.min(3.0, viz.visualizer.params.speed);
-                }
+                if (Math.abs(distance - ripple.radius) >= band) return;
+
+                const viz = this.manager.visualizers.get(id);
+                if (!hasParams(viz)) return;
+
+                const effect = ripple.intensity * 0.3;
+
+                // Pulse effect
+                viz.visualizer.params.intensity += effect;
+                viz.visualizer.params.chaos += effect * 0.5;
+                viz.visualizer.params.speed += effect * 0.5;
+
+                // Clamp values
+                viz.visualizer.params.intensity = Math.min(1.0, viz.visualizer.params.intensity);
+                viz.visualizer.params.chaos = Math.min(1.0, viz.visualizer.params.chaos);
+                viz.visualizer.params.speed = Math.min(3.0, viz.visualizer.params.speed);
             });
 
             // Remove ripple if too large or too weak
@@ -235,9 +435,11 @@ export class EmergentInteractionSystem {
     applyCouplings() {
         this.manager.visualizers.forEach((viz, id) => {
             const couplings = this.couplings.get(id);
-            if (!couplings) return;
+            if (!couplings || !hasParams(viz)) return;
 
             couplings.forEach(({ viz: coupledViz, strength }) => {
+                if (!hasParams(coupledViz)) return;
+
                 const coupling = strength * this.options.couplingStrength;
 
                 // Couple parameters
@@ -271,7 +473,7 @@ export class EmergentInteractionSystem {
      * Check for synchronization and trigger emergent behaviors
      */
     checkSynchronization() {
-        const visualizers = Array.from(this.manager.visualizers.values());
+        const visualizers = Array.from(this.manager.visualizers.values()).filter(hasParams);
 
         if (visualizers.length < 2) return;
 
@@ -334,7 +536,7 @@ export class EmergentInteractionSystem {
      * Cascade geometry changes across visualizers
      */
     cascadeGeometryChange() {
-        const visualizers = Array.from(this.manager.visualizers.values());
+        const visualizers = Array.from(this.manager.visualizers.values()).filter(hasParams);
         const targetGeometry = Math.floor(Math.random() * 8);
 
         visualizers.forEach((viz, index) => {
@@ -353,7 +555,7 @@ export class EmergentInteractionSystem {
      * Synchronized pulse across all visualizers
      */
     synchronizedPulse() {
-        const visualizers = Array.from(this.manager.visualizers.values());
+        const visualizers = Array.from(this.manager.visualizers.values()).filter(hasParams);
 
         visualizers.forEach(viz => {
             const original = {
@@ -382,21 +584,22 @@ export class EmergentInteractionSystem {
      * Wave effect propagating through visualizers
      */
     waveEffect() {
-        const visualizers = Array.from(this.manager.visualizers.values());
+        const visualizers = Array.from(this.manager.visualizers.entries())
+            .filter(([id]) => this.grid.has(id));
 
-        // Sort by position (left to right, top to bottom)
-        visualizers.sort((a, b) => {
-            const rectA = a.element.getBoundingClientRect();
-            const rectB = b.element.getBoundingClientRect();
+        // Sort by document position (left to right, top to bottom)
+        visualizers.sort(([idA], [idB]) => {
+            const a = this.grid.get(idA);
+            const b = this.grid.get(idB);
 
-            if (Math.abs(rectA.top - rectB.top) < 50) {
-                return rectA.left - rectB.left;
+            if (Math.abs(a.y - b.y) < 50) {
+                return a.x - b.x;
             }
-            return rectA.top - rectB.top;
+            return a.y - b.y;
         });
 
         // Apply wave
-        visualizers.forEach((viz, index) => {
+        visualizers.forEach(([, viz], index) => {
             setTimeout(() => {
                 viz.pulse();
             }, index * 80);
@@ -410,7 +613,7 @@ export class EmergentInteractionSystem {
      */
     enableMorphing() {
         this.manager.visualizers.forEach(viz => {
-            if (!viz.morpher) {
+            if (!viz.morpher && hasParams(viz)) {
                 viz.morpher = new GeometryMorpher(viz.visualizer);
             }
         });
@@ -3,19 +3,25 @@
  * The brain of the entire visual system - choreographs all effects based on context
  * REFACTORED to integrate with ScrollChoreographer for VIB3+ geometry transitions
  * NO MANUAL CONTROLS - pure emergent behavior
+ * Section profiles come from markup (data-visual-profile) via SectionRegistry
  */
 
 import { ScrollChoreographer } from '../choreography/ScrollChoreographer.js';
+import { SectionRegistry } from '../choreography/SectionRegistry.js';
 
 export class VisualOrchestrator {
-    constructor(canvasManager) {
+    constructor(canvasManager, options = {}) {
         this.manager = canvasManager;
 
+        // One registry for both the orchestrator and the choreographer
+        this.sectionRegistry = options.sectionRegistry || new SectionRegistry();
+
         // Initialize scroll choreographer
         this.choreographer = new ScrollChoreographer({
             lerpSpeed: 0.08,
             velocityInfluence: 0.5,
-            transitionZone: 0.3
+            transitionZone: 0.3,
+            registry: this.sectionRegistry
         });
         
         // State tracking
@@ -25,7 +31,7 @@ export class VisualOrchestrator {
             mousePos: { x: 0.5, y: 0.5 },
             mouseVelocity: { x: 0, y: 0 },
             mouseActivity: 0, // 0-1, decays over time
-            currentSection: 'hero',
+            currentSection: this.sectionRegistry.getSections()[0]?.name || 'hero',
             sectionDepth: 0,
             hoveredCards: new Set(),
             timeOfDay: this.getTimeOfDay(),
@@ -49,75 +55,13 @@ export class VisualOrchestrator {
         // Current visual state (smooth interpolation)
         this.visualState = { ...this.visualTarget };
         
-        // OPTIMIZED: Section-based visual profiles with reduced GPU-intensive effects
-        this.sectionProfiles = {
-            hero: {
-                preset: 'quantum',
-                form: 'lattice',           // Quantum 4D lattice structure
-                intensity: 0.6,
-                chaos: 0.15,
-                speed: 0.5,
-                hue: 180,
-                rgbOffset: 0.0005,         // Reduced from 0.002
-                moireIntensity: 0.03,      // Reduced from 0.1
-                formMix: 1.0
-            },
-            signals: {
-                preset: 'neural',
-                form: 'wave',              // Flowing wave patterns
-                intensity: 0.75,
-                chaos: 0.4,
-                speed: 0.8,
-                hue: 280,
-                rgbOffset: 0.001,          // Reduced from 0.005
-                moireIntensity: 0.08,      // Reduced from 0.3
-                formMix: 1.0
-            },
-            capabilities: {
-                preset: 'crystal',
-                form: 'crystal',           // Sharp crystalline structures
-                intensity: 0.65,
-                chaos: 0.1,
-                speed: 0.4,
-                hue: 200,
-                rgbOffset: 0.0003,         // Reduced from 0.001
-                moireIntensity: 0.02,      // Reduced from 0.05
-                formMix: 1.0
-            },
-            research: {
-                preset: 'cosmic',
-                form: 'nebula',            // Organic nebula clouds
-                intensity: 0.7,
-                chaos: 0.3,
-                speed: 0.6,
-                hue: 240,
-                rgbOffset: 0.0008,         // Reduced from 0.003
-                moireIntensity: 0.06,      // Reduced from 0.2
-                formMix: 1.0
-            },
-            platforms: {
-                preset: 'cyber',
-                form: 'vortex',            // Swirling vortex/spiral
-                intensity: 0.8,
-                chaos: 0.25,
-                speed: 0.7,
-                hue: 160,
-                rgbOffset: 0.001,          // Reduced from 0.004
-                moireIntensity: 0.07,      // Reduced from 0.25
-                formMix: 1.0
-            },
-            contact: {
-                preset: 'aurora',
-                form: 'fractal',           // Fractal branching patterns
-                intensity: 0.55,
-                chaos: 0.2,
-                speed: 0.5,
-                hue: 200,
-                rgbOffset: 0.0005,         // Reduced from 0.002
-                moireIntensity: 0.04,      // Reduced from 0.15
-                formMix: 1.0
-            }
-        };
+        // Section-based visual profiles, keyed by section name
+        this.sectionProfiles = this.sectionRegistry.getProfileMap();
+        this.sectionObserver = null;
+        this.sectionRegistry.subscribe(() => {
+            this.sectionProfiles = this.sectionRegistry.getProfileMap();
+            this.observeSections();
+        });
         
         // Interaction multipliers
         this.multipliers = {
@@ -175,12 +119,23 @@ export class VisualOrchestrator {
     }
     
     observeSections() {
-        const sections = document.querySelectorAll('[data-section]');
+        if (this.sectionObserver) {
+            this.sectionObserver.disconnect();
+        }
+        
+        // Registry sections plus any legacy [data-section] markers
+        const sections = new Set(document.querySelectorAll('[data-section]'));
+        this.sectionRegistry.getSections().forEach(section => {
+            if (section.element) {
+                sections.add(section.element);
+            }
+        });
         
-        const observer = new IntersectionObserver((entries) => {
+        this.sectionObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting && entry.intersectionRatio > 0.5) {
-                    const sectionId = entry.target.dataset.section;
+                    const registered = this.sectionRegistry.getSectionForElement(entry.target);
+                    const sectionId = registered ? registered.name : entry.target.dataset.section;
                     if (this.state.currentSection !== sectionId) {
                         this.transitionToSection(sectionId);
                     }
@@ -188,14 +143,14 @@ export class VisualOrchestrator {
             });
         }, { threshold: [0, 0.25, 0.5, 0.75, 1.0] });
         
-        sections.forEach(section => observer.observe(section));
+        sections.forEach(section => this.sectionObserver.observe(section));
     }
     
     transitionToSection(sectionId) {
         console.log(`🎬 Transitioning to section: ${sectionId}`);
         this.state.currentSection = sectionId;
         
-        const profile = this.sectionProfiles[sectionId] || this.sectionProfiles.hero;
+        const profile = this.sectionProfiles[sectionId] || this.sectionRegistry.getDefaultVisual();
         
         // Set new visual target
         Object.assign(this.visualTarget, profile);
@@ -0,0 +1,125 @@
+/**
+ * SpatialGrid.js
+ *
+ * Uniform grid over document-space points. Neighbour queries only visit the
+ * cells a radius touches, so finding everything near a point stays cheap
+ * however many elements the page holds
+ *
+ * © 2025 Clear Seas Solutions LLC - Paul Phillips
+ */
+
+export class SpatialGrid {
+    constructor(cellSize = 300) {
+        this.cellSize = Math.max(1, cellSize);
+        this.cells = new Map();
+        this.points = new Map(); // id -> { x, y, key }
+    }
+
+    cellKey(cx, cy) {
+        return `${cx},${cy}`;
+    }
+
+    cellCoord(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Add a point, or move it if the id is already indexed
+     */
+    insert(id, x, y) {
+        const key = this.cellKey(this.cellCoord(x), this.cellCoord(y));
+        const existing = this.points.get(id);
+
+        if (existing) {
+            if (existing.key === key) {
+                existing.x = x;
+                existing.y = y;
+                return;
+            }
+            this.removeFromCell(id, existing.key);
+        }
+
+        if (!this.cells.has(key)) {
+            this.cells.set(key, new Set());
+        }
+        this.cells.get(key).add(id);
+        this.points.set(id, { x, y, key });
+    }
+
+    remove(id) {
+        const existing = this.points.get(id);
+        if (!existing) return;
+        this.removeFromCell(id, existing.key);
+        this.points.delete(id);
+    }
+
+    removeFromCell(id, key) {
+        const cell = this.cells.get(key);
+        if (!cell) return;
+        cell.delete(id);
+        if (cell.size === 0) {
+            this.cells.delete(key);
+        }
+    }
+
+    has(id) {
+        return this.points.has(id);
+    }
+
+    get(id) {
+        return this.points.get(id) || null;
+    }
+
+    /**
+     * Points within `radius` of (x, y), nearest first: [{ id, x, y, distance }]
+     */
+    queryRadius(x, y, radius) {
+        const results = [];
+        const minX = this.cellCoord(x - radius);
+        const maxX = this.cellCoord(x + radius);
+        const minY = this.cellCoord(y - radius);
+        const maxY = this.cellCoord(y + radius);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const cell = this.cells.get(this.cellKey(cx, cy));
+                if (!cell) continue;
+
+                cell.forEach((id) => {
+                    const point = this.points.get(id);
+                    const distance = Math.hypot(point.x - x, point.y - y);
+                    if (distance <= radius) {
+                        results.push({ id, x: point.x, y: point.y, distance });
+                    }
+                });
+            }
+        }
+
+        return results.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Change the cell size and re-bucket every point
+     */
+    setCellSize(cellSize) {
+        const points = Array.from(this.points.entries());
+        this.cellSize = Math.max(1, cellSize);
+        this.clear();
+        points.forEach(([id, { x, y }]) => this.insert(id, x, y));
+    }
+
+    clear() {
+        this.cells.clear();
+        this.points.clear();
+    }
+
+    get size() {
+        return this.points.size;
+    }
+}
+
+/**
+ * A Paul Phillips Manifestation
+ * "The Revolution Will Not be in a Structured Format"
+ * © 2025 Clear Seas Solutions LLC
+ */
@@ -7,10 +7,14 @@
  * Inspired by weare-simone.webflow.io's emergent visual transitions
  * and VIB3+ Engine's multi-layer system
  *
+ * Library module: no page entry constructs ElementVisualizerManager yet;
+ * UnifiedScrollChoreographer is its only consumer
+ *
  * © 2025 Clear Seas Solutions LLC - Paul Phillips
  */
 
 import { UnifiedQuantumVisualizer } from './UnifiedQuantumVisualizer.js';
+import { EmergentInteractionSystem } from '../effects/GeometryMorpher.js';
 
 export class ElementVisualizer {
     constructor(element, options = {}) {
@@ -92,10 +96,13 @@ export class ElementVisualizer {
 
         this.visualizer.canvas = this.canvas;
         this.visualizer.gl = gl;
-        const shaderSuccess = this.visualizer.initializeShaders();
 
-        if (!shaderSuccess) {
+        // Shaders compile in the constructor; uniforms are only looked up
+        // once the program has linked
+        if (!this.visualizer.uniforms) {
             console.error('❌ ElementVisualizer: Shader init failed for', this.element);
+            this.visualizer.dispose();
+            this.visualizer = null;
             return;
         }
 
@@ -121,6 +128,14 @@ export class ElementVisualizer {
         console.log(`🎨 ElementVisualizer initialized for element with geometry ${this.visualizer.params.geometry}`);
     }
 
+    /**
+     * False when WebGL or the shaders failed. The element keeps its empty
+     * canvas and the manager's loops skip it
+     */
+    isReady() {
+        return Boolean(this.visualizer && this.visualizer.params);
+    }
+
     /**
      * Auto-select geometry based on element type
      */
@@ -212,6 +227,8 @@ export class ElementVisualizer {
      * Pulse effect on interaction
      */
     pulse() {
+        if (!this.isReady()) return;
+
         const originalIntensity = this.visualizer.params.intensity;
         const originalChaos = this.visualizer.params.chaos;
 
@@ -221,6 +238,7 @@ export class ElementVisualizer {
 
         // Decay back to normal
         setTimeout(() => {
+            if (!this.isReady()) return;
             this.visualizer.params.intensity = originalIntensity;
             this.visualizer.params.chaos = originalChaos;
         }, 300);
@@ -287,6 +305,7 @@ export class ElementVisualizer {
      * Update parameters from choreographer or external source
      */
     applyState(state) {
+        if (!this.isReady()) return;
         Object.assign(this.visualizer.params, state);
     }
 
@@ -294,7 +313,7 @@ export class ElementVisualizer {
      * Set specific parameter
      */
     setParameter(name, value) {
-        if (this.visualizer.params[name] !== undefined) {
+        if (this.isReady() && this.visualizer.params[name] !== undefined) {
             this.visualizer.params[name] = value;
         }
     }
@@ -303,6 +322,7 @@ export class ElementVisualizer {
      * Set geometry
      */
     setGeometry(geometryIndex) {
+        if (!this.isReady()) return;
         this.visualizer.params.geometry = Math.max(0, Math.min(7, Math.floor(geometryIndex)));
     }
 
@@ -327,10 +347,26 @@ export class ElementVisualizer {
  * Creates "bleeding" effects between adjacent elements
  */
 export class ElementVisualizerManager {
-    constructor(orchestrator) {
+    /**
+     * `options.emergent` is passed to the EmergentInteractionSystem that
+     * couples nearby visualizers and runs ripples; `false` turns it off
+     */
+    constructor(orchestrator, options = {}) {
         this.orchestrator = orchestrator;
         this.visualizers = new Map();
         this.bleedLinks = new Map(); // Track which elements bleed into each other
+        this.emergent = options.emergent === false
+            ? null
+            : new EmergentInteractionSystem(this, options.emergent || {});
+    }
+
+    /**
+     * Visualizers were added or removed; re-measure and re-couple next frame
+     */
+    notifyLayoutChange() {
+        if (this.emergent) {
+            this.emergent.scheduleLayoutUpdate();
+        }
     }
 
     /**
@@ -342,6 +378,7 @@ export class ElementVisualizerManager {
 
         const visualizer = new ElementVisualizer(element, options);
         this.visualizers.set(id, visualizer);
+        this.notifyLayoutChange();
 
         return visualizer;
     }
@@ -427,6 +464,8 @@ export class ElementVisualizerManager {
         const state = choreographer.currentState;
 
         this.visualizers.forEach((visualizer, id) => {
+            if (!visualizer.isReady()) return;
+
             // Apply depth-specific state
             const depthState = choreographer.getStateForDepth(visualizer.options.depth);
             visualizer.applyState(depthState);
@@ -438,9 +477,15 @@ export class ElementVisualizerManager {
      */
     startCoordination() {
         const update = () => {
+            // Scheduled first, so a frame that throws does not end the loop
+            requestAnimationFrame(update);
+
             this.updateFromChoreographer();
             this.applyBleedingEffects();
-            requestAnimationFrame(update);
+            if (this.emergent) {
+                this.emergent.update();
+                this.emergent.updateMorphers();
+            }
         };
         requestAnimationFrame(update);
     }
@@ -451,11 +496,11 @@ export class ElementVisualizerManager {
     applyBleedingEffects() {
         this.bleedLinks.forEach((links, sourceId) => {
             const sourceViz = this.visualizers.get(sourceId);
-            if (!sourceViz) return;
+            if (!sourceViz || !sourceViz.isReady()) return;
 
             links.forEach(({ id: targetId, factor }) => {
                 const targetViz = this.visualizers.get(targetId);
-                if (!targetViz) return;
+                if (!targetViz || !targetViz.isReady()) return;
 
                 // Blend parameters between source and target
                 const sourceParams = sourceViz.visualizer.params;
@@ -485,6 +530,7 @@ export class ElementVisualizerManager {
         if (visualizer) {
             visualizer.dispose();
             this.visualizers.delete(id);
+            this.notifyLayoutChange();
         }
 
         delete element.dataset.vizId;
@@ -497,5 +543,9 @@ export class ElementVisualizerManager {
         this.visualizers.forEach(viz => viz.dispose());
         this.visualizers.clear();
         this.bleedLinks.clear();
+        if (this.emergent) {
+            this.emergent.destroy();
+            this.emergent = null;
+        }
     }
 }
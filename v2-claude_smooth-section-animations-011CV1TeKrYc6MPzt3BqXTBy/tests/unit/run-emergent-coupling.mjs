@@ -0,0 +1,181 @@
+import { strict as assert } from 'node:assert';
+
+/**
+ * Unit checks for SpatialGrid radius queries and EmergentInteractionSystem
+ * couplings: rebuilt from document-space positions after a resize, and
+ * visualizers whose WebGL setup failed left out of every per-frame loop.
+ * Runs against fake elements with a mutable layout and a manual frame queue.
+ */
+
+let frames = [];
+const windowListeners = new Map();
+globalThis.window = {
+  scrollX: 0,
+  scrollY: 0,
+  addEventListener: (type, handler) => windowListeners.set(type, handler),
+  removeEventListener: (type) => windowListeners.delete(type)
+};
+globalThis.requestAnimationFrame = (callback) => frames.push(callback);
+globalThis.cancelAnimationFrame = () => {};
+
+const { SpatialGrid } = await import('../../src/js/utils/SpatialGrid.js');
+const { EmergentInteractionSystem } = await import('../../src/js/effects/GeometryMorpher.js');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const runFrame = () => {
+  const queued = frames;
+  frames = [];
+  queued.forEach((callback) => callback());
+};
+
+// The system logs its coupling count; keep the checklist readable
+const quietly = (fn) => {
+  const { log } = console;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+};
+
+// Elements report their rect from `layout`, in viewport coordinates
+const layout = new Map();
+
+const visualizer = (id, { ready = true } = {}) => ({
+  element: {
+    isConnected: true,
+    dataset: { vizId: id },
+    getBoundingClientRect: () => {
+      const { x, y } = layout.get(id);
+      return { left: x - 50 - window.scrollX, top: y - 50 - window.scrollY, width: 100, height: 100 };
+    }
+  },
+  visualizer: ready
+    ? { params: { hue: 180, intensity: 0.5, chaos: 0.2, speed: 1, rot4dXW: 0, rot4dYW: 0, rot4dZW: 0 } }
+    : null,
+  pulse() {}
+});
+
+const createSystem = (entries, options = {}) => {
+  const manager = { visualizers: new Map(entries.map((viz) => [viz.element.dataset.vizId, viz])) };
+  return quietly(() => new EmergentInteractionSystem(manager, { couplingRadius: 300, ...options }));
+};
+
+const coupledIds = (system, id) => (system.couplings.get(id) || []).map(({ viz }) => viz.element.dataset.vizId).sort();
+
+test('queryRadius returns points inside the radius, nearest first', () => {
+  const grid = new SpatialGrid(100);
+  grid.insert('origin', 0, 0);
+  grid.insert('edge', 300, 0);
+  grid.insert('negative', -150, -80);
+  grid.insert('diagonal', 200, 200);
+  grid.insert('far', 301, 0);
+
+  const hits = grid.queryRadius(0, 0, 300);
+  assert.deepEqual(hits.map(({ id }) => id), ['origin', 'negative', 'diagonal', 'edge']);
+  assert.equal(hits[1].distance, 170);
+  assert.deepEqual(grid.queryRadius(1000, 1000, 50), []);
+});
+
+test('moved, removed and re-bucketed points are found where they are now', () => {
+  const grid = new SpatialGrid(100);
+  grid.insert('a', 10, 10);
+  grid.insert('b', 50, 50);
+  grid.insert('a', 950, 950);
+  assert.deepEqual(grid.queryRadius(0, 0, 100).map(({ id }) => id), ['b']);
+  assert.deepEqual(grid.queryRadius(1000, 1000, 100).map(({ id }) => id), ['a']);
+
+  grid.remove('b');
+  assert.equal(grid.size, 1);
+  assert.deepEqual(grid.queryRadius(0, 0, 100), []);
+  assert.equal(grid.cells.size, 1, 'empty cells are dropped');
+
+  grid.setCellSize(7);
+  assert.deepEqual(grid.queryRadius(950, 957, 7).map(({ id }) => id), ['a']);
+});
+
+test('couplings are rebuilt from the new layout after a window resize', () => {
+  layout.set('a', { x: 100, y: 100 });
+  layout.set('b', { x: 300, y: 100 });
+  layout.set('c', { x: 100, y: 900 });
+  const system = createSystem(['a', 'b', 'c'].map((id) => visualizer(id)));
+
+  assert.deepEqual(coupledIds(system, 'a'), ['b']);
+  assert.equal(system.countCouplings(), 1);
+  assert.equal(system.couplings.get('a')[0].strength, 1 - 200 / 300);
+
+  // Narrow viewport: b wraps below a, c moves up next to it
+  layout.set('b', { x: 100, y: 600 });
+  layout.set('c', { x: 100, y: 750 });
+  windowListeners.get('resize')();
+  windowListeners.get('resize')();
+  assert.equal(frames.length, 1, 'resizes are batched into one frame');
+  runFrame();
+
+  assert.deepEqual(coupledIds(system, 'a'), []);
+  assert.deepEqual(coupledIds(system, 'b'), ['c']);
+  assert.deepEqual(system.grid.get('c'), { x: 100, y: 750, key: system.grid.get('c').key });
+  system.destroy();
+});
+
+test('positions are measured in document space', () => {
+  layout.set('a', { x: 100, y: 2000 });
+  layout.set('b', { x: 100, y: 2100 });
+  window.scrollY = 1800;
+  const system = createSystem([visualizer('a'), visualizer('b')], { observeLayout: false });
+  window.scrollY = 0;
+
+  assert.equal(system.grid.get('a').y, 2000);
+  assert.deepEqual(coupledIds(system, 'a'), ['b']);
+});
+
+test('visualizers without WebGL are left out of the grid and every frame loop', () => {
+  layout.set('a', { x: 100, y: 100 });
+  layout.set('broken', { x: 150, y: 100 });
+  layout.set('b', { x: 200, y: 100 });
+  const broken = visualizer('broken', { ready: false });
+  const system = createSystem([visualizer('a'), broken, visualizer('b')], { observeLayout: false });
+
+  assert.equal(system.grid.has('broken'), false);
+  assert.deepEqual(coupledIds(system, 'a'), ['b']);
+
+  quietly(() => {
+    system.triggerRipple(broken.element);
+    for (let frame = 0; frame < 5; frame++) system.update();
+    system.enableMorphing();
+    system.synchronizedPulse();
+    system.cascadeGeometryChange();
+  });
+  assert.equal(broken.morpher, undefined);
+});
+
+const run = async () => {
+  let failures = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`✗ ${name}`);
+      console.error(error);
+    }
+  }
+  if (failures) {
+    throw new Error(`${failures} of ${tests.length} emergent coupling checks failed`);
+  }
+  console.log(`${tests.length} emergent coupling checks passed`);
+};
+
+run()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+    process.exit(1);
+  });
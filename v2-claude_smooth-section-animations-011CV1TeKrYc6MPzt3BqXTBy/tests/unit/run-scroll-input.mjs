@@ -0,0 +1,191 @@
+import { strict as assert } from 'node:assert';
+
+/**
+ * Unit checks for ScrollInputNormalizer: wheel units and devices, touch
+ * drags and the momentum after release, keyboard deltas and scroll events
+ * nobody announced. Runs against a fake scroll container and a manual clock.
+ */
+
+let clock = 0;
+Object.defineProperty(globalThis, 'performance', { value: { now: () => clock }, configurable: true });
+globalThis.window = globalThis.window || {};
+
+const { ScrollInputNormalizer } = await import('../../src/js/choreography/ScrollInputNormalizer.js');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+class FakeScroller {
+  constructor() {
+    this.listeners = new Map();
+    this.scrollTop = 1000;
+    this.scrollLeft = 0;
+    this.clientHeight = 800;
+    this.scrollHeight = 5000;
+  }
+
+  addEventListener(type, handler) {
+    this.listeners.set(type, handler);
+  }
+
+  removeEventListener(type) {
+    this.listeners.delete(type);
+  }
+
+  dispatch(type, event = {}) {
+    this.listeners.get(type)(event);
+  }
+
+  scrollBy(delta) {
+    this.scrollTop += delta;
+    this.dispatch('scroll');
+  }
+}
+
+const element = (tagName, attributes = {}) => ({
+  tagName,
+  isContentEditable: false,
+  getAttribute: (name) => (name in attributes ? attributes[name] : null)
+});
+
+const setup = () => {
+  clock = 10000;
+  const target = new FakeScroller();
+  const normalizer = new ScrollInputNormalizer({ target });
+  const samples = [];
+  normalizer.subscribe((sample) => samples.push(sample));
+  return { target, normalizer, samples };
+};
+
+const touch = (y) => ({ touches: [{ clientX: 0, clientY: y }] });
+
+test('line-mode wheel deltas are scaled to pixels and come from a mouse', () => {
+  const { target, samples } = setup();
+  target.dispatch('wheel', { deltaY: 3, deltaX: 0, deltaMode: 1 });
+  assert.equal(samples.length, 1);
+  assert.equal(samples[0].deltaY, 48);
+  assert.equal(samples[0].device, 'mouse');
+});
+
+test('small streamed pixel deltas are a trackpad that turns inertial as they decay', () => {
+  const { target, samples } = setup();
+  [30, 24, 18, 12, 6].forEach((deltaY) => {
+    clock += 16;
+    target.dispatch('wheel', { deltaY, deltaX: 0, deltaMode: 0 });
+  });
+  assert.ok(samples.every((sample) => sample.device === 'trackpad'));
+  assert.deepEqual(samples.map((sample) => sample.inertial), [false, false, false, true, true]);
+});
+
+test('scroll events following a wheel sample are not reported twice', () => {
+  const { target, samples } = setup();
+  target.dispatch('wheel', { deltaY: 100, deltaX: 0, deltaMode: 0 });
+  clock += 16;
+  target.scrollBy(100);
+  assert.equal(samples.length, 1);
+});
+
+test('touch drags emit deltas in wheel direction', () => {
+  const { target, samples } = setup();
+  target.dispatch('touchstart', touch(400));
+  clock += 16;
+  target.dispatch('touchmove', touch(360));
+  assert.equal(samples.length, 1);
+  assert.equal(samples[0].deltaY, 40);
+  assert.equal(samples[0].source, 'touch');
+});
+
+test('momentum right after a touch release is reported as inertial touch', () => {
+  const { target, samples } = setup();
+  target.dispatch('touchstart', touch(400));
+  clock += 16;
+  target.dispatch('touchmove', touch(300));
+  target.dispatch('touchend', { touches: [] });
+
+  // The drag's own scroll event lands in the release frame
+  clock += 10;
+  target.scrollBy(100);
+  assert.equal(samples.length, 1);
+
+  clock += 40;
+  target.scrollBy(30);
+  clock += 16;
+  target.scrollBy(20);
+  assert.equal(samples.length, 3);
+  assert.ok(samples.slice(1).every((sample) => sample.device === 'touch' && sample.inertial));
+  assert.deepEqual(samples.slice(1).map((sample) => sample.deltaY), [30, 20]);
+});
+
+test('scrolling nobody announced is programmatic', () => {
+  const { target, samples } = setup();
+  target.scrollBy(-250);
+  assert.equal(samples.length, 1);
+  assert.equal(samples[0].deltaY, -250);
+  assert.equal(samples[0].device, 'programmatic');
+  assert.equal(samples[0].inertial, false);
+});
+
+test('keys scroll by their step, clamped to the scrollable range', () => {
+  const { target, samples } = setup();
+  target.dispatch('keydown', { key: 'ArrowDown', target: element('BODY') });
+  target.dispatch('keydown', { key: 'PageUp', target: element('BODY') });
+  target.dispatch('keydown', { key: 'End', target: element('BODY') });
+  target.scrollTop = 100;
+  target.dispatch('keydown', { key: 'Home', target: element('BODY') });
+  assert.deepEqual(samples.map((sample) => sample.deltaY), [40, -700, 3200, -100]);
+  assert.ok(samples.every((sample) => sample.source === 'keyboard'));
+});
+
+test('Space on a focused control activates it instead of scrolling', () => {
+  const { target, samples } = setup();
+  target.dispatch('keydown', { key: ' ', target: element('BUTTON') });
+  target.dispatch('keydown', { key: ' ', target: element('SUMMARY') });
+  target.dispatch('keydown', { key: ' ', target: element('DIV', { role: 'checkbox' }) });
+  target.dispatch('keydown', { key: ' ', target: element('INPUT') });
+  assert.equal(samples.length, 0);
+
+  target.dispatch('keydown', { key: 'ArrowDown', target: element('BUTTON') });
+  target.dispatch('keydown', { key: ' ', shiftKey: true, target: element('DIV') });
+  assert.deepEqual(samples.map((sample) => sample.deltaY), [40, -700]);
+});
+
+test('modified keys and editable targets are ignored', () => {
+  const { target, samples } = setup();
+  target.dispatch('keydown', { key: 'PageDown', ctrlKey: true, target: element('BODY') });
+  target.dispatch('keydown', { key: 'ArrowDown', target: element('TEXTAREA') });
+  assert.equal(samples.length, 0);
+});
+
+test('destroy detaches every listener', () => {
+  const { target, normalizer } = setup();
+  normalizer.destroy();
+  assert.equal(target.listeners.size, 0);
+});
+
+const run = async () => {
+  let failures = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`✗ ${name}`);
+      console.error(error);
+    }
+  }
+  if (failures) {
+    throw new Error(`${failures} of ${tests.length} scroll input checks failed`);
+  }
+  console.log(`${tests.length} scroll input checks passed`);
+};
+
+run()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+    process.exit(1);
+  });
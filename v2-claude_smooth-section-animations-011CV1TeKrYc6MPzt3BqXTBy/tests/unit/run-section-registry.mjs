@@ -0,0 +1,150 @@
+import { strict as assert } from 'node:assert';
+import { SectionRegistry, VISUAL_PROFILES, DEFAULT_SECTIONS } from '../../src/js/choreography/SectionRegistry.js';
+
+/**
+ * Unit checks for SectionRegistry: sections declared in markup, the built-in
+ * layout fallback, data-visual-params overrides and profile names that are
+ * unknown or collide with Object.prototype members. Runs against a fake root
+ * that answers the two selectors the registry uses.
+ */
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const element = (dataset = {}, id = '') => ({ id, dataset: { ...dataset } });
+
+class FakeRoot {
+  constructor(declared = [], bySelector = {}) {
+    this.declared = declared;
+    this.bySelector = bySelector;
+  }
+
+  querySelectorAll(selector) {
+    return selector === '[data-visual-profile]' ? this.declared : [];
+  }
+
+  querySelector(selector) {
+    return this.bySelector[selector] || null;
+  }
+}
+
+// Unknown profiles and bad params warn; keep the checklist readable
+const quietly = (fn) => {
+  const { warn } = console;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  try {
+    return { result: fn(), warnings };
+  } finally {
+    console.warn = warn;
+  }
+};
+
+test('sections declared in markup are discovered in document order', () => {
+  const labs = element({ visualProfile: 'crystal' }, 'labs');
+  const named = element({ visualProfile: 'neural', section: 'signals' }, 'ignored-id');
+  const anonymous = element({ visualProfile: 'cosmic' });
+  const duplicate = element({ visualProfile: 'aurora' }, 'labs');
+  const registry = new SectionRegistry({ root: new FakeRoot([labs, named, anonymous, duplicate]) });
+
+  assert.deepEqual(registry.getSections().map((section) => [section.name, section.profile]), [
+    ['labs', 'crystal'],
+    ['signals', 'neural'],
+    ['section-3', 'cosmic'],
+    ['labs-4', 'aurora']
+  ]);
+  assert.equal(registry.getSectionForElement(labs).name, 'labs');
+  assert.deepEqual(registry.getSection('labs').visual, VISUAL_PROFILES.crystal.visual);
+  assert.notEqual(registry.getSection('labs').states, VISUAL_PROFILES.crystal.states);
+});
+
+test('pages without declared sections use the built-in layout', () => {
+  const hero = element({}, 'hero');
+  const registry = new SectionRegistry({ root: new FakeRoot([], { [DEFAULT_SECTIONS[0].selector]: hero }) });
+
+  assert.deepEqual(registry.getSections().map((section) => section.name), DEFAULT_SECTIONS.map((section) => section.name));
+  assert.equal(registry.getSection('hero').element, hero);
+  assert.equal(registry.getSection('signals').element, null);
+  assert.equal(registry.getSection('contact').profile, 'aurora');
+});
+
+test('data-visual-params override the profile, one state or every state', () => {
+  const params = '{"hue": 40, "intensity": "loud", "exit": {"geometry": 5}, "__proto__": {"hue": 1}}';
+  const registry = new SectionRegistry({ root: new FakeRoot([element({ visualProfile: 'crystal', visualParams: params }, 'labs')]) });
+  const section = registry.getSection('labs');
+
+  assert.equal(section.visual.hue, 40);
+  assert.equal(section.visual.intensity, 'loud');
+  assert.deepEqual(['enter', 'progress', 'exit'].map((state) => section.states[state].hue), [40, 40, 40]);
+  // Only numbers reach the states
+  assert.equal(section.states.enter.intensity, VISUAL_PROFILES.crystal.states.enter.intensity);
+  assert.equal(section.states.exit.geometry, 5);
+  assert.equal(section.states.enter.geometry, VISUAL_PROFILES.crystal.states.enter.geometry);
+  assert.equal(Object.getPrototypeOf(section.visual), Object.prototype);
+  // The built-in profile is untouched
+  assert.equal(VISUAL_PROFILES.crystal.visual.hue, 200);
+
+  const { warnings } = quietly(() => new SectionRegistry({
+    root: new FakeRoot([element({ visualProfile: 'crystal', visualParams: '[1, 2]' }, 'labs')])
+  }));
+  assert.deepEqual(warnings, ['⚠️ Ignoring invalid data-visual-params on section "labs"']);
+});
+
+test('unknown and Object.prototype profile names fall back to the default profile', () => {
+  const names = ['glitter', 'constructor', 'toString', '__proto__', 'hasOwnProperty'];
+  const { result: registry, warnings } = quietly(() => new SectionRegistry({
+    root: new FakeRoot(names.map((name, index) => element({ visualProfile: name }, `section-${name}-${index}`)))
+  }));
+
+  assert.deepEqual(registry.getSections().map((section) => section.profile), names.map(() => 'quantum'));
+  assert.equal(warnings.length, names.length);
+  assert.match(warnings[1], /Unknown visual profile "constructor"/);
+  assert.equal(registry.resolveProfile('valueOf'), null);
+  // Legacy section names still resolve to their built-in profile
+  assert.equal(registry.resolveProfile('platforms'), 'cyber');
+});
+
+test('registered and constructor-supplied profiles resolve like built-in ones', () => {
+  const custom = { label: 'Tide', visual: { preset: 'tide', hue: 190 }, states: { enter: { hue: 190 }, progress: {}, exit: {} } };
+  const { result: registry } = quietly(() => new SectionRegistry({
+    root: new FakeRoot([element({ visualProfile: 'tide' }, 'a'), element({ visualProfile: 'constructor' }, 'b')]),
+    profiles: { tide: custom }
+  }));
+  assert.equal(registry.getSection('a').profile, 'tide');
+  assert.equal(registry.getSection('b').profile, 'quantum');
+
+  registry.registerProfile('constructor', { visual: { hue: 10 }, states: custom.states });
+  registry.refresh();
+  assert.equal(registry.getSection('b').profile, 'constructor');
+  assert.equal(registry.getSection('b').visual.hue, 10);
+  assert.equal(registry.profiles.constructor.label, 'constructor');
+  assert.equal(Object.getPrototypeOf(registry.profiles), null);
+});
+
+const run = async () => {
+  let failures = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`✗ ${name}`);
+      console.error(error);
+    }
+  }
+  if (failures) {
+    throw new Error(`${failures} of ${tests.length} section registry checks failed`);
+  }
+  console.log(`${tests.length} section registry checks passed`);
+};
+
+run()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+    process.exit(1);
+  });